@@ -0,0 +1,101 @@
+// backend/__tests__/amortization.test.js
+const {
+  getInstallmentCount,
+  buildSchedule,
+  applyLoanPayments,
+  compareWithSchedule
+} = require('../utils/amortization');
+
+describe('Loan Amortization', () => {
+  const loanDate = new Date('2025-01-15');
+  const compound = {
+    interestRate: 12,
+    interestType: 'compound',
+    compounding: 'monthly',
+    termMonths: 12,
+    installmentFrequency: 'monthly'
+  };
+  const simple = { ...compound, interestType: 'simple' };
+  
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+  
+  test('should count installments over the term', () => {
+    expect(getInstallmentCount(compound)).toBe(12);
+    expect(getInstallmentCount({ ...compound, installmentFrequency: 'quarterly' })).toBe(4);
+    expect(getInstallmentCount({ ...compound, installmentFrequency: 'biweekly' })).toBe(26);
+  });
+  
+  test('should build an annuity schedule for compound loans', () => {
+    const schedule = buildSchedule(compound, 100000, loanDate);
+    
+    expect(schedule.installments).toHaveLength(12);
+    expect(schedule.installments[0].dueDate.toISOString().slice(0, 10)).toBe('2025-02-15');
+    expect(schedule.installments[0].paymentInMinorUnits).toBe(8885);
+    expect(schedule.installments[0].interestInMinorUnits).toBe(1000);
+    expect(sum(schedule.installments, 'principalInMinorUnits')).toBe(100000);
+    expect(schedule.installments[11].remainingPrincipalInMinorUnits).toBe(0);
+    expect(schedule.totalInterestInMinorUnits).toBe(6619);
+    // Interest shrinks as the principal is repaid
+    expect(schedule.installments[11].interestInMinorUnits).toBeLessThan(schedule.installments[0].interestInMinorUnits);
+  });
+  
+  test('should spread flat interest evenly for simple loans', () => {
+    const schedule = buildSchedule({ ...simple, installmentFrequency: 'quarterly' }, 100000, loanDate);
+    
+    expect(schedule.totalInterestInMinorUnits).toBe(12000);
+    expect(schedule.installments.map(row => row.interestInMinorUnits)).toEqual([3000, 3000, 3000, 3000]);
+    expect(schedule.installments.map(row => row.principalInMinorUnits)).toEqual([25000, 25000, 25000, 25000]);
+  });
+  
+  test('should repay the loan when every installment is paid on time', () => {
+    const schedule = buildSchedule(compound, 100000, loanDate);
+    const payments = schedule.installments.map(row => ({ date: row.dueDate, amountInMinorUnits: row.paymentInMinorUnits }));
+    
+    const result = applyLoanPayments(schedule, compound, payments, new Date('2026-06-01'));
+    expect(result.remainingPrincipalInMinorUnits).toBe(0);
+    expect(result.interestDueInMinorUnits).toBe(0);
+    expect(result.interestPaidInMinorUnits).toBe(schedule.totalInterestInMinorUnits);
+  });
+  
+  test('should pay interest before principal', () => {
+    const schedule = buildSchedule(compound, 100000, loanDate);
+    const result = applyLoanPayments(schedule, compound, [
+      { date: new Date('2025-02-15'), amountInMinorUnits: 3000 }
+    ], new Date('2025-02-20'));
+    
+    expect(result.interestPaidInMinorUnits).toBe(1000);
+    expect(result.principalPaidInMinorUnits).toBe(2000);
+    expect(result.remainingPrincipalInMinorUnits).toBe(98000);
+  });
+  
+  test('should compare payments with the schedule', () => {
+    const schedule = buildSchedule(compound, 100000, loanDate);
+    const behind = compareWithSchedule(schedule, compound, [
+      { date: new Date('2025-02-15'), amountInMinorUnits: 8885 }
+    ], new Date('2025-03-20'));
+    
+    expect(behind.scheduled.installmentsDue).toBe(2);
+    expect(behind.differenceInMinorUnits).toBe(-8885);
+    expect(behind.installments[0].status).toBe('paid');
+    expect(behind.installments[1].status).toBe('overdue');
+    expect(behind.installments[2].status).toBe('upcoming');
+    expect(behind.nextInstallment.number).toBe(2);
+    
+    const ahead = compareWithSchedule(schedule, compound, [
+      { date: new Date('2025-02-15'), amountInMinorUnits: 20000 }
+    ], new Date('2025-02-20'));
+    
+    expect(ahead.differenceInMinorUnits).toBe(20000 - 8885);
+    expect(ahead.installments[1].status).toBe('paid');
+    expect(ahead.installments[2].status).toBe('partial');
+    expect(ahead.actual.remainingPrincipalInMinorUnits).toBeLessThan(ahead.scheduled.remainingPrincipalInMinorUnits);
+  });
+  
+  test('should reject payments beyond what is owed', () => {
+    const schedule = buildSchedule(compound, 100000, loanDate);
+    
+    expect(() => applyLoanPayments(schedule, compound, [
+      { date: new Date('2025-01-20'), amountInMinorUnits: 100001 }
+    ], new Date('2025-01-20'))).toThrow('Payments would exceed what is owed on the loan');
+  });
+});
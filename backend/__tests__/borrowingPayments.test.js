@@ -0,0 +1,78 @@
+// backend/__tests__/borrowingPayments.test.js
+const mongoose = require('mongoose');
+const Borrowing = require('../models/Borrowing');
+
+describe('Borrowing Payments Ledger', () => {
+  const createBorrowing = (fields = {}) => new Borrowing({
+    user: new mongoose.Types.ObjectId(),
+    type: 'lent',
+    counterparty: 'Sam',
+    amountInMinorUnits: 10000,
+    currency: 'USD',
+    exchangeRateToUSD: 1,
+    amountInUSDMinorUnits: 10000,
+    date: new Date('2025-08-01'),
+    ...fields
+  });
+  
+  const payment = (amountInMinorUnits, fields = {}) => ({
+    amountInMinorUnits,
+    currency: 'USD',
+    amountInBorrowingCurrencyMinorUnits: amountInMinorUnits,
+    date: new Date('2025-08-10'),
+    ...fields
+  });
+  
+  test('should derive paid amount and status from payments', () => {
+    const borrowing = createBorrowing();
+    borrowing.applyPayments();
+    expect(borrowing.paidAmountInMinorUnits).toBe(0);
+    expect(borrowing.status).toBe('pending');
+    
+    borrowing.payments.push(payment(4000), payment(6000));
+    borrowing.applyPayments();
+    expect(borrowing.paidAmountInMinorUnits).toBe(10000);
+    expect(borrowing.status).toBe('paid');
+  });
+  
+  test('should stop counting reversed payments', () => {
+    const borrowing = createBorrowing({ dueDate: new Date('2025-08-05') });
+    borrowing.payments.push(payment(4000), payment(6000, { reversedAt: new Date() }));
+    borrowing.applyPayments();
+    expect(borrowing.paidAmountInMinorUnits).toBe(4000);
+    expect(borrowing.status).toBe('partially_paid');
+    
+    borrowing.payments[0].reversedAt = new Date();
+    borrowing.applyPayments();
+    expect(borrowing.paidAmountInMinorUnits).toBe(0);
+    expect(borrowing.status).toBe('overdue');
+  });
+  
+  test('should count foreign-currency payments in the borrowing currency', () => {
+    const borrowing = createBorrowing();
+    borrowing.payments.push(payment(4600, { currency: 'EUR', amountInBorrowingCurrencyMinorUnits: 5000, exchangeRate: 1.087 }));
+    borrowing.applyPayments();
+    expect(borrowing.paidAmountInMinorUnits).toBe(5000);
+  });
+  
+  test('should reject payments above the borrowed amount', () => {
+    const borrowing = createBorrowing();
+    borrowing.payments.push(payment(10001));
+    expect(() => borrowing.applyPayments()).toThrow('exceed the borrowed amount');
+  });
+  
+  test('should derive remaining principal and due date for loans', () => {
+    const borrowing = createBorrowing({
+      date: new Date('2025-01-15'),
+      loanTerms: { interestRate: 12, termMonths: 2 }
+    });
+    borrowing.payments.push(payment(5000, { date: new Date('2025-02-15') }));
+    borrowing.applyPayments();
+    
+    // The first 100.00 of interest is paid before principal
+    expect(borrowing.paidAmountInMinorUnits).toBe(5000);
+    expect(borrowing.remainingPrincipalInMinorUnits).toBe(5100);
+    expect(borrowing.dueDate.toISOString().slice(0, 10)).toBe('2025-03-15');
+    expect(borrowing.status).toBe('overdue');
+  });
+});
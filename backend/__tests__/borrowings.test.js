@@ -0,0 +1,206 @@
+// backend/__tests__/borrowings.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Borrowing = require('../models/Borrowing');
+const Transaction = require('../models/Transaction');
+const Contact = require('../models/Contact');
+const jwt = require('jsonwebtoken');
+
+let mongoServer;
+let authToken;
+let userId;
+let accountId;
+
+const getBalance = async () => (await Account.findById(accountId)).balanceInMinorUnits;
+
+beforeAll(async () => {
+  // Start in-memory MongoDB
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.disconnect();
+  await mongoose.connect(mongoServer.getUri());
+  
+  const user = await User.create({
+    email: 'lender@example.com',
+    password: 'Test123!',
+    name: 'Lender'
+  });
+  userId = user._id;
+  
+  authToken = jwt.sign(
+    { userId: user._id },
+    process.env.JWT_SECRET || 'test-secret',
+    { expiresIn: '1h' }
+  );
+  
+  const account = await Account.create({
+    user: userId,
+    name: 'Wallet',
+    type: 'cash',
+    balanceInMinorUnits: 100000,
+    currency: 'USD'
+  });
+  accountId = account._id;
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Borrowing.deleteMany({});
+  await Transaction.deleteMany({});
+  await Contact.deleteMany({});
+  await Account.findByIdAndUpdate(accountId, { balanceInMinorUnits: 100000 });
+});
+
+describe('Borrowing Postings', () => {
+  const lend = () => request(app)
+    .post('/api/borrowings')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      type: 'lent',
+      counterparty: 'Sam',
+      amount: 200,
+      currency: 'USD',
+      date: '2025-08-19T10:00:00Z',
+      accountId: accountId.toString()
+    });
+  
+  test('should post the money lent and each repayment against the account', async () => {
+    const created = await lend();
+    expect(created.status).toBe(201);
+    expect(await getBalance()).toBe(80000);
+    
+    const paid = await request(app)
+      .post(`/api/borrowings/${created.body.borrowing._id}/payments`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ amount: 50, date: '2025-08-19T12:00:00Z', accountId: accountId.toString() });
+    
+    expect(paid.status).toBe(201);
+    expect(paid.body.borrowing.paidAmount).toBe(50);
+    expect(paid.body.borrowing.status).toBe('partially_paid');
+    expect(await getBalance()).toBe(85000);
+    
+    const posted = await Transaction.findById(paid.body.payment.transaction);
+    expect(posted.type).toBe('income');
+    expect(String(posted.borrowing)).toBe(created.body.borrowing._id);
+  });
+  
+  test('should reverse postings when a payment or the borrowing is deleted', async () => {
+    const created = await lend();
+    const id = created.body.borrowing._id;
+    const paid = await request(app)
+      .post(`/api/borrowings/${id}/payments`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ amount: 50, date: '2025-08-19T12:00:00Z', accountId: accountId.toString() });
+    
+    const deletedPayment = await request(app)
+      .delete(`/api/borrowings/${id}/payments/${paid.body.payment._id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    
+    expect(deletedPayment.status).toBe(200);
+    expect(deletedPayment.body.borrowing.status).toBe('pending');
+    expect(await getBalance()).toBe(80000);
+    
+    const deleted = await request(app)
+      .delete(`/api/borrowings/${id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    
+    expect(deleted.status).toBe(200);
+    expect(await getBalance()).toBe(100000);
+    expect(await Transaction.countDocuments({ user: userId })).toBe(0);
+  });
+  
+  test('should not delete a posted transaction directly', async () => {
+    const created = await lend();
+    
+    const response = await request(app)
+      .delete(`/api/transactions/${created.body.borrowing.transaction}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    
+    expect(response.status).toBe(400);
+    expect(await getBalance()).toBe(80000);
+  });
+});
+
+describe('Shared Expenses', () => {
+  const payDinner = () => request(app)
+    .post('/api/transactions')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      accountId: accountId.toString(),
+      type: 'expense',
+      category: 'Food',
+      amount: 100,
+      currency: 'USD',
+      description: 'Dinner',
+      date: '2025-08-19T20:00:00Z'
+    });
+  
+  const share = (transactionId, fields = {}) => request(app)
+    .post('/api/shared-expenses')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      transactionId,
+      method: 'equal',
+      participants: [{ name: 'Ann' }, { name: 'Ben' }, { name: 'Cat' }],
+      ...fields
+    });
+  
+  test('should record each contact\'s share as money lent', async () => {
+    const dinner = await payDinner();
+    const response = await share(dinner.body._id);
+    
+    expect(response.status).toBe(201);
+    expect(response.body.sharedExpense.yourShare).toBe(25);
+    expect(response.body.sharedExpense.shares.map(s => s.amount)).toEqual([25, 25, 25]);
+    
+    const lent = await Borrowing.find({ user: userId, sharedExpense: dinner.body._id });
+    expect(lent).toHaveLength(3);
+    expect(lent.every(b => b.type === 'lent' && !b.transaction)).toBe(true);
+    // The expense already moved the money
+    expect(await getBalance()).toBe(90000);
+  });
+  
+  test('should not share the same expense twice or delete it while shared', async () => {
+    const dinner = await payDinner();
+    await share(dinner.body._id);
+    
+    const again = await share(dinner.body._id);
+    expect(again.status).toBe(400);
+    
+    const deleted = await request(app)
+      .delete(`/api/transactions/${dinner.body._id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(deleted.status).toBe(400);
+  });
+  
+  test('should settle every share in bulk', async () => {
+    const dinner = await payDinner();
+    await share(dinner.body._id, {
+      method: 'exact',
+      participants: [{ name: 'Ann', amount: 30 }, { name: 'Ben', amount: 20 }]
+    });
+    
+    const response = await request(app)
+      .post('/api/borrowings/settle')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ sharedExpenseId: dinner.body._id, accountId: accountId.toString() });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.settled).toHaveLength(2);
+    expect(response.body.settled.every(s => s.borrowing.status === 'paid')).toBe(true);
+    expect(await getBalance()).toBe(95000);
+    
+    const summary = await request(app)
+      .get(`/api/shared-expenses/${dinner.body._id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    expect(summary.body.sharedExpense.settled).toBe(true);
+    expect(summary.body.sharedExpense.yourShare).toBe(50);
+  });
+});
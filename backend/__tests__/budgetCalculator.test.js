@@ -0,0 +1,82 @@
+// backend/__tests__/budgetCalculator.test.js
+const { getPeriodBounds, calculateBudgetProgress } = require('../utils/budgetCalculator');
+
+describe('Budget Calculator', () => {
+  const expense = (date, amountInMinorUnits, currency = 'USD', amountInUSDMinorUnits = amountInMinorUnits) => ({
+    date: new Date(date),
+    amountInMinorUnits,
+    currency,
+    amountInUSDMinorUnits
+  });
+  
+  describe('getPeriodBounds', () => {
+    test('should return UTC period boundaries', () => {
+      const date = new Date('2025-08-14T15:00:00Z');
+      
+      expect(getPeriodBounds('monthly', date).start.toISOString()).toBe('2025-08-01T00:00:00.000Z');
+      expect(getPeriodBounds('monthly', date).end.toISOString()).toBe('2025-09-01T00:00:00.000Z');
+      expect(getPeriodBounds('weekly', date).start.toISOString()).toBe('2025-08-11T00:00:00.000Z');
+      expect(getPeriodBounds('quarterly', date).start.toISOString()).toBe('2025-07-01T00:00:00.000Z');
+      expect(getPeriodBounds('yearly', date).end.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    });
+  });
+  
+  describe('calculateBudgetProgress', () => {
+    const budget = {
+      period: 'monthly',
+      limitInMinorUnits: 30000,
+      currency: 'USD',
+      rollover: false,
+      startDate: new Date('2025-06-01')
+    };
+    
+    test('should report spent, remaining and a straight-line projection', () => {
+      const progress = calculateBudgetProgress(
+        budget,
+        [expense('2025-08-02', 5000), expense('2025-08-09', 7000)],
+        new Date('2025-08-10T12:00:00Z')
+      );
+      
+      expect(progress.spentInMinorUnits).toBe(12000);
+      expect(progress.remainingInMinorUnits).toBe(18000);
+      // 120.00 over 10 days -> 372.00 over 31 days
+      expect(progress.projectedInMinorUnits).toBe(37200);
+      expect(progress.status).toBe('at-risk');
+      expect(progress.percentUsed).toBe(40);
+    });
+    
+    test('should carry unspent and overspent amounts when rollover is on', () => {
+      const progress = calculateBudgetProgress(
+        { ...budget, rollover: true },
+        [
+          expense('2025-06-10', 10000), // 200.00 left over
+          expense('2025-07-10', 35000), // 50.00 overspent
+          expense('2025-08-10', 1000)
+        ],
+        new Date('2025-08-31T12:00:00Z')
+      );
+      
+      expect(progress.rolloverInMinorUnits).toBe(15000);
+      expect(progress.availableInMinorUnits).toBe(45000);
+      expect(progress.remainingInMinorUnits).toBe(44000);
+      expect(progress.status).toBe('on-track');
+    });
+    
+    test('should count other currencies through their USD value', () => {
+      const progress = calculateBudgetProgress(
+        { ...budget, currency: 'USD' },
+        [expense('2025-08-02', 17015, 'AZN', 10000)],
+        new Date('2025-08-31T23:00:00Z')
+      );
+      
+      expect(progress.spentInMinorUnits).toBe(10000);
+    });
+    
+    test('should flag budgets that are already over', () => {
+      const progress = calculateBudgetProgress(budget, [expense('2025-08-02', 30001)], new Date('2025-08-03'));
+      
+      expect(progress.status).toBe('over');
+      expect(progress.remainingInMinorUnits).toBe(-1);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// backend/__tests__/categoryTree.test.js
+const {
+  buildCategoryTree,
+  getRootNames,
+  rollUpByParent,
+  isDescendant,
+  renameCategoryReferences,
+  countCategoryTransactions
+} = require('../utils/categoryTree');
+const Transaction = require('../models/Transaction');
+const CategorizationRule = require('../models/CategorizationRule');
+const Budget = require('../models/Budget');
+const RecurringTransaction = require('../models/RecurringTransaction');
+
+describe('Category Tree', () => {
+  const categories = [
+    { _id: 'food', name: 'Food', type: 'expense', parent: null },
+    { _id: 'groceries', name: 'Groceries', type: 'expense', parent: 'food' },
+    { _id: 'restaurants', name: 'Restaurants', type: 'expense', parent: 'food' },
+    { _id: 'coffee', name: 'Coffee', type: 'expense', parent: 'restaurants' },
+    { _id: 'rent', name: 'Rent', type: 'expense', parent: null }
+  ];
+  
+  test('should nest subcategories under their parents', () => {
+    const tree = buildCategoryTree(categories);
+    
+    expect(tree.map(node => node.name)).toEqual(['Food', 'Rent']);
+    expect(tree[0].children.map(node => node.name)).toEqual(['Groceries', 'Restaurants']);
+    expect(tree[0].children[1].children[0].name).toBe('Coffee');
+  });
+  
+  test('should resolve every category to its top-level ancestor', () => {
+    const roots = getRootNames(categories);
+    
+    expect(roots.get('Coffee')).toBe('Food');
+    expect(roots.get('Groceries')).toBe('Food');
+    expect(roots.get('Rent')).toBe('Rent');
+  });
+  
+  test('should roll totals up by parent and keep unknown names', () => {
+    const rolled = rollUpByParent(
+      { Groceries: 120, Coffee: 15, Food: 5, Rent: 900, Uncategorized: 30 },
+      categories
+    );
+    
+    const food = rolled.find(group => group.category === 'Food');
+    expect(food.amount).toBe(140);
+    expect(food.subcategories).toEqual([
+      { category: 'Groceries', amount: 120 },
+      { category: 'Coffee', amount: 15 }
+    ]);
+    expect(rolled.find(group => group.category === 'Uncategorized').amount).toBe(30);
+  });
+  
+  test('should detect moves that would create a loop', () => {
+    expect(isDescendant(categories, 'food', 'coffee')).toBe(true);
+    expect(isDescendant(categories, 'food', 'food')).toBe(true);
+    expect(isDescendant(categories, 'coffee', 'rent')).toBe(false);
+  });
+});
+
+describe('Category Rename', () => {
+  const session = {};
+  
+  beforeEach(() => {
+    jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(CategorizationRule, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(RecurringTransaction, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Budget, 'distinct').mockReturnValue({ session: () => Promise.resolve([]) });
+    jest.spyOn(Budget, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Budget, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('should rename recurring templates and their exceptions in the session', async () => {
+    await renameCategoryReferences('user1', 'Groceries', 'Food', session);
+    
+    expect(RecurringTransaction.updateMany).toHaveBeenCalledWith(
+      { user: 'user1', category: 'Groceries' },
+      { $set: { category: 'Food' } },
+      { session }
+    );
+    expect(RecurringTransaction.updateMany).toHaveBeenCalledWith(
+      { user: 'user1', 'exceptions.category': 'Groceries' },
+      { $set: { 'exceptions.$[exception].category': 'Food' } },
+      { session, arrayFilters: [{ 'exception.category': 'Groceries' }] }
+    );
+  });
+  
+  test('should rename split lines that use the category', async () => {
+    const updated = await renameCategoryReferences('user1', 'Groceries', 'Food', session);
+    
+    expect(Transaction.updateMany).toHaveBeenCalledWith(
+      { user: 'user1', 'splits.category': 'Groceries' },
+      { $set: { 'splits.$[line].category': 'Food', updatedAt: expect.any(Date) } },
+      { session, arrayFilters: [{ 'line.category': 'Groceries' }] }
+    );
+    expect(updated).toBe(4);
+  });
+  
+  test('should count split lines as uses of a category', async () => {
+    jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(3);
+    
+    await expect(countCategoryTransactions('user1', 'Groceries')).resolves.toBe(3);
+    expect(Transaction.countDocuments).toHaveBeenCalledWith({
+      user: 'user1',
+      $or: [{ category: 'Groceries' }, { 'splits.category': 'Groceries' }]
+    });
+  });
+});
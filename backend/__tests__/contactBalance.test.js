@@ -0,0 +1,41 @@
+// backend/__tests__/contactBalance.test.js
+const Contact = require('../models/Contact');
+const { calculateContactBalance } = require('../utils/contacts');
+
+describe('Contact Names', () => {
+  test('should ignore case, accents, punctuation and spacing', () => {
+    expect(Contact.normalizeName('John')).toBe(Contact.normalizeName(' john '));
+    expect(Contact.normalizeName('José  Díaz.')).toBe('jose diaz');
+    expect(Contact.normalizeName('John S.')).not.toBe(Contact.normalizeName('John'));
+  });
+});
+
+describe('Contact Balance', () => {
+  const borrowing = (type, amountInMinorUnits, remainingPrincipalInMinorUnits) => ({
+    type,
+    amountInMinorUnits,
+    remainingPrincipalInMinorUnits,
+    currency: 'USD',
+    date: new Date('2025-08-01')
+  });
+  
+  test('should net what is owed in each direction', () => {
+    const balance = calculateContactBalance([
+      borrowing('lent', 10000, 4000),
+      borrowing('lent', 5000, 0),
+      borrowing('borrowed', 3000, 1000)
+    ], 'USD');
+    
+    expect(balance.lent).toEqual({ total: 15000, repaid: 11000, outstanding: 4000, count: 2 });
+    expect(balance.borrowed).toEqual({ total: 3000, repaid: 2000, outstanding: 1000, count: 1 });
+    expect(balance.owedToUser).toBe(4000);
+    expect(balance.owedByUser).toBe(1000);
+    expect(balance.net).toBe(3000);
+  });
+  
+  test('should be settled without borrowings', () => {
+    const balance = calculateContactBalance([], 'USD');
+    expect(balance.net).toBe(0);
+    expect(balance.lent.count).toBe(0);
+  });
+});
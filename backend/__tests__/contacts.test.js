@@ -0,0 +1,135 @@
+// backend/__tests__/contacts.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Borrowing = require('../models/Borrowing');
+const Contact = require('../models/Contact');
+const jwt = require('jsonwebtoken');
+
+let mongoServer;
+let authToken;
+let userId;
+
+beforeAll(async () => {
+  // Start in-memory MongoDB
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.disconnect();
+  await mongoose.connect(mongoServer.getUri());
+  
+  const user = await User.create({
+    email: 'contacts@example.com',
+    password: 'Test123!',
+    name: 'Contacts'
+  });
+  userId = user._id;
+  
+  authToken = jwt.sign(
+    { userId: user._id },
+    process.env.JWT_SECRET || 'test-secret',
+    { expiresIn: '1h' }
+  );
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Borrowing.deleteMany({});
+  await Contact.deleteMany({});
+});
+
+describe('Contacts', () => {
+  const create = (type, counterparty, amount) => request(app)
+    .post('/api/borrowings')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ type, counterparty, amount, currency: 'USD', date: '2025-08-19T10:00:00Z' });
+  
+  test('should link borrowings with matching names to one contact', async () => {
+    const first = await create('lent', 'John', 100);
+    const second = await create('borrowed', ' john ', 30);
+    
+    expect(first.status).toBe(201);
+    expect(second.body.borrowing.contact).toBe(first.body.borrowing.contact);
+    expect(second.body.borrowing.counterparty).toBe('John');
+    expect(await Contact.countDocuments({ user: userId })).toBe(1);
+  });
+  
+  test('should report the net balance across borrowings', async () => {
+    const lent = await create('lent', 'John', 100);
+    await create('borrowed', 'John', 30);
+    await request(app)
+      .post(`/api/borrowings/${lent.body.borrowing._id}/payments`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ amount: 20, date: '2025-08-20T10:00:00Z' });
+    
+    const response = await request(app)
+      .get(`/api/contacts/${lent.body.borrowing.contact}/balance`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .query({ currency: 'USD' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.balance.owedToUser).toBe(80);
+    expect(response.body.balance.owedByUser).toBe(30);
+    expect(response.body.balance.net).toBe(50);
+    expect(response.body.balance.direction).toBe('owed_to_user');
+    expect(response.body.borrowings).toHaveLength(2);
+  });
+  
+  test('should link borrowings recorded before contacts existed', async () => {
+    await Borrowing.collection.insertOne({
+      user: userId,
+      type: 'lent',
+      counterparty: 'Sam',
+      amountInMinorUnits: 5000,
+      currency: 'USD',
+      exchangeRateToUSD: 1,
+      amountInUSDMinorUnits: 5000,
+      date: new Date('2025-01-01'),
+      status: 'pending',
+      payments: [],
+      paidAmountInMinorUnits: 0
+    });
+    
+    const response = await request(app)
+      .get('/api/contacts')
+      .set('Authorization', `Bearer ${authToken}`)
+      .query({ currency: 'USD' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.contacts).toHaveLength(1);
+    expect(response.body.contacts[0].name).toBe('Sam');
+    expect(response.body.contacts[0].balance.net).toBe(50);
+  });
+  
+  test('should merge contacts and keep their borrowings', async () => {
+    const john = await create('lent', 'John', 100);
+    const johnS = await create('lent', 'John S.', 40);
+    
+    const response = await request(app)
+      .post(`/api/contacts/${johnS.body.borrowing.contact}/merge`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ targetId: john.body.borrowing.contact });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.updatedBorrowings).toBe(1);
+    expect(await Contact.countDocuments({ user: userId })).toBe(1);
+    
+    const moved = await Borrowing.findById(johnS.body.borrowing._id);
+    expect(String(moved.contact)).toBe(john.body.borrowing.contact);
+    expect(moved.counterparty).toBe('John');
+  });
+  
+  test('should not delete a contact with borrowings', async () => {
+    const created = await create('lent', 'John', 100);
+    
+    const response = await request(app)
+      .delete(`/api/contacts/${created.body.borrowing.contact}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,72 @@
+// backend/__tests__/currencies.test.js
+const {
+  getCurrency,
+  isSupportedCurrency,
+  getExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+  getLocale,
+  createMoneyFormatter,
+  listCurrencies
+} = require('../utils/currencies');
+const { convertCurrency, setRateHistory } = require('../utils/currencyConverter');
+
+describe('Currency Registry', () => {
+  test('should know ISO 4217 exponents', () => {
+    expect(getExponent('USD')).toBe(2);
+    expect(getExponent('JPY')).toBe(0);
+    expect(getExponent('KWD')).toBe(3);
+    expect(getCurrency('azn')).toMatchObject({ code: 'AZN', exponent: 2 });
+  });
+  
+  test('should reject unknown codes', () => {
+    expect(isSupportedCurrency('GBP')).toBe(true);
+    expect(isSupportedCurrency('XYZ')).toBe(false);
+    expect(isSupportedCurrency('toString')).toBe(false);
+    expect(() => getExponent('XYZ')).toThrow('Unsupported currency');
+  });
+  
+  test('should convert between major and minor units', () => {
+    expect(toMinorUnits(12.34, 'USD')).toBe(1234);
+    expect(toMinorUnits(1.005, 'USD')).toBe(101);
+    expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(toMinorUnits(1.234, 'KWD')).toBe(1234);
+    expect(fromMinorUnits(1234, 'KWD')).toBe(1.234);
+    expect(fromMinorUnits(1500, 'JPY')).toBe(1500);
+  });
+  
+  test('should format with the currency precision', () => {
+    expect(formatMoney(123450, 'USD')).toBe('$1,234.50');
+    expect(formatMoney(1235, 'JPY')).toBe('¥1,235');
+    expect(formatMoney(1234, 'KWD')).toContain('1.234');
+  });
+  
+  test('should return minor units with a locale-formatted string on request', () => {
+    expect(createMoneyFormatter()(123450, 'USD')).toBe(1234.5);
+    
+    const money = createMoneyFormatter({ minorUnits: true, locale: getLocale('de') });
+    expect(money(123450, 'EUR')).toEqual({
+      amountInMinorUnits: 123450,
+      currency: 'EUR',
+      formatted: formatMoney(123450, 'EUR', 'de')
+    });
+    expect(getLocale('not a locale')).toBe('en-US');
+  });
+  
+  test('should list currencies with symbols for pickers', () => {
+    const usd = listCurrencies().find(c => c.code === 'USD');
+    expect(usd).toEqual({ code: 'USD', name: 'US Dollar', exponent: 2, symbol: '$' });
+    expect(listCurrencies('en-US', ['USD', 'EUR', 'XYZ']).map(c => c.code)).toEqual(['USD', 'EUR']);
+  });
+  
+  test('should convert between currencies with different exponents', () => {
+    setRateHistory([{ date: new Date('2025-01-01'), rates: { USD: 1, JPY: 150, KWD: 0.3 } }]);
+    const date = new Date('2025-01-02');
+    
+    // $10.00 -> ¥1500 -> 3.000 KWD
+    expect(convertCurrency(1000, 'USD', 'JPY', date).amountInMinorUnits).toBe(1500);
+    expect(convertCurrency(1500, 'JPY', 'KWD', date).amountInMinorUnits).toBe(3000);
+    expect(convertCurrency(3000, 'KWD', 'USD', date).amountInMinorUnits).toBe(1000);
+  });
+});
@@ -0,0 +1,56 @@
+// backend/__tests__/duplicateDetector.test.js
+const {
+  normalizeDescription,
+  isDuplicate,
+  findDuplicateGroups
+} = require('../utils/duplicateDetector');
+
+const tx = (overrides = {}) => ({
+  type: 'expense',
+  amountInMinorUnits: 8898,
+  currency: 'USD',
+  date: new Date('2025-07-09'),
+  description: 'CHECKCARD 0707 WALMART.COM',
+  ...overrides
+});
+
+describe('Duplicate Detector', () => {
+  test('should normalize descriptions', () => {
+    expect(normalizeDescription('  CHECKCARD 0707 WALMART.COM ')).toBe('checkcard 0707 walmart com');
+    expect(normalizeDescription(undefined)).toBe('');
+  });
+  
+  test('should match same amount and description within the date window', () => {
+    expect(isDuplicate(tx(), tx({ date: new Date('2025-07-11') }))).toBe(true);
+    expect(isDuplicate(tx(), tx({ description: 'checkcard 0707 walmart com' }))).toBe(true);
+    expect(isDuplicate(tx(), tx({ description: '' }))).toBe(true);
+  });
+  
+  test('should not match different amounts, types, currencies or distant dates', () => {
+    expect(isDuplicate(tx(), tx({ amountInMinorUnits: 8899 }))).toBe(false);
+    expect(isDuplicate(tx(), tx({ type: 'income' }))).toBe(false);
+    expect(isDuplicate(tx(), tx({ currency: 'EUR' }))).toBe(false);
+    expect(isDuplicate(tx(), tx({ date: new Date('2025-07-20') }))).toBe(false);
+    expect(isDuplicate(tx(), tx({ description: 'Netflix.com' }))).toBe(false);
+  });
+  
+  test('should respect pairs marked as not duplicates', () => {
+    const a = tx({ _id: 'a', notDuplicateOf: ['b'] });
+    const b = tx({ _id: 'b' });
+    
+    expect(isDuplicate(a, b)).toBe(false);
+    expect(isDuplicate(b, a)).toBe(false);
+  });
+  
+  test('should group repeated imports of the same rows', () => {
+    const groups = findDuplicateGroups([
+      tx({ _id: 1 }),
+      tx({ _id: 2, amountInMinorUnits: 1035, description: 'PURCHASE 0711 TIKTOK' }),
+      tx({ _id: 3 }),
+      tx({ _id: 4, amountInMinorUnits: 1035, description: 'PURCHASE 0711 TIKTOK' }),
+      tx({ _id: 5, amountInMinorUnits: 2080, description: 'PURCHASE 0711 TIKTOK' })
+    ]);
+    
+    expect(groups.map(group => group.map(t => t._id))).toEqual([[1, 3], [2, 4]]);
+  });
+});
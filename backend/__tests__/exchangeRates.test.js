@@ -0,0 +1,139 @@
+// backend/__tests__/exchangeRates.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeRateEntry,
+  readRatesFile,
+  registerRateProvider,
+  getRateProvider
+} = require('../utils/rateProviders');
+const {
+  convertCurrency,
+  getRatesForDate,
+  getLatestRates,
+  getConvertibleCurrencies,
+  hasExchangeRate,
+  getRateSnapshot,
+  getRatesInBase,
+  getRateHistory,
+  setRateHistory
+} = require('../utils/currencyConverter');
+
+describe('Exchange Rates', () => {
+  describe('rate providers', () => {
+    test('should rebase rates quoted against another currency to USD', () => {
+      const entry = normalizeRateEntry({
+        date: '2025-08-19T15:30:00Z',
+        base: 'EUR',
+        rates: { EUR: 1, USD: 1.25, AZN: 2.5 }
+      });
+      
+      expect(entry.date.toISOString()).toBe('2025-08-19T00:00:00.000Z');
+      expect(entry.rates).toEqual({ USD: 1, EUR: 0.8, AZN: 2 });
+    });
+    
+    test('should read a rates file sorted by date', () => {
+      const file = path.join(os.tmpdir(), `rates-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify({
+        base: 'USD',
+        rates: [
+          { date: '2025-08-02', rates: { EUR: 0.93 } },
+          { date: '2025-08-01', rates: { EUR: 0.92 } }
+        ]
+      }));
+      
+      try {
+        const entries = readRatesFile(file);
+        expect(entries.map(e => e.rates.EUR)).toEqual([0.92, 0.93]);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+    
+    test('should serve the bundled fixture from the file provider', async () => {
+      const entries = await getRateProvider('file').fetchRates();
+      
+      expect(entries.length).toBeGreaterThan(0);
+      expect(entries[0].rates.USD).toBe(1);
+    });
+    
+    test('should register custom providers', async () => {
+      registerRateProvider({
+        name: 'static',
+        fetchRates: async () => [normalizeRateEntry({ date: '2025-09-01', rates: { EUR: 0.9 } })]
+      });
+      
+      const entries = await getRateProvider('static').fetchRates();
+      expect(entries[0].rates.EUR).toBe(0.9);
+      expect(() => getRateProvider('missing')).toThrow('Unknown exchange rate provider');
+    });
+  });
+  
+  describe('rate history', () => {
+    beforeEach(() => {
+      setRateHistory([
+        { date: new Date('2025-09-01'), rates: { USD: 1, EUR: 0.9 } },
+        { date: new Date('2025-07-01'), rates: { USD: 1, EUR: 0.8 } }
+      ]);
+    });
+    
+    test('should use the loaded history for lookups', () => {
+      expect(getLatestRates().rates.EUR).toBe(0.9);
+      expect(getRatesForDate(new Date('2025-07-03')).EUR).toBe(0.8);
+      expect(convertCurrency(1000, 'USD', 'EUR', new Date('2025-07-03')).amountInMinorUnits).toBe(800);
+    });
+    
+    test('should only accept currencies quoted in the latest rates', () => {
+      expect(getConvertibleCurrencies()).toEqual(['EUR', 'USD']);
+      expect(hasExchangeRate('EUR')).toBe(true);
+      expect(hasExchangeRate('USD')).toBe(true);
+      expect(hasExchangeRate('JPY')).toBe(false);
+    });
+    
+    test('should use the latest rates on or before the date', () => {
+      // Nearer to September, but September rates were not published yet
+      expect(getRatesForDate(new Date('2025-08-30')).EUR).toBe(0.8);
+      expect(getRatesForDate(new Date('2025-09-01T12:00:00Z')).EUR).toBe(0.9);
+    });
+    
+    test('should fall back to the earliest rates for dates before them', () => {
+      const snapshot = getRateSnapshot(new Date('2024-12-31'));
+      
+      expect(snapshot.rates.EUR).toBe(0.8);
+      expect(snapshot.warning).toBe('No exchange rates before 2025-07-01; using them for 2024-12-31');
+      expect(convertCurrency(100, 'EUR', 'USD', new Date('2024-12-31')).amountInMinorUnits).toBe(125);
+      expect(() => getRateSnapshot(new Date('2024-12-31'), { maxAgeDays: 30 })).toThrow('more than 30 days after 2024-12-31');
+    });
+    
+    test('should reject lookups when no rates are loaded', () => {
+      setRateHistory([]);
+      
+      expect(() => getRatesForDate(new Date('2025-08-01'))).toThrow('No exchange rates are loaded');
+      expect(convertCurrency(100, 'EUR', 'EUR', new Date('2025-08-01')).amountInMinorUnits).toBe(100);
+    });
+    
+    test('should warn about or reject stale rates', () => {
+      const date = new Date('2025-09-11');
+      
+      expect(getRateSnapshot(date, { warnAfterDays: 3 }).warning).toContain('10 days old');
+      expect(getRateSnapshot(date, { warnAfterDays: 30 }).warning).toBeNull();
+      expect(() => getRateSnapshot(date, { maxAgeDays: 7 })).toThrow('older than 7 days');
+    });
+    
+    test('should express rates in another base currency', () => {
+      const snapshot = getRatesInBase('EUR', new Date('2025-07-03'), ['USD', 'EUR']);
+      
+      expect(snapshot.date).toEqual(new Date('2025-07-01'));
+      expect(snapshot.rates).toEqual({ USD: 1.25, EUR: 1 });
+      expect(() => getRatesInBase('AZN', new Date('2025-07-03'))).toThrow('not available for AZN');
+    });
+    
+    test('should list stored days in a date range', () => {
+      const history = getRateHistory('USD', new Date('2025-08-01'), new Date('2025-12-31'), ['EUR']);
+      
+      expect(history).toEqual([{ date: new Date('2025-09-01'), rates: { EUR: 0.9 } }]);
+      expect(getRateHistory('EUR')).toHaveLength(2);
+    });
+  });
+});
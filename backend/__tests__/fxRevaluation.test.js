@@ -0,0 +1,56 @@
+// backend/__tests__/fxRevaluation.test.js
+const { calculateFxRevaluation } = require('../utils/fxRevaluation');
+const { setRateHistory } = require('../utils/currencyConverter');
+
+describe('FX revaluation', () => {
+  beforeEach(() => {
+    setRateHistory([
+      { date: new Date('2025-07-01'), rates: { USD: 1, EUR: 0.8, AZN: 1.7 } },
+      { date: new Date('2025-08-01'), rates: { USD: 1, EUR: 0.9, AZN: 1.7 } }
+    ]);
+  });
+  
+  test('should split the change in base value into cash flow and revaluation', () => {
+    const account = { currency: 'EUR', balanceInMinorUnits: 81000 };
+    const transactions = [
+      { type: 'expense', currency: 'EUR', amountInMinorUnits: 9000, date: new Date('2025-08-05') },
+      // After the period: only used to roll the balance back
+      { type: 'income', currency: 'EUR', amountInMinorUnits: 10000, date: new Date('2025-09-01') }
+    ];
+    
+    const result = calculateFxRevaluation(
+      account,
+      transactions,
+      'USD',
+      new Date('2025-07-01'),
+      new Date('2025-08-31')
+    );
+    
+    expect(result.openingBalanceInMinorUnits).toBe(80000);
+    expect(result.closingBalanceInMinorUnits).toBe(71000);
+    expect(result.openingValueInMinorUnits).toBe(100000);
+    expect(result.closingValueInMinorUnits).toBe(78889);
+    expect(result.cashFlowInMinorUnits).toBe(-10000);
+    expect(result.revaluationInMinorUnits).toBe(-11111);
+    expect(result.openingValueInMinorUnits + result.cashFlowInMinorUnits + result.revaluationInMinorUnits)
+      .toBe(result.closingValueInMinorUnits);
+  });
+  
+  test('should report no revaluation when rates do not move', () => {
+    const account = { currency: 'AZN', balanceInMinorUnits: 17000 };
+    const transactions = [
+      { type: 'income', currency: 'AZN', amountInMinorUnits: 3400, date: new Date('2025-07-10') }
+    ];
+    
+    const result = calculateFxRevaluation(
+      account,
+      transactions,
+      'USD',
+      new Date('2025-07-01'),
+      new Date('2025-08-02')
+    );
+    
+    expect(result.cashFlowInMinorUnits).toBe(2000);
+    expect(result.revaluationInMinorUnits).toBe(0);
+  });
+});
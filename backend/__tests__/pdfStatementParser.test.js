@@ -0,0 +1,78 @@
+// backend/__tests__/pdfStatementParser.test.js
+const {
+  PDF_COLUMNS,
+  registerPDFTemplate,
+  parsePDFText
+} = require('../utils/pdfStatementParser');
+const { mapRows } = require('../utils/statementImporter');
+
+describe('PDF Statement Parser', () => {
+  test('should parse US layout with amounts glued to the description', () => {
+    const text = [
+      'Deposits and other additions',
+      'DateDescriptionAmount',
+      '07/01/25Payroll ACME CORP1,500.00',
+      '07/02/25CHECKCARD 0701 COFFEE HOUSE-4.75',
+      'Total deposits and other additions1,495.25'
+    ].join('\n');
+    
+    const result = parsePDFText(text);
+    
+    expect(result.template.name).toBe('us-slash-date');
+    expect(result.rows).toEqual([
+      { Date: '07/01/25', Description: 'Payroll ACME CORP', Amount: '1,500.00' },
+      { Date: '07/02/25', Description: 'CHECKCARD 0701 COFFEE HOUSE', Amount: '-4.75' }
+    ]);
+    expect(result.unparsed).toEqual([]);
+  });
+  
+  test('should join wrapped descriptions and report unreadable lines', () => {
+    const text = [
+      '07/03/25CHECKCARD 0702 GROCERY STORE 1234567890',
+      'RECURRING',
+      '-82.58',
+      '07/04/25ONLINE TRANSFER REF 99',
+      '07/05/25Refund10.00'
+    ].join('\n');
+    
+    const result = parsePDFText(text);
+    
+    expect(result.rows).toHaveLength(2);
+    expect(result.rows[0]).toEqual({
+      Date: '07/03/25',
+      Description: 'CHECKCARD 0702 GROCERY STORE 1234567890 RECURRING',
+      Amount: '-82.58'
+    });
+    expect(result.unparsed).toEqual([{ line: 4, text: '07/04/25ONLINE TRANSFER REF 99' }]);
+  });
+  
+  test('should detect European layout and feed the row mapper', () => {
+    const text = [
+      'Tarix Tesvir Mebleg Qaliq',
+      '03.07.2025 Market -1 234,50 5 000,00',
+      '04.07.2025 Emek haqqi 2.000,00 7.000,00'
+    ].join('\n');
+    
+    const { template, rows } = parsePDFText(text);
+    const entries = mapRows(rows, PDF_COLUMNS, template);
+    
+    expect(template.name).toBe('eu-dot-date');
+    expect(entries[0].data).toMatchObject({ type: 'expense', amountInMinorUnits: 123450, description: 'Market' });
+    expect(entries[1].data).toMatchObject({ type: 'income', amountInMinorUnits: 200000 });
+    expect(entries[0].data.date.toISOString()).toBe('2025-07-03T00:00:00.000Z');
+  });
+  
+  test('should use registered and forced templates', () => {
+    registerPDFTemplate({
+      name: 'test-pipe',
+      start: /^\d{8}\|/,
+      line: /^(?<date>\d{4}\d{2}\d{2})\|(?<description>[^|]*)\|(?<amount>-?\d+\.\d{2})$/
+    });
+    
+    const result = parsePDFText('20250703|Fee|-2.00', { template: 'test-pipe' });
+    
+    expect(result.rows).toEqual([{ Date: '20250703', Description: 'Fee', Amount: '-2.00' }]);
+    expect(() => parsePDFText('x', { template: 'missing' })).toThrow('Unknown PDF template');
+    expect(() => parsePDFText('no transactions here')).toThrow('Could not recognize');
+  });
+});
@@ -0,0 +1,78 @@
+// backend/__tests__/recurrence.test.js
+const { toDateKey, getOccurrences, getNextOccurrence } = require('../utils/recurrence');
+const { buildOccurrence, previewOccurrences } = require('../utils/recurringScheduler');
+
+const keys = (dates) => dates.map(toDateKey);
+
+describe('Recurrence', () => {
+  describe('getOccurrences', () => {
+    test('should clamp monthly day N to short months', () => {
+      const rent = { schedule: { frequency: 'monthly', dayOfMonth: 31 }, startDate: new Date('2025-01-15') };
+      
+      expect(keys(getOccurrences(rent, new Date('2025-01-01'), new Date('2025-04-30'))))
+        .toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+    });
+    
+    test('should find the last business day of each month', () => {
+      const salary = { schedule: { frequency: 'lastBusinessDay' }, startDate: new Date('2025-05-01') };
+      
+      // May 31 2025 is a Saturday, Aug 31 a Sunday
+      expect(keys(getOccurrences(salary, new Date('2025-05-01'), new Date('2025-08-31'))))
+        .toEqual(['2025-05-30', '2025-06-30', '2025-07-31', '2025-08-29']);
+    });
+    
+    test('should repeat on chosen weekdays every N weeks', () => {
+      const gym = {
+        schedule: { frequency: 'weekly', interval: 2, daysOfWeek: [1, 5] },
+        startDate: new Date('2025-08-06')
+      };
+      
+      expect(keys(getOccurrences(gym, new Date('2025-08-01'), new Date('2025-09-01'))))
+        .toEqual(['2025-08-08', '2025-08-18', '2025-08-22', '2025-09-01']);
+    });
+    
+    test('should respect count and end date', () => {
+      const every10Days = { schedule: { frequency: 'daily', interval: 10 }, startDate: new Date('2025-08-06'), count: 3 };
+      
+      expect(keys(getOccurrences(every10Days, new Date('2025-08-10'), new Date('2025-12-31'))))
+        .toEqual(['2025-08-16', '2025-08-26']);
+      expect(getNextOccurrence(every10Days, new Date('2025-08-27'))).toBeNull();
+      expect(getOccurrences({ ...every10Days, count: undefined, endDate: new Date('2025-08-20') },
+        new Date('2025-08-01'), new Date('2025-12-31'))).toHaveLength(2);
+    });
+  });
+  
+  describe('occurrence exceptions', () => {
+    const subscription = {
+      schedule: { frequency: 'monthly', dayOfMonth: 5 },
+      startDate: new Date('2025-08-05'),
+      amountInMinorUnits: 1599,
+      category: 'Entertainment',
+      description: 'Streaming',
+      exceptions: [
+        { date: new Date('2025-09-05'), action: 'skip' },
+        { date: new Date('2025-10-05'), action: 'modify', amountInMinorUnits: 1899 }
+      ]
+    };
+    
+    test('should apply skip and modify to single occurrences', () => {
+      expect(buildOccurrence(subscription, new Date('2025-09-05')).status).toBe('skipped');
+      expect(buildOccurrence(subscription, new Date('2025-10-05'))).toMatchObject({
+        status: 'modified',
+        amountInMinorUnits: 1899,
+        category: 'Entertainment',
+        description: 'Streaming'
+      });
+    });
+    
+    test('should preview from the next unposted occurrence', () => {
+      const preview = previewOccurrences({ ...subscription, lastOccurrenceDate: new Date('2025-08-05') }, 3);
+      
+      expect(preview.map(o => [toDateKey(o.date), o.status])).toEqual([
+        ['2025-09-05', 'skipped'],
+        ['2025-10-05', 'modified'],
+        ['2025-11-05', 'scheduled']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// backend/__tests__/reporting.test.js
+const { getTransactionAmount, calculateNetWorth, checkReportCurrency } = require('../utils/reporting');
+const { setRateHistory } = require('../utils/currencyConverter');
+
+describe('Reporting', () => {
+  beforeEach(() => {
+    setRateHistory([
+      { date: new Date('2025-07-01'), rates: { USD: 1, EUR: 0.8, AZN: 1.7 } },
+      { date: new Date('2025-08-01'), rates: { USD: 1, EUR: 0.9, AZN: 1.7 } }
+    ]);
+  });
+  
+  test('should convert transactions at their own date', () => {
+    const tx = {
+      currency: 'AZN',
+      amountInMinorUnits: 1700,
+      amountInUSDMinorUnits: 1000,
+      date: new Date('2025-07-15')
+    };
+    
+    expect(getTransactionAmount(tx, 'AZN')).toBe(1700);
+    expect(getTransactionAmount(tx, 'USD')).toBe(1000);
+    expect(getTransactionAmount(tx, 'EUR')).toBe(800);
+  });
+  
+  test('should total net worth across currencies at the valuation date', () => {
+    const accounts = [
+      { currency: 'USD', balanceInMinorUnits: 10000 },
+      { currency: 'EUR', balanceInMinorUnits: 9000 }
+    ];
+    const borrowings = [
+      { type: 'lent', currency: 'USD', amountInMinorUnits: 5000, paidAmountInMinorUnits: 1000 },
+      { type: 'borrowed', currency: 'AZN', amountInMinorUnits: 3400, paidAmountInMinorUnits: 0 }
+    ];
+    
+    const netWorth = calculateNetWorth(accounts, borrowings, 'USD', new Date('2025-08-02'));
+    
+    expect(netWorth.accountsInMinorUnits).toBe(20000);
+    expect(netWorth.lentInMinorUnits).toBe(4000);
+    expect(netWorth.borrowedInMinorUnits).toBe(2000);
+    expect(netWorth.totalInMinorUnits).toBe(22000);
+    expect(netWorth.rateWarning).toBeNull();
+  });
+  
+  test('should leave holdings without a rate out of net worth', () => {
+    const accounts = [
+      { currency: 'USD', balanceInMinorUnits: 10000 },
+      { currency: 'JPY', balanceInMinorUnits: 50000 }
+    ];
+    const borrowings = [
+      { type: 'lent', currency: 'GBP', amountInMinorUnits: 5000, paidAmountInMinorUnits: 0 }
+    ];
+    
+    const netWorth = calculateNetWorth(accounts, borrowings, 'EUR', new Date('2025-08-02'));
+    
+    expect(netWorth.accountsInMinorUnits).toBe(9000);
+    expect(netWorth.lentInMinorUnits).toBe(0);
+    expect(netWorth.unconverted.accounts).toEqual([accounts[1]]);
+    expect(netWorth.unconverted.borrowings).toEqual(borrowings);
+  });
+  
+  test('should reject report currencies without a rate', () => {
+    expect(checkReportCurrency('EUR')).toBeNull();
+    expect(checkReportCurrency('GBP')).toMatch(/Exchange rates for GBP are not available/);
+  });
+});
@@ -0,0 +1,133 @@
+// backend/__tests__/ruleEngine.test.js
+const mongoose = require('mongoose');
+const { isSafePattern, ruleMatches, evaluateRules, applyRules } = require('../utils/ruleEngine');
+const CategorizationRule = require('../models/CategorizationRule');
+
+describe('Rule Engine', () => {
+  const groceries = {
+    _id: 'rule-1',
+    conditions: { descriptionContains: 'wal-mart', type: 'expense' },
+    actions: { category: 'Food', tags: ['groceries'], rename: 'Walmart' }
+  };
+  const bigSpend = {
+    _id: 'rule-2',
+    conditions: { minAmountInMinorUnits: 5000 },
+    actions: { category: 'Shopping', tags: ['large'] }
+  };
+  
+  const transaction = {
+    type: 'expense',
+    category: 'Uncategorized',
+    amountInMinorUnits: 8258,
+    currency: 'USD',
+    account: 'acc-1',
+    description: 'CHECKCARD 0722 WAL-MART #0941 FL',
+    tags: []
+  };
+  
+  describe('ruleMatches', () => {
+    test('should require every condition to hold', () => {
+      expect(ruleMatches(groceries, transaction)).toBe(true);
+      expect(ruleMatches(groceries, { ...transaction, type: 'income' })).toBe(false);
+      expect(ruleMatches(bigSpend, { ...transaction, amountInMinorUnits: 4999 })).toBe(false);
+    });
+    
+    test('should read limits without a currency in each transaction currency', () => {
+      // 50.00 without a currency condition: 50 JPY, 50.000 KWD
+      expect(ruleMatches(bigSpend, { ...transaction, currency: 'JPY', amountInMinorUnits: 50 })).toBe(true);
+      expect(ruleMatches(bigSpend, { ...transaction, currency: 'JPY', amountInMinorUnits: 49 })).toBe(false);
+      expect(ruleMatches(bigSpend, { ...transaction, currency: 'KWD', amountInMinorUnits: 49999 })).toBe(false);
+      expect(ruleMatches(bigSpend, { ...transaction, currency: 'KWD', amountInMinorUnits: 50000 })).toBe(true);
+      
+      const yenOnly = { conditions: { currency: 'JPY', maxAmountInMinorUnits: 1000 } };
+      expect(ruleMatches(yenOnly, { ...transaction, currency: 'JPY', amountInMinorUnits: 1000 })).toBe(true);
+      expect(ruleMatches(yenOnly, { ...transaction, currency: 'JPY', amountInMinorUnits: 1001 })).toBe(false);
+    });
+    
+    test('should match regex, account and counterparty conditions', () => {
+      const rule = { conditions: { descriptionRegex: '^checkcard \\d{4}', account: 'acc-1', counterparty: 'walmart' } };
+      
+      expect(ruleMatches(rule, { ...transaction, counterparty: 'Walmart Inc' })).toBe(true);
+      expect(ruleMatches(rule, { ...transaction, counterparty: 'Target' })).toBe(false);
+      expect(ruleMatches(rule, { ...transaction, counterparty: 'Walmart', account: 'acc-2' })).toBe(false);
+    });
+    
+    test('should never match transfers', () => {
+      expect(ruleMatches(bigSpend, { ...transaction, type: 'transfer' })).toBe(false);
+    });
+  });
+  
+  describe('isSafePattern', () => {
+    test('should accept plain, anchored and singly quantified patterns', () => {
+      ['^amzn mktp', 'uber\\s*(eats|trip)$', '[a-z]+ \\d{4}', '(?:shell|bp) #\\d+'].forEach(pattern => {
+        expect(isSafePattern(pattern)).toBe(true);
+      });
+    });
+    
+    test('should reject patterns that can backtrack catastrophically', () => {
+      ['(a+)+$', '(\\w*)*x', '(a|ab)*c', '((ab)+)?z', '(a)\\1', '(x+){2,}', '(['].forEach(pattern => {
+        expect(isSafePattern(pattern)).toBe(false);
+      });
+    });
+    
+    test('should never match with an unsafe stored pattern', () => {
+      const rule = { conditions: { descriptionRegex: '(a+)+$' } };
+      expect(ruleMatches(rule, { ...transaction, description: 'aaaa' })).toBe(false);
+    });
+  });
+  
+  describe('evaluateRules', () => {
+    test('should let the first rule set category and description and collect tags', () => {
+      const { changes, matchedRules } = evaluateRules([groceries, bigSpend], transaction);
+      
+      expect(matchedRules).toEqual(['rule-1', 'rule-2']);
+      expect(changes).toEqual({
+        category: 'Food',
+        description: 'Walmart',
+        tags: ['groceries', 'large']
+      });
+    });
+    
+    test('should keep a category the user chose unless overwrite is set', () => {
+      const categorized = { ...transaction, category: 'Bills' };
+      
+      expect(evaluateRules([groceries], categorized).changes.category).toBeUndefined();
+      expect(evaluateRules([groceries], categorized, { overwrite: true }).changes.category).toBe('Food');
+    });
+    
+    test('should never replace the category of a split transaction', () => {
+      const split = {
+        ...transaction,
+        category: 'Split',
+        splits: [{ category: 'Food', amountInMinorUnits: 8258 }]
+      };
+      const { changes } = evaluateRules([groceries], split, { overwrite: true });
+      
+      expect(changes.category).toBeUndefined();
+      expect(changes.description).toBe('Walmart');
+    });
+    
+    test('should report nothing when rules are already applied', () => {
+      const done = { ...transaction, category: 'Food', description: 'Walmart', tags: ['groceries'] };
+      
+      expect(evaluateRules([groceries], done).changes).toEqual({});
+    });
+  });
+  
+  test('applyRules should update the transaction in place', () => {
+    const row = { ...transaction };
+    applyRules([groceries], row);
+    
+    expect(row.category).toBe('Food');
+    expect(row.description).toBe('Walmart');
+  });
+  
+  test('validating a rule should require a condition and an action', async () => {
+    const user = new mongoose.Types.ObjectId();
+    const noCondition = new CategorizationRule({ user, name: 'Preview', conditions: {}, actions: { category: 'Food' } });
+    const noAction = new CategorizationRule({ user, name: 'Preview', conditions: { type: 'expense' }, actions: {} });
+    
+    await expect(noCondition.validate()).rejects.toThrow('Rule needs at least one condition');
+    await expect(noAction.validate()).rejects.toThrow('Rule must set a category, tags or a new description');
+  });
+});
@@ -0,0 +1,39 @@
+// backend/__tests__/sharedExpenses.test.js
+const { allocate, splitSharedExpense } = require('../utils/sharedExpenses');
+
+describe('Shared Expense Splitting', () => {
+  const self = (fields = {}) => ({ self: true, ...fields });
+  const friend = (fields = {}) => ({ ...fields });
+  
+  test('should allocate in proportion and keep the total exact', () => {
+    expect(allocate(1000, [1, 1, 1])).toEqual([334, 333, 333]);
+    expect(allocate(1000, [2, 1, 1])).toEqual([500, 250, 250]);
+  });
+  
+  test('should split equally with the user absorbing rounding', () => {
+    expect(splitSharedExpense(10001, 'equal', [self(), friend(), friend(), friend()]))
+      .toEqual([2501, 2500, 2500, 2500]);
+  });
+  
+  test('should split by shares', () => {
+    expect(splitSharedExpense(9000, 'shares', [self({ shares: 1 }), friend({ shares: 2 })]))
+      .toEqual([3000, 6000]);
+  });
+  
+  test('should leave the rest of exact amounts to the user', () => {
+    expect(splitSharedExpense(10000, 'exact', [self(), friend({ amountInMinorUnits: 2500 }), friend({ amountInMinorUnits: 3000 })]))
+      .toEqual([4500, 2500, 3000]);
+  });
+  
+  test('should reject exact amounts that do not add up', () => {
+    expect(() => splitSharedExpense(10000, 'exact', [friend({ amountInMinorUnits: 2500 })]))
+      .toThrow('add up to the expense amount');
+    expect(() => splitSharedExpense(10000, 'exact', [self(), friend({ amountInMinorUnits: 12000 })]))
+      .toThrow('add up to the expense amount');
+  });
+  
+  test('should need at least one contact with a share', () => {
+    expect(() => splitSharedExpense(10000, 'equal', [self()])).toThrow('at least one contact');
+    expect(() => splitSharedExpense(1, 'equal', [self(), friend()])).toThrow('more than zero');
+  });
+});
@@ -0,0 +1,50 @@
+// backend/__tests__/splits.test.js
+const { toSplitLines, validateSplits, getCategoryAmounts } = require('../utils/splits');
+
+describe('Split Transactions', () => {
+  const receipt = {
+    category: 'Split',
+    amountInMinorUnits: 1000,
+    splits: [
+      { category: 'Groceries', amountInMinorUnits: 500 },
+      { category: 'Household', amountInMinorUnits: 300 },
+      { category: 'Gifts', amountInMinorUnits: 200 }
+    ]
+  };
+  
+  test('should convert lines to minor units of the transaction currency', () => {
+    expect(toSplitLines([{ category: ' Groceries ', amount: 12.34 }], 'USD')).toEqual([
+      { category: 'Groceries', amountInMinorUnits: 1234, note: '' }
+    ]);
+    expect(toSplitLines([{ category: 'Food', amount: 1500, note: 'lunch' }], 'JPY')[0].amountInMinorUnits).toBe(1500);
+  });
+  
+  test('should require lines to add up exactly', () => {
+    expect(() => validateSplits(receipt.splits, 1000)).not.toThrow();
+    expect(() => validateSplits([], 1000)).not.toThrow();
+    expect(() => validateSplits(receipt.splits, 1001)).toThrow('must add up');
+    expect(() => validateSplits([{ category: 'Groceries', amountInMinorUnits: 1000 }], 1000)).toThrow('at least two lines');
+    expect(() => validateSplits([
+      { category: 'Groceries', amountInMinorUnits: 1000 },
+      { category: 'Gifts', amountInMinorUnits: 0 }
+    ], 1000)).toThrow('positive amount');
+  });
+  
+  test('should count each line under its own category', () => {
+    expect(getCategoryAmounts(receipt)).toEqual([
+      { category: 'Groceries', amountInMinorUnits: 500 },
+      { category: 'Household', amountInMinorUnits: 300 },
+      { category: 'Gifts', amountInMinorUnits: 200 }
+    ]);
+    expect(getCategoryAmounts({ category: 'Rent', amountInMinorUnits: 900, splits: [] })).toEqual([
+      { category: 'Rent', amountInMinorUnits: 900 }
+    ]);
+  });
+  
+  test('should share a converted amount without losing minor units', () => {
+    const parts = getCategoryAmounts(receipt, 1001);
+    
+    expect(parts.map(part => part.amountInMinorUnits)).toEqual([501, 300, 200]);
+    expect(parts.reduce((sum, part) => sum + part.amountInMinorUnits, 0)).toBe(1001);
+  });
+});
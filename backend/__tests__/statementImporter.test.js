@@ -0,0 +1,122 @@
+// backend/__tests__/statementImporter.test.js
+const {
+  detectColumns,
+  parseAmount,
+  parseDate,
+  mapRows,
+  getHeaderFingerprint
+} = require('../utils/statementImporter');
+
+describe('Statement Importer', () => {
+  describe('detectColumns', () => {
+    test('should detect common bank headers', () => {
+      const columns = detectColumns(['Posting Date', 'Description', 'Amount', 'Balance']);
+      
+      expect(columns.date).toBe('Posting Date');
+      expect(columns.description).toBe('Description');
+      expect(columns.amount).toBe('Amount');
+    });
+    
+    test('should detect debit/credit pairs', () => {
+      const columns = detectColumns(['Date', 'Details', 'Money Out', 'Money In']);
+      
+      expect(columns.amount).toBeUndefined();
+      expect(columns.debit).toBe('Money Out');
+      expect(columns.credit).toBe('Money In');
+    });
+  });
+  
+  describe('parseAmount', () => {
+    test('should parse signed and formatted amounts', () => {
+      expect(parseAmount('1,500.00')).toBe(1500);
+      expect(parseAmount('-$12.50')).toBe(-12.5);
+      expect(parseAmount('(12.50)')).toBe(-12.5);
+      expect(parseAmount('12.50-')).toBe(-12.5);
+      expect(parseAmount(42)).toBe(42);
+    });
+    
+    test('should return null for non-numeric values', () => {
+      expect(parseAmount('')).toBeNull();
+      expect(parseAmount('n/a')).toBeNull();
+      expect(parseAmount(undefined)).toBeNull();
+    });
+  });
+  
+  describe('parseDate', () => {
+    test('should parse ISO, US and European formats as UTC dates', () => {
+      expect(parseDate('2025-07-03').toISOString()).toBe('2025-07-03T00:00:00.000Z');
+      expect(parseDate('07/03/25').toISOString()).toBe('2025-07-03T00:00:00.000Z');
+      expect(parseDate('03.07.2025').toISOString()).toBe('2025-07-03T00:00:00.000Z');
+    });
+    
+    test('should parse Excel serial dates', () => {
+      expect(parseDate(45841).toISOString()).toBe('2025-07-03T00:00:00.000Z');
+    });
+    
+    test('should reject impossible dates', () => {
+      expect(parseDate('02/31/2025')).toBeNull();
+      expect(parseDate('not a date')).toBeNull();
+    });
+  });
+  
+  describe('import profile options', () => {
+    test('should parse amounts with comma decimal separator', () => {
+      expect(parseAmount('1.234,56', ',')).toBe(1234.56);
+      expect(parseAmount('-12,50', ',')).toBe(-12.5);
+    });
+    
+    test('should parse dates with an explicit format', () => {
+      expect(parseDate('03/07/2025', 'DD/MM/YYYY').toISOString()).toBe('2025-07-03T00:00:00.000Z');
+      expect(parseDate('2025/07/03 10:15', 'YYYY/MM/DD').toISOString()).toBe('2025-07-03T00:00:00.000Z');
+      expect(parseDate('2025-07-03', 'DD/MM/YYYY')).toBeNull();
+    });
+    
+    test('should treat positive amounts as expenses for credit card layouts', () => {
+      const entries = mapRows(
+        [{ Date: '2025-07-01', Amount: '25.00' }, { Date: '2025-07-02', Amount: '-100.00' }],
+        { date: 'Date', amount: 'Amount' },
+        { signConvention: 'positive-expense' }
+      );
+      
+      expect(entries[0].data.type).toBe('expense');
+      expect(entries[1].data.type).toBe('income');
+    });
+    
+    test('should fingerprint headers regardless of order and case', () => {
+      expect(getHeaderFingerprint(['Date', 'Amount', 'Description']))
+        .toBe(getHeaderFingerprint(['description', ' AMOUNT', 'date']));
+    });
+  });
+  
+  describe('mapRows', () => {
+    const columns = { date: 'Date', amount: 'Amount', description: 'Description' };
+    
+    test('should classify rows for the import report', () => {
+      const entries = mapRows([
+        { Date: '07/01/25', Amount: '1,500.00', Description: 'Salary' },
+        { Date: '07/02/25', Amount: '-71.11', Description: 'Groceries' },
+        { Date: '', Amount: '', Description: '' },
+        { Date: '07/03/25', Amount: '0.00', Description: 'Card check' },
+        { Date: 'yesterday', Amount: '10', Description: 'Bad date' }
+      ], columns);
+      
+      expect(entries.map(e => e.status)).toEqual(['ready', 'ready', 'skipped', 'skipped', 'failed']);
+      expect(entries[0].data).toMatchObject({ type: 'income', amountInMinorUnits: 150000 });
+      expect(entries[1].data).toMatchObject({ type: 'expense', amountInMinorUnits: 7111, category: 'Uncategorized' });
+      expect(entries[4].reason).toContain('Invalid date');
+    });
+    
+    test('should combine debit and credit columns', () => {
+      const entries = mapRows(
+        [{ Date: '2025-07-01', Out: '20.00', In: '' }],
+        { date: 'Date', debit: 'Out', credit: 'In' }
+      );
+      
+      expect(entries[0].data).toMatchObject({ type: 'expense', amountInMinorUnits: 2000 });
+    });
+    
+    test('should require date and amount columns', () => {
+      expect(() => mapRows([{ Foo: 1 }], { description: 'Foo' })).toThrow('date and amount');
+    });
+  });
+});
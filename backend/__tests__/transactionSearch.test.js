@@ -0,0 +1,35 @@
+// backend/__tests__/transactionSearch.test.js
+const { normalizeTags, getAmountRangeQuery, buildTransactionQuery } = require('../utils/transactionSearch');
+
+describe('Transaction Search', () => {
+  test('should normalize tags from a list or comma-separated text', () => {
+    expect(normalizeTags([' Vacation-2026 ', 'vacation-2026', '', 'Reimbursable'])).toEqual(['vacation-2026', 'reimbursable']);
+    expect(normalizeTags('tax-deductible, reimbursable,')).toEqual(['tax-deductible', 'reimbursable']);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+  
+  test('should match any or all tags', () => {
+    expect(buildTransactionQuery('u1', { tags: 'a,b' }).tags).toEqual({ $in: ['a', 'b'] });
+    expect(buildTransactionQuery('u1', { tags: ['a', 'b'], tagMatch: 'all' }).tags).toEqual({ $all: ['a', 'b'] });
+    expect(buildTransactionQuery('u1', {})).toEqual({ user: 'u1' });
+  });
+  
+  test('should compare amount limits in each currency\'s own minor units', () => {
+    const { $or: groups } = getAmountRangeQuery(10, 20);
+    const usd = groups.find(group => group.currency.$in.includes('USD'));
+    const jpy = groups.find(group => group.currency.$in.includes('JPY'));
+    const kwd = groups.find(group => group.currency.$in.includes('KWD'));
+    
+    expect(usd.amountInMinorUnits).toEqual({ $gte: 1000, $lte: 2000 });
+    expect(jpy.amountInMinorUnits).toEqual({ $gte: 10, $lte: 20 });
+    expect(kwd.amountInMinorUnits).toEqual({ $gte: 10000, $lte: 20000 });
+    expect(getAmountRangeQuery(undefined, '')).toBeNull();
+  });
+  
+  test('should combine category, amount and text conditions', () => {
+    const query = buildTransactionQuery('u1', { category: 'Food', minAmount: 5, search: 'cafe (downtown)' });
+    
+    expect(query.$and).toHaveLength(3);
+    expect(query.$and[2].$or[0].description.test('Cafe (Downtown) lunch')).toBe(true);
+  });
+});
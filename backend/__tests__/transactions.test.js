@@ -143,6 +143,30 @@ describe('Transaction Routes', () => {
       expect(account.balanceInMinorUnits).toBeLessThan(100000);
     });
     
+    test('should reject currencies without exchange rates', async () => {
+      const transactionData = {
+        accountId: accountId.toString(),
+        type: 'expense',
+        category: 'Travel',
+        amount: 100,
+        currency: 'JPY', // In the ISO registry, but not in the rate history
+        description: 'Hotel in Tokyo',
+        date: '2025-08-19T10:00:00Z'
+      };
+      
+      const response = await request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(transactionData);
+      
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toMatch(/with exchange rates/);
+      
+      const account = await Account.findById(accountId);
+      expect(account.balanceInMinorUnits).toBe(100000);
+      expect(await Transaction.countDocuments()).toBe(0);
+    });
+    
     test('should reject transaction for non-existent account', async () => {
       const fakeAccountId = new mongoose.Types.ObjectId();
       const transactionData = {
@@ -233,6 +257,31 @@ describe('Transaction Routes', () => {
       expect(response.body).toHaveProperty('errors');
     });
     
+    test('should reject more decimals than the currency has', async () => {
+      const post = (data) => request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          accountId: accountId.toString(),
+          type: 'expense',
+          category: 'Test',
+          date: '2025-08-19T10:00:00Z',
+          ...data
+        });
+      
+      const explicit = await post({ amount: 12.345, currency: 'USD' });
+      expect(explicit.status).toBe(400);
+      expect(explicit.body.errors[0].msg).toBe('Amount cannot have more than 2 decimal places in USD');
+      
+      // Without a currency the account's (USD) applies
+      const fromAccount = await post({ amount: 12.345 });
+      expect(fromAccount.status).toBe(400);
+      expect(fromAccount.body.error).toBe('Amount cannot have more than 2 decimal places in USD');
+      
+      const account = await Account.findById(accountId);
+      expect(account.balanceInMinorUnits).toBe(100000);
+    });
+    
     test('should prevent insufficient funds for non-credit accounts', async () => {
       const transactionData = {
         accountId: accountId.toString(),
@@ -251,6 +300,38 @@ describe('Transaction Routes', () => {
       expect(response.status).toBe(400);
       expect(response.body.error).toContain('Insufficient funds');
     });
+    
+    test('should split an expense across categories', async () => {
+      const split = (splits) => request(app)
+        .post('/api/transactions')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          accountId: accountId.toString(),
+          type: 'expense',
+          amount: 45.5,
+          currency: 'USD',
+          date: '2025-08-19T10:00:00Z',
+          splits
+        });
+      
+      const response = await split([
+        { category: 'Groceries', amount: 30 },
+        { category: 'Household', amount: 10.5 },
+        { category: 'Gifts', amount: 5, note: 'Birthday card' }
+      ]);
+      
+      expect(response.status).toBe(201);
+      expect(response.body.category).toBe('Split');
+      expect(response.body.splits.map(s => s.amount)).toEqual([30, 10.5, 5]);
+      expect(response.body.updatedBalance).toBe(954.5);
+      
+      const mismatched = await split([
+        { category: 'Groceries', amount: 30 },
+        { category: 'Household', amount: 10 }
+      ]);
+      expect(mismatched.status).toBe(400);
+      expect(mismatched.body.error).toContain('must add up');
+    });
   });
   
   describe('GET /api/transactions', () => {
@@ -277,6 +358,7 @@ describe('Transaction Routes', () => {
           currency: 'USD',
           exchangeRateToUSD: 1,
           amountInUSDMinorUnits: 5000,
+          tags: ['vacation-2026', 'reimbursable'],
           date: new Date('2025-08-15')
         }
       ]);
@@ -317,6 +399,69 @@ describe('Transaction Routes', () => {
       expect(response.body.transactions[0].type).toBe('income');
     });
     
+    test('should filter by tags with any or all semantics', async () => {
+      const any = await request(app)
+        .get('/api/transactions')
+        .query({ tags: 'Reimbursable,tax-deductible' })
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(any.status).toBe(200);
+      expect(any.body.transactions).toHaveLength(1);
+      expect(any.body.transactions[0].category).toBe('Food');
+      
+      const all = await request(app)
+        .get('/api/transactions')
+        .query({ tags: 'reimbursable,tax-deductible', tagMatch: 'all' })
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(all.status).toBe(200);
+      expect(all.body.transactions).toHaveLength(0);
+    });
+    
+    test('should filter by amount range', async () => {
+      const response = await request(app)
+        .get('/api/transactions')
+        .query({ minAmount: 100 })
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(response.status).toBe(200);
+      expect(response.body.transactions).toHaveLength(1);
+      expect(response.body.transactions[0].category).toBe('Salary');
+    });
+    
+    test('should save a search and run its filters', async () => {
+      const saved = await request(app)
+        .post('/api/saved-searches')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Trip expenses',
+          filters: { type: 'expense', tags: ['Vacation-2026'], maxAmount: 100 }
+        });
+      
+      expect(saved.status).toBe(201);
+      expect(saved.body.savedSearch.filters).toEqual({
+        type: 'expense',
+        tags: ['vacation-2026'],
+        tagMatch: 'any',
+        maxAmount: 100
+      });
+      
+      const response = await request(app)
+        .get('/api/transactions')
+        .query(saved.body.savedSearch.filters)
+        .set('Authorization', `Bearer ${authToken}`);
+      
+      expect(response.status).toBe(200);
+      expect(response.body.transactions).toHaveLength(1);
+      
+      const duplicate = await request(app)
+        .post('/api/saved-searches')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Trip expenses' });
+      
+      expect(duplicate.status).toBe(400);
+    });
+    
     test('should handle pagination', async () => {
       const response = await request(app)
         .get('/api/transactions')
@@ -364,6 +509,208 @@ describe('Transaction Routes', () => {
   });
 });
 
+describe('Transfers', () => {
+  let savingsId;
+  
+  beforeAll(async () => {
+    const savings = await Account.create({
+      user: userId,
+      name: 'Euro Savings',
+      type: 'savings',
+      balanceInMinorUnits: 0,
+      currency: 'EUR'
+    });
+    savingsId = savings._id;
+  });
+  
+  beforeEach(async () => {
+    await Account.findByIdAndUpdate(savingsId, { balanceInMinorUnits: 0 });
+  });
+  
+  const createTransfer = (overrides = {}) => request(app)
+    .post('/api/transactions')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      accountId: accountId.toString(),
+      toAccountId: savingsId.toString(),
+      type: 'transfer',
+      category: 'Transfer',
+      amount: 100,
+      date: '2025-08-19T10:00:00Z',
+      ...overrides
+    });
+  
+  test('should debit source and credit destination in its currency', async () => {
+    const response = await createTransfer();
+    
+    expect(response.status).toBe(201);
+    expect(response.body.transferDirection).toBe('out');
+    expect(response.body.updatedBalance).toBe(900);
+    expect(response.body.transfer.currency).toBe('EUR');
+    
+    const source = await Account.findById(accountId);
+    const destination = await Account.findById(savingsId);
+    expect(source.balanceInMinorUnits).toBe(90000);
+    expect(destination.balanceInMinorUnits).toBe(9200); // 100 USD at 0.92
+    
+    const outLeg = await Transaction.findOne({ transferDirection: 'out' });
+    const inLeg = await Transaction.findOne({ transferDirection: 'in' });
+    expect(outLeg.linkedTransaction.toString()).toBe(inLeg._id.toString());
+    expect(inLeg.linkedTransaction.toString()).toBe(outLeg._id.toString());
+  });
+  
+  test('should require a destination account', async () => {
+    const response = await createTransfer({ toAccountId: undefined });
+    
+    expect(response.status).toBe(400);
+    expect(response.body).toHaveProperty('errors');
+  });
+  
+  test('should update both legs when either leg is edited', async () => {
+    const created = await createTransfer();
+    
+    const response = await request(app)
+      .put(`/api/transactions/${created.body.transfer._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ amount: 50 });
+    
+    expect(response.status).toBe(200);
+    
+    const source = await Account.findById(accountId);
+    const destination = await Account.findById(savingsId);
+    expect(source.balanceInMinorUnits).toBe(95000);
+    expect(destination.balanceInMinorUnits).toBe(4600);
+  });
+  
+  test('should reject edits the source account cannot cover', async () => {
+    const created = await createTransfer();
+    
+    const response = await request(app)
+      .put(`/api/transactions/${created.body._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ amount: 5000 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Insufficient funds');
+    
+    const source = await Account.findById(accountId);
+    const destination = await Account.findById(savingsId);
+    expect(source.balanceInMinorUnits).toBe(90000);
+    expect(destination.balanceInMinorUnits).toBe(9200);
+  });
+  
+  test('should delete both legs and restore both balances', async () => {
+    const created = await createTransfer();
+    
+    const response = await request(app)
+      .delete(`/api/transactions/${created.body._id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.deletedTransactions).toBe(2);
+    expect(await Transaction.countDocuments({ type: 'transfer' })).toBe(0);
+    
+    const source = await Account.findById(accountId);
+    const destination = await Account.findById(savingsId);
+    expect(source.balanceInMinorUnits).toBe(100000);
+    expect(destination.balanceInMinorUnits).toBe(0);
+  });
+});
+
+describe('Currency Exchange', () => {
+  let euroId;
+  
+  beforeAll(async () => {
+    const euro = await Account.create({
+      user: userId,
+      name: 'Euro Cash',
+      type: 'cash',
+      balanceInMinorUnits: 0,
+      currency: 'EUR'
+    });
+    euroId = euro._id;
+  });
+  
+  beforeEach(async () => {
+    await Account.findByIdAndUpdate(euroId, { balanceInMinorUnits: 0 });
+  });
+  
+  const createExchange = (overrides = {}) => request(app)
+    .post('/api/transactions/exchange')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({
+      fromAccountId: accountId.toString(),
+      toAccountId: euroId.toString(),
+      amount: 100,
+      receivedAmount: 90,
+      fee: 2,
+      date: '2025-08-19T10:00:00Z',
+      ...overrides
+    });
+  
+  test('should record both legs at the actual rate and the fee', async () => {
+    const response = await createExchange();
+    
+    expect(response.status).toBe(201);
+    expect(response.body.from.updatedBalance).toBe(898);
+    expect(response.body.to.updatedBalance).toBe(90);
+    expect(response.body.fee.amount).toBe(2);
+    expect(response.body.rate.actual).toBeCloseTo(0.9);
+    expect(response.body.rate.reference).toBeCloseTo(0.92);
+    expect(response.body.rate.referenceAmount).toBe(93.84);
+    expect(response.body.rate.difference).toBe(-3.84);
+    
+    const inLeg = await Transaction.findOne({ transferDirection: 'in' });
+    expect(inLeg.amountInMinorUnits).toBe(9000);
+  });
+  
+  test('should accept a rate instead of the received amount', async () => {
+    const response = await createExchange({ receivedAmount: undefined, rate: 0.9, fee: undefined });
+    
+    expect(response.status).toBe(201);
+    expect(response.body.to.amount).toBe(90);
+    expect(response.body.fee).toBeNull();
+  });
+  
+  test('should reject accounts in the same currency', async () => {
+    const response = await createExchange({ toAccountId: accountId.toString() });
+    
+    expect(response.status).toBe(400);
+  });
+  
+  test('should delete both legs and the fee', async () => {
+    const created = await createExchange();
+    
+    const response = await request(app)
+      .delete(`/api/transactions/${created.body.to._id}`)
+      .set('Authorization', `Bearer ${authToken}`);
+    
+    expect(response.status).toBe(200);
+    expect(response.body.deletedTransactions).toBe(3);
+    
+    const source = await Account.findById(accountId);
+    const destination = await Account.findById(euroId);
+    expect(source.balanceInMinorUnits).toBe(100000);
+    expect(destination.balanceInMinorUnits).toBe(0);
+  });
+  
+  test('should compare the effective rate with the reference rate', () => {
+    const { compareExchangeRate } = require('../utils/ledger');
+    
+    const comparison = compareExchangeRate(
+      { amountInMinorUnits: 10000, receivedInMinorUnits: 9000, feeInMinorUnits: 200 },
+      'USD',
+      'EUR',
+      new Date('2025-08-19')
+    );
+    
+    expect(comparison.effectiveRate).toBeCloseTo(90 / 102);
+    expect(comparison.referenceAmountInMinorUnits).toBe(9384);
+    expect(comparison.differenceInMinorUnits).toBe(-384);
+    expect(comparison.differencePercent).toBe(-4.09);
+  });
+});
+
 describe('Currency Conversion', () => {
   test('should handle multi-currency conversions correctly', () => {
     const { convertCurrency } = require('../utils/currencyConverter');
@@ -0,0 +1,45 @@
+// backend/middleware/upload.js
+const path = require('path');
+const multer = require('multer');
+
+const SUPPORTED_EXTENSIONS = ['csv', 'xlsx', 'xls', 'pdf'];
+
+/**
+ * Statement upload middleware
+ * Stores files in backend/uploads with a random name; routes are
+ * responsible for removing them once parsed.
+ */
+const statementUpload = multer({
+  dest: path.join(__dirname, '..', 'uploads'),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      return cb(new Error('Unsupported file type. Use CSV, Excel (.xlsx, .xls) or PDF'));
+    }
+    
+    cb(null, true);
+  }
+});
+
+/**
+ * Wrap a multer handler so upload errors become 400 responses
+ * @param {Function} handler - multer middleware (e.g. statementUpload.single('statement'))
+ */
+const handleUpload = (handler) => (req, res, next) => {
+  handler(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message || 'File upload failed' });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  statementUpload,
+  handleUpload,
+  SUPPORTED_EXTENSIONS
+};
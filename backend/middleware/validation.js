@@ -1,5 +1,17 @@
 // backend/middleware/validation.js
 const { body, param, query, validationResult } = require('express-validator');
+const { CURRENCIES, isSupportedCurrency, getExponent, countDecimals } = require('../utils/currencies');
+const { hasExchangeRate } = require('../utils/currencyConverter');
+const { INSTALLMENT_FREQUENCIES, COMPOUNDING_FREQUENCIES } = require('../utils/amortization');
+const { SHARE_METHODS } = require('../utils/sharedExpenses');
+const { isSafePattern } = require('../utils/ruleEngine');
+
+// Most decimal places any supported currency allows
+const MAX_EXPONENT = Math.max(...Object.values(CURRENCIES).map(c => c.exponent));
+
+// The registry knows every ISO 4217 code, but only currencies with exchange
+// rates can be converted, so only those are accepted
+const isAcceptedCurrency = (code) => isSupportedCurrency(code) && hasExchangeRate(code);
 
 /**
  * Standard validation error handler
@@ -41,26 +53,30 @@ const validateDate = (fieldName) => {
 const validateCurrency = (fieldName = 'currency') => {
   return body(fieldName)
     .optional()
-    .isIn(['USD', 'EUR', 'AZN'])
-    .withMessage('Currency must be USD, EUR, or AZN');
+    .trim()
+    .toUpperCase()
+    .custom(isAcceptedCurrency)
+    .withMessage('Currency must be a supported ISO 4217 code with exchange rates');
 };
 
 /**
  * Validate amount (ensures positive number)
+ * Decimal places are limited by the currency in currencyField when given
  */
-const validateAmount = (fieldName = 'amount') => {
+const validateAmount = (fieldName = 'amount', currencyField = 'currency') => {
   return body(fieldName)
     .isFloat({ gt: 0 })
     .withMessage('Amount must be a positive number')
-    .custom((value) => {
+    .custom((value, { req }) => {
       // Check for reasonable maximum (e.g., 1 billion)
       if (value > 1000000000) {
         throw new Error('Amount exceeds maximum allowed value');
       }
-      // Check for too many decimal places
-      const decimalPlaces = (value.toString().split('.')[1] || '').length;
-      if (decimalPlaces > 2) {
-        throw new Error('Amount cannot have more than 2 decimal places');
+      // Check for too many decimal places (JPY 0, USD 2, KWD 3)
+      const currency = String(req.body[currencyField] || '').toUpperCase();
+      const maxDecimals = isSupportedCurrency(currency) ? getExponent(currency) : MAX_EXPONENT;
+      if (countDecimals(value) > maxDecimals) {
+        throw new Error(`Amount cannot have more than ${maxDecimals} decimal places`);
       }
       return true;
     });
@@ -75,6 +91,27 @@ const validateMongoId = (fieldName) => {
     .withMessage(`Invalid ${fieldName}`);
 };
 
+/**
+ * Transaction search filters, shared by the transaction list query
+ * and saved searches (validator is query or body, prefix e.g. 'filters.')
+ */
+const searchFilterRules = (validator, prefix = '') => [
+  validator(`${prefix}accountId`).optional({ values: 'falsy' }).isMongoId().withMessage('Invalid account ID'),
+  validator(`${prefix}type`).optional({ values: 'falsy' }).isIn(['income', 'expense', 'transfer']).withMessage('Invalid transaction type'),
+  validator(`${prefix}category`).optional().trim().isLength({ max: 50 }),
+  validator(`${prefix}startDate`).optional({ values: 'falsy' }).isISO8601().withMessage('Invalid start date'),
+  validator(`${prefix}endDate`).optional({ values: 'falsy' }).isISO8601().withMessage('Invalid end date'),
+  validator(`${prefix}tags`)
+    .optional()
+    .custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(tag => typeof tag === 'string')))
+    .withMessage('Tags must be a list of text labels'),
+  validator(`${prefix}tagMatch`).optional({ values: 'falsy' }).isIn(['any', 'all']).withMessage('Tag match must be any or all'),
+  validator([`${prefix}minAmount`, `${prefix}maxAmount`])
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 }).withMessage('Amount limits must be positive numbers'),
+  validator(`${prefix}search`).optional().isString().trim().isLength({ max: 100 }).withMessage('Search text cannot exceed 100 characters')
+];
+
 /**
  * Transaction validation rules
  */
@@ -82,8 +119,11 @@ const transactionValidation = {
   create: [
     body('accountId').isMongoId().withMessage('Invalid account ID'),
     body('type').isIn(['income', 'expense', 'transfer']).withMessage('Invalid transaction type'),
+    body('toAccountId')
+      .if(body('type').equals('transfer'))
+      .isMongoId().withMessage('Destination account is required for transfers'),
     body('category')
-      .notEmpty().withMessage('Category is required')
+      .optional()
       .trim()
       .isLength({ min: 1, max: 50 }).withMessage('Category must be between 1 and 50 characters'),
     validateAmount('amount'),
@@ -112,11 +152,31 @@ const transactionValidation = {
     handleValidationErrors
   ],
   
+  // Manual currency exchange: amounts are in each account's own currency,
+  // so decimal places are checked once the accounts are loaded
+  exchange: [
+    body('fromAccountId').isMongoId().withMessage('Invalid source account ID'),
+    body('toAccountId')
+      .isMongoId().withMessage('Invalid destination account ID')
+      .custom((value, { req }) => value !== req.body.fromAccountId)
+      .withMessage('Source and destination accounts must differ'),
+    validateAmount('amount'),
+    validateAmount('receivedAmount').optional(),
+    body('rate').optional().isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+    body('receivedAmount')
+      .custom((value, { req }) => value !== undefined || req.body.rate !== undefined)
+      .withMessage('Either receivedAmount or rate is required'),
+    body('fee').optional().isFloat({ min: 0 }).withMessage('Fee cannot be negative'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    validateDate('date'),
+    handleValidationErrors
+  ],
+  
   query: [
-    query('accountId').optional().isMongoId(),
-    query('type').optional().isIn(['income', 'expense', 'transfer']),
-    query('startDate').optional().isISO8601(),
-    query('endDate').optional().isISO8601(),
+    ...searchFilterRules(query),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     handleValidationErrors
@@ -165,14 +225,48 @@ const accountValidation = {
   ]
 };
 
+/**
+ * Loan terms of a borrowing; rate and term are required once terms are given
+ */
+const loanTermsRules = [
+  body('loanTerms').optional({ nullable: true }).isObject().withMessage('Loan terms must be an object'),
+  body('loanTerms.interestRate')
+    .if(body('loanTerms').exists({ checkNull: true }))
+    .isFloat({ min: 0, max: 100 }).withMessage('Interest rate must be between 0 and 100 percent')
+    .toFloat(),
+  body('loanTerms.interestType').optional().isIn(['simple', 'compound']).withMessage('Interest type must be simple or compound'),
+  body('loanTerms.compounding')
+    .optional()
+    .isIn(Object.keys(COMPOUNDING_FREQUENCIES))
+    .withMessage(`Compounding must be one of: ${Object.keys(COMPOUNDING_FREQUENCIES).join(', ')}`),
+  body('loanTerms.termMonths')
+    .if(body('loanTerms').exists({ checkNull: true }))
+    .isInt({ min: 1, max: 600 }).withMessage('Term must be between 1 and 600 months')
+    .toInt(),
+  body('loanTerms.installmentFrequency')
+    .optional()
+    .isIn(Object.keys(INSTALLMENT_FREQUENCIES))
+    .withMessage(`Installment frequency must be one of: ${Object.keys(INSTALLMENT_FREQUENCIES).join(', ')}`),
+  body('loanTerms.firstPaymentDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid first payment date')
+];
+
 /**
  * Borrowing validation rules
  */
 const borrowingValidation = {
+  list: [
+    query('contactId').optional().isMongoId().withMessage('Invalid contact ID'),
+    handleValidationErrors
+  ],
+  
+  // The other party is an existing contactId or a counterparty name,
+  // which is matched to a contact or creates one
   create: [
     body('type').isIn(['borrowed', 'lent']).withMessage('Type must be borrowed or lent'),
+    body('contactId').optional().isMongoId().withMessage('Invalid contact ID'),
     body('counterparty')
-      .notEmpty().withMessage('Counterparty is required')
+      .if(body('contactId').not().exists())
+      .notEmpty().withMessage('Counterparty or contact is required')
       .trim()
       .isLength({ min: 1, max: 100 }).withMessage('Counterparty must be between 1 and 100 characters'),
     validateAmount('amount'),
@@ -180,15 +274,464 @@ const borrowingValidation = {
     body('description').optional().trim().isLength({ max: 500 }),
     validateDate('date'),
     validateDate('dueDate').optional(),
+    body('accountId').optional().isMongoId().withMessage('Invalid account ID'),
+    ...loanTermsRules,
     handleValidationErrors
   ],
   
+  // Paid amount and status come from the payments ledger and cannot be set here;
+  // loanTerms: null turns a loan back into a flat borrowing
   update: [
     validateMongoId('id'),
-    body('status').optional().isIn(['pending', 'partially_paid', 'paid', 'overdue']),
-    body('paidAmount').optional().isFloat({ min: 0 }),
+    body(['status', 'paidAmount'])
+      .not().exists()
+      .withMessage('Paid amount and status follow the payments; record or reverse a payment instead'),
     validateDate('dueDate').optional(),
     body('description').optional().trim().isLength({ max: 500 }),
+    body('contactId').optional().isMongoId().withMessage('Invalid contact ID'),
+    ...loanTermsRules,
+    handleValidationErrors
+  ],
+  
+  schedule: [
+    validateMongoId('id'),
+    query('asOf').optional().isISO8601().withMessage('Invalid as-of date'),
+    query('amounts').optional().isIn(['major', 'minor']).withMessage('Amounts must be major or minor'),
+    handleValidationErrors
+  ],
+  
+  // Payment amounts are in the payment currency, which defaults to the
+  // account's currency or else the borrowing's; decimals are checked once it is known
+  payment: [
+    validateMongoId('id'),
+    validateAmount('amount'),
+    validateCurrency(),
+    body('accountId').optional().isMongoId().withMessage('Invalid account ID'),
+    validateDate('date'),
+    validateDate('paymentDate'),
+    body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+    handleValidationErrors
+  ],
+  
+  updatePayment: [
+    validateMongoId('id'),
+    validateMongoId('paymentId'),
+    validateAmount('amount').optional(),
+    validateCurrency(),
+    body('accountId').optional({ nullable: true }).isMongoId().withMessage('Invalid account ID'),
+    validateDate('date'),
+    body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+    handleValidationErrors
+  ],
+  
+  reversePayment: [
+    validateMongoId('id'),
+    validateMongoId('paymentId'),
+    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+    handleValidationErrors
+  ],
+  
+  deletePayment: [
+    validateMongoId('id'),
+    validateMongoId('paymentId'),
+    handleValidationErrors
+  ],
+  
+  // At least one of borrowingIds, contactId or sharedExpenseId picks what to settle
+  settle: [
+    body('borrowingIds').optional().isArray({ min: 1, max: 100 }).withMessage('Borrowing IDs must be a list of 1 to 100 IDs'),
+    body('borrowingIds.*').isMongoId().withMessage('Invalid borrowing ID'),
+    body('contactId').optional().isMongoId().withMessage('Invalid contact ID'),
+    body('sharedExpenseId').optional().isMongoId().withMessage('Invalid shared expense ID'),
+    body('type').optional().isIn(['borrowed', 'lent']).withMessage('Type must be borrowed or lent'),
+    body()
+      .custom(value => Boolean(value.borrowingIds || value.contactId || value.sharedExpenseId))
+      .withMessage('Choose borrowingIds, a contactId or a sharedExpenseId to settle'),
+    body('accountId').optional().isMongoId().withMessage('Invalid account ID'),
+    validateDate('date'),
+    body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Import profile validation rules
+ */
+const importProfileColumnRules = (optional) => [
+  optional
+    ? body('columns.date').optional().trim().notEmpty()
+    : body('columns.date').trim().notEmpty().withMessage('Date column is required'),
+  body(['columns.amount', 'columns.debit', 'columns.credit', 'columns.description', 'columns.category'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 }),
+  body('dateFormat')
+    .optional()
+    .isIn(['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'MM/DD/YY', 'DD/MM/YY', 'YYYY/MM/DD'])
+    .withMessage('Unsupported date format'),
+  body('decimalSeparator').optional().isIn(['.', ',']).withMessage('Decimal separator must be . or ,'),
+  body('signConvention')
+    .optional()
+    .isIn(['negative-expense', 'positive-expense'])
+    .withMessage('Sign convention must be negative-expense or positive-expense'),
+  body('headers').optional().isArray().withMessage('Headers must be an array')
+];
+
+const importProfileValidation = {
+  create: [
+    body('bankName')
+      .notEmpty().withMessage('Bank name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Bank name must be between 1 and 100 characters'),
+    ...importProfileColumnRules(false),
+    handleValidationErrors
+  ],
+  
+  update: [
+    validateMongoId('id'),
+    body('bankName').optional().trim().isLength({ min: 1, max: 100 }),
+    ...importProfileColumnRules(true),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Categorization rule validation rules
+ */
+const ruleFieldRules = (prefix = '') => [
+  body([`${prefix}conditions.descriptionContains`, `${prefix}conditions.counterparty`])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 }),
+  body(`${prefix}conditions.descriptionRegex`)
+    .optional()
+    .isString()
+    .isLength({ max: 200 }).withMessage('Description pattern cannot exceed 200 characters')
+    .custom((value) => {
+      new RegExp(value, 'i');
+      return true;
+    })
+    .withMessage('Description pattern is not a valid regular expression')
+    .custom(isSafePattern)
+    .withMessage('Description pattern cannot repeat a group that contains a quantifier or |, or use backreferences'),
+  body(`${prefix}conditions.type`).optional().isIn(['income', 'expense']),
+  body([`${prefix}conditions.minAmount`, `${prefix}conditions.maxAmount`])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Amount limits must be positive numbers'),
+  body(`${prefix}conditions.currency`).optional().trim().toUpperCase().custom(isAcceptedCurrency)
+    .withMessage('Currency must be a supported ISO 4217 code with exchange rates'),
+  body(`${prefix}conditions.account`).optional({ nullable: true }).isMongoId().withMessage('Invalid account ID'),
+  body(`${prefix}actions.category`).optional().trim().isLength({ max: 50 }),
+  body(`${prefix}actions.tags`).optional().isArray().withMessage('Tags must be an array'),
+  body(`${prefix}actions.rename`).optional().trim().isLength({ max: 500 }),
+  body(`${prefix}priority`).optional().isInt(),
+  body(`${prefix}isActive`).optional().isBoolean()
+];
+
+const ruleValidation = {
+  create: [
+    body('name')
+      .notEmpty().withMessage('Rule name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Rule name must be between 1 and 100 characters'),
+    ...ruleFieldRules(),
+    handleValidationErrors
+  ],
+  
+  update: [
+    validateMongoId('id'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }),
+    ...ruleFieldRules(),
+    handleValidationErrors
+  ],
+  
+  // An unsaved rule is checked like create, under rule
+  dryRun: [
+    body('ruleId').optional().isMongoId().withMessage('Invalid rule ID'),
+    body('rule.name').optional().trim().isLength({ min: 1, max: 100 }),
+    ...ruleFieldRules('rule.'),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Category validation rules
+ */
+const categoryValidation = {
+  create: [
+    body('name')
+      .notEmpty().withMessage('Category name is required')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('Category must be between 1 and 50 characters'),
+    body('type').isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+    body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent category'),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #4caf50'),
+    body('icon').optional().trim().isLength({ max: 50 }),
+    handleValidationErrors
+  ],
+  
+  update: [
+    validateMongoId('id'),
+    body('name').optional().trim().isLength({ min: 1, max: 50 }),
+    body('type').optional().isIn(['income', 'expense']),
+    body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent category'),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #4caf50'),
+    body('icon').optional().trim().isLength({ max: 50 }),
+    handleValidationErrors
+  ],
+  
+  merge: [
+    validateMongoId('id'),
+    body('targetId').isMongoId().withMessage('Invalid target category'),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Budget validation rules
+ */
+const budgetValidation = {
+  create: [
+    body('category')
+      .notEmpty().withMessage('Category is required')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('Category must be between 1 and 50 characters'),
+    body('period').optional().isIn(['weekly', 'monthly', 'quarterly', 'yearly']).withMessage('Invalid budget period'),
+    validateAmount('limit'),
+    validateCurrency(),
+    body('rollover').optional().isBoolean(),
+    body('includeSubcategories').optional().isBoolean(),
+    validateDate('startDate'),
+    handleValidationErrors
+  ],
+  
+  update: [
+    validateMongoId('id'),
+    body('period').optional().isIn(['weekly', 'monthly', 'quarterly', 'yearly']).withMessage('Invalid budget period'),
+    validateAmount('limit').optional(),
+    validateCurrency(),
+    body('rollover').optional().isBoolean(),
+    body('includeSubcategories').optional().isBoolean(),
+    body('isActive').optional().isBoolean(),
+    validateDate('startDate'),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Recurring transaction validation rules
+ */
+const recurringScheduleRules = [
+  body('schedule.interval').optional().isInt({ min: 1, max: 365 }).withMessage('Interval must be between 1 and 365'),
+  body('schedule.dayOfMonth').optional().isInt({ min: 1, max: 31 }).withMessage('Day of month must be between 1 and 31'),
+  body('schedule.daysOfWeek').optional().isArray().withMessage('Days of week must be an array'),
+  body('schedule.daysOfWeek.*').optional().isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6'),
+  body('count').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Count must be a positive integer'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('tags').optional().isArray().withMessage('Tags must be an array')
+];
+
+const recurringValidation = {
+  create: [
+    body('accountId').isMongoId().withMessage('Invalid account ID'),
+    body('type').isIn(['income', 'expense', 'transfer']).withMessage('Invalid transaction type'),
+    body('toAccountId')
+      .if(body('type').equals('transfer'))
+      .isMongoId().withMessage('Destination account is required for transfers'),
+    body('category').optional().trim().isLength({ min: 1, max: 50 }),
+    validateAmount('amount'),
+    validateCurrency(),
+    body('schedule.frequency')
+      .isIn(['daily', 'weekly', 'monthly', 'lastBusinessDay'])
+      .withMessage('Frequency must be daily, weekly, monthly or lastBusinessDay'),
+    body('startDate').isISO8601().toDate().withMessage('Start date is required'),
+    validateDate('endDate'),
+    body('backfill').optional().isBoolean(),
+    ...recurringScheduleRules,
+    handleValidationErrors
+  ],
+  
+  update: [
+    validateMongoId('id'),
+    body('category').optional().trim().isLength({ min: 1, max: 50 }),
+    validateAmount('amount').optional(),
+    body('schedule.frequency')
+      .optional()
+      .isIn(['daily', 'weekly', 'monthly', 'lastBusinessDay'])
+      .withMessage('Frequency must be daily, weekly, monthly or lastBusinessDay'),
+    validateDate('endDate'),
+    body('isActive').optional().isBoolean(),
+    ...recurringScheduleRules,
+    handleValidationErrors
+  ],
+  
+  occurrence: [
+    validateMongoId('id'),
+    param('date').isISO8601().withMessage('Invalid occurrence date'),
+    validateAmount('amount').optional(),
+    body('category').optional().trim().isLength({ min: 1, max: 50 }),
+    body('description').optional().trim().isLength({ max: 500 }),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Contact validation rules
+ */
+const contactDetailRules = [
+  body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('Invalid email address').normalizeEmail(),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\+?[0-9 ()./-]{3,30}$/).withMessage('Phone may only contain digits, spaces and + ( ) . / -'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+const contactValidation = {
+  create: [
+    body('name')
+      .notEmpty().withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    ...contactDetailRules,
+    handleValidationErrors
+  ],
+  
+  update: [
+    validateMongoId('id'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    ...contactDetailRules,
+    handleValidationErrors
+  ],
+  
+  merge: [
+    validateMongoId('id'),
+    body('targetId').isMongoId().withMessage('Invalid target contact'),
+    handleValidationErrors
+  ],
+  
+  balance: [
+    validateMongoId('id'),
+    query('currency')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .custom(isAcceptedCurrency).withMessage('Currency must be a supported ISO 4217 code with exchange rates'),
+    query('amounts').optional().isIn(['major', 'minor']).withMessage('Amounts must be major or minor'),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Shared expense validation rules
+ */
+const sharedExpenseValidation = {
+  list: [
+    query('status').optional().isIn(['open']).withMessage('Status must be open'),
+    query('amounts').optional().isIn(['major', 'minor']).withMessage('Amounts must be major or minor'),
+    handleValidationErrors
+  ],
+  
+  get: [
+    validateMongoId('transactionId'),
+    query('amounts').optional().isIn(['major', 'minor']).withMessage('Amounts must be major or minor'),
+    handleValidationErrors
+  ],
+  
+  // Participants name a contactId or a name; shares and amounts apply to the matching method
+  create: [
+    body('transactionId').isMongoId().withMessage('Invalid transaction ID'),
+    body('method').isIn(SHARE_METHODS).withMessage(`Method must be one of: ${SHARE_METHODS.join(', ')}`),
+    body('includeSelf').optional().isBoolean().withMessage('includeSelf must be true or false').toBoolean(),
+    body('selfShares').optional().isFloat({ gt: 0 }).withMessage('Shares must be positive').toFloat(),
+    body('selfAmount').optional().isFloat({ min: 0 }).withMessage('Amount cannot be negative').toFloat(),
+    body('participants').isArray({ min: 1, max: 50 }).withMessage('Participants must be a list of 1 to 50 contacts'),
+    body('participants.*.contactId').optional().isMongoId().withMessage('Invalid contact ID'),
+    body('participants.*.name')
+      .if((value, { req, path }) => !req.body.participants[Number(path.match(/\d+/)[0])].contactId)
+      .notEmpty().withMessage('Each participant needs a contactId or a name')
+      .trim()
+      .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    body('participants.*.shares').optional().isFloat({ gt: 0 }).withMessage('Shares must be positive').toFloat(),
+    body('participants.*.amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be positive').toFloat(),
+    validateDate('dueDate'),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Report query parameters (dashboard, summaries)
+ */
+const reportValidation = [
+  query('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .custom(isAcceptedCurrency).withMessage('Currency must be a supported ISO 4217 code with exchange rates'),
+  query('year').optional().isInt({ min: 1970, max: 9999 }).withMessage('Invalid year'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+  query('amounts').optional().isIn(['major', 'minor']).withMessage('Amounts must be major or minor'),
+  handleValidationErrors
+];
+
+/**
+ * Saved transaction search validation rules
+ */
+const savedSearchValidation = {
+  create: [
+    body('name')
+      .notEmpty().withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('filters').optional().isObject().withMessage('Filters must be an object'),
+    ...searchFilterRules(body, 'filters.'),
+    handleValidationErrors
+  ],
+  
+  update: [
+    validateMongoId('id'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('filters').optional().isObject().withMessage('Filters must be an object'),
+    ...searchFilterRules(body, 'filters.'),
+    handleValidationErrors
+  ]
+};
+
+/**
+ * Exchange rate lookups and conversions
+ */
+const rateValidation = {
+  query: [
+    query('base')
+      .optional()
+      .trim()
+      .toUpperCase()
+      .custom(isAcceptedCurrency).withMessage('Base must be a supported ISO 4217 code with exchange rates'),
+    query('symbols')
+      .optional()
+      .customSanitizer(value => String(value).split(',').map(code => code.trim().toUpperCase()).filter(Boolean))
+      .custom(codes => codes.every(isAcceptedCurrency))
+      .withMessage('Symbols must be supported ISO 4217 codes with exchange rates'),
+    query('date').optional().isISO8601().withMessage('Invalid date'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+    handleValidationErrors
+  ],
+  
+  convert: [
+    body('from')
+      .trim()
+      .toUpperCase()
+      .custom(isAcceptedCurrency).withMessage('Source currency must be a supported ISO 4217 code with exchange rates'),
+    body('to')
+      .trim()
+      .toUpperCase()
+      .custom(isAcceptedCurrency).withMessage('Target currency must be a supported ISO 4217 code with exchange rates'),
+    validateAmount('amount', 'from'),
+    validateDate('date'),
     handleValidationErrors
   ]
 };
@@ -216,6 +759,17 @@ const userValidation = {
     body('email').isEmail().normalizeEmail(),
     body('password').notEmpty(),
     handleValidationErrors
+  ],
+  
+  // Reports are converted to the preferred currency, so it needs exchange rates;
+  // an empty value clears the preference
+  updateProfile: [
+    body('preferences.currency')
+      .optional({ values: 'falsy' })
+      .trim()
+      .toUpperCase()
+      .custom(isAcceptedCurrency).withMessage('Currency must be a supported ISO 4217 code with exchange rates'),
+    handleValidationErrors
   ]
 };
 
@@ -225,8 +779,19 @@ module.exports = {
   validateCurrency,
   validateAmount,
   validateMongoId,
+  isAcceptedCurrency,
   transactionValidation,
   accountValidation,
   borrowingValidation,
+  importProfileValidation,
+  ruleValidation,
+  categoryValidation,
+  contactValidation,
+  budgetValidation,
+  recurringValidation,
+  reportValidation,
+  savedSearchValidation,
+  sharedExpenseValidation,
+  rateValidation,
   userValidation
 };
\ No newline at end of file
@@ -4,6 +4,7 @@ const Transaction = require('../models/Transaction');
 const Account = require('../models/Account');
 const Borrowing = require('../models/Borrowing');
 const { getExchangeRateToUSD } = require('../utils/currencyConverter');
+const { isSupportedCurrency } = require('../utils/currencies');
 
 /**
  * Migration script to convert existing data to use minor units (cents)
@@ -119,7 +120,7 @@ async function migrateToMinorUnits() {
         }
         
         // Ensure currency is set (aligned with other models)
-        if (!borrowing.currency || !['USD', 'EUR', 'AZN'].includes(borrowing.currency)) {
+        if (!isSupportedCurrency(borrowing.currency)) {
           console.log(`  Borrowing ${borrowing._id}: Invalid currency "${borrowing.currency}", setting to USD`);
           borrowing.currency = 'USD';
           needsUpdate = true;
@@ -1,5 +1,6 @@
 // backend/models/Account.js
 const mongoose = require('mongoose');
+const { CURRENCY_CODES, toMinorUnits, fromMinorUnits } = require('../utils/currencies');
 
 const accountSchema = new mongoose.Schema({
   user: {
@@ -30,7 +31,7 @@ const accountSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USD', 'EUR', 'AZN'],
+    enum: CURRENCY_CODES,
     default: 'USD',
     required: true
   },
@@ -66,14 +67,14 @@ accountSchema.pre('save', function(next) {
   next();
 });
 
-// Helper method to get balance in major units (dollars/euros)
+// Helper method to get balance in major units (dollars/euros/yen)
 accountSchema.methods.getBalanceInMajorUnits = function() {
-  return this.balanceInMinorUnits / 100;
+  return fromMinorUnits(this.balanceInMinorUnits, this.currency);
 };
 
 // Helper method to set balance in major units
 accountSchema.methods.setBalanceInMajorUnits = function(amount) {
-  this.balanceInMinorUnits = Math.round(amount * 100);
+  this.balanceInMinorUnits = toMinorUnits(amount, this.currency);
 };
 
 module.exports = mongoose.model('Account', accountSchema);
\ No newline at end of file
@@ -1,5 +1,114 @@
 // backend/models/Borrowing.js
 const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../utils/currencies');
+const {
+  INSTALLMENT_FREQUENCIES,
+  COMPOUNDING_FREQUENCIES,
+  buildSchedule,
+  compareWithSchedule
+} = require('../utils/amortization');
+
+// Interest and repayment terms of a loan; borrowings without them are a flat principal
+const loanTermsSchema = new mongoose.Schema({
+  // Nominal annual rate in percent
+  interestRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // simple: flat interest on the original principal, compound: amortizing annuity
+  interestType: {
+    type: String,
+    enum: ['simple', 'compound'],
+    default: 'compound'
+  },
+  // How often interest is added to the balance (compound loans)
+  compounding: {
+    type: String,
+    enum: Object.keys(COMPOUNDING_FREQUENCIES),
+    default: 'monthly'
+  },
+  termMonths: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 600,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Term must be a whole number of months'
+    }
+  },
+  installmentFrequency: {
+    type: String,
+    enum: Object.keys(INSTALLMENT_FREQUENCIES),
+    default: 'monthly'
+  },
+  // Defaults to one installment period after the borrowing date
+  firstPaymentDate: Date
+}, { _id: false });
+
+// One repayment of a borrowing. Reversed payments stay in the history
+// but no longer count towards the paid amount
+const paymentSchema = new mongoose.Schema({
+  // Amount as paid, in the payment currency
+  amountInMinorUnits: {
+    type: Number,
+    required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Payment amount must be an integer (in minor units)'
+    }
+  },
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    required: true
+  },
+  // The same payment in the borrowing currency, converted at the payment date
+  amountInBorrowingCurrencyMinorUnits: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Converted payment amount must be an integer (in minor units)'
+    }
+  },
+  // Borrowing currency units per payment currency unit (1 when they match)
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Account the money left or arrived in, when known
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Transaction posted against that account, if the payment moved money
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reversedAt: Date,
+  reversalReason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const borrowingSchema = new mongoose.Schema({
   user: {
@@ -13,11 +122,16 @@ const borrowingSchema = new mongoose.Schema({
     enum: ['borrowed', 'lent'],
     required: true
   },
+  // Name shown for the other party; kept equal to the contact's name
   counterparty: {
     type: String,
     required: true,
     trim: true
   },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
   // FIXED: Store amounts as integers (minor units)
   amountInMinorUnits: {
     type: Number,
@@ -30,7 +144,7 @@ const borrowingSchema = new mongoose.Schema({
   // FIXED: Aligned currency enum with other models
   currency: {
     type: String,
-    enum: ['USD', 'EUR', 'AZN'],
+    enum: CURRENCY_CODES,
     default: 'USD',
     required: true
   },
@@ -60,11 +174,40 @@ const borrowingSchema = new mongoose.Schema({
   dueDate: {
     type: Date
   },
+  // Account the money was lent from or borrowed into, and the transaction posted there
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Expense the user paid in full, when this is a contact's share of it;
+  // nothing is posted for the share since the expense already moved the money
+  sharedExpense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Derived from the payments ledger on every save, see applyPayments
   status: {
     type: String,
     enum: ['pending', 'partially_paid', 'paid', 'overdue'],
     default: 'pending'
   },
+  payments: {
+    type: [paymentSchema],
+    default: []
+  },
+  loanTerms: {
+    type: loanTermsSchema,
+    default: undefined
+  },
+  // Principal still owed, derived with the status; for loans payments cover
+  // interest first, so this is not always amount minus paid amount
+  remainingPrincipalInMinorUnits: {
+    type: Number
+  },
   paidAmountInMinorUnits: {
     type: Number,
     default: 0,
@@ -86,20 +229,100 @@ const borrowingSchema = new mongoose.Schema({
 // Indexes
 borrowingSchema.index({ user: 1, status: 1 });
 borrowingSchema.index({ user: 1, type: 1, date: -1 });
+borrowingSchema.index({ user: 1, contact: 1 });
+borrowingSchema.index({ user: 1, sharedExpense: 1 });
 
-// Update timestamp on save
-borrowingSchema.pre('save', function(next) {
-  this.updatedAt = Date.now();
+/**
+ * Amortization schedule of a loan (null without loan terms)
+ * @returns {Object|null} See buildSchedule
+ */
+borrowingSchema.methods.getSchedule = function() {
+  return this.loanTerms ? buildSchedule(this.loanTerms, this.amountInMinorUnits, this.date) : null;
+};
+
+/**
+ * Compare the payments made so far with the loan schedule
+ * @param {Date} asOf - Comparison date (default now)
+ * @returns {Object|null} See compareWithSchedule
+ */
+borrowingSchema.methods.compareWithSchedule = function(asOf = new Date()) {
+  if (!this.loanTerms) return null;
+  
+  const payments = this.payments
+    .filter(payment => !payment.reversedAt)
+    .map(payment => ({ date: payment.date, amountInMinorUnits: payment.amountInBorrowingCurrencyMinorUnits }));
   
-  // Auto-update status based on payment
-  if (this.paidAmountInMinorUnits >= this.amountInMinorUnits) {
+  return compareWithSchedule(this.getSchedule(), this.loanTerms, payments, asOf);
+};
+
+/**
+ * Recompute paidAmountInMinorUnits, remainingPrincipalInMinorUnits and status from the payments ledger
+ * Loans are due with their last installment and overdue while behind schedule
+ * @throws {Error} When the payments add up to more than is owed
+ */
+borrowingSchema.methods.applyPayments = function() {
+  // Borrowings paid before the ledger existed keep their paid amount as one opening payment
+  if (!this.isNew && !this.isModified('payments') && this.payments.length === 0 && this.paidAmountInMinorUnits > 0) {
+    this.payments.push({
+      amountInMinorUnits: this.paidAmountInMinorUnits,
+      currency: this.currency,
+      amountInBorrowingCurrencyMinorUnits: this.paidAmountInMinorUnits,
+      date: this.updatedAt || this.date,
+      note: 'Paid before payment history was recorded'
+    });
+  }
+  
+  const paid = this.payments
+    .filter(payment => !payment.reversedAt)
+    .reduce((sum, payment) => sum + payment.amountInBorrowingCurrencyMinorUnits, 0);
+  
+  if (this.loanTerms) {
+    // Later-dated payments still count, with the interest charged until then
+    const lastPaymentDate = Math.max(Date.now(), ...this.payments.map(payment => new Date(payment.date).getTime()));
+    const comparison = this.compareWithSchedule(new Date(lastPaymentDate));
+    const { remainingPrincipalInMinorUnits, interestDueInMinorUnits } = comparison.actual;
+    
+    this.dueDate = comparison.installments[comparison.installments.length - 1].dueDate;
+    this.paidAmountInMinorUnits = paid;
+    this.remainingPrincipalInMinorUnits = remainingPrincipalInMinorUnits;
+    
+    if (remainingPrincipalInMinorUnits === 0 && interestDueInMinorUnits === 0) {
+      this.status = 'paid';
+    } else if (comparison.installments.some(row => row.status === 'overdue' || (row.status === 'partial' && row.dueDate <= comparison.asOf))) {
+      this.status = 'overdue';
+    } else {
+      this.status = paid > 0 ? 'partially_paid' : 'pending';
+    }
+    return;
+  }
+  
+  if (paid > this.amountInMinorUnits) {
+    throw new Error('Payments would exceed the borrowed amount');
+  }
+  
+  this.paidAmountInMinorUnits = paid;
+  this.remainingPrincipalInMinorUnits = this.amountInMinorUnits - paid;
+  
+  if (paid >= this.amountInMinorUnits) {
     this.status = 'paid';
-  } else if (this.paidAmountInMinorUnits > 0) {
+  } else if (paid > 0) {
     this.status = 'partially_paid';
   } else if (this.dueDate && new Date() > this.dueDate) {
     this.status = 'overdue';
+  } else {
+    this.status = 'pending';
+  }
+};
+
+// Update timestamp on save
+borrowingSchema.pre('save', function(next) {
+  try {
+    this.applyPayments();
+  } catch (error) {
+    return next(error);
   }
   
+  this.updatedAt = Date.now();
   next();
 });
 
@@ -0,0 +1,77 @@
+// backend/models/Budget.js
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../utils/currencies');
+
+// Spending limit for one category per period
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Category name, as stored on transactions
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Count spending in subcategories towards this budget
+  includeSubcategories: {
+    type: Boolean,
+    default: true
+  },
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
+    default: 'monthly'
+  },
+  limitInMinorUnits: {
+    type: Number,
+    required: true,
+    min: [1, 'Limit must be positive'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Limit must be an integer (in minor units)'
+    }
+  },
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: 'USD',
+    required: true
+  },
+  // Carry unspent (or overspent) amounts into the next period
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  // First period counted for rollover
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+budgetSchema.index({ user: 1, category: 1, period: 1 }, { unique: true });
+
+// Update timestamp on save
+budgetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Budget', budgetSchema);
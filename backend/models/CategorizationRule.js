@@ -0,0 +1,130 @@
+// backend/models/CategorizationRule.js
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../utils/currencies');
+
+// Assigns a category, tags or a cleaner description to matching transactions
+const categorizationRuleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lower numbers run first; the first rule to set a category or rename wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Every condition that is set must match
+  conditions: {
+    descriptionContains: {
+      type: String,
+      trim: true
+    },
+    descriptionRegex: {
+      type: String,
+      maxlength: 200,
+      validate: {
+        validator: function(value) {
+          try {
+            new RegExp(value, 'i');
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Description pattern is not a valid regular expression'
+      }
+    },
+    type: {
+      type: String,
+      enum: ['income', 'expense']
+    },
+    // Amount range in minor units of the currency condition; without one,
+    // two decimals that apply to every currency's major units
+    minAmountInMinorUnits: {
+      type: Number,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Amount must be an integer (in minor units)'
+      }
+    },
+    maxAmountInMinorUnits: {
+      type: Number,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Amount must be an integer (in minor units)'
+      }
+    },
+    currency: {
+      type: String,
+      enum: CURRENCY_CODES
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    counterparty: {
+      type: String,
+      trim: true
+    }
+  },
+  actions: {
+    category: {
+      type: String,
+      trim: true
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    // New description for matching transactions
+    rename: {
+      type: String,
+      trim: true
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+categorizationRuleSchema.index({ user: 1, priority: 1 });
+
+// Checked on validate so dry runs of unsaved rules fail like save would
+categorizationRuleSchema.pre('validate', function(next) {
+  const conditions = this.conditions.toObject ? this.conditions.toObject() : this.conditions;
+  if (!Object.values(conditions).some(value => value !== undefined && value !== null && value !== '')) {
+    return next(new Error('Rule needs at least one condition'));
+  }
+  
+  const { category, tags, rename } = this.actions;
+  if (!category && !rename && (!tags || tags.length === 0)) {
+    return next(new Error('Rule must set a category, tags or a new description'));
+  }
+  
+  next();
+});
+
+// Update timestamp on save
+categorizationRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CategorizationRule', categorizationRuleSchema);
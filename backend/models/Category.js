@@ -0,0 +1,60 @@
+// backend/models/Category.js
+const mongoose = require('mongoose');
+
+// Transactions reference categories by name, so names are unique per user
+const categorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  // Subcategories point at their parent; top-level categories have none
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #4caf50'],
+    default: '#9e9e9e'
+  },
+  // Material icon name shown in the UI
+  icon: {
+    type: String,
+    trim: true,
+    default: 'category'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+categorySchema.index({ user: 1, name: 1 }, { unique: true });
+categorySchema.index({ user: 1, parent: 1 });
+
+// Update timestamp on save
+categorySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Category', categorySchema);
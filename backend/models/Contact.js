@@ -0,0 +1,85 @@
+// backend/models/Contact.js
+const mongoose = require('mongoose');
+
+// A person the user lends to or borrows from; borrowings link here instead
+// of repeating the name, so "John" and "john " are one contact
+const contactSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Display name, as first entered or last renamed
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Lookup key derived from the name, see Contact.normalizeName
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: 30
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Names are unique per user once normalized
+contactSchema.index({ user: 1, normalizedName: 1 }, { unique: true });
+
+/**
+ * Lookup key for a contact name: case, accents, punctuation and repeated
+ * spaces are ignored, so "José  Díaz" and "jose diaz." match
+ * @param {string} name - Name as entered
+ * @returns {string} Normalized name
+ */
+contactSchema.statics.normalizeName = function(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Keep the lookup key in step with the name before validation needs it
+contactSchema.pre('validate', function(next) {
+  if (this.name) {
+    this.normalizedName = this.constructor.normalizeName(this.name);
+  }
+  next();
+});
+
+// Update timestamp on save
+contactSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Contact', contactSchema);
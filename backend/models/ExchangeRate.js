@@ -0,0 +1,44 @@
+// backend/models/ExchangeRate.js
+const mongoose = require('mongoose');
+
+// One day's rates, as units of each currency per 1 USD
+const exchangeRateSchema = new mongoose.Schema({
+  // UTC midnight of the day the rates apply to
+  date: {
+    type: Date,
+    required: true
+  },
+  base: {
+    type: String,
+    default: 'USD'
+  },
+  rates: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  // Provider that supplied the rates (file, http, ...)
+  source: {
+    type: String,
+    default: 'file'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+exchangeRateSchema.index({ base: 1, date: -1 }, { unique: true });
+
+// Update timestamp on save
+exchangeRateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,118 @@
+// backend/models/ImportBatch.js
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../utils/currencies');
+
+// One parsed statement row staged for review
+const importRowSchema = new mongoose.Schema({
+  // 1-based row number in the statement
+  row: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ready', 'skipped', 'failed', 'duplicate'],
+    required: true
+  },
+  reason: String,
+  // Only selected rows are created on commit
+  selected: {
+    type: Boolean,
+    default: false
+  },
+  date: Date,
+  type: {
+    type: String,
+    enum: ['income', 'expense']
+  },
+  amountInMinorUnits: {
+    type: Number,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be an integer (in minor units)'
+    }
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  category: String,
+  tags: [String],
+  // Existing transactions this row looks like
+  duplicateOf: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }]
+}, { _id: false });
+
+// A statement upload: staged as pending, then committed or discarded
+const importBatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  // Account currency when the statement was staged; row amounts are in it
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    default: 'USD'
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx', 'xls', 'pdf']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'committed', 'undone'],
+    default: 'pending'
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportProfile'
+  },
+  pdfTemplate: String,
+  headers: [String],
+  rows: [importRowSchema],
+  // PDF lines that looked like transactions but could not be parsed
+  unparsedLines: [{
+    _id: false,
+    line: Number,
+    text: String
+  }],
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  committedAt: Date,
+  undoneAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+importBatchSchema.index({ user: 1, createdAt: -1 });
+
+// Update timestamp on save
+importBatchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
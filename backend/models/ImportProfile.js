@@ -0,0 +1,79 @@
+// backend/models/ImportProfile.js
+const mongoose = require('mongoose');
+
+// Column mapping for one bank's statement layout
+const importProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  bankName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Header names in the statement file for each field
+  // Either amount or the debit/credit pair must be set
+  columns: {
+    date: {
+      type: String,
+      required: true
+    },
+    amount: String,
+    debit: String,
+    credit: String,
+    description: String,
+    category: String
+  },
+  dateFormat: {
+    type: String,
+    enum: ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'DD.MM.YYYY', 'MM/DD/YY', 'DD/MM/YY', 'YYYY/MM/DD'],
+    default: 'YYYY-MM-DD'
+  },
+  decimalSeparator: {
+    type: String,
+    enum: ['.', ','],
+    default: '.'
+  },
+  // negative-expense: "-12.50" is money out (most checking accounts)
+  // positive-expense: "12.50" is money out (most credit card statements)
+  signConvention: {
+    type: String,
+    enum: ['negative-expense', 'positive-expense'],
+    default: 'negative-expense'
+  },
+  // Normalized, sorted header list used to recognize the layout on import
+  headerFingerprint: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+importProfileSchema.index({ user: 1, headerFingerprint: 1 });
+
+// Update timestamp on save
+importProfileSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  
+  if (!this.columns.amount && !this.columns.debit && !this.columns.credit) {
+    return next(new Error('Import profile needs an amount column or a debit/credit pair'));
+  }
+  
+  next();
+});
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
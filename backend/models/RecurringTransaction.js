@@ -0,0 +1,154 @@
+// backend/models/RecurringTransaction.js
+const mongoose = require('mongoose');
+const { CURRENCY_CODES } = require('../utils/currencies');
+
+// Change to a single occurrence: skip it or post it with different values
+const occurrenceExceptionSchema = new mongoose.Schema({
+  // Scheduled date of the occurrence (UTC midnight)
+  date: {
+    type: Date,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['skip', 'modify'],
+    required: true
+  },
+  // Only used by modify; unset fields keep the template values
+  amountInMinorUnits: {
+    type: Number,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be an integer (in minor units)'
+    }
+  },
+  category: String,
+  description: String
+}, { _id: false });
+
+// Template for transactions posted on a schedule (rent, salary, subscriptions)
+const recurringTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  // Destination account for recurring transfers
+  toAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense', 'transfer'],
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  amountInMinorUnits: {
+    type: Number,
+    required: true,
+    min: [1, 'Amount must be positive'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be an integer (in minor units)'
+    }
+  },
+  currency: {
+    type: String,
+    enum: CURRENCY_CODES,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  counterparty: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // monthly: dayOfMonth every interval months
+  // weekly: daysOfWeek (0 = Sunday) every interval weeks
+  // daily: every interval days
+  // lastBusinessDay: last Monday-Friday every interval months
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'lastBusinessDay'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31
+    },
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }]
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: Date,
+  // Stop after this many occurrences
+  count: {
+    type: Number,
+    min: 1
+  },
+  exceptions: [occurrenceExceptionSchema],
+  // Latest occurrence already posted (or skipped); the scheduler resumes after it
+  lastOccurrenceDate: Date,
+  // Next occurrence to post; null when the schedule has ended
+  nextOccurrenceDate: {
+    type: Date,
+    index: true
+  },
+  // Why the scheduler could not post the last due occurrence
+  lastError: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+recurringTransactionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  
+  if (this.type === 'transfer' && !this.toAccount) {
+    return next(new Error('Destination account is required for transfers'));
+  }
+  
+  next();
+});
+
+module.exports = mongoose.model('RecurringTransaction', recurringTransactionSchema);
@@ -0,0 +1,77 @@
+// backend/models/SavedSearch.js
+const mongoose = require('mongoose');
+
+// A named combination of transaction filters the user can run again
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Same meaning as the GET /api/transactions query parameters
+  filters: {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    type: {
+      type: String,
+      enum: ['income', 'expense', 'transfer']
+    },
+    category: String,
+    startDate: Date,
+    endDate: Date,
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    // any: at least one of the tags, all: every tag
+    tagMatch: {
+      type: String,
+      enum: ['any', 'all'],
+      default: 'any'
+    },
+    // Major units in each transaction's own currency
+    minAmount: {
+      type: Number,
+      min: 0
+    },
+    maxAmount: {
+      type: Number,
+      min: 0
+    },
+    search: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Names are unique per user
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Update timestamp on save
+savedSearchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  
+  const { minAmount, maxAmount } = this.filters;
+  if (minAmount != null && maxAmount != null && minAmount > maxAmount) {
+    return next(new Error('Minimum amount cannot exceed maximum amount'));
+  }
+  
+  next();
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
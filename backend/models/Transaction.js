@@ -1,5 +1,29 @@
 // backend/models/Transaction.js
 const mongoose = require('mongoose'); // FIXED: Restored missing import
+const { CURRENCY_CODES } = require('../utils/currencies');
+const { validateSplits } = require('../utils/splits');
+
+// One line of a split transaction, in the transaction's currency
+const splitSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amountInMinorUnits: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Split amount must be an integer (in minor units)'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+});
 
 const transactionSchema = new mongoose.Schema({
   user: {
@@ -23,6 +47,28 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Transfers are stored as two linked legs: 'out' on the source account
+  // and 'in' on the destination account
+  transferDirection: {
+    type: String,
+    enum: ['in', 'out']
+  },
+  // The account on the other side of a transfer
+  transferAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // The opposite leg of a transfer, or for an exchange fee the outgoing leg it was charged on
+  linkedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Manual currency exchange: the rate actually received (destination units per
+  // source unit). Set on both legs; plain transfers convert at stored rates instead
+  exchangeRate: {
+    type: Number,
+    min: 0
+  },
   // FIXED: Store amounts as integers (minor units - cents)
   amountInMinorUnits: {
     type: Number,
@@ -34,7 +80,7 @@ const transactionSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['USD', 'EUR', 'AZN'],
+    enum: CURRENCY_CODES,
     default: 'USD',
     required: true
   },
@@ -52,10 +98,51 @@ const transactionSchema = new mongoose.Schema({
       message: 'USD amount must be an integer (in minor units)'
     }
   },
+  // Category lines of a split transaction (category is then 'Split');
+  // they always add up to amountInMinorUnits exactly
+  splits: {
+    type: [splitSchema],
+    default: []
+  },
   description: {
     type: String,
     default: ''
   },
+  // Payee or payer, e.g. the merchant name
+  counterparty: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Free-form labels across categories (vacation-2026, reimbursable), stored lowercase
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Transactions the user confirmed are not duplicates of this one
+  notDuplicateOf: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  // Schedule that posted this transaction, and the occurrence it belongs to
+  recurringTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTransaction'
+  },
+  occurrenceDate: Date,
+  // Borrowing this transaction moved money for (the loan itself or a payment);
+  // it is changed or removed through the borrowing
+  borrowing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Borrowing'
+  },
+  // Statement import that created this transaction (used by undo import)
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    index: true
+  },
   date: {
     type: Date,
     required: true,
@@ -75,6 +162,18 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ user: 1, date: -1 });
 transactionSchema.index({ user: 1, account: 1, date: -1 });
 transactionSchema.index({ user: 1, type: 1, date: -1 });
+transactionSchema.index({ user: 1, 'splits.category': 1 });
+transactionSchema.index({ user: 1, tags: 1 });
+
+// Split lines must add up to the amount, also after the amount is edited
+transactionSchema.pre('validate', function(next) {
+  try {
+    validateSplits(this.splits, this.amountInMinorUnits);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Update timestamp on save
 transactionSchema.pre('save', function(next) {
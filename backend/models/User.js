@@ -1,6 +1,7 @@
 // backend/models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { CURRENCY_CODES } = require('../utils/currencies');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -66,7 +67,7 @@ const userSchema = new mongoose.Schema({
   preferences: {
     currency: {
       type: String,
-      enum: ['USD', 'EUR', 'AZN'],
+      enum: CURRENCY_CODES,
       default: 'USD'
     },
     language: {
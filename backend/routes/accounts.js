@@ -5,16 +5,25 @@ const mongoose = require('mongoose');
 const Account = require('../models/Account');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
-const { accountValidation } = require('../middleware/validation');
+const { accountValidation, reportValidation } = require('../middleware/validation');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+const { getReportCurrency, checkReportCurrency, getMoneyFormatter, calculateNetWorth } = require('../utils/reporting');
 
 /**
  * @route   GET /api/accounts
- * @desc    Get all accounts for user
+ * @desc    Get all accounts for user, with a grand total in ?currency
+ *          (default: user preference) at today's rates
  * @access  Private
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, reportValidation, async (req, res) => {
   try {
+    const money = getMoneyFormatter(req);
     const { isActive, type } = req.query;
+    const currency = await getReportCurrency(req.userId, req.query.currency);
+    const currencyError = checkReportCurrency(currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
     
     // Build query
     const query = { user: req.userId };
@@ -33,7 +42,7 @@ router.get('/', auth, async (req, res) => {
       _id: account._id,
       name: account.name,
       type: account.type,
-      balance: account.balanceInMinorUnits / 100,
+      balance: money(account.balanceInMinorUnits, account.currency),
       currency: account.currency,
       institution: account.institution,
       isActive: account.isActive,
@@ -41,21 +50,38 @@ router.get('/', auth, async (req, res) => {
       updatedAt: account.updatedAt
     }));
     
-    // Calculate totals by currency
-    const totalsByCurrency = {};
+    // Calculate totals by currency, summing minor units before formatting
+    const totalsInMinorUnits = {};
     accounts.forEach(account => {
-      if (!totalsByCurrency[account.currency]) {
-        totalsByCurrency[account.currency] = 0;
+      if (!totalsInMinorUnits[account.currency]) {
+        totalsInMinorUnits[account.currency] = 0;
       }
-      totalsByCurrency[account.currency] += account.balanceInMinorUnits / 100;
+      totalsInMinorUnits[account.currency] += account.balanceInMinorUnits;
     });
+    const totalsByCurrency = Object.fromEntries(
+      Object.entries(totalsInMinorUnits).map(([code, total]) => [code, money(total, code)])
+    );
+    
+    // Grand total across currencies; accounts without an exchange rate are listed instead
+    const { accountsInMinorUnits, unconverted, rateWarning } = calculateNetWorth(accounts, [], currency);
     
     res.json({
       accounts: formattedAccounts,
       summary: {
         total: accounts.length,
         active: accounts.filter(a => a.isActive).length,
-        totalsByCurrency
+        totalsByCurrency,
+        currency,
+        totalBalance: money(accountsInMinorUnits, currency),
+        ...(unconverted.accounts.length > 0 && {
+          excludedFromTotal: unconverted.accounts.map(account => ({
+            _id: account._id,
+            name: account.name,
+            currency: account.currency,
+            balance: money(account.balanceInMinorUnits, account.currency)
+          }))
+        }),
+        ...(rateWarning && { rateWarning })
       }
     });
   } catch (error) {
@@ -73,6 +99,7 @@ router.get('/', auth, async (req, res) => {
  */
 router.get('/:id', auth, async (req, res) => {
   try {
+    const money = getMoneyFormatter(req);
     const { id } = req.params;
     
     // Validate ID format
@@ -132,9 +159,9 @@ router.get('/:id', auth, async (req, res) => {
     
     monthlyStats.forEach(stat => {
       if (stat._id === 'income') {
-        stats.income = stat.total / 100;
+        stats.income = money(stat.total, account.currency);
       } else if (stat._id === 'expense') {
-        stats.expenses = stat.total / 100;
+        stats.expenses = money(stat.total, account.currency);
       }
       stats.transactionCount += stat.count;
     });
@@ -144,7 +171,7 @@ router.get('/:id', auth, async (req, res) => {
         _id: account._id,
         name: account.name,
         type: account.type,
-        balance: account.balanceInMinorUnits / 100,
+        balance: money(account.balanceInMinorUnits, account.currency),
         currency: account.currency,
         institution: account.institution,
         isActive: account.isActive,
@@ -155,7 +182,7 @@ router.get('/:id', auth, async (req, res) => {
         _id: tx._id,
         type: tx.type,
         category: tx.category,
-        amount: tx.amountInMinorUnits / 100,
+        amount: money(tx.amountInMinorUnits, tx.currency),
         currency: tx.currency,
         description: tx.description,
         date: tx.date
@@ -177,6 +204,7 @@ router.get('/:id', auth, async (req, res) => {
  */
 router.post('/', auth, accountValidation.create, async (req, res) => {
   try {
+    const money = getMoneyFormatter(req);
     const { name, type, balance = 0, currency = 'USD', institution } = req.body;
     
     // Check for duplicate account name for this user
@@ -196,7 +224,7 @@ router.post('/', auth, accountValidation.create, async (req, res) => {
       user: req.userId,
       name,
       type,
-      balanceInMinorUnits: Math.round(balance * 100),
+      balanceInMinorUnits: toMinorUnits(balance, currency),
       currency,
       institution: institution || ''
     });
@@ -209,7 +237,7 @@ router.post('/', auth, accountValidation.create, async (req, res) => {
         _id: account._id,
         name: account.name,
         type: account.type,
-        balance: account.balanceInMinorUnits / 100,
+        balance: money(account.balanceInMinorUnits, account.currency),
         currency: account.currency,
         institution: account.institution,
         isActive: account.isActive,
@@ -230,6 +258,7 @@ router.post('/', auth, accountValidation.create, async (req, res) => {
  * @access  Private
  */
 router.put('/:id', auth, accountValidation.update, async (req, res) => {
+  const money = getMoneyFormatter(req);
   const session = await mongoose.startSession();
   
   try {
@@ -249,7 +278,7 @@ router.put('/:id', auth, accountValidation.update, async (req, res) => {
       
       // Handle balance adjustment if provided
       if (updates.balance !== undefined) {
-        const newBalanceInMinorUnits = Math.round(updates.balance * 100);
+        const newBalanceInMinorUnits = toMinorUnits(updates.balance, account.currency);
         const balanceDifference = newBalanceInMinorUnits - account.balanceInMinorUnits;
         
         if (balanceDifference !== 0) {
@@ -278,7 +307,12 @@ router.put('/:id', auth, accountValidation.update, async (req, res) => {
       // Update other fields
       if (updates.name) account.name = updates.name;
       if (updates.type) account.type = updates.type;
-      if (updates.currency) account.currency = updates.currency;
+      if (updates.currency && updates.currency !== account.currency) {
+        // Keep the same major balance in the new currency's minor units
+        const balance = fromMinorUnits(account.balanceInMinorUnits, account.currency);
+        account.balanceInMinorUnits = toMinorUnits(balance, updates.currency);
+        account.currency = updates.currency;
+      }
       if (updates.institution !== undefined) account.institution = updates.institution;
       if (updates.isActive !== undefined) account.isActive = updates.isActive;
       
@@ -290,7 +324,7 @@ router.put('/:id', auth, accountValidation.update, async (req, res) => {
           _id: account._id,
           name: account.name,
           type: account.type,
-          balance: account.balanceInMinorUnits / 100,
+          balance: money(account.balanceInMinorUnits, account.currency),
           currency: account.currency,
           institution: account.institution,
           isActive: account.isActive,
@@ -388,6 +422,7 @@ router.delete('/:id', auth, async (req, res) => {
  */
 router.post('/:id/reactivate', auth, async (req, res) => {
   try {
+    const money = getMoneyFormatter(req);
     const { id } = req.params;
     
     const account = await Account.findOne({
@@ -416,7 +451,7 @@ router.post('/:id/reactivate', auth, async (req, res) => {
         _id: account._id,
         name: account.name,
         type: account.type,
-        balance: account.balanceInMinorUnits / 100,
+        balance: money(account.balanceInMinorUnits, account.currency),
         currency: account.currency,
         isActive: account.isActive
       }
@@ -471,7 +506,7 @@ router.get('/:id/export', auth, async (req, res) => {
       date: tx.date.toISOString().split('T')[0],
       type: tx.type,
       category: tx.category,
-      amount: tx.amountInMinorUnits / 100,
+      amount: fromMinorUnits(tx.amountInMinorUnits, tx.currency),
       currency: tx.currency,
       description: tx.description
     }));
@@ -181,7 +181,7 @@ router.get('/me', auth, async (req, res) => {
  * @desc    Update user profile
  * @access  Private
  */
-router.put('/update-profile', auth, async (req, res) => {
+router.put('/update-profile', auth, userValidation.updateProfile, async (req, res) => {
   try {
     const { name, preferences } = req.body;
     
@@ -3,23 +3,171 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Borrowing = require('../models/Borrowing');
+const Contact = require('../models/Contact');
 const auth = require('../middleware/auth');
-const { borrowingValidation } = require('../middleware/validation');
+const { borrowingValidation, reportValidation } = require('../middleware/validation');
 const { getExchangeRateToUSD, convertCurrency } = require('../utils/currencyConverter');
+const { toMinorUnits, fromMinorUnits, getExponent, countDecimals } = require('../utils/currencies');
+const { getReportCurrency, checkReportCurrency, getMoneyFormatter, valueAt } = require('../utils/reporting');
+const { findActiveAccount, postBorrowingEntry, reversePosting } = require('../utils/ledger');
+const { getRemainingInMinorUnits } = require('../utils/amortization');
+const { resolveContact, linkUnassignedBorrowings } = require('../utils/contacts');
+
+// Share of the principal repaid, in percent
+const getPercentagePaid = (borrowing) => Math.round(
+  ((borrowing.amountInMinorUnits - getRemainingInMinorUnits(borrowing)) / borrowing.amountInMinorUnits) * 100
+);
+
+// Loan terms as sent by the client; null removes them
+const toLoanTerms = (terms) => terms && {
+  interestRate: terms.interestRate,
+  interestType: terms.interestType,
+  compounding: terms.compounding,
+  termMonths: terms.termMonths,
+  installmentFrequency: terms.installmentFrequency,
+  firstPaymentDate: terms.firstPaymentDate ? new Date(terms.firstPaymentDate) : undefined
+};
+
+// Schedule row with amounts formatted by money (see getMoneyFormatter)
+const formatInstallment = (row, currency, money) => ({
+  number: row.number,
+  dueDate: row.dueDate,
+  payment: money(row.paymentInMinorUnits, currency),
+  principal: money(row.principalInMinorUnits, currency),
+  interest: money(row.interestInMinorUnits, currency),
+  remainingPrincipal: money(row.remainingPrincipalInMinorUnits, currency),
+  ...(row.status && { paid: money(row.paidInMinorUnits, currency), status: row.status })
+});
+
+// Format a ledger entry; money defaults to major units (see getMoneyFormatter)
+const formatPayment = (payment, borrowing, money = fromMinorUnits) => ({
+  _id: payment._id,
+  amount: money(payment.amountInMinorUnits, payment.currency),
+  currency: payment.currency,
+  ...(payment.currency !== borrowing.currency && {
+    amountInBorrowingCurrency: money(payment.amountInBorrowingCurrencyMinorUnits, borrowing.currency),
+    exchangeRate: payment.exchangeRate
+  }),
+  date: payment.date,
+  account: payment.account,
+  ...(payment.transaction && { transaction: payment.transaction }),
+  note: payment.note,
+  reversed: Boolean(payment.reversedAt),
+  ...(payment.reversedAt && { reversedAt: payment.reversedAt, reversalReason: payment.reversalReason }),
+  createdAt: payment.createdAt
+});
+
+// Paid and remaining amounts after a ledger change
+const formatBalance = (borrowing, money) => ({
+  _id: borrowing._id,
+  type: borrowing.type,
+  counterparty: borrowing.counterparty,
+  totalAmount: money(borrowing.amountInMinorUnits, borrowing.currency),
+  paidAmount: money(borrowing.paidAmountInMinorUnits, borrowing.currency),
+  remainingAmount: money(getRemainingInMinorUnits(borrowing), borrowing.currency),
+  status: borrowing.status,
+  percentagePaid: getPercentagePaid(borrowing)
+});
+
+/**
+ * Work out the stored fields of a payment from request values
+ * A payment in another currency than the borrowing counts at the rate of its date
+ * @param {string} userId - Owner of the account
+ * @param {Borrowing} borrowing - Borrowing being repaid
+ * @param {Object} values - amount (major units), currency, accountId, date, note
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Object>} Payment fields, plus rateWarning when the rate is stale
+ */
+async function buildPayment(userId, borrowing, { amount, currency, accountId, date, note }, session) {
+  const account = accountId ? await findActiveAccount(userId, accountId, session) : null;
+  const paymentCurrency = currency || (account ? account.currency : borrowing.currency);
+  
+  if (countDecimals(amount) > getExponent(paymentCurrency)) {
+    throw new Error(`Amount cannot have more than ${getExponent(paymentCurrency)} decimal places for ${paymentCurrency}`);
+  }
+  
+  const amountInMinorUnits = toMinorUnits(amount, paymentCurrency);
+  const paymentDate = date ? new Date(date) : new Date();
+  const fields = {
+    amountInMinorUnits,
+    currency: paymentCurrency,
+    amountInBorrowingCurrencyMinorUnits: amountInMinorUnits,
+    exchangeRate: 1,
+    date: paymentDate,
+    account: account ? account._id : undefined,
+    note: note || ''
+  };
+  
+  if (paymentCurrency !== borrowing.currency) {
+    const conversion = convertCurrency(amountInMinorUnits, paymentCurrency, borrowing.currency, paymentDate);
+    fields.amountInBorrowingCurrencyMinorUnits = conversion.amountInMinorUnits;
+    fields.exchangeRate = conversion.exchangeRate;
+    fields.rateWarning = conversion.warning;
+  }
+  
+  return fields;
+}
+
+// Load a borrowing and one of its payments inside a session
+async function findPayment(req, session) {
+  const borrowing = await Borrowing.findOne({
+    _id: req.params.id,
+    user: req.userId
+  }).session(session);
+  
+  if (!borrowing) {
+    throw new Error('Borrowing record not found');
+  }
+  
+  const payment = borrowing.payments.id(req.params.paymentId);
+  if (!payment) {
+    throw new Error('Payment not found');
+  }
+  
+  return { borrowing, payment };
+}
+
+// Post a payment that names an account and remember the transaction on it
+async function postPayment(userId, borrowing, payment, session) {
+  if (!payment.account) return;
+  
+  const { transaction } = await postBorrowingEntry(userId, borrowing, {
+    kind: 'payment',
+    accountId: payment.account,
+    amountInMinorUnits: payment.amountInMinorUnits,
+    currency: payment.currency,
+    date: payment.date,
+    note: payment.note
+  }, session);
+  payment.transaction = transaction._id;
+}
+
+// Take a payment's posting back out of its account
+async function unpostPayment(userId, payment, session) {
+  if (!payment.transaction) return;
+  
+  await reversePosting(userId, payment.transaction, session);
+  payment.transaction = undefined;
+}
 
 /**
  * @route   GET /api/borrowings
  * @desc    Get all borrowings for user
  * @access  Private
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, borrowingValidation.list, reportValidation, async (req, res) => {
   try {
-    const { type, status, counterparty, page = 1, limit = 50 } = req.query;
+    const money = getMoneyFormatter(req);
+    const { type, status, counterparty, contactId, page = 1, limit = 50 } = req.query;
+    
+    // Borrowings from before contacts existed get one, so contactId finds them
+    await linkUnassignedBorrowings(req.userId);
     
     // Build query
     const query = { user: req.userId };
     
     if (type) query.type = type;
+    if (contactId) query.contact = contactId;
     if (status) {
       if (status === 'active') {
         query.status = { $in: ['pending', 'partially_paid', 'overdue'] };
@@ -56,19 +204,30 @@ router.get('/', auth, async (req, res) => {
       _id: b._id,
       type: b.type,
       counterparty: b.counterparty,
-      amount: b.amountInMinorUnits / 100,
+      contact: b.contact,
+      amount: money(b.amountInMinorUnits, b.currency),
       currency: b.currency,
-      amountInUSD: b.amountInUSDMinorUnits / 100,
-      remainingAmount: (b.amountInMinorUnits - b.paidAmountInMinorUnits) / 100,
-      paidAmount: b.paidAmountInMinorUnits / 100,
+      amountInUSD: money(b.amountInUSDMinorUnits, 'USD'),
+      remainingAmount: money(getRemainingInMinorUnits(b), b.currency),
+      paidAmount: money(b.paidAmountInMinorUnits, b.currency),
+      ...(b.loanTerms && { loanTerms: b.loanTerms }),
       description: b.description,
       date: b.date,
       dueDate: b.dueDate,
       status: b.status,
+      ...(b.account && { account: b.account, transaction: b.transaction }),
+      ...(b.sharedExpense && { sharedExpense: b.sharedExpense }),
       createdAt: b.createdAt
     }));
     
-    // Calculate summary
+    // Calculate summary in ?currency: totals at the borrowing date's rate,
+    // outstanding amounts at today's rate
+    const currency = await getReportCurrency(req.userId, req.query.currency);
+    const currencyError = checkReportCurrency(currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+    
     const summary = {
       totalBorrowed: 0,
       totalLent: 0,
@@ -78,25 +237,31 @@ router.get('/', auth, async (req, res) => {
     };
     
     borrowings.forEach(b => {
-      const remainingUSD = (b.amountInUSDMinorUnits - b.paidAmountInMinorUnits) / 100;
+      const amount = valueAt(b.amountInMinorUnits, b.currency, currency, b.date);
+      const remaining = valueAt(getRemainingInMinorUnits(b), b.currency, currency, now);
       
       if (b.type === 'borrowed') {
-        summary.totalBorrowed += b.amountInUSDMinorUnits / 100;
+        summary.totalBorrowed += amount;
         if (b.status !== 'paid') {
-          summary.activeBorrowed += remainingUSD;
+          summary.activeBorrowed += remaining;
         }
       } else {
-        summary.totalLent += b.amountInUSDMinorUnits / 100;
+        summary.totalLent += amount;
         if (b.status !== 'paid') {
-          summary.activeLent += remainingUSD;
+          summary.activeLent += remaining;
         }
       }
       
       if (b.status === 'overdue') {
-        summary.overdue += remainingUSD;
+        summary.overdue += remaining;
       }
     });
     
+    Object.keys(summary).forEach(key => {
+      summary[key] = money(summary[key], currency);
+    });
+    summary.currency = currency;
+    
     res.json({
       borrowings: formattedBorrowings,
       summary,
@@ -122,6 +287,7 @@ router.get('/', auth, async (req, res) => {
  */
 router.get('/:id', auth, async (req, res) => {
   try {
+    const money = getMoneyFormatter(req);
     const { id } = req.params;
     
     const borrowing = await Borrowing.findOne({
@@ -146,16 +312,21 @@ router.get('/:id', auth, async (req, res) => {
         _id: borrowing._id,
         type: borrowing.type,
         counterparty: borrowing.counterparty,
-        amount: borrowing.amountInMinorUnits / 100,
+        contact: borrowing.contact,
+        amount: money(borrowing.amountInMinorUnits, borrowing.currency),
         currency: borrowing.currency,
-        amountInUSD: borrowing.amountInUSDMinorUnits / 100,
-        remainingAmount: (borrowing.amountInMinorUnits - borrowing.paidAmountInMinorUnits) / 100,
-        paidAmount: borrowing.paidAmountInMinorUnits / 100,
-        percentagePaid: Math.round((borrowing.paidAmountInMinorUnits / borrowing.amountInMinorUnits) * 100),
+        amountInUSD: money(borrowing.amountInUSDMinorUnits, 'USD'),
+        remainingAmount: money(getRemainingInMinorUnits(borrowing), borrowing.currency),
+        paidAmount: money(borrowing.paidAmountInMinorUnits, borrowing.currency),
+        percentagePaid: getPercentagePaid(borrowing),
+        ...(borrowing.loanTerms && { loanTerms: borrowing.loanTerms }),
         description: borrowing.description,
         date: borrowing.date,
         dueDate: borrowing.dueDate,
         status: borrowing.status,
+        ...(borrowing.account && { account: borrowing.account, transaction: borrowing.transaction }),
+        ...(borrowing.sharedExpense && { sharedExpense: borrowing.sharedExpense }),
+        payments: borrowing.payments.map(p => formatPayment(p, borrowing, money)),
         createdAt: borrowing.createdAt,
         updatedAt: borrowing.updatedAt
       }
@@ -170,27 +341,35 @@ router.get('/:id', auth, async (req, res) => {
 
 /**
  * @route   POST /api/borrowings
- * @desc    Create new borrowing record
+ * @desc    Create new borrowing record; with accountId the money lent or
+ *          borrowed is also posted as a transaction on that account
  * @access  Private
  */
 router.post('/', auth, borrowingValidation.create, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const { 
+    type, 
+    counterparty, 
+    contactId,
+    amount, 
+    currency = 'USD', 
+    description, 
+    date, 
+    dueDate,
+    accountId,
+    loanTerms
+  } = req.body;
+  
+  // Convert amount to minor units
+  const amountInMinorUnits = toMinorUnits(amount, currency);
+  
+  // Get exchange rate for the date; missing or too old rates are client errors
+  const borrowingDate = new Date(date || Date.now());
+  let exchangeRateToUSD;
+  let usdConversion;
+  
   try {
-    const { 
-      type, 
-      counterparty, 
-      amount, 
-      currency = 'USD', 
-      description, 
-      date, 
-      dueDate 
-    } = req.body;
-    
-    // Convert amount to minor units
-    const amountInMinorUnits = Math.round(amount * 100);
-    
-    // Get exchange rate for the date
-    const borrowingDate = new Date(date || Date.now());
-    const exchangeRateToUSD = getExchangeRateToUSD(currency, borrowingDate);
+    exchangeRateToUSD = getExchangeRateToUSD(currency, borrowingDate);
     
     if (!exchangeRateToUSD) {
       return res.status(400).json({ 
@@ -199,61 +378,95 @@ router.post('/', auth, borrowingValidation.create, async (req, res) => {
     }
     
     // Calculate USD amount
-    const usdConversion = convertCurrency(
+    usdConversion = convertCurrency(
       amountInMinorUnits,
       currency,
       'USD',
       borrowingDate
     );
-    
-    // Create borrowing record
-    const borrowing = new Borrowing({
-      user: req.userId,
-      type,
-      counterparty,
-      amountInMinorUnits,
-      currency,
-      exchangeRateToUSD,
-      amountInUSDMinorUnits: usdConversion.amountInMinorUnits,
-      description: description || '',
-      date: borrowingDate,
-      dueDate: dueDate ? new Date(dueDate) : undefined,
-      status: 'pending',
-      paidAmountInMinorUnits: 0
-    });
-    
-    await borrowing.save();
-    
-    res.status(201).json({
-      message: 'Borrowing record created successfully',
-      borrowing: {
-        _id: borrowing._id,
-        type: borrowing.type,
-        counterparty: borrowing.counterparty,
-        amount: borrowing.amountInMinorUnits / 100,
-        currency: borrowing.currency,
-        amountInUSD: borrowing.amountInUSDMinorUnits / 100,
-        description: borrowing.description,
-        date: borrowing.date,
-        dueDate: borrowing.dueDate,
-        status: borrowing.status
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const contact = await resolveContact(req.userId, { contactId, counterparty }, session);
+      
+      // Create borrowing record
+      const borrowing = new Borrowing({
+        user: req.userId,
+        type,
+        counterparty: contact.name,
+        contact: contact._id,
+        amountInMinorUnits,
+        currency,
+        exchangeRateToUSD,
+        amountInUSDMinorUnits: usdConversion.amountInMinorUnits,
+        description: description || '',
+        date: borrowingDate,
+        dueDate: dueDate ? new Date(dueDate) : undefined,
+        loanTerms: toLoanTerms(loanTerms) || undefined,
+        status: 'pending',
+        paidAmountInMinorUnits: 0
+      });
+      
+      let posted = null;
+      if (accountId) {
+        posted = await postBorrowingEntry(req.userId, borrowing, {
+          kind: 'disbursement',
+          accountId,
+          amountInMinorUnits,
+          currency,
+          date: borrowingDate,
+          note: description
+        }, session);
+        borrowing.account = posted.account._id;
+        borrowing.transaction = posted.transaction._id;
       }
+      
+      await borrowing.save({ session });
+      
+      res.status(201).json({
+        message: 'Borrowing record created successfully',
+        borrowing: {
+          _id: borrowing._id,
+          type: borrowing.type,
+          counterparty: borrowing.counterparty,
+          contact: borrowing.contact,
+          amount: money(borrowing.amountInMinorUnits, borrowing.currency),
+          currency: borrowing.currency,
+          amountInUSD: money(borrowing.amountInUSDMinorUnits, 'USD'),
+          description: borrowing.description,
+          date: borrowing.date,
+          dueDate: borrowing.dueDate,
+          status: borrowing.status,
+          ...(borrowing.loanTerms && { loanTerms: borrowing.loanTerms }),
+          ...(posted && { account: borrowing.account, transaction: borrowing.transaction })
+        },
+        ...(posted && { updatedBalance: money(posted.account.balanceInMinorUnits, posted.account.currency) }),
+        ...(usdConversion.warning && { rateWarning: usdConversion.warning })
+      });
     });
   } catch (error) {
     console.error('Error creating borrowing:', error);
-    res.status(500).json({ 
-      error: 'Failed to create borrowing record' 
+    res.status(400).json({ 
+      error: error.message || 'Failed to create borrowing record' 
     });
+  } finally {
+    await session.endSession();
   }
 });
 
 /**
  * @route   PUT /api/borrowings/:id
- * @desc    Update borrowing record
+ * @desc    Update borrowing record; contactId moves it to another contact
  * @access  Private
  */
 router.put('/:id', auth, borrowingValidation.update, async (req, res) => {
   try {
+    const money = getMoneyFormatter(req);
     const { id } = req.params;
     const updates = req.body;
     
@@ -268,40 +481,24 @@ router.put('/:id', auth, borrowingValidation.update, async (req, res) => {
       });
     }
     
-    // Handle payment update
-    if (updates.paidAmount !== undefined) {
-      const paidAmountInMinorUnits = Math.round(updates.paidAmount * 100);
-      
-      if (paidAmountInMinorUnits > borrowing.amountInMinorUnits) {
-        return res.status(400).json({ 
-          error: 'Paid amount cannot exceed borrowed amount' 
-        });
-      }
-      
-      borrowing.paidAmountInMinorUnits = paidAmountInMinorUnits;
-      
-      // Update status based on payment
-      if (paidAmountInMinorUnits >= borrowing.amountInMinorUnits) {
-        borrowing.status = 'paid';
-      } else if (paidAmountInMinorUnits > 0) {
-        borrowing.status = 'partially_paid';
-      }
-    }
-    
-    // Update other fields
+    // Status follows the payments and the due date when saved
     if (updates.description !== undefined) borrowing.description = updates.description;
     if (updates.dueDate !== undefined) {
       borrowing.dueDate = updates.dueDate ? new Date(updates.dueDate) : undefined;
     }
-    if (updates.status && !updates.paidAmount) {
-      // Allow manual status update only if not updating payment
-      borrowing.status = updates.status;
+    // Loans take their due date from the schedule
+    if (updates.loanTerms !== undefined) {
+      borrowing.loanTerms = toLoanTerms(updates.loanTerms) || undefined;
     }
-    
-    // Check for overdue
-    if (borrowing.dueDate && borrowing.dueDate < new Date() && 
-        borrowing.status === 'pending') {
-      borrowing.status = 'overdue';
+    if (updates.contactId !== undefined) {
+      const contact = await Contact.findOne({ _id: updates.contactId, user: req.userId });
+      if (!contact) {
+        return res.status(404).json({ 
+          error: 'Contact not found' 
+        });
+      }
+      borrowing.contact = contact._id;
+      borrowing.counterparty = contact.name;
     }
     
     await borrowing.save();
@@ -312,10 +509,12 @@ router.put('/:id', auth, borrowingValidation.update, async (req, res) => {
         _id: borrowing._id,
         type: borrowing.type,
         counterparty: borrowing.counterparty,
-        amount: borrowing.amountInMinorUnits / 100,
+        contact: borrowing.contact,
+        amount: money(borrowing.amountInMinorUnits, borrowing.currency),
         currency: borrowing.currency,
-        remainingAmount: (borrowing.amountInMinorUnits - borrowing.paidAmountInMinorUnits) / 100,
-        paidAmount: borrowing.paidAmountInMinorUnits / 100,
+        remainingAmount: money(getRemainingInMinorUnits(borrowing), borrowing.currency),
+        paidAmount: money(borrowing.paidAmountInMinorUnits, borrowing.currency),
+        ...(borrowing.loanTerms && { loanTerms: borrowing.loanTerms }),
         description: borrowing.description,
         dueDate: borrowing.dueDate,
         status: borrowing.status
@@ -323,30 +522,25 @@ router.put('/:id', auth, borrowingValidation.update, async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating borrowing:', error);
-    res.status(500).json({ 
-      error: 'Failed to update borrowing record' 
+    // Invalid loan terms or payments that no longer fit them
+    res.status(400).json({ 
+      error: error.message || 'Failed to update borrowing record' 
     });
   }
 });
 
 /**
- * @route   POST /api/borrowings/:id/payment
- * @desc    Record a payment for borrowing
+ * @route   GET /api/borrowings/:id/schedule
+ * @desc    Amortization schedule of a loan compared with the payments made
+ *          as of ?asOf (default today): principal and interest per installment,
+ *          what each installment got paid, and the principal still owed
  * @access  Private
  */
-router.post('/:id/payment', auth, async (req, res) => {
+router.get('/:id/schedule', auth, borrowingValidation.schedule, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { amount, paymentDate = new Date() } = req.body;
-    
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ 
-        error: 'Payment amount must be positive' 
-      });
-    }
-    
+    const money = getMoneyFormatter(req);
     const borrowing = await Borrowing.findOne({
-      _id: id,
+      _id: req.params.id,
       user: req.userId
     });
     
@@ -356,64 +550,345 @@ router.post('/:id/payment', auth, async (req, res) => {
       });
     }
     
-    if (borrowing.status === 'paid') {
+    if (!borrowing.loanTerms) {
       return res.status(400).json({ 
-        error: 'This borrowing is already fully paid' 
+        error: 'This borrowing has no loan terms. Add an interest rate and term to get a schedule' 
       });
     }
     
-    const paymentInMinorUnits = Math.round(amount * 100);
-    const newPaidAmount = borrowing.paidAmountInMinorUnits + paymentInMinorUnits;
-    
-    if (newPaidAmount > borrowing.amountInMinorUnits) {
-      return res.status(400).json({ 
-        error: 'Payment would exceed the borrowed amount' 
-      });
-    }
+    const { currency } = borrowing;
+    const schedule = borrowing.getSchedule();
+    const comparison = borrowing.compareWithSchedule(req.query.asOf ? new Date(req.query.asOf) : new Date());
+    const { actual, scheduled } = comparison;
     
-    borrowing.paidAmountInMinorUnits = newPaidAmount;
+    res.json({
+      borrowing: formatBalance(borrowing, money),
+      loanTerms: borrowing.loanTerms,
+      currency,
+      periodicRate: schedule.periodicRate,
+      totalPayment: money(schedule.totalPaymentInMinorUnits, currency),
+      totalInterest: money(schedule.totalInterestInMinorUnits, currency),
+      comparison: {
+        asOf: comparison.asOf,
+        scheduled: {
+          installmentsDue: scheduled.installmentsDue,
+          paid: money(scheduled.paidInMinorUnits, currency),
+          remainingPrincipal: money(scheduled.remainingPrincipalInMinorUnits, currency)
+        },
+        actual: {
+          paid: money(actual.paidInMinorUnits, currency),
+          interestCharged: money(actual.interestChargedInMinorUnits, currency),
+          interestPaid: money(actual.interestPaidInMinorUnits, currency),
+          principalPaid: money(actual.principalPaidInMinorUnits, currency),
+          interestDue: money(actual.interestDueInMinorUnits, currency),
+          remainingPrincipal: money(actual.remainingPrincipalInMinorUnits, currency)
+        },
+        difference: money(comparison.differenceInMinorUnits, currency),
+        nextInstallment: comparison.nextInstallment && formatInstallment(comparison.nextInstallment, currency, money)
+      },
+      installments: comparison.installments.map(row => formatInstallment(row, currency, money))
+    });
+  } catch (error) {
+    console.error('Error building loan schedule:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to build loan schedule' 
+    });
+  }
+});
+
+/**
+ * @route   GET /api/borrowings/:id/payments
+ * @desc    Payment history, oldest first; reversed payments are flagged
+ * @access  Private
+ */
+router.get('/:id/payments', auth, async (req, res) => {
+  try {
+    const money = getMoneyFormatter(req);
+    const borrowing = await Borrowing.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
     
-    // Update status
-    if (newPaidAmount >= borrowing.amountInMinorUnits) {
-      borrowing.status = 'paid';
-    } else {
-      borrowing.status = 'partially_paid';
+    if (!borrowing) {
+      return res.status(404).json({ 
+        error: 'Borrowing record not found' 
+      });
     }
     
-    await borrowing.save();
+    const payments = [...borrowing.payments].sort((a, b) => a.date - b.date || a.createdAt - b.createdAt);
     
     res.json({
-      message: 'Payment recorded successfully',
-      borrowing: {
-        _id: borrowing._id,
-        type: borrowing.type,
-        counterparty: borrowing.counterparty,
-        totalAmount: borrowing.amountInMinorUnits / 100,
-        paidAmount: borrowing.paidAmountInMinorUnits / 100,
-        remainingAmount: (borrowing.amountInMinorUnits - borrowing.paidAmountInMinorUnits) / 100,
-        status: borrowing.status,
-        percentagePaid: Math.round((borrowing.paidAmountInMinorUnits / borrowing.amountInMinorUnits) * 100)
-      },
-      payment: {
-        amount: paymentInMinorUnits / 100,
-        date: paymentDate
+      borrowing: formatBalance(borrowing, money),
+      payments: payments.map(p => formatPayment(p, borrowing, money))
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch payments' 
+    });
+  }
+});
+
+/**
+ * @route   POST /api/borrowings/:id/payments (also /:id/payment)
+ * @desc    Record a payment: amount, optional currency, accountId, date and note.
+ *          With accountId the payment is also posted as a transaction on that account
+ * @access  Private
+ */
+router.post(['/:id/payments', '/:id/payment'], auth, borrowingValidation.payment, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const borrowing = await Borrowing.findOne({
+        _id: req.params.id,
+        user: req.userId
+      }).session(session);
+      
+      if (!borrowing) {
+        throw new Error('Borrowing record not found');
+      }
+      
+      if (borrowing.status === 'paid') {
+        throw new Error('This borrowing is already fully paid');
       }
+      
+      const { rateWarning, ...fields } = await buildPayment(req.userId, borrowing, {
+        ...req.body,
+        date: req.body.date || req.body.paymentDate
+      }, session);
+      borrowing.payments.push(fields);
+      const payment = borrowing.payments[borrowing.payments.length - 1];
+      
+      await postPayment(req.userId, borrowing, payment, session);
+      await borrowing.save({ session });
+      
+      res.status(201).json({
+        message: 'Payment recorded successfully',
+        borrowing: formatBalance(borrowing, money),
+        payment: formatPayment(payment, borrowing, money),
+        ...(rateWarning && { rateWarning })
+      });
     });
   } catch (error) {
     console.error('Error recording payment:', error);
-    res.status(500).json({ 
-      error: 'Failed to record payment' 
+    res.status(400).json({ 
+      error: error.message || 'Failed to record payment' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   PUT /api/borrowings/:id/payments/:paymentId
+ * @desc    Correct a payment's amount, currency, account, date or note;
+ *          its posted transaction is replaced to match
+ * @access  Private
+ */
+router.put('/:id/payments/:paymentId', auth, borrowingValidation.updatePayment, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const { borrowing, payment } = await findPayment(req, session);
+      
+      if (payment.reversedAt) {
+        throw new Error('A reversed payment cannot be edited');
+      }
+      
+      const updates = req.body;
+      const currency = updates.currency || payment.currency;
+      const { rateWarning, ...fields } = await buildPayment(req.userId, borrowing, {
+        // Keep the same major amount when only the currency changes
+        amount: updates.amount !== undefined ? updates.amount : fromMinorUnits(payment.amountInMinorUnits, payment.currency),
+        currency,
+        accountId: updates.accountId,
+        date: updates.date || payment.date,
+        note: updates.note !== undefined ? updates.note : payment.note
+      }, session);
+      // The account is only looked up again when it changes; null clears it
+      if (updates.accountId === undefined) fields.account = payment.account;
+      
+      await unpostPayment(req.userId, payment, session);
+      payment.set(fields);
+      await postPayment(req.userId, borrowing, payment, session);
+      
+      await borrowing.save({ session });
+      
+      res.json({
+        message: 'Payment updated successfully',
+        borrowing: formatBalance(borrowing, money),
+        payment: formatPayment(payment, borrowing, money),
+        ...(rateWarning && { rateWarning })
+      });
+    });
+  } catch (error) {
+    console.error('Error updating payment:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to update payment' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   POST /api/borrowings/:id/payments/:paymentId/reverse
+ * @desc    Reverse a payment: it stays in the history but no longer counts as paid,
+ *          and its posted transaction is taken back out of the account
+ * @access  Private
+ */
+router.post('/:id/payments/:paymentId/reverse', auth, borrowingValidation.reversePayment, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const { borrowing, payment } = await findPayment(req, session);
+      
+      if (payment.reversedAt) {
+        throw new Error('This payment is already reversed');
+      }
+      
+      await unpostPayment(req.userId, payment, session);
+      payment.reversedAt = new Date();
+      payment.reversalReason = req.body.reason || undefined;
+      
+      await borrowing.save({ session });
+      
+      res.json({
+        message: 'Payment reversed successfully',
+        borrowing: formatBalance(borrowing, money),
+        payment: formatPayment(payment, borrowing, money)
+      });
+    });
+  } catch (error) {
+    console.error('Error reversing payment:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to reverse payment' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   DELETE /api/borrowings/:id/payments/:paymentId
+ * @desc    Delete a payment recorded by mistake, along with its posted transaction
+ * @access  Private
+ */
+router.delete('/:id/payments/:paymentId', auth, borrowingValidation.deletePayment, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const { borrowing, payment } = await findPayment(req, session);
+      
+      await unpostPayment(req.userId, payment, session);
+      payment.deleteOne();
+      
+      await borrowing.save({ session });
+      
+      res.json({
+        message: 'Payment deleted successfully',
+        borrowing: formatBalance(borrowing, money)
+      });
+    });
+  } catch (error) {
+    console.error('Error deleting payment:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to delete payment' 
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   POST /api/borrowings/settle
+ * @desc    Settle open borrowings in bulk: one payment for what is still owed
+ *          on each borrowing picked by borrowingIds, contactId and/or
+ *          sharedExpenseId (and optionally type). With accountId every
+ *          payment is also posted as a transaction on that account
+ * @access  Private
+ */
+router.post('/settle', auth, borrowingValidation.settle, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const { borrowingIds, contactId, sharedExpenseId, type, accountId, date, note } = req.body;
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const query = { user: req.userId, status: { $ne: 'paid' } };
+      if (borrowingIds) query._id = { $in: borrowingIds };
+      if (contactId) query.contact = contactId;
+      if (sharedExpenseId) query.sharedExpense = sharedExpenseId;
+      if (type) query.type = type;
+      
+      const borrowings = await Borrowing.find(query).sort({ date: 1 }).session(session);
+      if (borrowings.length === 0) {
+        throw new Error('No open borrowings to settle');
+      }
+      
+      const paymentDate = date ? new Date(date) : new Date();
+      const settled = [];
+      const rateWarnings = new Set();
+      
+      for (const borrowing of borrowings) {
+        // Loans also owe the interest charged up to the payment date
+        const comparison = borrowing.compareWithSchedule(paymentDate);
+        const owedInMinorUnits = getRemainingInMinorUnits(borrowing)
+          + (comparison ? comparison.actual.interestDueInMinorUnits : 0);
+        
+        const { rateWarning, ...fields } = await buildPayment(req.userId, borrowing, {
+          amount: fromMinorUnits(owedInMinorUnits, borrowing.currency),
+          currency: borrowing.currency,
+          accountId,
+          date: paymentDate,
+          note: note || 'Settled in full'
+        }, session);
+        if (rateWarning) rateWarnings.add(rateWarning);
+        
+        borrowing.payments.push(fields);
+        const payment = borrowing.payments[borrowing.payments.length - 1];
+        
+        await postPayment(req.userId, borrowing, payment, session);
+        await borrowing.save({ session });
+        
+        settled.push({
+          borrowing: formatBalance(borrowing, money),
+          payment: formatPayment(payment, borrowing, money)
+        });
+      }
+      
+      res.json({
+        message: `Settled ${settled.length} ${settled.length === 1 ? 'borrowing' : 'borrowings'}`,
+        settled,
+        ...(rateWarnings.size > 0 && { rateWarning: [...rateWarnings].join(' ') })
+      });
     });
+  } catch (error) {
+    console.error('Error settling borrowings:', error);
+    res.status(400).json({ 
+      error: error.message || 'Failed to settle borrowings' 
+    });
+  } finally {
+    await session.endSession();
   }
 });
 
 /**
  * @route   DELETE /api/borrowings/:id
- * @desc    Delete borrowing record
+ * @desc    Delete borrowing record and reverse the transactions posted for it
  * @access  Private
  */
 router.delete('/:id', auth, async (req, res) => {
   try {
+    const money = getMoneyFormatter(req);
     const { id } = req.params;
     
     const borrowing = await Borrowing.findOne({
@@ -436,14 +911,27 @@ router.delete('/:id', auth, async (req, res) => {
           error: 'This borrowing has partial payments. Add ?confirmDelete=true to proceed',
           warning: {
             status: borrowing.status,
-            paidAmount: borrowing.paidAmountInMinorUnits / 100,
-            remainingAmount: (borrowing.amountInMinorUnits - borrowing.paidAmountInMinorUnits) / 100
+            paidAmount: money(borrowing.paidAmountInMinorUnits, borrowing.currency),
+            remainingAmount: money(getRemainingInMinorUnits(borrowing), borrowing.currency)
           }
         });
       }
     }
     
-    await borrowing.deleteOne();
+    // Postings for the loan and its payments come back out of the accounts
+    const postings = [borrowing.transaction, ...borrowing.payments.map(p => p.transaction)].filter(Boolean);
+    const session = await mongoose.startSession();
+    
+    try {
+      await session.withTransaction(async () => {
+        for (const transactionId of postings) {
+          await reversePosting(req.userId, transactionId, session);
+        }
+        await Borrowing.deleteOne({ _id: borrowing._id }, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
     
     res.json({
       message: 'Borrowing record deleted successfully',
@@ -451,8 +939,9 @@ router.delete('/:id', auth, async (req, res) => {
         _id: borrowing._id,
         type: borrowing.type,
         counterparty: borrowing.counterparty,
-        amount: borrowing.amountInMinorUnits / 100
-      }
+        amount: money(borrowing.amountInMinorUnits, borrowing.currency)
+      },
+      reversedTransactions: postings.length
     });
   } catch (error) {
     console.error('Error deleting borrowing:', error);
@@ -464,12 +953,19 @@ router.delete('/:id', auth, async (req, res) => {
 
 /**
  * @route   GET /api/borrowings/statistics
- * @desc    Get borrowing statistics
+ * @desc    Get borrowing statistics for ?year in ?currency (default: user preference),
+ *          each borrowing at the rate of its date
  * @access  Private
  */
-router.get('/statistics/summary', auth, async (req, res) => {
+router.get('/statistics/summary', auth, reportValidation, async (req, res) => {
   try {
-    const { year = new Date().getFullYear() } = req.query;
+    const money = getMoneyFormatter(req);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const currency = await getReportCurrency(req.userId, req.query.currency);
+    const currencyError = checkReportCurrency(currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
     
     const startOfYear = new Date(Date.UTC(year, 0, 1));
     const endOfYear = new Date(Date.UTC(year + 1, 0, 1));
@@ -482,7 +978,7 @@ router.get('/statistics/summary', auth, async (req, res) => {
       }
     });
     
-    // Calculate statistics
+    // Totals are summed in report currency minor units
     const stats = {
       borrowed: {
         total: 0,
@@ -515,39 +1011,52 @@ router.get('/statistics/summary', auth, async (req, res) => {
     
     borrowings.forEach(b => {
       const monthKey = b.date.toISOString().substring(0, 7);
-      const amountUSD = b.amountInUSDMinorUnits / 100;
-      const paidUSD = b.paidAmountInMinorUnits / 100;
+      const amount = valueAt(b.amountInMinorUnits, b.currency, currency, b.date);
+      // Principal repaid, so pending is what is still owed
+      const paid = valueAt(b.amountInMinorUnits - getRemainingInMinorUnits(b), b.currency, currency, b.date);
       
       if (b.type === 'borrowed') {
-        stats.borrowed.total += amountUSD;
-        stats.borrowed.paid += paidUSD;
-        stats.borrowed.pending += (amountUSD - paidUSD);
+        stats.borrowed.total += amount;
+        stats.borrowed.paid += paid;
+        stats.borrowed.pending += (amount - paid);
         stats.borrowed.count++;
         
         if (stats.byMonth[monthKey]) {
-          stats.byMonth[monthKey].borrowed += amountUSD;
+          stats.byMonth[monthKey].borrowed += amount;
         }
       } else {
-        stats.lent.total += amountUSD;
-        stats.lent.received += paidUSD;
-        stats.lent.pending += (amountUSD - paidUSD);
+        stats.lent.total += amount;
+        stats.lent.received += paid;
+        stats.lent.pending += (amount - paid);
         stats.lent.count++;
         
         if (stats.byMonth[monthKey]) {
-          stats.byMonth[monthKey].lent += amountUSD;
+          stats.byMonth[monthKey].lent += amount;
         }
       }
       
       if (b.status === 'overdue') {
         stats.overdue.count++;
-        stats.overdue.amount += (amountUSD - paidUSD);
+        stats.overdue.amount += (amount - paid);
       }
     });
     
+    // Format every amount (not the counts)
+    const toMajor = (totals) => Object.fromEntries(Object.entries(totals).map(([key, value]) => [
+      key,
+      key === 'count' ? value : money(value, currency)
+    ]));
+    
     res.json({
       year,
-      statistics: stats,
-      netPosition: stats.lent.pending - stats.borrowed.pending
+      currency,
+      statistics: {
+        borrowed: toMajor(stats.borrowed),
+        lent: toMajor(stats.lent),
+        overdue: toMajor(stats.overdue),
+        byMonth: Object.fromEntries(Object.entries(stats.byMonth).map(([month, totals]) => [month, toMajor(totals)]))
+      },
+      netPosition: money(stats.lent.pending - stats.borrowed.pending, currency)
     });
   } catch (error) {
     console.error('Error fetching statistics:', error);
@@ -0,0 +1,238 @@
+// backend/routes/budgets.js
+const express = require('express');
+const router = express.Router();
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { budgetValidation, validateMongoId, handleValidationErrors } = require('../middleware/validation');
+const { getDescendantNames } = require('../utils/categoryTree');
+const { getPeriodBounds, calculateBudgetProgress } = require('../utils/budgetCalculator');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+
+// Convert minor units to major units for response
+const formatBudget = (budget) => ({
+  _id: budget._id,
+  category: budget.category,
+  includeSubcategories: budget.includeSubcategories,
+  period: budget.period,
+  limit: fromMinorUnits(budget.limitInMinorUnits, budget.currency),
+  currency: budget.currency,
+  rollover: budget.rollover,
+  startDate: budget.startDate,
+  isActive: budget.isActive,
+  createdAt: budget.createdAt,
+  updatedAt: budget.updatedAt
+});
+
+const formatProgress = (progress, currency) => ({
+  period: progress.period,
+  spent: fromMinorUnits(progress.spentInMinorUnits, currency),
+  rollover: fromMinorUnits(progress.rolloverInMinorUnits, currency),
+  available: fromMinorUnits(progress.availableInMinorUnits, currency),
+  remaining: fromMinorUnits(progress.remainingInMinorUnits, currency),
+  projected: fromMinorUnits(progress.projectedInMinorUnits, currency),
+  percentUsed: progress.percentUsed,
+  status: progress.status
+});
+
+/**
+ * Load the expenses a budget needs and calculate its progress
+ * @param {string} userId - Owner of the budget
+ * @param {Budget} budget - Budget document
+ * @param {Category[]} categories - The user's categories
+ * @param {Date} asOf - Date inside the period to report on
+ * @returns {Promise<Object>} Progress from calculateBudgetProgress
+ */
+async function getBudgetProgress(userId, budget, categories, asOf) {
+  const { start, end } = getPeriodBounds(budget.period, asOf);
+  const from = budget.rollover
+    ? getPeriodBounds(budget.period, budget.startDate).start
+    : start;
+  const names = budget.includeSubcategories
+    ? getDescendantNames(categories, budget.category)
+    : [budget.category];
+  
+  const transactions = await Transaction.find({
+    user: userId,
+    type: 'expense',
+    $or: [{ category: { $in: names } }, { 'splits.category': { $in: names } }],
+    date: { $gte: from < start ? from : start, $lt: end }
+  }).select('category splits amountInMinorUnits amountInUSDMinorUnits currency date');
+  
+  return calculateBudgetProgress(budget, transactions, asOf, names);
+}
+
+// Shared by create and update
+const applyBudgetFields = (budget, body) => {
+  if (body.category) budget.category = body.category;
+  if (body.period) budget.period = body.period;
+  if (body.currency && body.currency !== budget.currency) {
+    // Keep the same major limit when only the currency changes
+    const limit = body.limit !== undefined ? body.limit : fromMinorUnits(budget.limitInMinorUnits, budget.currency);
+    budget.currency = body.currency;
+    budget.limitInMinorUnits = toMinorUnits(limit, budget.currency);
+  } else if (body.limit !== undefined) {
+    budget.limitInMinorUnits = toMinorUnits(body.limit, budget.currency);
+  }
+  if (body.rollover !== undefined) budget.rollover = body.rollover;
+  if (body.includeSubcategories !== undefined) budget.includeSubcategories = body.includeSubcategories;
+  if (body.startDate) budget.startDate = new Date(body.startDate);
+  if (body.isActive !== undefined) budget.isActive = body.isActive;
+};
+
+const describeError = (error) =>
+  error.code === 11000 ? 'A budget for this category and period already exists' : error.message;
+
+/**
+ * @route   GET /api/budgets
+ * @desc    Get budgets with spent/remaining/projected for the period containing ?date (default today)
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const asOf = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    
+    const query = { user: req.userId };
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+    
+    const [budgets, categories] = await Promise.all([
+      Budget.find(query).sort({ category: 1 }),
+      Category.find({ user: req.userId })
+    ]);
+    
+    const results = await Promise.all(budgets.map(async budget => ({
+      ...formatBudget(budget),
+      progress: formatProgress(await getBudgetProgress(req.userId, budget, categories, asOf), budget.currency)
+    })));
+    
+    res.json({ budgets: results });
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({
+      error: 'Failed to fetch budgets'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/budgets/:id
+ * @desc    Get one budget with its progress
+ * @access  Private
+ */
+router.get('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const asOf = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    
+    const budget = await Budget.findOne({ _id: req.params.id, user: req.userId });
+    if (!budget) {
+      return res.status(404).json({
+        error: 'Budget not found'
+      });
+    }
+    
+    const categories = await Category.find({ user: req.userId });
+    
+    res.json({
+      ...formatBudget(budget),
+      progress: formatProgress(await getBudgetProgress(req.userId, budget, categories, asOf), budget.currency)
+    });
+  } catch (error) {
+    console.error('Error fetching budget:', error);
+    res.status(500).json({
+      error: 'Failed to fetch budget'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/budgets
+ * @desc    Create budget
+ * @access  Private
+ */
+router.post('/', auth, budgetValidation.create, async (req, res) => {
+  try {
+    const budget = new Budget({ user: req.userId });
+    applyBudgetFields(budget, req.body);
+    
+    await budget.save();
+    
+    res.status(201).json({
+      message: 'Budget created successfully',
+      budget: formatBudget(budget)
+    });
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(400).json({
+      error: describeError(error) || 'Failed to create budget'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/budgets/:id
+ * @desc    Update budget
+ * @access  Private
+ */
+router.put('/:id', auth, budgetValidation.update, async (req, res) => {
+  try {
+    const budget = await Budget.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!budget) {
+      return res.status(404).json({
+        error: 'Budget not found'
+      });
+    }
+    
+    applyBudgetFields(budget, req.body);
+    await budget.save();
+    
+    res.json({
+      message: 'Budget updated successfully',
+      budget: formatBudget(budget)
+    });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(400).json({
+      error: describeError(error) || 'Failed to update budget'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/budgets/:id
+ * @desc    Delete budget
+ * @access  Private
+ */
+router.delete('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!budget) {
+      return res.status(404).json({
+        error: 'Budget not found'
+      });
+    }
+    
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({
+      error: 'Failed to delete budget'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+// backend/routes/categories.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
+const { categoryValidation, validateMongoId, handleValidationErrors } = require('../middleware/validation');
+const {
+  buildCategoryTree,
+  isDescendant,
+  loadCategories,
+  renameCategoryReferences,
+  countCategoryTransactions
+} = require('../utils/categoryTree');
+
+// Format category for response
+const formatCategory = (category) => ({
+  _id: category._id,
+  name: category.name,
+  type: category.type,
+  parent: category.parent,
+  color: category.color,
+  icon: category.icon,
+  createdAt: category.createdAt,
+  updatedAt: category.updatedAt
+});
+
+const formatTreeNode = (node) => ({
+  ...formatCategory(node),
+  children: node.children.map(formatTreeNode)
+});
+
+/**
+ * Check a proposed parent: it must exist, share the type and not be a descendant
+ * @param {Category[]} categories - All of the user's categories
+ * @param {Category} category - Category being created or moved
+ * @param {string|null} parentId - Proposed parent
+ */
+function assertValidParent(categories, category, parentId) {
+  if (!parentId) return;
+  
+  const parent = categories.find(c => String(c._id) === String(parentId));
+  if (!parent) {
+    throw new Error('Parent category not found');
+  }
+  if (parent.type !== category.type) {
+    throw new Error('Parent category must have the same type');
+  }
+  if (category._id && isDescendant(categories, category._id, parentId)) {
+    throw new Error('A category cannot be moved under itself or its subcategories');
+  }
+}
+
+// Mongo duplicate key errors come from the unique { user, name } index
+const describeError = (error) =>
+  error.code === 11000 ? 'A category with this name already exists' : error.message;
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get categories for user; ?tree=true nests subcategories
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    let categories = await loadCategories(req.userId);
+    
+    if (req.query.type) {
+      categories = categories.filter(category => category.type === req.query.type);
+    }
+    
+    if (req.query.tree === 'true') {
+      return res.json({ categories: buildCategoryTree(categories).map(formatTreeNode) });
+    }
+    
+    res.json({ categories: categories.map(formatCategory) });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      error: 'Failed to fetch categories'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create category or subcategory
+ * @access  Private
+ */
+router.post('/', auth, categoryValidation.create, async (req, res) => {
+  try {
+    const { name, type, parent, color, icon } = req.body;
+    const categories = await Category.find({ user: req.userId });
+    
+    const category = new Category({ user: req.userId, name, type, parent: parent || null, color, icon });
+    assertValidParent(categories, category, category.parent);
+    
+    await category.save();
+    
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: formatCategory(category)
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(400).json({
+      error: describeError(error) || 'Failed to create category'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Update category; renaming also rewrites transactions and rules
+ * @access  Private
+ */
+router.put('/:id', auth, categoryValidation.update, async (req, res) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const categories = await Category.find({ user: req.userId }).session(session);
+      const category = categories.find(c => String(c._id) === req.params.id);
+      
+      if (!category) {
+        return res.status(404).json({
+          error: 'Category not found'
+        });
+      }
+      
+      const { name, type, parent, color, icon } = req.body;
+      
+      if (type && type !== category.type) {
+        const hasChildren = categories.some(c => String(c.parent) === String(category._id));
+        if (category.parent || hasChildren) {
+          throw new Error('Move the category out of its hierarchy before changing its type');
+        }
+        category.type = type;
+      }
+      
+      if (parent !== undefined) {
+        assertValidParent(categories, category, parent);
+        category.parent = parent || null;
+      }
+      if (color) category.color = color;
+      if (icon) category.icon = icon;
+      
+      let updatedTransactions = 0;
+      if (name && name !== category.name) {
+        updatedTransactions = await renameCategoryReferences(req.userId, category.name, name, session);
+        category.name = name;
+      }
+      
+      await category.save({ session });
+      
+      res.json({
+        message: 'Category updated successfully',
+        category: formatCategory(category),
+        updatedTransactions
+      });
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(400).json({
+      error: describeError(error) || 'Failed to update category'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   POST /api/categories/:id/merge
+ * @desc    Merge a category into targetId: transactions, rules and
+ *          subcategories move to the target, then the category is deleted
+ * @access  Private
+ */
+router.post('/:id/merge', auth, categoryValidation.merge, async (req, res) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const categories = await Category.find({ user: req.userId }).session(session);
+      const source = categories.find(c => String(c._id) === req.params.id);
+      const target = categories.find(c => String(c._id) === req.body.targetId);
+      
+      if (!source || !target) {
+        throw new Error('Category not found');
+      }
+      if (String(source._id) === String(target._id)) {
+        throw new Error('Cannot merge a category into itself');
+      }
+      if (source.type !== target.type) {
+        throw new Error('Only categories of the same type can be merged');
+      }
+      if (isDescendant(categories, source._id, target._id)) {
+        throw new Error('Cannot merge a category into one of its subcategories');
+      }
+      
+      const updatedTransactions = await renameCategoryReferences(req.userId, source.name, target.name, session);
+      
+      await Category.updateMany(
+        { user: req.userId, parent: source._id },
+        { $set: { parent: target._id } },
+        { session }
+      );
+      await Category.deleteOne({ _id: source._id }, { session });
+      
+      res.json({
+        message: `Merged ${source.name} into ${target.name}`,
+        category: formatCategory(target),
+        updatedTransactions
+      });
+    });
+  } catch (error) {
+    console.error('Error merging categories:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to merge categories'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete an unused category; its subcategories move up a level
+ * @access  Private
+ */
+router.delete('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!category) {
+      return res.status(404).json({
+        error: 'Category not found'
+      });
+    }
+    
+    const inUse = await countCategoryTransactions(req.userId, category.name);
+    if (inUse > 0) {
+      return res.status(400).json({
+        error: `Category is used by ${inUse} transactions; merge it into another category instead`
+      });
+    }
+    
+    await Category.updateMany(
+      { user: req.userId, parent: category._id },
+      { $set: { parent: category.parent } }
+    );
+    await category.deleteOne();
+    
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      error: 'Failed to delete category'
+    });
+  }
+});
+
+module.exports = router;
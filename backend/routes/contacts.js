@@ -0,0 +1,316 @@
+// backend/routes/contacts.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const Borrowing = require('../models/Borrowing');
+const auth = require('../middleware/auth');
+const { contactValidation, reportValidation, validateMongoId, handleValidationErrors } = require('../middleware/validation');
+const { getReportCurrency, checkReportCurrency, getMoneyFormatter } = require('../utils/reporting');
+const { getRemainingInMinorUnits } = require('../utils/amortization');
+const { linkUnassignedBorrowings, calculateContactBalance } = require('../utils/contacts');
+
+// Format contact for response
+const formatContact = (contact) => ({
+  _id: contact._id,
+  name: contact.name,
+  email: contact.email,
+  phone: contact.phone,
+  notes: contact.notes,
+  createdAt: contact.createdAt,
+  updatedAt: contact.updatedAt
+});
+
+// Net position in report currency; direction reads from the user's side
+const formatBalance = (balance, currency, money) => {
+  const side = (totals) => ({
+    total: money(totals.total, currency),
+    repaid: money(totals.repaid, currency),
+    outstanding: money(totals.outstanding, currency),
+    count: totals.count
+  });
+  let direction = 'settled';
+  if (balance.net > 0) direction = 'owed_to_user';
+  if (balance.net < 0) direction = 'owed_by_user';
+  
+  return {
+    currency,
+    lent: side(balance.lent),
+    borrowed: side(balance.borrowed),
+    owedToUser: money(balance.owedToUser, currency),
+    owedByUser: money(balance.owedByUser, currency),
+    net: money(balance.net, currency),
+    direction
+  };
+};
+
+// Mongo duplicate key errors come from the unique { user, normalizedName } index
+const describeError = (error) =>
+  error.code === 11000 ? 'A contact with this name already exists' : error.message;
+
+/**
+ * @route   GET /api/contacts
+ * @desc    Get contacts for user with their net balance in ?currency;
+ *          borrowings without a contact are linked by name first
+ * @access  Private
+ */
+router.get('/', auth, reportValidation, async (req, res) => {
+  try {
+    const money = getMoneyFormatter(req);
+    await linkUnassignedBorrowings(req.userId);
+    
+    const [contacts, borrowings, currency] = await Promise.all([
+      Contact.find({ user: req.userId }).sort({ normalizedName: 1 }),
+      Borrowing.find({ user: req.userId }),
+      getReportCurrency(req.userId, req.query.currency)
+    ]);
+    const currencyError = checkReportCurrency(currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+    
+    const byContact = new Map();
+    borrowings.forEach(borrowing => {
+      const key = String(borrowing.contact);
+      byContact.set(key, [...(byContact.get(key) || []), borrowing]);
+    });
+    
+    const now = new Date();
+    res.json({
+      contacts: contacts.map(contact => ({
+        ...formatContact(contact),
+        balance: formatBalance(
+          calculateContactBalance(byContact.get(String(contact._id)) || [], currency, now),
+          currency,
+          money
+        )
+      })),
+      currency
+    });
+  } catch (error) {
+    console.error('Error fetching contacts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch contacts'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/contacts/:id/balance
+ * @desc    Net amount owed in each direction across all of a contact's
+ *          borrowings, open and settled, in ?currency
+ * @access  Private
+ */
+router.get('/:id/balance', auth, contactValidation.balance, async (req, res) => {
+  try {
+    const money = getMoneyFormatter(req);
+    const contact = await Contact.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+    
+    const [borrowings, currency] = await Promise.all([
+      Borrowing.find({ user: req.userId, contact: contact._id }).sort({ date: -1 }),
+      getReportCurrency(req.userId, req.query.currency)
+    ]);
+    const currencyError = checkReportCurrency(currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+    
+    res.json({
+      contact: formatContact(contact),
+      balance: formatBalance(calculateContactBalance(borrowings, currency), currency, money),
+      borrowings: borrowings.map(b => ({
+        _id: b._id,
+        type: b.type,
+        amount: money(b.amountInMinorUnits, b.currency),
+        currency: b.currency,
+        remainingAmount: money(getRemainingInMinorUnits(b), b.currency),
+        status: b.status,
+        date: b.date,
+        dueDate: b.dueDate,
+        description: b.description
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching contact balance:', error);
+    res.status(500).json({
+      error: 'Failed to fetch contact balance'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/contacts
+ * @desc    Create contact
+ * @access  Private
+ */
+router.post('/', auth, contactValidation.create, async (req, res) => {
+  try {
+    const { name, email, phone, notes } = req.body;
+    const contact = new Contact({ user: req.userId, name, email, phone, notes });
+    
+    await contact.save();
+    
+    res.status(201).json({
+      message: 'Contact created successfully',
+      contact: formatContact(contact)
+    });
+  } catch (error) {
+    console.error('Error creating contact:', error);
+    res.status(400).json({
+      error: describeError(error) || 'Failed to create contact'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/contacts/:id
+ * @desc    Update contact; a new name is copied to its borrowings
+ * @access  Private
+ */
+router.put('/:id', auth, contactValidation.update, async (req, res) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const contact = await Contact.findOne({
+        _id: req.params.id,
+        user: req.userId
+      }).session(session);
+      
+      if (!contact) {
+        throw new Error('Contact not found');
+      }
+      
+      const { name, email, phone, notes } = req.body;
+      if (name !== undefined) contact.name = name;
+      if (email !== undefined) contact.email = email || undefined;
+      if (phone !== undefined) contact.phone = phone || undefined;
+      if (notes !== undefined) contact.notes = notes;
+      
+      await contact.save({ session });
+      
+      let updatedBorrowings = 0;
+      if (name !== undefined) {
+        const result = await Borrowing.updateMany(
+          { user: req.userId, contact: contact._id },
+          { $set: { counterparty: contact.name } },
+          { session }
+        );
+        updatedBorrowings = result.modifiedCount;
+      }
+      
+      res.json({
+        message: 'Contact updated successfully',
+        contact: formatContact(contact),
+        updatedBorrowings
+      });
+    });
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    res.status(400).json({
+      error: describeError(error) || 'Failed to update contact'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   POST /api/contacts/:id/merge
+ * @desc    Merge a contact into targetId, e.g. "John S." into "John":
+ *          borrowings move to the target, missing email and phone are
+ *          copied over, then the contact is deleted
+ * @access  Private
+ */
+router.post('/:id/merge', auth, contactValidation.merge, async (req, res) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const contacts = await Contact.find({
+        _id: { $in: [req.params.id, req.body.targetId] },
+        user: req.userId
+      }).session(session);
+      const source = contacts.find(c => String(c._id) === req.params.id);
+      const target = contacts.find(c => String(c._id) === req.body.targetId);
+      
+      if (!source || !target) {
+        throw new Error('Contact not found');
+      }
+      if (String(source._id) === String(target._id)) {
+        throw new Error('Cannot merge a contact into itself');
+      }
+      
+      const result = await Borrowing.updateMany(
+        { user: req.userId, contact: source._id },
+        { $set: { contact: target._id, counterparty: target.name } },
+        { session }
+      );
+      
+      if (!target.email && source.email) target.email = source.email;
+      if (!target.phone && source.phone) target.phone = source.phone;
+      await target.save({ session });
+      await Contact.deleteOne({ _id: source._id }, { session });
+      
+      res.json({
+        message: `Merged ${source.name} into ${target.name}`,
+        contact: formatContact(target),
+        updatedBorrowings: result.modifiedCount
+      });
+    });
+  } catch (error) {
+    console.error('Error merging contacts:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to merge contacts'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   DELETE /api/contacts/:id
+ * @desc    Delete a contact without borrowings
+ * @access  Private
+ */
+router.delete('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await Contact.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found'
+      });
+    }
+    
+    const inUse = await Borrowing.countDocuments({ user: req.userId, contact: contact._id });
+    if (inUse > 0) {
+      return res.status(400).json({
+        error: `Contact has ${inUse} borrowings; merge it into another contact instead`
+      });
+    }
+    
+    await contact.deleteOne();
+    
+    res.json({ message: 'Contact deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting contact:', error);
+    res.status(500).json({
+      error: 'Failed to delete contact'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// backend/routes/currencies.js
+const express = require('express');
+const router = express.Router();
+const { listCurrencies } = require('../utils/currencies');
+const { getConvertibleCurrencies } = require('../utils/currencyConverter');
+
+/**
+ * @route   GET /api/currencies
+ * @desc    List the ISO 4217 currencies amounts can be entered in (those with
+ *          exchange rates) with their minor-unit exponent and symbol
+ *          (?locale=de-DE resolves locale-specific symbols)
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ currencies: listCurrencies(req.query.locale || 'en-US', getConvertibleCurrencies()) });
+  } catch (error) {
+    console.error('Error listing currencies:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to list currencies'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,13 +5,32 @@ const auth = require('../middleware/auth');
 const Transaction = require('../models/Transaction');
 const Account = require('../models/Account');
 const Borrowing = require('../models/Borrowing');
+const Category = require('../models/Category');
+const { reportValidation } = require('../middleware/validation');
+const { rollUpByParent } = require('../utils/categoryTree');
+const { getReportCurrency, checkReportCurrency, getMoneyFormatter, getTransactionAmount, calculateNetWorth } = require('../utils/reporting');
+const { calculateFxRevaluation } = require('../utils/fxRevaluation');
+const { getCategoryAmounts } = require('../utils/splits');
+const { getRemainingInMinorUnits } = require('../utils/amortization');
 // FIXED: Removed unused WorkSchedule import
 // const WorkSchedule = require('../models/WorkSchedule');
 
-// Get dashboard summary
-router.get('/dashboard-summary', auth, async (req, res) => {
+/**
+ * @route   GET /api/dashboard/dashboard-summary
+ * @desc    Current month summary and net worth in ?currency (default: user preference).
+ *          Flows use each transaction's historical rate, balances today's rate
+ * @access  Private
+ */
+router.get('/dashboard-summary', auth, reportValidation, async (req, res) => {
   try {
     const userId = req.userId;
+    const currency = await getReportCurrency(userId, req.query.currency);
+    const money = getMoneyFormatter(req);
+    const format = (amountInMinorUnits) => money(amountInMinorUnits, currency);
+    const currencyError = checkReportCurrency(currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
     
     // FIXED: Proper month boundaries with timezone handling
     const now = new Date();
@@ -37,19 +56,21 @@ router.get('/dashboard-summary', auth, async (req, res) => {
     const dailyData = {};
     
     transactions.forEach(tx => {
-      // Use USD amounts for consistent reporting
-      const amountInUSD = tx.amountInUSDMinorUnits / 100;
+      // Sum in report currency minor units to avoid float drift
+      const amount = getTransactionAmount(tx, currency);
       
       if (tx.type === 'income') {
-        totalIncome += amountInUSD;
+        totalIncome += amount;
       } else if (tx.type === 'expense') {
-        totalExpenses += amountInUSD;
+        totalExpenses += amount;
         
-        // Category breakdown for expenses
-        if (!categoryBreakdown[tx.category]) {
-          categoryBreakdown[tx.category] = 0;
-        }
-        categoryBreakdown[tx.category] += amountInUSD;
+        // Category breakdown for expenses, each split line on its own
+        getCategoryAmounts(tx, amount).forEach(({ category, amountInMinorUnits }) => {
+          if (!categoryBreakdown[category]) {
+            categoryBreakdown[category] = 0;
+          }
+          categoryBreakdown[category] += amountInMinorUnits;
+        });
       }
       
       // Daily aggregation
@@ -59,78 +80,97 @@ router.get('/dashboard-summary', auth, async (req, res) => {
       }
       
       if (tx.type === 'income') {
-        dailyData[dateKey].income += amountInUSD;
+        dailyData[dateKey].income += amount;
       } else if (tx.type === 'expense') {
-        dailyData[dateKey].expenses += amountInUSD;
+        dailyData[dateKey].expenses += amount;
       }
     });
     
-    // Calculate account totals by currency
-    const accountTotalsByCurrency = {};
+    // Calculate account totals by currency, summing minor units before formatting
+    const accountTotalsInMinorUnits = {};
     accounts.forEach(account => {
-      if (!accountTotalsByCurrency[account.currency]) {
-        accountTotalsByCurrency[account.currency] = 0;
+      if (!accountTotalsInMinorUnits[account.currency]) {
+        accountTotalsInMinorUnits[account.currency] = 0;
       }
-      accountTotalsByCurrency[account.currency] += account.balanceInMinorUnits / 100;
+      accountTotalsInMinorUnits[account.currency] += account.balanceInMinorUnits;
     });
+    const accountTotalsByCurrency = Object.fromEntries(
+      Object.entries(accountTotalsInMinorUnits).map(([code, total]) => [code, money(total, code)])
+    );
     
-    // Get borrowing summary
+    // Outstanding borrowings count towards net worth at today's rates
     const borrowings = await Borrowing.find({ 
       user: userId,
       status: { $in: ['pending', 'partially_paid', 'overdue'] }
     });
     
-    let totalBorrowed = 0;
-    let totalLent = 0;
-    
-    borrowings.forEach(b => {
-      const remainingInUSD = (b.amountInUSDMinorUnits - b.paidAmountInMinorUnits) / 100;
-      if (b.type === 'borrowed') {
-        totalBorrowed += remainingInUSD;
-      } else if (b.type === 'lent') {
-        totalLent += remainingInUSD;
-      }
-    });
+    const netWorth = calculateNetWorth(accounts, borrowings, currency, now);
     
-    // Sort category breakdown
-    const topCategories = Object.entries(categoryBreakdown)
-      .sort((a, b) => b[1] - a[1])
+    // Roll subcategories up into their parent and sort
+    const categories = await Category.find({ user: userId });
+    const topCategories = rollUpByParent(categoryBreakdown, categories)
+      .sort((a, b) => b.amount - a.amount)
       .slice(0, 5)
-      .map(([category, amount]) => ({
+      .map(({ category, amount, subcategories }) => ({
         category,
-        amount: Math.round(amount * 100) / 100,
-        percentage: totalExpenses > 0 ? Math.round((amount / totalExpenses) * 100) : 0
+        amount: format(amount),
+        percentage: totalExpenses > 0 ? Math.round((amount / totalExpenses) * 100) : 0,
+        subcategories: subcategories
+          .sort((a, b) => b.amount - a.amount)
+          .map(sub => ({ category: sub.category, amount: format(sub.amount) }))
       }));
     
     // Convert daily data to array
     const dailyTrend = Object.entries(dailyData)
       .map(([date, data]) => ({
         date,
-        income: Math.round(data.income * 100) / 100,
-        expenses: Math.round(data.expenses * 100) / 100,
-        net: Math.round((data.income - data.expenses) * 100) / 100
+        income: format(data.income),
+        expenses: format(data.expenses),
+        net: format(data.income - data.expenses)
       }))
       .sort((a, b) => a.date.localeCompare(b.date));
     
     // FIXED: Removed debug field from response
     res.json({
+      currency,
       summary: {
-        totalIncome: Math.round(totalIncome * 100) / 100,
-        totalExpenses: Math.round(totalExpenses * 100) / 100,
-        netIncome: Math.round((totalIncome - totalExpenses) * 100) / 100,
+        totalIncome: format(totalIncome),
+        totalExpenses: format(totalExpenses),
+        netIncome: format(totalIncome - totalExpenses),
         savingsRate: totalIncome > 0 
           ? Math.round(((totalIncome - totalExpenses) / totalIncome) * 100) 
           : 0
       },
       accounts: {
         count: accounts.length,
-        totalsByCurrency: accountTotalsByCurrency
+        totalsByCurrency: accountTotalsByCurrency,
+        total: format(netWorth.accountsInMinorUnits)
       },
       borrowings: {
-        totalBorrowed: Math.round(totalBorrowed * 100) / 100,
-        totalLent: Math.round(totalLent * 100) / 100,
-        netPosition: Math.round((totalLent - totalBorrowed) * 100) / 100
+        totalBorrowed: format(netWorth.borrowedInMinorUnits),
+        totalLent: format(netWorth.lentInMinorUnits),
+        netPosition: format(netWorth.lentInMinorUnits - netWorth.borrowedInMinorUnits)
       },
+      netWorth: format(netWorth.totalInMinorUnits),
+      // Holdings in currencies without an exchange rate, left out of the totals
+      ...((netWorth.unconverted.accounts.length > 0 || netWorth.unconverted.borrowings.length > 0) && {
+        excludedFromNetWorth: {
+          accounts: netWorth.unconverted.accounts.map(account => ({
+            _id: account._id,
+            name: account.name,
+            currency: account.currency,
+            balance: money(account.balanceInMinorUnits, account.currency)
+          })),
+          borrowings: netWorth.unconverted.borrowings.map(borrowing => ({
+            _id: borrowing._id,
+            type: borrowing.type,
+            counterparty: borrowing.counterparty,
+            currency: borrowing.currency,
+            remainingAmount: money(getRemainingInMinorUnits(borrowing), borrowing.currency)
+          }))
+        }
+      }),
+      ...(netWorth.rateWarning && { rateWarning: netWorth.rateWarning }),
       topCategories,
       dailyTrend,
       period: {
@@ -144,10 +184,23 @@ router.get('/dashboard-summary', auth, async (req, res) => {
   }
 });
 
-// Get yearly summary
-router.get('/yearly-summary', auth, async (req, res) => {
+/**
+ * @route   GET /api/dashboard/yearly-summary
+ * @desc    Monthly income and expenses for ?year in ?currency (default: user preference),
+ *          each transaction at its historical rate
+ * @access  Private
+ */
+router.get('/yearly-summary', auth, reportValidation, async (req, res) => {
   try {
     const userId = req.userId;
+    const currency = await getReportCurrency(userId, req.query.currency);
+    const money = getMoneyFormatter(req);
+    const format = (amountInMinorUnits) => money(amountInMinorUnits, currency);
+    const currencyError = checkReportCurrency(currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+    
     const year = parseInt(req.query.year) || new Date().getFullYear();
     
     const startOfYear = new Date(Date.UTC(year, 0, 1, 0, 0, 0, 0));
@@ -175,15 +228,13 @@ router.get('/yearly-summary', auth, async (req, res) => {
     
     transactions.forEach(tx => {
       const monthKey = tx.date.toISOString().substring(0, 7);
-      const amountInUSD = tx.amountInUSDMinorUnits / 100;
-      
       if (monthlyData[monthKey]) {
         monthlyData[monthKey].transactions++;
         
         if (tx.type === 'income') {
-          monthlyData[monthKey].income += amountInUSD;
+          monthlyData[monthKey].income += getTransactionAmount(tx, currency);
         } else if (tx.type === 'expense') {
-          monthlyData[monthKey].expenses += amountInUSD;
+          monthlyData[monthKey].expenses += getTransactionAmount(tx, currency);
         }
       }
     });
@@ -199,9 +250,9 @@ router.get('/yearly-summary', auth, async (req, res) => {
         
         return {
           month,
-          income: Math.round(data.income * 100) / 100,
-          expenses: Math.round(data.expenses * 100) / 100,
-          net: Math.round((data.income - data.expenses) * 100) / 100,
+          income: format(data.income),
+          expenses: format(data.expenses),
+          net: format(data.income - data.expenses),
           transactions: data.transactions
         };
       })
@@ -209,12 +260,13 @@ router.get('/yearly-summary', auth, async (req, res) => {
     
     res.json({
       year,
+      currency,
       summary: {
-        totalIncome: Math.round(yearlyIncome * 100) / 100,
-        totalExpenses: Math.round(yearlyExpenses * 100) / 100,
-        netIncome: Math.round((yearlyIncome - yearlyExpenses) * 100) / 100,
-        averageMonthlyIncome: Math.round((yearlyIncome / 12) * 100) / 100,
-        averageMonthlyExpenses: Math.round((yearlyExpenses / 12) * 100) / 100,
+        totalIncome: format(yearlyIncome),
+        totalExpenses: format(yearlyExpenses),
+        netIncome: format(yearlyIncome - yearlyExpenses),
+        averageMonthlyIncome: format(Math.round(yearlyIncome / 12)),
+        averageMonthlyExpenses: format(Math.round(yearlyExpenses / 12)),
         savingsRate: yearlyIncome > 0 
           ? Math.round(((yearlyIncome - yearlyExpenses) / yearlyIncome) * 100)
           : 0
@@ -227,4 +279,107 @@ router.get('/yearly-summary', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/dashboard/fx-revaluation
+ * @desc    Change in ?currency value (default: user preference) of each foreign-currency
+ *          account between ?startDate (default: start of year) and ?endDate (default: now),
+ *          split into cash flow and unrealized FX gain/loss
+ * @access  Private
+ */
+router.get('/fx-revaluation', auth, reportValidation, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const currency = await getReportCurrency(userId, req.query.currency);
+    const money = getMoneyFormatter(req);
+    const format = (amountInMinorUnits) => money(amountInMinorUnits, currency);
+    const currencyError = checkReportCurrency(currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+    
+    const now = new Date();
+    const start = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(Date.UTC(now.getUTCFullYear(), 0, 1, 0, 0, 0, 0));
+    // Rates for the future do not exist yet; value the closing balance today
+    const end = req.query.endDate && new Date(req.query.endDate) < now
+      ? new Date(req.query.endDate)
+      : now;
+    
+    if (start > end) {
+      return res.status(400).json({ error: 'Start date must be before end date' });
+    }
+    
+    const accounts = await Account.find({
+      user: userId,
+      isActive: true,
+      currency: { $ne: currency }
+    }).sort({ name: 1 });
+    
+    // Everything from the start is needed to roll balances back from today
+    const transactions = await Transaction.find({
+      user: userId,
+      account: { $in: accounts.map(account => account._id) },
+      date: { $gte: start }
+    });
+    
+    const totals = { opening: 0, closing: 0, cashFlow: 0, revaluation: 0 };
+    let rateWarning = null;
+    
+    const rows = accounts.map(account => {
+      const result = calculateFxRevaluation(
+        account,
+        transactions.filter(tx => String(tx.account) === String(account._id)),
+        currency,
+        start,
+        end
+      );
+      
+      totals.opening += result.openingValueInMinorUnits;
+      totals.closing += result.closingValueInMinorUnits;
+      totals.cashFlow += result.cashFlowInMinorUnits;
+      totals.revaluation += result.revaluationInMinorUnits;
+      rateWarning = rateWarning || result.rateWarning;
+      
+      return {
+        account: {
+          id: account._id,
+          name: account.name,
+          currency: account.currency
+        },
+        openingBalance: money(result.openingBalanceInMinorUnits, account.currency),
+        closingBalance: money(result.closingBalanceInMinorUnits, account.currency),
+        openingRate: result.openingRate,
+        closingRate: result.closingRate,
+        openingValue: format(result.openingValueInMinorUnits),
+        closingValue: format(result.closingValueInMinorUnits),
+        change: format(result.closingValueInMinorUnits - result.openingValueInMinorUnits),
+        cashFlow: format(result.cashFlowInMinorUnits),
+        revaluation: format(result.revaluationInMinorUnits)
+      };
+    });
+    
+    res.json({
+      currency,
+      accounts: rows,
+      totals: {
+        openingValue: format(totals.opening),
+        closingValue: format(totals.closing),
+        change: format(totals.closing - totals.opening),
+        cashFlow: format(totals.cashFlow),
+        revaluation: format(totals.revaluation)
+      },
+      ...(rateWarning && { rateWarning }),
+      period: {
+        start: start.toISOString(),
+        end: end.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error generating FX revaluation report:', error);
+    // Missing or too old rates for the period are the caller's to fix
+    res.status(400).json({ error: error.message || 'Failed to generate FX revaluation report' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
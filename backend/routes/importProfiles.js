@@ -0,0 +1,144 @@
+// backend/routes/importProfiles.js
+const express = require('express');
+const router = express.Router();
+const ImportProfile = require('../models/ImportProfile');
+const auth = require('../middleware/auth');
+const { importProfileValidation, validateMongoId, handleValidationErrors } = require('../middleware/validation');
+const { getHeaderFingerprint } = require('../utils/statementImporter');
+
+const COLUMN_FIELDS = ['date', 'amount', 'debit', 'credit', 'description', 'category'];
+
+// Format profile for response
+const formatProfile = (profile) => ({
+  _id: profile._id,
+  bankName: profile.bankName,
+  columns: profile.columns,
+  dateFormat: profile.dateFormat,
+  decimalSeparator: profile.decimalSeparator,
+  signConvention: profile.signConvention,
+  headerFingerprint: profile.headerFingerprint,
+  lastUsedAt: profile.lastUsedAt,
+  createdAt: profile.createdAt,
+  updatedAt: profile.updatedAt
+});
+
+// Copy request fields onto a profile document
+const applyProfileFields = (profile, body) => {
+  if (body.bankName) profile.bankName = body.bankName;
+  if (body.columns) {
+    COLUMN_FIELDS.forEach(field => {
+      if (body.columns[field] !== undefined) {
+        profile.columns[field] = body.columns[field] || undefined;
+      }
+    });
+  }
+  if (body.dateFormat) profile.dateFormat = body.dateFormat;
+  if (body.decimalSeparator) profile.decimalSeparator = body.decimalSeparator;
+  if (body.signConvention) profile.signConvention = body.signConvention;
+  if (body.headers) profile.headerFingerprint = getHeaderFingerprint(body.headers);
+};
+
+/**
+ * @route   GET /api/import-profiles
+ * @desc    Get all import profiles for user
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find({ user: req.userId })
+      .sort({ bankName: 1 });
+    
+    res.json({ profiles: profiles.map(formatProfile) });
+  } catch (error) {
+    console.error('Error fetching import profiles:', error);
+    res.status(500).json({
+      error: 'Failed to fetch import profiles'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/import-profiles
+ * @desc    Create import profile; send the statement headers to enable auto-matching
+ * @access  Private
+ */
+router.post('/', auth, importProfileValidation.create, async (req, res) => {
+  try {
+    const profile = new ImportProfile({ user: req.userId, columns: {} });
+    applyProfileFields(profile, req.body);
+    
+    await profile.save();
+    
+    res.status(201).json({
+      message: 'Import profile created successfully',
+      profile: formatProfile(profile)
+    });
+  } catch (error) {
+    console.error('Error creating import profile:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to create import profile'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/import-profiles/:id
+ * @desc    Update import profile
+ * @access  Private
+ */
+router.put('/:id', auth, importProfileValidation.update, async (req, res) => {
+  try {
+    const profile = await ImportProfile.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Import profile not found'
+      });
+    }
+    
+    applyProfileFields(profile, req.body);
+    await profile.save();
+    
+    res.json({
+      message: 'Import profile updated successfully',
+      profile: formatProfile(profile)
+    });
+  } catch (error) {
+    console.error('Error updating import profile:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to update import profile'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/import-profiles/:id
+ * @desc    Delete import profile
+ * @access  Private
+ */
+router.delete('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const profile = await ImportProfile.findOneAndDelete({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Import profile not found'
+      });
+    }
+    
+    res.json({ message: 'Import profile deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting import profile:', error);
+    res.status(500).json({
+      error: 'Failed to delete import profile'
+    });
+  }
+});
+
+module.exports = router;
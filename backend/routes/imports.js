@@ -0,0 +1,548 @@
+// backend/routes/imports.js
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const ImportBatch = require('../models/ImportBatch');
+const ImportProfile = require('../models/ImportProfile');
+const Borrowing = require('../models/Borrowing');
+const auth = require('../middleware/auth');
+const { validateMongoId, handleValidationErrors } = require('../middleware/validation');
+const { statementUpload, handleUpload } = require('../middleware/upload');
+const { parseStatement } = require('../utils/statementParser');
+const { DEFAULT_CATEGORY, detectColumns, mapRows, getHeaderFingerprint } = require('../utils/statementImporter');
+const { PDF_COLUMNS } = require('../utils/pdfStatementParser');
+const { findActiveAccount, getUSDAmounts, applyToBalance } = require('../utils/ledger');
+const { fromMinorUnits } = require('../utils/currencies');
+const { findDuplicates } = require('../utils/duplicateDetector');
+const { loadActiveRules, applyRules } = require('../utils/ruleEngine');
+
+/**
+ * Find the import profile to apply to a statement
+ * An explicit profileId wins; otherwise match on the header fingerprint
+ * @param {string} userId - Owner of the profile
+ * @param {string[]} headers - Statement headers
+ * @param {string} profileId - Optional profile ID
+ * @returns {Promise<ImportProfile|null>} Matching profile
+ */
+async function findImportProfile(userId, headers, profileId) {
+  if (profileId) {
+    const profile = await ImportProfile.findOne({ _id: profileId, user: userId });
+    if (!profile) {
+      throw new Error('Import profile not found');
+    }
+    return profile;
+  }
+  
+  return ImportProfile.findOne({
+    user: userId,
+    headerFingerprint: getHeaderFingerprint(headers)
+  });
+}
+
+/**
+ * Parse an uploaded statement into report entries
+ * PDF rows come from a line template, so header detection and profiles are skipped
+ * @param {string} userId - Owner of the import
+ * @param {Object} file - multer file
+ * @param {string} fileType - csv, xlsx, xls or pdf
+ * @param {Object} options - profileId, pdfTemplate, currency of the account and a column mapping overriding detection
+ * @returns {Promise<Object>} Report entries from mapRows, the profile applied and unparsed PDF lines
+ */
+async function readStatement(userId, file, fileType, { profileId, pdfTemplate, currency, mapping = {} } = {}) {
+  const parsed = await parseStatement(file.path, fileType, { pdfTemplate });
+  
+  if (fileType === 'pdf') {
+    if (parsed.rows.length === 0) {
+      throw new Error('Could not extract transactions from this statement format');
+    }
+    
+    const { template } = parsed;
+    return {
+      entries: mapRows(parsed.rows, PDF_COLUMNS, {
+        dateFormat: template.dateFormat,
+        decimalSeparator: template.decimalSeparator,
+        currency
+      }),
+      profile: null,
+      headers: Object.values(PDF_COLUMNS),
+      pdfTemplate: template.name,
+      unparsedLines: parsed.unparsed
+    };
+  }
+  
+  const rows = parsed;
+  if (!Array.isArray(rows)) {
+    throw new Error('Could not extract transactions from this statement format');
+  }
+  
+  if (rows.length === 0) {
+    throw new Error('Statement contains no rows');
+  }
+  
+  const headers = Object.keys(rows[0]);
+  const profile = await findImportProfile(userId, headers, profileId);
+  
+  // A profile fully describes the layout; without one fall back to header detection
+  const columns = {
+    ...(profile ? profile.columns.toObject() : detectColumns(headers)),
+    ...mapping
+  };
+  const options = profile
+    ? {
+        dateFormat: profile.dateFormat,
+        decimalSeparator: profile.decimalSeparator,
+        signConvention: profile.signConvention,
+        currency
+      }
+    : { currency };
+  
+  if (profile) {
+    profile.lastUsedAt = new Date();
+    await profile.save();
+  }
+  
+  return { entries: mapRows(rows, columns, options), profile, headers };
+}
+
+// Count rows by status for the review screen
+const summarizeRows = (rows) => ({
+  total: rows.length,
+  ready: rows.filter(r => r.status === 'ready').length,
+  skipped: rows.filter(r => r.status === 'skipped').length,
+  failed: rows.filter(r => r.status === 'failed').length,
+  duplicate: rows.filter(r => r.status === 'duplicate').length,
+  selected: rows.filter(r => r.selected).length
+});
+
+// Format batch for response; rows are left out of list responses
+const formatBatch = (batch, { includeRows = true } = {}) => ({
+  _id: batch._id,
+  account: batch.account,
+  currency: batch.currency,
+  fileName: batch.fileName,
+  fileType: batch.fileType,
+  status: batch.status,
+  profile: batch.profile,
+  pdfTemplate: batch.pdfTemplate,
+  headers: batch.headers,
+  summary: summarizeRows(batch.rows),
+  transactionCount: batch.transactionCount,
+  ...(includeRows && {
+    rows: batch.rows.map(row => ({
+      row: row.row,
+      status: row.status,
+      reason: row.reason,
+      selected: row.selected,
+      date: row.date,
+      type: row.type,
+      amount: row.amountInMinorUnits !== undefined ? fromMinorUnits(row.amountInMinorUnits, batch.currency) : undefined,
+      description: row.description,
+      category: row.category,
+      tags: row.tags,
+      duplicateOf: row.duplicateOf
+    })),
+    unparsedLines: batch.unparsedLines
+  }),
+  committedAt: batch.committedAt,
+  undoneAt: batch.undoneAt,
+  createdAt: batch.createdAt
+});
+
+// Load a batch owned by the user or throw
+async function findBatch(userId, batchId, session = null) {
+  const batch = await ImportBatch.findOne({ _id: batchId, user: userId }).session(session);
+  if (!batch) {
+    throw new Error('Import batch not found');
+  }
+  return batch;
+}
+
+/**
+ * @route   GET /api/transactions/import
+ * @desc    Get import batches for user, newest first
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const batches = await ImportBatch.find({ user: req.userId })
+      .populate('account', 'name currency')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 20);
+    
+    res.json({ batches: batches.map(batch => formatBatch(batch, { includeRows: false })) });
+  } catch (error) {
+    console.error('Error fetching import batches:', error);
+    res.status(500).json({
+      error: 'Failed to fetch import batches'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/transactions/import/:id
+ * @desc    Get an import batch with its staged rows
+ * @access  Private
+ */
+router.get('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({ _id: req.params.id, user: req.userId })
+      .populate('account', 'name currency');
+    
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Import batch not found'
+      });
+    }
+    
+    res.json(formatBatch(batch));
+  } catch (error) {
+    console.error('Error fetching import batch:', error);
+    res.status(500).json({
+      error: 'Failed to fetch import batch'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/transactions/import
+ * @desc    Parse a CSV, Excel or PDF bank statement and stage its rows
+ *          in a pending import batch for review; nothing is posted yet
+ * @access  Private
+ */
+router.post('/', auth, handleUpload(statementUpload.single('statement')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No statement file uploaded' });
+  }
+  
+  const { accountId } = req.body;
+  const fileType = (req.body.fileType || path.extname(req.file.originalname).slice(1)).toLowerCase();
+  
+  if (!mongoose.Types.ObjectId.isValid(accountId)) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({ error: 'Invalid account ID' });
+  }
+  
+  try {
+    const account = await findActiveAccount(req.userId, accountId, null);
+    
+    // Column mapping can be sent as a JSON string in the multipart body
+    const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+    // Rows matching existing transactions start deselected unless duplicates=import
+    const selectDuplicates = req.body.duplicates === 'import';
+    const { entries, profile, headers, pdfTemplate, unparsedLines } = await readStatement(req.userId, req.file, fileType, {
+      profileId: req.body.profileId,
+      pdfTemplate: req.body.pdfTemplate,
+      currency: account.currency,
+      mapping
+    });
+    
+    // Flag rows that already exist in the account (e.g. the same statement imported twice)
+    const ready = entries.filter(entry => entry.status === 'ready');
+    const matches = await findDuplicates(
+      req.userId,
+      account._id,
+      ready.map(entry => ({ ...entry.data, currency: account.currency }))
+    );
+    ready.forEach((entry, index) => {
+      entry.duplicates = matches[index];
+    });
+    
+    // Categorize and clean up descriptions before the user reviews the rows
+    const rules = await loadActiveRules(req.userId);
+    ready.forEach(entry => {
+      const row = { ...entry.data, account: account._id, currency: account.currency };
+      applyRules(rules, row);
+      entry.data.category = row.category;
+      entry.data.description = row.description;
+      entry.data.tags = row.tags;
+    });
+    
+    const batch = new ImportBatch({
+      user: req.userId,
+      account: account._id,
+      currency: account.currency,
+      fileName: req.file.originalname,
+      fileType,
+      profile: profile ? profile._id : undefined,
+      pdfTemplate,
+      headers,
+      unparsedLines: unparsedLines || [],
+      rows: entries.map(entry => {
+        const isDuplicate = entry.duplicates && entry.duplicates.length > 0;
+        
+        return {
+          row: entry.row,
+          status: isDuplicate ? 'duplicate' : entry.status,
+          reason: isDuplicate ? 'Matches an existing transaction' : entry.reason,
+          selected: entry.status === 'ready' && (!isDuplicate || selectDuplicates),
+          ...entry.data,
+          duplicateOf: isDuplicate ? entry.duplicates.map(tx => tx._id) : []
+        };
+      })
+    });
+    
+    await batch.save();
+    
+    res.status(201).json({
+      message: 'Statement parsed; review the rows and commit the import',
+      batch: formatBatch(batch)
+    });
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    res.status(400).json({ error: error.message || 'Failed to import statement' });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+/**
+ * @route   PUT /api/transactions/import/:id/rows
+ * @desc    Edit staged rows: { rows: [{ row, selected, category, description }] }
+ * @access  Private
+ */
+router.put('/:id/rows', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({ _id: req.params.id, user: req.userId });
+    
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Import batch not found'
+      });
+    }
+    
+    if (batch.status !== 'pending') {
+      return res.status(400).json({
+        error: 'Only pending imports can be edited'
+      });
+    }
+    
+    if (!Array.isArray(req.body.rows)) {
+      return res.status(400).json({
+        error: 'rows must be an array'
+      });
+    }
+    
+    for (const update of req.body.rows) {
+      const row = batch.rows.find(r => r.row === update.row);
+      if (!row) {
+        return res.status(400).json({
+          error: `Row ${update.row} not found in this import`
+        });
+      }
+      
+      if (update.selected !== undefined) {
+        // Skipped and failed rows have no transaction data to create
+        if (update.selected && !['ready', 'duplicate'].includes(row.status)) {
+          return res.status(400).json({
+            error: `Row ${row.row} cannot be imported: ${row.reason}`
+          });
+        }
+        row.selected = Boolean(update.selected);
+      }
+      if (update.category !== undefined) {
+        row.category = String(update.category).trim() || DEFAULT_CATEGORY;
+      }
+      if (update.description !== undefined) {
+        row.description = String(update.description).trim();
+      }
+    }
+    
+    await batch.save();
+    
+    res.json({
+      message: 'Import rows updated successfully',
+      batch: formatBatch(batch)
+    });
+  } catch (error) {
+    console.error('Error updating import rows:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to update import rows'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/transactions/import/:id/commit
+ * @desc    Create transactions for the selected rows of a pending batch
+ * @access  Private
+ */
+router.post('/:id/commit', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const batch = await findBatch(req.userId, req.params.id, session);
+      
+      if (batch.status !== 'pending') {
+        throw new Error(`Import has already been ${batch.status}`);
+      }
+      
+      const account = await findActiveAccount(req.userId, batch.account, session);
+      
+      // Statement amounts are in the account currency
+      const transactions = batch.rows
+        .filter(row => row.selected)
+        .map(row => new Transaction({
+          user: req.userId,
+          account: account._id,
+          type: row.type,
+          category: row.category || DEFAULT_CATEGORY,
+          amountInMinorUnits: row.amountInMinorUnits,
+          currency: account.currency,
+          ...getUSDAmounts(row.amountInMinorUnits, account.currency, row.date),
+          description: row.description,
+          tags: row.tags,
+          date: row.date,
+          importBatch: batch._id,
+          // Imported despite a match: remember the user chose to keep both
+          notDuplicateOf: row.duplicateOf
+        }));
+      
+      if (transactions.length === 0) {
+        throw new Error('No rows selected for import');
+      }
+      
+      // The statement is the source of truth, so no insufficient funds check here
+      transactions.forEach(transaction => applyToBalance(transaction, account));
+      
+      await Transaction.insertMany(transactions, { session });
+      await account.save({ session });
+      
+      batch.status = 'committed';
+      batch.committedAt = new Date();
+      batch.transactionCount = transactions.length;
+      await batch.save({ session });
+      
+      res.status(201).json({
+        message: `Imported ${transactions.length} of ${batch.rows.length} rows`,
+        batch: formatBatch(batch, { includeRows: false }),
+        updatedBalance: fromMinorUnits(account.balanceInMinorUnits, account.currency)
+      });
+    });
+  } catch (error) {
+    console.error('Error committing import:', error);
+    res.status(400).json({ error: error.message || 'Failed to commit import' });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   POST /api/transactions/import/:id/undo
+ * @desc    Undo a committed import: delete its transactions and revert balances.
+ *          Refused while any of them is shared with contacts; rows since posted
+ *          for a borrowing are kept
+ * @access  Private
+ */
+router.post('/:id/undo', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const batch = await findBatch(req.userId, req.params.id, session);
+      
+      if (batch.status !== 'committed') {
+        throw new Error('Only committed imports can be undone');
+      }
+      
+      // Reverse what is there now; rows may have been edited, moved or deleted since
+      const imported = await Transaction.find({
+        user: req.userId,
+        importBatch: batch._id
+      }).session(session);
+      
+      const shared = await Borrowing.distinct('sharedExpense', {
+        user: req.userId,
+        sharedExpense: { $in: imported.map(tx => tx._id) }
+      }).session(session);
+      if (shared.length > 0) {
+        const blocked = imported
+          .filter(tx => shared.some(id => String(id) === String(tx._id)))
+          .map(tx => `${tx.date.toISOString().slice(0, 10)} ${tx.description || tx.category}`);
+        throw new Error(`${blocked.length} imported ${blocked.length === 1 ? 'expense is' : 'expenses are'} shared with contacts (${blocked.join(', ')}). Remove their shares first`);
+      }
+      
+      // Borrowings own the rows posted for them; deleting those would unbalance the borrowing
+      const transactions = imported.filter(tx => !tx.borrowing);
+      const kept = imported.filter(tx => tx.borrowing);
+      
+      const accounts = await Account.find({
+        _id: { $in: [...new Set(transactions.map(tx => String(tx.account)))] },
+        user: req.userId
+      }).session(session);
+      const accountsById = new Map(accounts.map(account => [String(account._id), account]));
+      
+      transactions.forEach(transaction => {
+        const account = accountsById.get(String(transaction.account));
+        if (account) {
+          applyToBalance(transaction, account, -1);
+        }
+      });
+      
+      await Transaction.deleteMany({
+        _id: { $in: transactions.map(tx => tx._id) }
+      }).session(session);
+      await Promise.all(accounts.map(account => account.save({ session })));
+      
+      batch.status = 'undone';
+      batch.undoneAt = new Date();
+      await batch.save({ session });
+      
+      res.json({
+        message: `Removed ${transactions.length} imported transactions`,
+        batch: formatBatch(batch, { includeRows: false }),
+        deletedTransactions: transactions.length,
+        ...(kept.length > 0 && {
+          keptTransactions: kept.map(tx => ({ _id: tx._id, borrowing: tx.borrowing }))
+        }),
+        updatedBalances: accounts.map(account => ({
+          account: account._id,
+          balance: fromMinorUnits(account.balanceInMinorUnits, account.currency)
+        }))
+      });
+    });
+  } catch (error) {
+    console.error('Error undoing import:', error);
+    res.status(400).json({ error: error.message || 'Failed to undo import' });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   DELETE /api/transactions/import/:id
+ * @desc    Discard a pending import batch
+ * @access  Private
+ */
+router.delete('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({ _id: req.params.id, user: req.userId });
+    
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Import batch not found'
+      });
+    }
+    
+    if (batch.status === 'committed') {
+      return res.status(400).json({
+        error: 'Undo the import before deleting it'
+      });
+    }
+    
+    await batch.deleteOne();
+    
+    res.json({ message: 'Import batch deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting import batch:', error);
+    res.status(500).json({
+      error: 'Failed to delete import batch'
+    });
+  }
+});
+
+module.exports = router;
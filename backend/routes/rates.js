@@ -0,0 +1,80 @@
+// backend/routes/rates.js
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { rateValidation } = require('../middleware/validation');
+const { toMinorUnits } = require('../utils/currencies');
+const { convertCurrency, getRatesInBase, getRateHistory } = require('../utils/currencyConverter');
+const { getMoneyFormatter } = require('../utils/reporting');
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+/**
+ * @route   GET /api/rates
+ * @desc    Exchange rates as units per 1 ?base (default USD), optionally limited to
+ *          ?symbols=EUR,AZN. With ?date the rates in effect on that day are returned,
+ *          with ?startDate/?endDate every stored day in the range
+ * @access  Private
+ */
+router.get('/', auth, rateValidation.query, async (req, res) => {
+  try {
+    const { base = 'USD', symbols, date, startDate, endDate } = req.query;
+    
+    if (startDate || endDate) {
+      const history = getRateHistory(
+        base,
+        startDate ? new Date(startDate) : null,
+        endDate ? new Date(endDate) : null,
+        symbols
+      );
+      
+      return res.json({
+        base,
+        history: history.map(entry => ({ date: formatDay(entry.date), rates: entry.rates }))
+      });
+    }
+    
+    const snapshot = getRatesInBase(base, date ? new Date(date) : new Date(), symbols);
+    
+    res.json({
+      base,
+      date: formatDay(snapshot.date),
+      rates: snapshot.rates,
+      ageDays: snapshot.ageDays,
+      ...(snapshot.warning && { warning: snapshot.warning })
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(400).json({ error: error.message || 'Failed to fetch exchange rates' });
+  }
+});
+
+/**
+ * @route   POST /api/rates/convert
+ * @desc    Convert an amount between currencies at the rates of ?date (default today),
+ *          using the same converter as transactions and reports
+ * @access  Private
+ */
+router.post('/convert', auth, rateValidation.convert, async (req, res) => {
+  try {
+    const money = getMoneyFormatter(req);
+    const { amount, from, to, date } = req.body;
+    
+    const conversion = convertCurrency(toMinorUnits(amount, from), from, to, date || new Date());
+    
+    res.json({
+      from,
+      to,
+      amount: money(toMinorUnits(amount, from), from),
+      convertedAmount: money(conversion.amountInMinorUnits, to),
+      rate: conversion.exchangeRate,
+      ...(conversion.rateDate && { rateDate: formatDay(conversion.rateDate) }),
+      ...(conversion.warning && { warning: conversion.warning })
+    });
+  } catch (error) {
+    console.error('Error converting currency:', error);
+    res.status(400).json({ error: error.message || 'Failed to convert currency' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+// backend/routes/recurring.js
+const express = require('express');
+const router = express.Router();
+const RecurringTransaction = require('../models/RecurringTransaction');
+const auth = require('../middleware/auth');
+const { recurringValidation, validateMongoId, handleValidationErrors } = require('../middleware/validation');
+const { findActiveAccount } = require('../utils/ledger');
+const { DEFAULT_CATEGORY } = require('../utils/statementImporter');
+const { startOfDay, toDateKey, getOccurrences } = require('../utils/recurrence');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+const {
+  getResumeDate,
+  previewOccurrences,
+  refreshNextOccurrence,
+  runRecurringTransactions
+} = require('../utils/recurringScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Convert minor units to major units for response
+const formatOccurrence = (occurrence, currency) => ({
+  date: occurrence.date,
+  status: occurrence.status,
+  amount: fromMinorUnits(occurrence.amountInMinorUnits, currency),
+  category: occurrence.category,
+  description: occurrence.description
+});
+
+const formatRecurring = (recurring) => ({
+  _id: recurring._id,
+  account: recurring.account,
+  toAccount: recurring.toAccount,
+  type: recurring.type,
+  category: recurring.category,
+  amount: fromMinorUnits(recurring.amountInMinorUnits, recurring.currency),
+  currency: recurring.currency,
+  description: recurring.description,
+  counterparty: recurring.counterparty,
+  tags: recurring.tags,
+  schedule: recurring.schedule,
+  startDate: recurring.startDate,
+  endDate: recurring.endDate,
+  count: recurring.count,
+  exceptions: recurring.exceptions.map(exception => ({
+    date: exception.date,
+    action: exception.action,
+    amount: exception.amountInMinorUnits !== undefined ? fromMinorUnits(exception.amountInMinorUnits, recurring.currency) : undefined,
+    category: exception.category,
+    description: exception.description
+  })),
+  lastOccurrenceDate: recurring.lastOccurrenceDate,
+  nextOccurrenceDate: recurring.nextOccurrenceDate,
+  lastError: recurring.lastError,
+  isActive: recurring.isActive,
+  createdAt: recurring.createdAt
+});
+
+// Copy schedule fields from the request body
+const applyScheduleFields = (recurring, body) => {
+  if (body.schedule) {
+    ['frequency', 'interval', 'dayOfMonth', 'daysOfWeek'].forEach(field => {
+      if (body.schedule[field] !== undefined) {
+        recurring.schedule[field] = body.schedule[field];
+      }
+    });
+  }
+  if (body.endDate !== undefined) recurring.endDate = body.endDate ? new Date(body.endDate) : undefined;
+  if (body.count !== undefined) recurring.count = body.count || undefined;
+};
+
+// Load a schedule owned by the user, or send 404
+async function findRecurring(req, res) {
+  const recurring = await RecurringTransaction.findOne({ _id: req.params.id, user: req.userId });
+  if (!recurring) {
+    res.status(404).json({ error: 'Recurring transaction not found' });
+  }
+  return recurring;
+}
+
+/**
+ * @route   GET /api/recurring
+ * @desc    Get recurring transactions for user
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const recurring = await RecurringTransaction.find({ user: req.userId })
+      .populate('account', 'name currency')
+      .populate('toAccount', 'name currency')
+      .sort({ nextOccurrenceDate: 1 });
+    
+    res.json({ recurring: recurring.map(formatRecurring) });
+  } catch (error) {
+    console.error('Error fetching recurring transactions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recurring transactions'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring
+ * @desc    Create recurring transaction. Past occurrences before today are
+ *          only posted when backfill is true
+ * @access  Private
+ */
+router.post('/', auth, recurringValidation.create, async (req, res) => {
+  try {
+    const account = await findActiveAccount(req.userId, req.body.accountId, null);
+    if (req.body.type === 'transfer') {
+      await findActiveAccount(req.userId, req.body.toAccountId, null, 'Destination account');
+    }
+    
+    const currency = req.body.currency || account.currency;
+    const recurring = new RecurringTransaction({
+      user: req.userId,
+      account: account._id,
+      toAccount: req.body.type === 'transfer' ? req.body.toAccountId : undefined,
+      type: req.body.type,
+      category: req.body.category || DEFAULT_CATEGORY,
+      amountInMinorUnits: toMinorUnits(req.body.amount, currency),
+      currency,
+      description: req.body.description || '',
+      counterparty: req.body.counterparty,
+      tags: req.body.tags || [],
+      schedule: {},
+      startDate: startOfDay(req.body.startDate)
+    });
+    applyScheduleFields(recurring, req.body);
+    
+    // Without backfill, start with today's occurrence
+    const today = startOfDay(new Date());
+    if (!req.body.backfill && recurring.startDate < today) {
+      recurring.lastOccurrenceDate = new Date(today.getTime() - DAY_MS);
+    }
+    refreshNextOccurrence(recurring);
+    
+    await recurring.save();
+    
+    res.status(201).json({
+      message: 'Recurring transaction created successfully',
+      recurring: formatRecurring(recurring),
+      upcoming: previewOccurrences(recurring).map(occurrence => formatOccurrence(occurrence, recurring.currency))
+    });
+  } catch (error) {
+    console.error('Error creating recurring transaction:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to create recurring transaction'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring/run
+ * @desc    Post the user's due occurrences now instead of waiting for the scheduler
+ * @access  Private
+ */
+router.post('/run', auth, async (req, res) => {
+  try {
+    const result = await runRecurringTransactions(new Date(), { user: req.userId });
+    
+    res.json({
+      message: `Posted ${result.posted} transactions`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error running recurring transactions:', error);
+    res.status(500).json({
+      error: 'Failed to run recurring transactions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/recurring/:id/preview
+ * @desc    Preview the next ?count occurrences (default 5, max 50)
+ * @access  Private
+ */
+router.get('/:id/preview', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const recurring = await findRecurring(req, res);
+    if (!recurring) return;
+    
+    const count = Math.min(parseInt(req.query.count) || 5, 50);
+    
+    res.json({
+      occurrences: previewOccurrences(recurring, count).map(occurrence => formatOccurrence(occurrence, recurring.currency))
+    });
+  } catch (error) {
+    console.error('Error previewing recurring transaction:', error);
+    res.status(500).json({
+      error: 'Failed to preview recurring transaction'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/recurring/:id
+ * @desc    Update template values or schedule; applies to future occurrences only
+ * @access  Private
+ */
+router.put('/:id', auth, recurringValidation.update, async (req, res) => {
+  try {
+    const recurring = await findRecurring(req, res);
+    if (!recurring) return;
+    
+    const { category, amount, description, counterparty, tags, isActive } = req.body;
+    if (category) recurring.category = category;
+    if (amount !== undefined) recurring.amountInMinorUnits = toMinorUnits(amount, recurring.currency);
+    if (description !== undefined) recurring.description = description;
+    if (counterparty !== undefined) recurring.counterparty = counterparty;
+    if (Array.isArray(tags)) recurring.tags = tags;
+    if (isActive !== undefined) recurring.isActive = isActive;
+    applyScheduleFields(recurring, req.body);
+    
+    refreshNextOccurrence(recurring);
+    await recurring.save();
+    
+    res.json({
+      message: 'Recurring transaction updated successfully',
+      recurring: formatRecurring(recurring)
+    });
+  } catch (error) {
+    console.error('Error updating recurring transaction:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to update recurring transaction'
+    });
+  }
+});
+
+/**
+ * Record a skip or modification for one upcoming occurrence
+ * The date must be a scheduled occurrence that has not been posted yet
+ */
+async function setOccurrenceException(req, res, action) {
+  try {
+    const recurring = await findRecurring(req, res);
+    if (!recurring) return;
+    
+    const date = startOfDay(req.params.date);
+    if (date < getResumeDate(recurring)) {
+      return res.status(400).json({ error: 'This occurrence has already been posted' });
+    }
+    if (getOccurrences(recurring, date, date).length === 0) {
+      return res.status(400).json({ error: 'No occurrence is scheduled on this date' });
+    }
+    
+    const exception = { date, action };
+    if (action === 'modify') {
+      const { amount, category, description } = req.body;
+      if (amount !== undefined) exception.amountInMinorUnits = toMinorUnits(amount, recurring.currency);
+      if (category) exception.category = category;
+      if (description !== undefined) exception.description = description;
+    }
+    
+    recurring.exceptions = [
+      ...recurring.exceptions.filter(e => toDateKey(e.date) !== toDateKey(date)),
+      exception
+    ];
+    refreshNextOccurrence(recurring);
+    await recurring.save();
+    
+    res.json({
+      message: action === 'skip' ? 'Occurrence skipped' : 'Occurrence updated',
+      recurring: formatRecurring(recurring)
+    });
+  } catch (error) {
+    console.error('Error updating occurrence:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to update occurrence'
+    });
+  }
+}
+
+/**
+ * @route   POST /api/recurring/:id/occurrences/:date/skip
+ * @desc    Skip a single occurrence
+ * @access  Private
+ */
+router.post('/:id/occurrences/:date/skip', auth, recurringValidation.occurrence, (req, res) =>
+  setOccurrenceException(req, res, 'skip')
+);
+
+/**
+ * @route   PUT /api/recurring/:id/occurrences/:date
+ * @desc    Change amount, category or description of a single occurrence
+ * @access  Private
+ */
+router.put('/:id/occurrences/:date', auth, recurringValidation.occurrence, (req, res) =>
+  setOccurrenceException(req, res, 'modify')
+);
+
+/**
+ * @route   DELETE /api/recurring/:id/occurrences/:date
+ * @desc    Restore a skipped or modified occurrence to the template values
+ * @access  Private
+ */
+router.delete('/:id/occurrences/:date', auth, recurringValidation.occurrence, async (req, res) => {
+  try {
+    const recurring = await findRecurring(req, res);
+    if (!recurring) return;
+    
+    const key = toDateKey(req.params.date);
+    recurring.exceptions = recurring.exceptions.filter(e => toDateKey(e.date) !== key);
+    refreshNextOccurrence(recurring);
+    await recurring.save();
+    
+    res.json({
+      message: 'Occurrence restored',
+      recurring: formatRecurring(recurring)
+    });
+  } catch (error) {
+    console.error('Error restoring occurrence:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to restore occurrence'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/recurring/:id
+ * @desc    Delete recurring transaction; already posted transactions are kept
+ * @access  Private
+ */
+router.delete('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const recurring = await RecurringTransaction.findOneAndDelete({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!recurring) {
+      return res.status(404).json({
+        error: 'Recurring transaction not found'
+      });
+    }
+    
+    res.json({ message: 'Recurring transaction deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting recurring transaction:', error);
+    res.status(500).json({
+      error: 'Failed to delete recurring transaction'
+    });
+  }
+});
+
+module.exports = router;
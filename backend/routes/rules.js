@@ -0,0 +1,321 @@
+// backend/routes/rules.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const CategorizationRule = require('../models/CategorizationRule');
+const auth = require('../middleware/auth');
+const { ruleValidation, validateMongoId, handleValidationErrors } = require('../middleware/validation');
+const { evaluateRules, loadActiveRules } = require('../utils/ruleEngine');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currencies');
+
+const CONDITION_FIELDS = ['descriptionContains', 'descriptionRegex', 'type', 'currency', 'account', 'counterparty'];
+
+// Convert minor units to major units for response
+// Limits without a currency condition apply in each transaction's own currency
+// and are stored with two decimals, like USD
+const formatRule = (rule) => {
+  const conditions = rule.conditions || {};
+  const currency = conditions.currency || 'USD';
+  
+  return {
+    _id: rule._id,
+    name: rule.name,
+    priority: rule.priority,
+    isActive: rule.isActive,
+    conditions: {
+      descriptionContains: conditions.descriptionContains,
+      descriptionRegex: conditions.descriptionRegex,
+      type: conditions.type,
+      minAmount: conditions.minAmountInMinorUnits != null ? fromMinorUnits(conditions.minAmountInMinorUnits, currency) : undefined,
+      maxAmount: conditions.maxAmountInMinorUnits != null ? fromMinorUnits(conditions.maxAmountInMinorUnits, currency) : undefined,
+      currency: conditions.currency,
+      account: conditions.account,
+      counterparty: conditions.counterparty
+    },
+    actions: rule.actions,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt
+  };
+};
+
+// Copy request fields onto a rule document; empty values clear a condition
+const applyRuleFields = (rule, body) => {
+  if (body.name) rule.name = body.name;
+  if (body.priority !== undefined) rule.priority = body.priority;
+  if (body.isActive !== undefined) rule.isActive = body.isActive;
+  
+  if (body.conditions) {
+    const previousCurrency = rule.conditions.currency || 'USD';
+    CONDITION_FIELDS.forEach(field => {
+      if (body.conditions[field] !== undefined) {
+        rule.conditions[field] = body.conditions[field] || undefined;
+      }
+    });
+    
+    // Amount limits arrive in major units of the rule currency, or of each
+    // transaction's currency when the rule has none (see ruleMatches)
+    const currency = rule.conditions.currency || 'USD';
+    [['minAmount', 'minAmountInMinorUnits'], ['maxAmount', 'maxAmountInMinorUnits']].forEach(([field, stored]) => {
+      if (body.conditions[field] !== undefined) {
+        rule.conditions[stored] = body.conditions[field] === null || body.conditions[field] === ''
+          ? undefined
+          : toMinorUnits(body.conditions[field], currency);
+      } else if (rule.conditions[stored] != null && currency !== previousCurrency) {
+        // Keep the limit's amount when only the currency changes
+        rule.conditions[stored] = toMinorUnits(fromMinorUnits(rule.conditions[stored], previousCurrency), currency);
+      }
+    });
+  }
+  
+  if (body.actions) {
+    if (body.actions.category !== undefined) rule.actions.category = body.actions.category || undefined;
+    if (body.actions.rename !== undefined) rule.actions.rename = body.actions.rename || undefined;
+    if (body.actions.tags !== undefined) rule.actions.tags = body.actions.tags.filter(Boolean);
+  }
+};
+
+// Build the history query shared by apply and dry-run
+const buildHistoryQuery = (userId, { accountId, startDate, endDate }) => {
+  const query = { user: userId, type: { $ne: 'transfer' } };
+  
+  if (accountId) {
+    if (!mongoose.Types.ObjectId.isValid(accountId)) {
+      throw new Error('Invalid account ID');
+    }
+    query.account = accountId;
+  }
+  
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = new Date(startDate);
+    if (endDate) query.date.$lte = new Date(endDate);
+  }
+  
+  return query;
+};
+
+/**
+ * Run rules over existing transactions
+ * @param {string} userId - Owner of the transactions
+ * @param {Object[]} rules - Rules in priority order
+ * @param {Object} body - accountId, startDate, endDate and overwrite
+ * @returns {Promise<Object[]>} Transactions that would change, with their changes
+ */
+async function previewHistory(userId, rules, body) {
+  const transactions = await Transaction.find(buildHistoryQuery(userId, body))
+    .sort({ date: -1 })
+    .lean();
+  
+  return transactions
+    .map(transaction => ({
+      transaction,
+      ...evaluateRules(rules, transaction, { overwrite: Boolean(body.overwrite) })
+    }))
+    .filter(result => Object.keys(result.changes).length > 0);
+}
+
+// Format a preview result for response
+const formatChange = ({ transaction, changes, matchedRules }) => ({
+  transaction: {
+    _id: transaction._id,
+    account: transaction.account,
+    type: transaction.type,
+    category: transaction.category,
+    amount: fromMinorUnits(transaction.amountInMinorUnits, transaction.currency),
+    currency: transaction.currency,
+    description: transaction.description,
+    tags: transaction.tags || [],
+    date: transaction.date
+  },
+  changes,
+  matchedRules
+});
+
+/**
+ * @route   GET /api/rules
+ * @desc    Get categorization rules in the order they run
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await CategorizationRule.find({ user: req.userId })
+      .sort({ priority: 1, createdAt: 1 });
+    
+    res.json({ rules: rules.map(formatRule) });
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rules'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/rules
+ * @desc    Create categorization rule
+ * @access  Private
+ */
+router.post('/', auth, ruleValidation.create, async (req, res) => {
+  try {
+    const rule = new CategorizationRule({ user: req.userId, conditions: {}, actions: {} });
+    applyRuleFields(rule, req.body);
+    
+    await rule.save();
+    
+    res.status(201).json({
+      message: 'Rule created successfully',
+      rule: formatRule(rule)
+    });
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to create rule'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/rules/dry-run
+ * @desc    Show which transactions a rule would change without saving anything.
+ *          Send ruleId for a saved rule or rule for an unsaved one
+ * @access  Private
+ */
+router.post('/dry-run', auth, ruleValidation.dryRun, async (req, res) => {
+  try {
+    let rule;
+    
+    if (req.body.ruleId) {
+      rule = await CategorizationRule.findOne({ _id: req.body.ruleId, user: req.userId });
+      if (!rule) {
+        return res.status(404).json({
+          error: 'Rule not found'
+        });
+      }
+    } else if (req.body.rule) {
+      rule = new CategorizationRule({ user: req.userId, name: 'Preview', conditions: {}, actions: {} });
+      applyRuleFields(rule, req.body.rule);
+      await rule.validate();
+    } else {
+      return res.status(400).json({
+        error: 'ruleId or rule is required'
+      });
+    }
+    
+    const results = await previewHistory(req.userId, [rule], req.body);
+    
+    res.json({
+      matched: results.length,
+      changes: results.map(formatChange)
+    });
+  } catch (error) {
+    console.error('Error previewing rule:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to preview rule'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/rules/apply
+ * @desc    Apply active rules (or ruleIds) to existing transactions;
+ *          dryRun returns the changes without saving them
+ * @access  Private
+ */
+router.post('/apply', auth, async (req, res) => {
+  try {
+    let rules = await loadActiveRules(req.userId);
+    
+    if (Array.isArray(req.body.ruleIds) && req.body.ruleIds.length > 0) {
+      const ids = req.body.ruleIds.map(String);
+      rules = rules.filter(rule => ids.includes(String(rule._id)));
+    }
+    
+    const results = await previewHistory(req.userId, rules, req.body);
+    
+    // Category, tags and description do not touch balances, so a bulk update is enough
+    if (!req.body.dryRun && results.length > 0) {
+      await Transaction.bulkWrite(results.map(({ transaction, changes }) => ({
+        updateOne: {
+          filter: { _id: transaction._id, user: req.userId },
+          update: { $set: { ...changes, updatedAt: new Date() } }
+        }
+      })));
+    }
+    
+    res.json({
+      message: req.body.dryRun
+        ? `${results.length} transactions would change`
+        : `Updated ${results.length} transactions`,
+      updated: req.body.dryRun ? 0 : results.length,
+      changes: results.map(formatChange)
+    });
+  } catch (error) {
+    console.error('Error applying rules:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to apply rules'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/rules/:id
+ * @desc    Update categorization rule
+ * @access  Private
+ */
+router.put('/:id', auth, ruleValidation.update, async (req, res) => {
+  try {
+    const rule = await CategorizationRule.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Rule not found'
+      });
+    }
+    
+    applyRuleFields(rule, req.body);
+    await rule.save();
+    
+    res.json({
+      message: 'Rule updated successfully',
+      rule: formatRule(rule)
+    });
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to update rule'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/rules/:id
+ * @desc    Delete categorization rule
+ * @access  Private
+ */
+router.delete('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const rule = await CategorizationRule.findOneAndDelete({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Rule not found'
+      });
+    }
+    
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete rule'
+    });
+  }
+});
+
+module.exports = router;
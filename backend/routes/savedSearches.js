@@ -0,0 +1,169 @@
+// backend/routes/savedSearches.js
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const Account = require('../models/Account');
+const auth = require('../middleware/auth');
+const { savedSearchValidation, validateMongoId, handleValidationErrors } = require('../middleware/validation');
+const { normalizeTags } = require('../utils/transactionSearch');
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+// Mongo duplicate key errors come from the unique { user, name } index
+const describeError = (error) =>
+  error.code === 11000 ? 'A saved search with this name already exists' : error.message;
+
+// Filters use the GET /api/transactions parameter names so clients can pass them on as is
+const formatSavedSearch = (search) => {
+  const filters = search.filters || {};
+  
+  return {
+    _id: search._id,
+    name: search.name,
+    filters: {
+      ...(filters.account && { accountId: filters.account }),
+      ...(filters.type && { type: filters.type }),
+      ...(filters.category && { category: filters.category }),
+      ...(filters.startDate && { startDate: formatDay(filters.startDate) }),
+      ...(filters.endDate && { endDate: formatDay(filters.endDate) }),
+      ...(filters.tags && filters.tags.length > 0 && { tags: filters.tags, tagMatch: filters.tagMatch }),
+      ...(filters.minAmount != null && { minAmount: filters.minAmount }),
+      ...(filters.maxAmount != null && { maxAmount: filters.maxAmount }),
+      ...(filters.search && { search: filters.search })
+    },
+    createdAt: search.createdAt,
+    updatedAt: search.updatedAt
+  };
+};
+
+// Replace the filter combination of a saved search; empty values are left out
+const applySearchFields = async (search, body, userId) => {
+  if (body.name) search.name = body.name;
+  if (!body.filters) return;
+  
+  const filters = body.filters;
+  if (filters.accountId) {
+    const account = await Account.findOne({ _id: filters.accountId, user: userId });
+    if (!account) {
+      throw new Error('Account not found');
+    }
+  }
+  
+  const present = (value) => value !== undefined && value !== null && value !== '';
+  search.filters = {
+    account: filters.accountId || undefined,
+    type: filters.type || undefined,
+    category: filters.category || undefined,
+    startDate: filters.startDate ? new Date(filters.startDate) : undefined,
+    endDate: filters.endDate ? new Date(filters.endDate) : undefined,
+    tags: normalizeTags(filters.tags),
+    tagMatch: filters.tagMatch || 'any',
+    minAmount: present(filters.minAmount) ? Number(filters.minAmount) : undefined,
+    maxAmount: present(filters.maxAmount) ? Number(filters.maxAmount) : undefined,
+    search: filters.search || undefined
+  };
+};
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    Get saved transaction searches for user
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.userId }).sort({ name: 1 });
+    
+    res.json({ savedSearches: searches.map(formatSavedSearch) });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved searches'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a named combination of transaction filters
+ * @access  Private
+ */
+router.post('/', auth, savedSearchValidation.create, async (req, res) => {
+  try {
+    const search = new SavedSearch({ user: req.userId });
+    await applySearchFields(search, { filters: {}, ...req.body }, req.userId);
+    
+    await search.save();
+    
+    res.status(201).json({
+      message: 'Search saved successfully',
+      savedSearch: formatSavedSearch(search)
+    });
+  } catch (error) {
+    console.error('Error creating saved search:', error);
+    res.status(400).json({
+      error: describeError(error) || 'Failed to save search'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/saved-searches/:id
+ * @desc    Rename a saved search or replace its filters
+ * @access  Private
+ */
+router.put('/:id', auth, savedSearchValidation.update, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!search) {
+      return res.status(404).json({
+        error: 'Saved search not found'
+      });
+    }
+    
+    await applySearchFields(search, req.body, req.userId);
+    await search.save();
+    
+    res.json({
+      message: 'Saved search updated successfully',
+      savedSearch: formatSavedSearch(search)
+    });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(400).json({
+      error: describeError(error) || 'Failed to update saved search'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete saved search
+ * @access  Private
+ */
+router.delete('/:id', auth, validateMongoId('id'), handleValidationErrors, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!search) {
+      return res.status(404).json({
+        error: 'Saved search not found'
+      });
+    }
+    
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({
+      error: 'Failed to delete saved search'
+    });
+  }
+});
+
+module.exports = router;
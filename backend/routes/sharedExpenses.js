@@ -0,0 +1,271 @@
+// backend/routes/sharedExpenses.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Borrowing = require('../models/Borrowing');
+const auth = require('../middleware/auth');
+const { sharedExpenseValidation } = require('../middleware/validation');
+const { toMinorUnits, getExponent, countDecimals } = require('../utils/currencies');
+const { getMoneyFormatter } = require('../utils/reporting');
+const { getUSDAmounts } = require('../utils/ledger');
+const { getRemainingInMinorUnits } = require('../utils/amortization');
+const { resolveContact } = require('../utils/contacts');
+const { splitSharedExpense } = require('../utils/sharedExpenses');
+
+// One contact's share, tracked as money lent
+const formatShare = (borrowing, money) => ({
+  borrowing: borrowing._id,
+  contact: borrowing.contact,
+  counterparty: borrowing.counterparty,
+  amount: money(borrowing.amountInMinorUnits, borrowing.currency),
+  paidAmount: money(borrowing.paidAmountInMinorUnits, borrowing.currency),
+  remainingAmount: money(getRemainingInMinorUnits(borrowing), borrowing.currency),
+  status: borrowing.status
+});
+
+// An expense with its shares; the user's own share is whatever the contacts do not owe
+const formatSharedExpense = (transaction, shares, money) => {
+  const { currency } = transaction;
+  const sharedInMinorUnits = shares.reduce((sum, b) => sum + b.amountInMinorUnits, 0);
+  const outstandingInMinorUnits = shares.reduce((sum, b) => sum + getRemainingInMinorUnits(b), 0);
+  
+  return {
+    transaction: {
+      _id: transaction._id,
+      account: transaction.account,
+      category: transaction.category,
+      description: transaction.description,
+      amount: money(transaction.amountInMinorUnits, currency),
+      currency,
+      date: transaction.date
+    },
+    yourShare: money(transaction.amountInMinorUnits - sharedInMinorUnits, currency),
+    outstanding: money(outstandingInMinorUnits, currency),
+    settled: outstandingInMinorUnits === 0,
+    shares: shares.map(b => formatShare(b, money))
+  };
+};
+
+// Share amounts in major units, checked against the currency's decimal places
+const toShareAmount = (amount, currency) => {
+  if (amount === undefined || amount === null || amount === '') return undefined;
+  if (countDecimals(amount) > getExponent(currency)) {
+    throw new Error(`Amount cannot have more than ${getExponent(currency)} decimal places for ${currency}`);
+  }
+  return toMinorUnits(amount, currency);
+};
+
+/**
+ * @route   GET /api/shared-expenses
+ * @desc    Get expenses shared with contacts; ?status=open keeps those
+ *          with shares still owed
+ * @access  Private
+ */
+router.get('/', auth, sharedExpenseValidation.list, async (req, res) => {
+  try {
+    const money = getMoneyFormatter(req);
+    const shares = await Borrowing.find({
+      user: req.userId,
+      sharedExpense: { $exists: true }
+    }).sort({ createdAt: 1 });
+    
+    const byExpense = new Map();
+    shares.forEach(share => {
+      const key = String(share.sharedExpense);
+      byExpense.set(key, [...(byExpense.get(key) || []), share]);
+    });
+    
+    const transactions = await Transaction.find({
+      _id: { $in: [...byExpense.keys()] },
+      user: req.userId
+    }).sort({ date: -1 });
+    
+    let sharedExpenses = transactions.map(t => formatSharedExpense(t, byExpense.get(String(t._id)), money));
+    if (req.query.status === 'open') {
+      sharedExpenses = sharedExpenses.filter(expense => !expense.settled);
+    }
+    
+    res.json({ sharedExpenses });
+  } catch (error) {
+    console.error('Error fetching shared expenses:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shared expenses'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/shared-expenses/:transactionId
+ * @desc    Get the shares of one expense
+ * @access  Private
+ */
+router.get('/:transactionId', auth, sharedExpenseValidation.get, async (req, res) => {
+  try {
+    const money = getMoneyFormatter(req);
+    const transaction = await Transaction.findOne({
+      _id: req.params.transactionId,
+      user: req.userId
+    });
+    
+    if (!transaction) {
+      return res.status(404).json({
+        error: 'Transaction not found'
+      });
+    }
+    
+    const shares = await Borrowing.find({
+      user: req.userId,
+      sharedExpense: transaction._id
+    }).sort({ createdAt: 1 });
+    
+    res.json({ sharedExpense: formatSharedExpense(transaction, shares, money) });
+  } catch (error) {
+    console.error('Error fetching shared expense:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shared expense'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/shared-expenses
+ * @desc    Share an expense the user paid with contacts: split it equally,
+ *          by shares or by exact amounts, and record each contact's share
+ *          as money lent to them. Participants name a contactId or a name;
+ *          the user takes part unless includeSelf is false
+ * @access  Private
+ */
+router.post('/', auth, sharedExpenseValidation.create, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const { transactionId, method, includeSelf = true, selfShares, selfAmount, participants, dueDate } = req.body;
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const transaction = await Transaction.findOne({
+        _id: transactionId,
+        user: req.userId
+      }).session(session);
+      
+      if (!transaction) {
+        throw new Error('Transaction not found');
+      }
+      if (transaction.type !== 'expense' || transaction.transferDirection) {
+        throw new Error('Only expenses can be shared');
+      }
+      if (transaction.borrowing) {
+        throw new Error('This transaction was posted for a borrowing and cannot be shared');
+      }
+      
+      const existing = await Borrowing.countDocuments({
+        user: req.userId,
+        sharedExpense: transaction._id
+      }).session(session);
+      if (existing > 0) {
+        throw new Error('This expense is already shared. Remove its shares first');
+      }
+      
+      const { currency } = transaction;
+      const contacts = [];
+      for (const participant of participants) {
+        const contact = await resolveContact(req.userId, {
+          contactId: participant.contactId,
+          counterparty: participant.name
+        }, session);
+        if (contacts.some(c => String(c._id) === String(contact._id))) {
+          throw new Error(`${contact.name} is listed more than once`);
+        }
+        contacts.push(contact);
+      }
+      
+      // The user goes first so equal splits leave rounding with them
+      const people = [
+        ...(includeSelf ? [{ self: true, shares: selfShares, amountInMinorUnits: toShareAmount(selfAmount, currency) }] : []),
+        ...participants.map(participant => ({
+          shares: participant.shares,
+          amountInMinorUnits: toShareAmount(participant.amount, currency)
+        }))
+      ];
+      const amounts = splitSharedExpense(transaction.amountInMinorUnits, method, people)
+        .slice(includeSelf ? 1 : 0);
+      
+      const shares = [];
+      for (const [index, contact] of contacts.entries()) {
+        const borrowing = new Borrowing({
+          user: req.userId,
+          type: 'lent',
+          counterparty: contact.name,
+          contact: contact._id,
+          amountInMinorUnits: amounts[index],
+          currency,
+          ...getUSDAmounts(amounts[index], currency, transaction.date),
+          description: `Share of ${transaction.description || transaction.category}`,
+          date: transaction.date,
+          dueDate: dueDate ? new Date(dueDate) : undefined,
+          sharedExpense: transaction._id,
+          status: 'pending',
+          paidAmountInMinorUnits: 0
+        });
+        await borrowing.save({ session });
+        shares.push(borrowing);
+      }
+      
+      res.status(201).json({
+        message: `Expense shared with ${shares.length} ${shares.length === 1 ? 'contact' : 'contacts'}`,
+        sharedExpense: formatSharedExpense(transaction, shares, money)
+      });
+    });
+  } catch (error) {
+    console.error('Error sharing expense:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to share expense'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+/**
+ * @route   DELETE /api/shared-expenses/:transactionId
+ * @desc    Stop sharing an expense: deletes its shares, as long as nothing
+ *          has been paid on them
+ * @access  Private
+ */
+router.delete('/:transactionId', auth, sharedExpenseValidation.get, async (req, res) => {
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const shares = await Borrowing.find({
+        user: req.userId,
+        sharedExpense: req.params.transactionId
+      }).session(session);
+      
+      if (shares.length === 0) {
+        throw new Error('This expense is not shared');
+      }
+      
+      const paid = shares.filter(b => b.paidAmountInMinorUnits > 0);
+      if (paid.length > 0) {
+        throw new Error(`${paid.map(b => b.counterparty).join(', ')} already paid towards this expense. Reverse those payments first`);
+      }
+      
+      await Borrowing.deleteMany({ _id: { $in: shares.map(b => b._id) } }, { session });
+      
+      res.json({
+        message: 'Shares removed successfully',
+        deletedShares: shares.length
+      });
+    });
+  } catch (error) {
+    console.error('Error removing shares:', error);
+    res.status(400).json({
+      error: error.message || 'Failed to remove shares'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
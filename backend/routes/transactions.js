@@ -4,18 +4,62 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const Account = require('../models/Account');
+const Borrowing = require('../models/Borrowing');
 const auth = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
-const { convertCurrency, getExchangeRateToUSD } = require('../utils/currencyConverter');
+const { DEFAULT_CATEGORY } = require('../utils/statementImporter');
+const { DEFAULT_WINDOW_DAYS, findDuplicates, findDuplicateGroups } = require('../utils/duplicateDetector');
+const {
+  findActiveAccount,
+  getUSDAmounts,
+  applyToBalance,
+  assertSufficientFunds,
+  buildIncomingLeg,
+  postTransaction,
+  postExchange,
+  getExchangeFees,
+  getTransferLegs
+} = require('../utils/ledger');
+const { transactionValidation, isAcceptedCurrency } = require('../middleware/validation');
+const { loadActiveRules, evaluateRules } = require('../utils/ruleEngine');
+const { toMinorUnits, fromMinorUnits, getExponent, countDecimals, isSupportedCurrency } = require('../utils/currencies');
+const { getMoneyFormatter } = require('../utils/reporting');
+const { SPLIT_CATEGORY, toSplitLines } = require('../utils/splits');
+const { normalizeTags, buildTransactionQuery } = require('../utils/transactionSearch');
 
 // Validation middleware for transaction creation
+// Reject precision the transaction currency lacks (12.345 USD, 1.5 JPY); without
+// a currency the account's is checked when posting (see toAccountMinorUnits)
+const withinCurrencyDecimals = (value, { req }) => {
+  const currency = String(req.body.currency || '').trim().toUpperCase();
+  if (isSupportedCurrency(currency) && countDecimals(value) > getExponent(currency)) {
+    throw new Error(`Amount cannot have more than ${getExponent(currency)} decimal places in ${currency}`);
+  }
+  return true;
+};
+
 const validateTransaction = [
   body('accountId').isMongoId().withMessage('Invalid account ID'),
   body('type').isIn(['income', 'expense', 'transfer']).withMessage('Invalid transaction type'),
-  body('category').notEmpty().trim().withMessage('Category is required'),
-  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be positive'),
-  body('currency').optional().isIn(['USD', 'EUR', 'AZN']).withMessage('Invalid currency'),
+  body('toAccountId')
+    .if(body('type').equals('transfer'))
+    .isMongoId().withMessage('Destination account is required for transfers')
+    .custom((value, { req }) => value !== req.body.accountId)
+    .withMessage('Source and destination accounts must differ'),
+  // Left empty, the category comes from the user's rules or defaults to Uncategorized
+  body('category').optional().trim(),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be positive').custom(withinCurrencyDecimals),
+  body('currency').optional().trim().toUpperCase().custom(isAcceptedCurrency)
+    .withMessage('Currency must be a supported ISO 4217 code with exchange rates'),
   body('description').optional().trim(),
+  body('counterparty').optional().trim().isLength({ max: 100 }).withMessage('Counterparty is too long'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('splits').optional().isArray().withMessage('Splits must be an array'),
+  body('splits.*.category').trim().notEmpty().withMessage('Each split line needs a category'),
+  body('splits.*.amount')
+    .isFloat({ gt: 0 }).withMessage('Each split line needs a positive amount')
+    .custom(withinCurrencyDecimals),
+  body('splits.*.note').optional().trim(),
   body('date').isISO8601().toDate().withMessage('Invalid date format'),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -26,21 +70,44 @@ const validateTransaction = [
   }
 ];
 
+// Format for response; money defaults to major units (see getMoneyFormatter)
+const formatTransaction = (t, money = fromMinorUnits) => ({
+  _id: t._id,
+  account: t.account,
+  type: t.type,
+  category: t.category,
+  amount: money(t.amountInMinorUnits, t.currency),
+  currency: t.currency,
+  amountInUSD: money(t.amountInUSDMinorUnits, 'USD'),
+  description: t.description,
+  counterparty: t.counterparty,
+  tags: t.tags,
+  ...(t.splits && t.splits.length > 0 && {
+    splits: t.splits.map(split => ({
+      _id: split._id,
+      category: split.category,
+      amount: money(split.amountInMinorUnits, t.currency),
+      note: split.note
+    }))
+  }),
+  date: t.date,
+  createdAt: t.createdAt,
+  ...(t.transferDirection && {
+    transferDirection: t.transferDirection,
+    transferAccount: t.transferAccount,
+    linkedTransaction: t.linkedTransaction
+  }),
+  ...(t.exchangeRate && { exchangeRate: t.exchangeRate }),
+  ...(t.borrowing && { borrowing: t.borrowing })
+});
+
 // Get all transactions for the authenticated user
-router.get('/', auth, async (req, res) => {
+// Filters: accountId, type, category, startDate, endDate, tags (comma-separated)
+// with tagMatch=any|all, minAmount/maxAmount and free-text search
+router.get('/', auth, transactionValidation.query, async (req, res) => {
   try {
-    const { 
-      accountId, 
-      type, 
-      category, 
-      startDate, 
-      endDate, 
-      page = 1, 
-      limit = 50 
-    } = req.query;
-    
-    // Build query
-    const query = { user: req.userId };
+    const money = getMoneyFormatter(req);
+    const { accountId, page = 1, limit = 50 } = req.query;
     
     if (accountId) {
       // Verify account belongs to user
@@ -48,18 +115,9 @@ router.get('/', auth, async (req, res) => {
       if (!account) {
         return res.status(404).json({ error: 'Account not found' });
       }
-      query.account = accountId;
     }
     
-    if (type) query.type = type;
-    if (category) query.category = new RegExp(category, 'i');
-    
-    // Date range filter
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
-    }
+    const query = buildTransactionQuery(req.userId, req.query);
     
     // Pagination
     const skip = (page - 1) * limit;
@@ -67,28 +125,15 @@ router.get('/', auth, async (req, res) => {
     const [transactions, total] = await Promise.all([
       Transaction.find(query)
         .populate('account', 'name type currency')
+        .populate('transferAccount', 'name type currency')
         .sort({ date: -1, createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
       Transaction.countDocuments(query)
     ]);
     
-    // Convert minor units to major units for response
-    const formattedTransactions = transactions.map(t => ({
-      _id: t._id,
-      account: t.account,
-      type: t.type,
-      category: t.category,
-      amount: t.amountInMinorUnits / 100,
-      currency: t.currency,
-      amountInUSD: t.amountInUSDMinorUnits / 100,
-      description: t.description,
-      date: t.date,
-      createdAt: t.createdAt
-    }));
-    
     res.json({
-      transactions: formattedTransactions,
+      transactions: transactions.map(t => formatTransaction(t, money)),
       pagination: {
         total,
         page: parseInt(page),
@@ -102,107 +147,273 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// Create a new transaction
-router.post('/', auth, validateTransaction, async (req, res) => {
+// Tags in use, most used first, for filters and tag pickers
+router.get('/tags', auth, async (req, res) => {
+  try {
+    const tags = await Transaction.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(req.userId) } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+    
+    res.json({ tags: tags.map(tag => ({ name: tag._id, count: tag.count })) });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Find likely duplicate transactions in an account
+router.get('/duplicates', auth, async (req, res) => {
+  try {
+    const money = getMoneyFormatter(req);
+    const { accountId, startDate, endDate, windowDays = DEFAULT_WINDOW_DAYS } = req.query;
+    
+    if (!mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({ error: 'Invalid account ID' });
+    }
+    
+    const query = { user: req.userId, account: accountId };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+    
+    const transactions = await Transaction.find(query)
+      .populate('account', 'name type currency')
+      .sort({ date: 1 });
+    
+    const groups = findDuplicateGroups(transactions, parseInt(windowDays));
+    
+    res.json({
+      groups: groups.map(group => group.map(t => formatTransaction(t, money))),
+      total: groups.length
+    });
+  } catch (error) {
+    console.error('Error finding duplicate transactions:', error);
+    res.status(500).json({ error: 'Failed to find duplicate transactions' });
+  }
+});
+
+// Merge a duplicate into this transaction: the duplicate is deleted and its
+// balance effect reversed, filling in any details this transaction lacks
+router.post('/:id/merge', auth, async (req, res) => {
+  const money = getMoneyFormatter(req);
   const session = await mongoose.startSession();
   
   try {
     await session.withTransaction(async () => {
-      const { accountId, type, category, amount, currency, description, date } = req.body;
+      const { id } = req.params;
+      const { duplicateId } = req.body;
       
-      // FIXED: Properly scope account lookup by user
-      const account = await Account.findOne({ 
-        _id: accountId, 
-        user: req.userId 
-      }).session(session);
+      const [transaction, duplicate] = await Promise.all([
+        Transaction.findOne({ _id: id, user: req.userId }).session(session),
+        Transaction.findOne({ _id: duplicateId, user: req.userId }).session(session)
+      ]);
       
-      if (!account) {
-        throw new Error('Account not found');
+      if (!transaction || !duplicate) {
+        throw new Error('Transaction not found');
       }
       
-      if (!account.isActive) {
-        throw new Error('Account is inactive');
+      if (String(transaction._id) === String(duplicate._id)) {
+        throw new Error('Cannot merge a transaction with itself');
       }
       
-      // Convert amount to minor units (cents)
-      const amountInMinorUnits = Math.round(amount * 100);
+      if (transaction.transferDirection || duplicate.transferDirection) {
+        throw new Error('Transfers cannot be merged. Delete the duplicate transfer instead');
+      }
       
-      // Use transaction currency or default to account currency
-      const txCurrency = currency || account.currency;
-      const txDate = new Date(date);
+      if (String(transaction.account) !== String(duplicate.account)) {
+        throw new Error('Only transactions in the same account can be merged');
+      }
       
-      // Get exchange rate for the transaction date
-      const exchangeRateToUSD = getExchangeRateToUSD(txCurrency, txDate);
-      if (!exchangeRateToUSD) {
-        throw new Error(`Exchange rate not available for ${txCurrency}`);
+      if (duplicate.borrowing) {
+        throw new Error('The duplicate was posted for a borrowing. Merge the other transaction into it instead');
       }
       
-      // Calculate USD amount
-      const usdConversion = convertCurrency(
-        amountInMinorUnits, 
-        txCurrency, 
-        'USD', 
-        txDate
-      );
+      if (await Borrowing.exists({ user: req.userId, sharedExpense: duplicate._id }).session(session)) {
+        throw new Error('The duplicate is shared with contacts. Merge the other transaction into it instead');
+      }
       
-      // FIXED: Handle cross-currency transactions
-      let accountBalanceDelta = amountInMinorUnits;
-      if (txCurrency !== account.currency) {
-        const accountConversion = convertCurrency(
-          amountInMinorUnits,
-          txCurrency,
-          account.currency,
-          txDate
-        );
-        accountBalanceDelta = accountConversion.amountInMinorUnits;
+      const account = await Account.findOne({
+        _id: transaction.account,
+        user: req.userId
+      }).session(session);
+      
+      if (account) {
+        applyToBalance(duplicate, account, -1);
+        await account.save({ session });
       }
       
-      // Update account balance
-      if (type === 'income') {
-        account.balanceInMinorUnits += accountBalanceDelta;
-      } else if (type === 'expense') {
-        account.balanceInMinorUnits -= accountBalanceDelta;
-        
-        // Check for insufficient funds
-        if (account.balanceInMinorUnits < 0 && account.type !== 'credit') {
-          throw new Error('Insufficient funds');
+      if (!transaction.description && duplicate.description) {
+        transaction.description = duplicate.description;
+      }
+      if (transaction.category === DEFAULT_CATEGORY && duplicate.category !== DEFAULT_CATEGORY) {
+        transaction.category = duplicate.category;
+        // Split lines only fit when the amounts agree
+        if (duplicate.splits.length > 0 && duplicate.amountInMinorUnits === transaction.amountInMinorUnits) {
+          transaction.splits = duplicate.splits.map(({ category, amountInMinorUnits, note }) => ({ category, amountInMinorUnits, note }));
+        } else if (duplicate.category === SPLIT_CATEGORY) {
+          transaction.category = DEFAULT_CATEGORY;
         }
       }
       
-      // Create transaction
-      const transaction = new Transaction({
-        user: req.userId,
-        account: accountId,
+      await duplicate.deleteOne({ session });
+      await transaction.save({ session });
+      await transaction.populate('account', 'name type currency');
+      
+      res.json({
+        message: 'Transactions merged successfully',
+        transaction: formatTransaction(transaction, money),
+        removedTransaction: duplicate._id,
+        updatedBalance: account ? money(account.balanceInMinorUnits, account.currency) : null
+      });
+    });
+  } catch (error) {
+    console.error('Error merging transactions:', error);
+    res.status(400).json({ error: error.message || 'Failed to merge transactions' });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Mark two transactions as distinct so they are no longer flagged
+router.post('/:id/ignore-duplicate', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateId } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(duplicateId)) {
+      return res.status(400).json({ error: 'Invalid transaction ID' });
+    }
+    
+    const [transaction, duplicate] = await Promise.all([
+      Transaction.findOne({ _id: id, user: req.userId }),
+      Transaction.findOne({ _id: duplicateId, user: req.userId })
+    ]);
+    
+    if (!transaction || !duplicate) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    
+    await Promise.all([
+      transaction.updateOne({ $addToSet: { notDuplicateOf: duplicate._id } }),
+      duplicate.updateOne({ $addToSet: { notDuplicateOf: transaction._id } })
+    ]);
+    
+    res.json({ message: 'Transactions marked as not duplicates' });
+  } catch (error) {
+    console.error('Error ignoring duplicate:', error);
+    res.status(500).json({ error: 'Failed to ignore duplicate' });
+  }
+});
+
+// Create a new transaction
+router.post('/', auth, validateTransaction, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const {
+        accountId,
+        toAccountId,
+        type,
+        category,
+        amount,
+        currency,
+        description,
+        counterparty,
+        tags,
+        splits,
+        date,
+        checkDuplicates
+      } = req.body;
+      
+      // Use transaction currency or default to account currency,
+      // then convert amount to its minor units (cents, yen, fils)
+      const sourceAccount = await findActiveAccount(req.userId, accountId, session);
+      const txCurrency = currency || sourceAccount.currency;
+      const amountInMinorUnits = currency
+        ? toMinorUnits(amount, txCurrency)
+        : toAccountMinorUnits(amount, sourceAccount, 'Amount');
+      
+      // Rules fill in the category when none was chosen, add tags and rename
+      const fields = {
+        accountId,
+        toAccountId,
         type,
         category,
         amountInMinorUnits,
         currency: txCurrency,
-        exchangeRateToUSD,
-        amountInUSDMinorUnits: usdConversion.amountInMinorUnits,
-        description,
-        date: txDate
-      });
+        description: description || '',
+        counterparty,
+        tags: normalizeTags(tags),
+        date
+      };
+      const rules = await loadActiveRules(req.userId, session);
+      Object.assign(fields, evaluateRules(rules, { ...fields, account: accountId }).changes);
+      fields.category = fields.category || DEFAULT_CATEGORY;
+      fields.tags = normalizeTags(fields.tags);
+      
+      // Split lines carry the categories; the model checks they add up
+      if (splits && splits.length > 0) {
+        if (type === 'transfer') {
+          throw new Error('Transfers cannot be split');
+        }
+        if (!currency) {
+          splits.forEach(split => toAccountMinorUnits(split.amount, sourceAccount, 'Split amount'));
+        }
+        fields.splits = toSplitLines(splits, txCurrency);
+        fields.category = SPLIT_CATEGORY;
+      }
       
-      // Save both in the same transaction
-      await transaction.save({ session });
-      await account.save({ session });
+      // When asked, warn about likely duplicates instead of posting;
+      // the client resubmits without checkDuplicates to add it anyway
+      if (checkDuplicates) {
+        const [matches] = await findDuplicates(req.userId, accountId, [{
+          type,
+          amountInMinorUnits,
+          currency: txCurrency,
+          date: new Date(date),
+          description: fields.description
+        }], { session });
+        
+        if (matches.length > 0) {
+          return res.status(409).json({
+            error: 'Possible duplicate transaction',
+            duplicates: matches.map(t => formatTransaction(t, money))
+          });
+        }
+      }
+      
+      // Balance updates (and both legs of a transfer) are applied by the ledger
+      const { transaction, account, linkedTransaction, linkedAccount, rateWarning } = await postTransaction(
+        req.userId,
+        fields,
+        session
+      );
       
       // Populate account info for response
       await transaction.populate('account', 'name type currency');
+      await transaction.populate('transferAccount', 'name type currency');
       
       // Format response
       res.status(201).json({
-        _id: transaction._id,
-        account: transaction.account,
-        type: transaction.type,
-        category: transaction.category,
-        amount: transaction.amountInMinorUnits / 100,
-        currency: transaction.currency,
-        amountInUSD: transaction.amountInUSDMinorUnits / 100,
-        description: transaction.description,
-        date: transaction.date,
-        createdAt: transaction.createdAt,
-        updatedBalance: account.balanceInMinorUnits / 100
+        ...formatTransaction(transaction, money),
+        updatedBalance: money(account.balanceInMinorUnits, account.currency),
+        ...(rateWarning && { rateWarning }),
+        ...(linkedTransaction && {
+          transfer: {
+            _id: linkedTransaction._id,
+            account: linkedAccount._id,
+            amount: money(linkedTransaction.amountInMinorUnits, linkedTransaction.currency),
+            currency: linkedTransaction.currency,
+            updatedBalance: money(linkedAccount.balanceInMinorUnits, linkedAccount.currency)
+          }
+        })
       });
     });
   } catch (error) {
@@ -213,8 +424,92 @@ router.post('/', auth, validateTransaction, async (req, res) => {
   }
 });
 
+// Amount in an account's minor units, rejecting precision the currency lacks (1.5 JPY)
+function toAccountMinorUnits(amount, account, field) {
+  const exponent = getExponent(account.currency);
+  if (countDecimals(amount) > exponent) {
+    throw new Error(`${field} cannot have more than ${exponent} decimal places in ${account.currency}`);
+  }
+  
+  return toMinorUnits(amount, account.currency);
+}
+
+/**
+ * @route   POST /api/transactions/exchange
+ * @desc    Record a manual currency exchange: amount leaves the source account in its
+ *          currency and receivedAmount (or amount * rate) arrives in the destination
+ *          account's currency. An optional fee in the source currency is posted as an
+ *          expense. The response compares the effective rate with the reference rate
+ * @access  Private
+ */
+router.post('/exchange', auth, transactionValidation.exchange, async (req, res) => {
+  const money = getMoneyFormatter(req);
+  const session = await mongoose.startSession();
+  
+  try {
+    await session.withTransaction(async () => {
+      const { fromAccountId, toAccountId, amount, receivedAmount, rate, fee, description, date } = req.body;
+      
+      const source = await findActiveAccount(req.userId, fromAccountId, session, 'Source account');
+      const destination = await findActiveAccount(req.userId, toAccountId, session, 'Destination account');
+      
+      const amountInMinorUnits = toAccountMinorUnits(amount, source, 'Amount');
+      // A rate is destination units per source unit; rounding lands on the destination's minor unit
+      const receivedInMinorUnits = receivedAmount !== undefined
+        ? toAccountMinorUnits(receivedAmount, destination, 'Received amount')
+        : toMinorUnits(Number(amount) * Number(rate), destination.currency);
+      
+      if (receivedInMinorUnits <= 0) {
+        throw new Error('Received amount must be positive');
+      }
+      
+      const { outLeg, inLeg, fee: feeTransaction, comparison, rateWarning, ...accounts } = await postExchange(
+        req.userId,
+        {
+          fromAccountId,
+          toAccountId,
+          amountInMinorUnits,
+          receivedInMinorUnits,
+          feeInMinorUnits: fee ? toAccountMinorUnits(fee, source, 'Fee') : 0,
+          description: description || '',
+          date: date || new Date()
+        },
+        session
+      );
+      
+      res.status(201).json({
+        from: {
+          ...formatTransaction(outLeg, money),
+          updatedBalance: money(accounts.source.balanceInMinorUnits, accounts.source.currency)
+        },
+        to: {
+          ...formatTransaction(inLeg, money),
+          updatedBalance: money(accounts.destination.balanceInMinorUnits, accounts.destination.currency)
+        },
+        fee: feeTransaction ? formatTransaction(feeTransaction, money) : null,
+        rate: {
+          actual: comparison.actualRate,
+          effective: comparison.effectiveRate,
+          reference: comparison.referenceRate,
+          referenceDate: comparison.referenceRateDate,
+          referenceAmount: money(comparison.referenceAmountInMinorUnits, destination.currency),
+          difference: money(comparison.differenceInMinorUnits, destination.currency),
+          differencePercent: comparison.differencePercent
+        },
+        ...(rateWarning && { rateWarning })
+      });
+    });
+  } catch (error) {
+    console.error('Error recording currency exchange:', error);
+    res.status(400).json({ error: error.message || 'Failed to record currency exchange' });
+  } finally {
+    await session.endSession();
+  }
+});
+
 // Update a transaction
 router.put('/:id', auth, async (req, res) => {
+  const money = getMoneyFormatter(req);
   const session = await mongoose.startSession();
   
   try {
@@ -232,6 +527,27 @@ router.put('/:id', auth, async (req, res) => {
         throw new Error('Transaction not found');
       }
       
+      // Money posted for a borrowing follows the borrowing and its payments
+      if (transaction.borrowing && ['amount', 'currency', 'type', 'date'].some(field => updates[field] !== undefined)) {
+        throw new Error('This transaction was posted for a borrowing. Change the borrowing payment instead');
+      }
+      
+      // Contacts' shares were worked out from the amount as it is
+      const changesAmount = (updates.type !== undefined && updates.type !== transaction.type)
+        || (updates.currency !== undefined && updates.currency !== transaction.currency)
+        || (updates.amount !== undefined && toMinorUnits(updates.amount, transaction.currency) !== transaction.amountInMinorUnits);
+      if (changesAmount && await Borrowing.exists({ user: req.userId, sharedExpense: transaction._id }).session(session)) {
+        throw new Error('This expense is shared with contacts. Remove its shares before changing the amount');
+      }
+      
+      if (transaction.transferDirection) {
+        return updateTransfer(req, res, transaction, updates, session);
+      }
+      
+      if (updates.type === 'transfer') {
+        throw new Error('Cannot convert a transaction into a transfer. Create a new transfer instead');
+      }
+      
       // Get the account
       const account = await Account.findOne({
         _id: transaction.account,
@@ -243,58 +559,16 @@ router.put('/:id', auth, async (req, res) => {
       }
       
       // Reverse the old transaction from balance
-      const oldAmountInAccountCurrency = transaction.currency === account.currency
-        ? transaction.amountInMinorUnits
-        : convertCurrency(
-            transaction.amountInMinorUnits,
-            transaction.currency,
-            account.currency,
-            transaction.date
-          ).amountInMinorUnits;
-      
-      if (transaction.type === 'income') {
-        account.balanceInMinorUnits -= oldAmountInAccountCurrency;
-      } else if (transaction.type === 'expense') {
-        account.balanceInMinorUnits += oldAmountInAccountCurrency;
-      }
+      applyToBalance(transaction, account, -1);
       
       // Apply updates
-      if (updates.amount !== undefined) {
-        transaction.amountInMinorUnits = Math.round(updates.amount * 100);
-      }
-      if (updates.type) transaction.type = updates.type;
-      if (updates.category) transaction.category = updates.category;
-      if (updates.description !== undefined) transaction.description = updates.description;
-      if (updates.date) transaction.date = new Date(updates.date);
-      if (updates.currency) transaction.currency = updates.currency;
+      applyUpdates(transaction, updates);
       
       // Recalculate USD amount with potentially new values
-      const exchangeRateToUSD = getExchangeRateToUSD(transaction.currency, transaction.date);
-      transaction.exchangeRateToUSD = exchangeRateToUSD;
-      
-      const usdConversion = convertCurrency(
-        transaction.amountInMinorUnits,
-        transaction.currency,
-        'USD',
-        transaction.date
-      );
-      transaction.amountInUSDMinorUnits = usdConversion.amountInMinorUnits;
+      transaction.set(getUSDAmounts(transaction.amountInMinorUnits, transaction.currency, transaction.date));
       
       // Apply new transaction to balance
-      const newAmountInAccountCurrency = transaction.currency === account.currency
-        ? transaction.amountInMinorUnits
-        : convertCurrency(
-            transaction.amountInMinorUnits,
-            transaction.currency,
-            account.currency,
-            transaction.date
-          ).amountInMinorUnits;
-      
-      if (transaction.type === 'income') {
-        account.balanceInMinorUnits += newAmountInAccountCurrency;
-      } else if (transaction.type === 'expense') {
-        account.balanceInMinorUnits -= newAmountInAccountCurrency;
-      }
+      applyToBalance(transaction, account);
       
       // Save both
       await transaction.save({ session });
@@ -303,16 +577,8 @@ router.put('/:id', auth, async (req, res) => {
       await transaction.populate('account', 'name type currency');
       
       res.json({
-        _id: transaction._id,
-        account: transaction.account,
-        type: transaction.type,
-        category: transaction.category,
-        amount: transaction.amountInMinorUnits / 100,
-        currency: transaction.currency,
-        amountInUSD: transaction.amountInUSDMinorUnits / 100,
-        description: transaction.description,
-        date: transaction.date,
-        updatedBalance: account.balanceInMinorUnits / 100
+        ...formatTransaction(transaction, money),
+        updatedBalance: money(account.balanceInMinorUnits, account.currency)
       });
     });
   } catch (error) {
@@ -323,8 +589,121 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// Copy editable fields from the request body onto a transaction
+function applyUpdates(transaction, updates) {
+  if (updates.amount !== undefined) {
+    const currency = updates.currency || transaction.currency;
+    if (countDecimals(updates.amount) > getExponent(currency)) {
+      throw new Error(`Amount cannot have more than ${getExponent(currency)} decimal places in ${currency}`);
+    }
+    transaction.amountInMinorUnits = toMinorUnits(updates.amount, currency);
+  }
+  if (updates.type) transaction.type = updates.type;
+  if (updates.category) transaction.category = updates.category;
+  if (updates.description !== undefined) transaction.description = updates.description;
+  if (updates.counterparty !== undefined) transaction.counterparty = updates.counterparty;
+  if (Array.isArray(updates.tags)) transaction.tags = normalizeTags(updates.tags);
+  if (updates.date) transaction.date = new Date(updates.date);
+  if (updates.currency && updates.currency !== transaction.currency) {
+    // Keep the same major amount when only the currency changes
+    if (updates.amount === undefined) {
+      const amount = fromMinorUnits(transaction.amountInMinorUnits, transaction.currency);
+      transaction.amountInMinorUnits = toMinorUnits(amount, updates.currency);
+    }
+    if (!Array.isArray(updates.splits)) {
+      transaction.splits.forEach(split => {
+        split.amountInMinorUnits = toMinorUnits(
+          fromMinorUnits(split.amountInMinorUnits, transaction.currency),
+          updates.currency
+        );
+      });
+    }
+    transaction.currency = updates.currency;
+  }
+  // Replacing the lines (an empty array removes the split)
+  if (Array.isArray(updates.splits)) {
+    if (updates.splits.length > 0 && transaction.type === 'transfer') {
+      throw new Error('Transfers cannot be split');
+    }
+    transaction.splits = toSplitLines(updates.splits, transaction.currency);
+    if (transaction.splits.length === 0 && transaction.category === SPLIT_CATEGORY) {
+      transaction.category = updates.category || DEFAULT_CATEGORY;
+    }
+  }
+  if (transaction.splits.length > 0) {
+    transaction.category = SPLIT_CATEGORY;
+  }
+}
+
+// Update both legs of a transfer. Amount and currency always describe the
+// outgoing leg; the incoming leg is recalculated in the destination currency.
+async function updateTransfer(req, res, transaction, updates, session) {
+  if (updates.type && updates.type !== 'transfer') {
+    throw new Error('Cannot change the type of a transfer. Delete it and create a new transaction instead');
+  }
+  
+  const { outLeg, inLeg } = await getTransferLegs(transaction, session);
+  if (!outLeg || !inLeg) {
+    throw new Error('Linked transfer leg not found');
+  }
+  
+  const [source, destination] = await Promise.all([
+    Account.findOne({ _id: outLeg.account, user: req.userId }).session(session),
+    Account.findOne({ _id: inLeg.account, user: req.userId }).session(session)
+  ]);
+  
+  if (!source || !destination) {
+    throw new Error('Account not found');
+  }
+  
+  // Exchange amounts are what was actually paid and received, not derived from rates
+  if (outLeg.exchangeRate && (updates.amount !== undefined || updates.currency)) {
+    throw new Error('Exchange amounts cannot be edited. Delete the exchange and record it again');
+  }
+  
+  // Reverse both legs
+  applyToBalance(outLeg, source, -1);
+  applyToBalance(inLeg, destination, -1);
+  
+  applyUpdates(outLeg, updates);
+  outLeg.set(getUSDAmounts(outLeg.amountInMinorUnits, outLeg.currency, outLeg.date));
+  if (outLeg.exchangeRate) {
+    inLeg.set({
+      category: outLeg.category,
+      description: outLeg.description,
+      date: outLeg.date,
+      ...getUSDAmounts(inLeg.amountInMinorUnits, inLeg.currency, outLeg.date)
+    });
+  } else {
+    buildIncomingLeg(outLeg, destination, inLeg);
+  }
+  
+  // Re-apply both legs; a larger transfer must still be covered by the source
+  applyToBalance(outLeg, source);
+  applyToBalance(inLeg, destination);
+  assertSufficientFunds(source);
+  
+  await outLeg.save({ session });
+  await inLeg.save({ session });
+  await source.save({ session });
+  await destination.save({ session });
+  
+  const edited = transaction.transferDirection === 'in' ? inLeg : outLeg;
+  const editedAccount = edited === inLeg ? destination : source;
+  
+  await edited.populate('account', 'name type currency');
+  await edited.populate('transferAccount', 'name type currency');
+  
+  const money = getMoneyFormatter(req);
+  res.json({
+    ...formatTransaction(edited, money),
+    updatedBalance: money(editedAccount.balanceInMinorUnits, editedAccount.currency)
+  });
+}
+
 // Delete a transaction
 router.delete('/:id', auth, async (req, res) => {
+  const money = getMoneyFormatter(req);
   const session = await mongoose.startSession();
   
   try {
@@ -340,37 +719,47 @@ router.delete('/:id', auth, async (req, res) => {
         throw new Error('Transaction not found');
       }
       
-      // Get and update account balance
-      const account = await Account.findOne({
-        _id: transaction.account,
-        user: req.userId
-      }).session(session);
+      if (transaction.borrowing) {
+        throw new Error('This transaction was posted for a borrowing. Delete the borrowing or its payment instead');
+      }
       
-      if (account) {
-        // Reverse the transaction
-        const amountInAccountCurrency = transaction.currency === account.currency
-          ? transaction.amountInMinorUnits
-          : convertCurrency(
-              transaction.amountInMinorUnits,
-              transaction.currency,
-              account.currency,
-              transaction.date
-            ).amountInMinorUnits;
+      if (await Borrowing.exists({ user: req.userId, sharedExpense: transaction._id }).session(session)) {
+        throw new Error('This expense is shared with contacts. Remove its shares first');
+      }
+      
+      // Deleting either leg of a transfer removes both, and an exchange its fee too
+      const legs = [transaction];
+      if (transaction.transferDirection) {
+        const { outLeg, inLeg } = await getTransferLegs(transaction, session);
+        const other = transaction.transferDirection === 'in' ? outLeg : inLeg;
+        if (other) legs.push(other);
+        legs.push(...await getExchangeFees(outLeg, session));
+      }
+      
+      let account = null;
+      
+      for (const leg of legs) {
+        // Get and update account balance
+        const legAccount = await Account.findOne({
+          _id: leg.account,
+          user: req.userId
+        }).session(session);
         
-        if (transaction.type === 'income') {
-          account.balanceInMinorUnits -= amountInAccountCurrency;
-        } else if (transaction.type === 'expense') {
-          account.balanceInMinorUnits += amountInAccountCurrency;
+        if (legAccount) {
+          // Reverse the transaction
+          applyToBalance(leg, legAccount, -1);
+          await legAccount.save({ session });
         }
         
-        await account.save({ session });
+        if (leg === transaction) account = legAccount;
+        
+        await leg.deleteOne({ session });
       }
       
-      await transaction.deleteOne({ session });
-      
-      res.json({ 
+      res.json({
         message: 'Transaction deleted successfully',
-        updatedBalance: account ? account.balanceInMinorUnits / 100 : null
+        updatedBalance: account ? money(account.balanceInMinorUnits, account.currency) : null,
+        deletedTransactions: legs.length
       });
     });
   } catch (error) {
@@ -11,11 +11,23 @@ const morgan = require('morgan');
 const authRoutes = require('./routes/auth');
 const accountRoutes = require('./routes/accounts');
 const transactionRoutes = require('./routes/transactions');
+const importRoutes = require('./routes/imports');
+const importProfileRoutes = require('./routes/importProfiles');
+const ruleRoutes = require('./routes/rules');
+const categoryRoutes = require('./routes/categories');
+const budgetRoutes = require('./routes/budgets');
+const recurringRoutes = require('./routes/recurring');
 const borrowingRoutes = require('./routes/borrowings');
+const contactRoutes = require('./routes/contacts');
+const sharedExpenseRoutes = require('./routes/sharedExpenses');
 const dashboardRoutes = require('./routes/dashboard');
+const currencyRoutes = require('./routes/currencies');
+const rateRoutes = require('./routes/rates');
+const savedSearchRoutes = require('./routes/savedSearches');
 
 // Import utilities
-const { updateExchangeRates } = require('./utils/currencyConverter');
+const { initExchangeRates, updateExchangeRates } = require('./utils/currencyConverter');
+const { runRecurringTransactions } = require('./utils/recurringScheduler');
 
 const app = express();
 
@@ -75,8 +87,18 @@ const connectDB = async () => {
     // Set up indexes
     await setupIndexes();
     
-    // Schedule exchange rate updates (every 6 hours)
-    setInterval(updateExchangeRates, 6 * 60 * 60 * 1000);
+    // Load stored exchange rates, then refresh them every 6 hours
+    await initExchangeRates();
+    setInterval(() => updateExchangeRates().catch(error => {
+      console.error('Exchange rate update failed:', error.message);
+    }), 6 * 60 * 60 * 1000);
+    
+    // Post due recurring transactions now and then every hour
+    const postRecurring = () => runRecurringTransactions().catch(error => {
+      console.error('Recurring transaction run failed:', error);
+    });
+    postRecurring();
+    setInterval(postRecurring, 60 * 60 * 1000);
     
   } catch (error) {
     console.error('❌ MongoDB connection error:', error);
@@ -109,9 +131,20 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/accounts', accountRoutes);
+app.use('/api/transactions/import', importRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/import-profiles', importProfileRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/recurring', recurringRoutes);
 app.use('/api/borrowings', borrowingRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/shared-expenses', sharedExpenseRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/rates', rateRoutes);
 
 // 404 handler
 app.use((req, res) => {
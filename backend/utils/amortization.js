@@ -0,0 +1,271 @@
+// backend/utils/amortization.js
+const { getOccurrences, startOfDay } = require('./recurrence');
+
+// Installments per year, and the recurrence schedule that produces their dates
+const INSTALLMENT_FREQUENCIES = {
+  weekly: { perYear: 52, schedule: { frequency: 'weekly', interval: 1 } },
+  biweekly: { perYear: 26, schedule: { frequency: 'weekly', interval: 2 } },
+  monthly: { perYear: 12, schedule: { frequency: 'monthly', interval: 1 } },
+  quarterly: { perYear: 4, schedule: { frequency: 'monthly', interval: 3 } },
+  annually: { perYear: 1, schedule: { frequency: 'monthly', interval: 12 } }
+};
+
+// Times per year interest is added to the balance of a compound loan
+const COMPOUNDING_FREQUENCIES = {
+  daily: 365,
+  weekly: 52,
+  monthly: 12,
+  quarterly: 4,
+  annually: 1
+};
+
+const FAR_FUTURE = new Date(Date.UTC(9999, 11, 31));
+
+/**
+ * Number of installments over the loan term
+ * @param {Object} terms - termMonths and installmentFrequency
+ * @returns {number} At least one installment
+ */
+function getInstallmentCount(terms) {
+  const { perYear } = INSTALLMENT_FREQUENCIES[terms.installmentFrequency];
+  return Math.max(1, Math.round((terms.termMonths * perYear) / 12));
+}
+
+/**
+ * Interest rate per installment period
+ * Compound loans convert the nominal annual rate through the compounding
+ * frequency, so monthly installments on a daily-compounded loan still agree
+ * @param {Object} terms - interestRate (annual %), interestType, compounding, installmentFrequency
+ * @returns {number} Rate per period as a fraction
+ */
+function getPeriodicRate(terms) {
+  const annualRate = (terms.interestRate || 0) / 100;
+  const { perYear } = INSTALLMENT_FREQUENCIES[terms.installmentFrequency];
+  
+  if (terms.interestType === 'compound') {
+    const compoundsPerYear = COMPOUNDING_FREQUENCIES[terms.compounding];
+    return Math.pow(1 + annualRate / compoundsPerYear, compoundsPerYear / perYear) - 1;
+  }
+  return annualRate / perYear;
+}
+
+// Share an integer total over n parts, earlier parts taking the remainder
+const shareEvenly = (total, count, index) =>
+  Math.floor(total / count) + (index < total % count ? 1 : 0);
+
+/**
+ * Installment due dates: the first one defaults to one period after the loan date
+ * @param {Object} terms - installmentFrequency and optional firstPaymentDate
+ * @param {Date} loanDate - Date the money changed hands
+ * @param {number} count - Number of installments
+ * @returns {Date[]} Due dates at UTC midnight
+ */
+function getDueDates(terms, loanDate, count) {
+  const { schedule } = INSTALLMENT_FREQUENCIES[terms.installmentFrequency];
+  const startDate = terms.firstPaymentDate
+    || getOccurrences({ schedule, startDate: loanDate, count: 2 }, loanDate, FAR_FUTURE)[1];
+  
+  return getOccurrences({ schedule, startDate, count }, startDate, FAR_FUTURE);
+}
+
+/**
+ * Build the amortization schedule of a loan
+ *
+ * - compound: equal installments (annuity); each one pays the interest on the
+ *   remaining principal first, so the principal share grows over time
+ * - simple: flat interest on the original principal for the whole term,
+ *   shared equally over the installments alongside equal principal shares
+ *
+ * Amounts are integer minor units; the last installment absorbs rounding so
+ * the principal shares add up to the principal exactly
+ * @param {Object} terms - Loan terms (see Borrowing.loanTerms)
+ * @param {number} principalInMinorUnits - Amount borrowed
+ * @param {Date} loanDate - Date the money changed hands
+ * @returns {Object} installments, totals and periodicRate
+ */
+function buildSchedule(terms, principalInMinorUnits, loanDate) {
+  const count = getInstallmentCount(terms);
+  const rate = getPeriodicRate(terms);
+  const dueDates = getDueDates(terms, loanDate, count);
+  const installments = [];
+  
+  if (terms.interestType === 'compound') {
+    let remaining = principalInMinorUnits;
+    const payment = rate === 0
+      ? Math.ceil(principalInMinorUnits / count)
+      : Math.round((principalInMinorUnits * rate) / (1 - Math.pow(1 + rate, -count)));
+    
+    dueDates.forEach((dueDate, index) => {
+      const interest = Math.round(remaining * rate);
+      const principal = index === count - 1 ? remaining : Math.min(remaining, payment - interest);
+      remaining -= principal;
+      installments.push({ number: index + 1, dueDate, principal, interest });
+    });
+  } else {
+    const totalInterest = Math.round(principalInMinorUnits * (terms.interestRate || 0) / 100 * (terms.termMonths / 12));
+    
+    dueDates.forEach((dueDate, index) => {
+      installments.push({
+        number: index + 1,
+        dueDate,
+        principal: shareEvenly(principalInMinorUnits, count, index),
+        interest: shareEvenly(totalInterest, count, index)
+      });
+    });
+  }
+  
+  let balance = principalInMinorUnits;
+  const rows = installments.map(({ number, dueDate, principal, interest }) => {
+    balance -= principal;
+    return {
+      number,
+      dueDate,
+      paymentInMinorUnits: principal + interest,
+      principalInMinorUnits: principal,
+      interestInMinorUnits: interest,
+      remainingPrincipalInMinorUnits: balance
+    };
+  });
+  
+  return {
+    principalInMinorUnits,
+    periodicRate: rate,
+    installments: rows,
+    totalPaymentInMinorUnits: rows.reduce((sum, row) => sum + row.paymentInMinorUnits, 0),
+    totalInterestInMinorUnits: rows.reduce((sum, row) => sum + row.interestInMinorUnits, 0)
+  };
+}
+
+/**
+ * Run actual payments through a loan: interest for each period is charged at its
+ * due date (on the principal outstanding when the period started for compound
+ * loans, the scheduled share for simple ones) and payments cover unpaid interest
+ * before principal. Once the principal is repaid no more interest is charged
+ * @param {Object} schedule - Result of buildSchedule
+ * @param {Object} terms - Loan terms
+ * @param {Object[]} payments - { date, amountInMinorUnits } in the loan currency, reversed ones left out
+ * @param {Date} asOf - Charge interest for due dates up to this day
+ * @returns {Object} Amounts paid towards interest and principal, and what is left
+ * @throws {Error} When payments add up to more than is owed
+ */
+function applyLoanPayments(schedule, terms, payments, asOf) {
+  const sorted = payments
+    .filter(payment => startOfDay(payment.date) <= startOfDay(asOf))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  let principal = schedule.principalInMinorUnits;
+  let interestDue = 0;
+  let interestCharged = 0;
+  let interestPaid = 0;
+  let next = 0;
+  
+  const pay = (amountInMinorUnits) => {
+    const toInterest = Math.min(amountInMinorUnits, interestDue);
+    const toPrincipal = amountInMinorUnits - toInterest;
+    if (toPrincipal > principal) {
+      throw new Error('Payments would exceed what is owed on the loan');
+    }
+    interestDue -= toInterest;
+    interestPaid += toInterest;
+    principal -= toPrincipal;
+  };
+  const payUntil = (isDue) => {
+    while (next < sorted.length && isDue(startOfDay(sorted[next].date))) {
+      pay(sorted[next++].amountInMinorUnits);
+    }
+  };
+  
+  let opening = principal;
+  schedule.installments
+    .filter(row => row.dueDate <= startOfDay(asOf))
+    .forEach(row => {
+      payUntil(date => date < row.dueDate);
+      const interest = opening === 0 ? 0 : terms.interestType === 'compound'
+        ? Math.round(opening * schedule.periodicRate)
+        : row.interestInMinorUnits;
+      interestDue += interest;
+      interestCharged += interest;
+      payUntil(date => date <= row.dueDate);
+      opening = principal;
+    });
+  payUntil(() => true);
+  
+  const paid = sorted.reduce((sum, payment) => sum + payment.amountInMinorUnits, 0);
+  
+  return {
+    paidInMinorUnits: paid,
+    interestChargedInMinorUnits: interestCharged,
+    interestPaidInMinorUnits: interestPaid,
+    principalPaidInMinorUnits: schedule.principalInMinorUnits - principal,
+    remainingPrincipalInMinorUnits: principal,
+    interestDueInMinorUnits: interestDue
+  };
+}
+
+/**
+ * Compare actual payments with the schedule as of a date
+ * Payments are matched to installments in order, so an early or extra payment
+ * counts towards the next installments
+ * @param {Object} schedule - Result of buildSchedule
+ * @param {Object} terms - Loan terms
+ * @param {Object[]} payments - { date, amountInMinorUnits } in the loan currency
+ * @param {Date} asOf - Comparison date
+ * @returns {Object} actual (see applyLoanPayments), scheduled totals, difference and per-installment status
+ */
+function compareWithSchedule(schedule, terms, payments, asOf) {
+  const actual = applyLoanPayments(schedule, terms, payments, asOf);
+  const today = startOfDay(asOf);
+  const due = schedule.installments.filter(row => row.dueDate <= today);
+  const scheduledPaid = due.reduce((sum, row) => sum + row.paymentInMinorUnits, 0);
+  
+  let unallocated = actual.paidInMinorUnits;
+  const installments = schedule.installments.map(row => {
+    const paid = Math.min(unallocated, row.paymentInMinorUnits);
+    unallocated -= paid;
+    
+    let status = row.dueDate <= today ? 'overdue' : 'upcoming';
+    if (paid === row.paymentInMinorUnits || actual.remainingPrincipalInMinorUnits === 0) status = 'paid';
+    else if (paid > 0) status = 'partial';
+    
+    return { ...row, paidInMinorUnits: paid, status };
+  });
+  
+  return {
+    asOf: today,
+    actual,
+    scheduled: {
+      installmentsDue: due.length,
+      paidInMinorUnits: scheduledPaid,
+      remainingPrincipalInMinorUnits: due.length > 0
+        ? due[due.length - 1].remainingPrincipalInMinorUnits
+        : schedule.principalInMinorUnits
+    },
+    // Positive when ahead of schedule, negative when behind
+    differenceInMinorUnits: actual.paidInMinorUnits - scheduledPaid,
+    nextInstallment: installments.find(row => row.status !== 'paid') || null,
+    installments
+  };
+}
+
+/**
+ * What is still owed on a borrowing, without interest not yet charged
+ * @param {Object} borrowing - Borrowing document or plain object
+ * @returns {number} Remaining principal in minor units
+ */
+function getRemainingInMinorUnits(borrowing) {
+  if (borrowing.remainingPrincipalInMinorUnits != null) {
+    return borrowing.remainingPrincipalInMinorUnits;
+  }
+  return borrowing.amountInMinorUnits - (borrowing.paidAmountInMinorUnits || 0);
+}
+
+module.exports = {
+  INSTALLMENT_FREQUENCIES,
+  COMPOUNDING_FREQUENCIES,
+  getInstallmentCount,
+  getPeriodicRate,
+  buildSchedule,
+  applyLoanPayments,
+  compareWithSchedule,
+  getRemainingInMinorUnits
+};
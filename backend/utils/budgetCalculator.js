@@ -0,0 +1,127 @@
+// backend/utils/budgetCalculator.js
+const { getTransactionAmount } = require('./reporting');
+const { getCategoryAmounts } = require('./splits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the UTC period containing a date
+ * Weeks start on Monday
+ * @param {string} period - weekly, monthly, quarterly or yearly
+ * @param {Date} date - Any date inside the period
+ * @returns {Object} { start, end } with end exclusive
+ */
+function getPeriodBounds(period, date = new Date()) {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  const month = d.getUTCMonth();
+  
+  switch (period) {
+    case 'weekly': {
+      const day = (d.getUTCDay() + 6) % 7; // Monday = 0
+      const start = new Date(Date.UTC(year, month, d.getUTCDate() - day));
+      return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+    }
+    case 'quarterly': {
+      const quarterMonth = month - (month % 3);
+      return {
+        start: new Date(Date.UTC(year, quarterMonth, 1)),
+        end: new Date(Date.UTC(year, quarterMonth + 3, 1))
+      };
+    }
+    case 'yearly':
+      return {
+        start: new Date(Date.UTC(year, 0, 1)),
+        end: new Date(Date.UTC(year + 1, 0, 1))
+      };
+    case 'monthly':
+      return {
+        start: new Date(Date.UTC(year, month, 1)),
+        end: new Date(Date.UTC(year, month + 1, 1))
+      };
+    default:
+      throw new Error(`Unknown budget period "${period}"`);
+  }
+}
+
+/**
+ * Expense amount expressed in the budget currency
+ * Same-currency spending is counted exactly; anything else goes through the
+ * USD value stored on the transaction, at the transaction date's rate
+ * @param {Transaction} transaction - Expense transaction
+ * @param {string} currency - Budget currency
+ * @returns {number} Amount in budget currency minor units
+ */
+function getAmountInBudgetCurrency(transaction, currency) {
+  return getTransactionAmount(transaction, currency);
+}
+
+/**
+ * Work out spent, remaining and projected amounts for a budget
+ * @param {Budget} budget - Budget document
+ * @param {Transaction[]} transactions - Expenses in the budget's categories,
+ *        from the first rollover period (or the current period) up to asOf's period end
+ * @param {Date} asOf - Date inside the period to report on
+ * @param {string[]} categories - Categories the budget covers; when given, only
+ *        the matching lines of split transactions count
+ * @returns {Object} Progress in budget currency minor units
+ */
+function calculateBudgetProgress(budget, transactions, asOf = new Date(), categories = null) {
+  const { start, end } = getPeriodBounds(budget.period, asOf);
+  const spentByPeriod = new Map();
+  
+  transactions.forEach(transaction => {
+    const key = getPeriodBounds(budget.period, transaction.date).start.getTime();
+    let amount = getAmountInBudgetCurrency(transaction, budget.currency);
+    if (categories) {
+      amount = getCategoryAmounts(transaction, amount)
+        .filter(({ category }) => categories.includes(category))
+        .reduce((sum, line) => sum + line.amountInMinorUnits, 0);
+    }
+    spentByPeriod.set(key, (spentByPeriod.get(key) || 0) + amount);
+  });
+  
+  const spent = spentByPeriod.get(start.getTime()) || 0;
+  
+  // Each earlier period carries over whatever was left, negative if overspent
+  let rolloverInMinorUnits = 0;
+  if (budget.rollover && budget.startDate) {
+    let periodStart = getPeriodBounds(budget.period, budget.startDate).start;
+    while (periodStart < start) {
+      rolloverInMinorUnits += budget.limitInMinorUnits - (spentByPeriod.get(periodStart.getTime()) || 0);
+      periodStart = getPeriodBounds(budget.period, periodStart).end;
+    }
+  }
+  
+  const available = budget.limitInMinorUnits + rolloverInMinorUnits;
+  
+  // Straight-line projection from the days elapsed so far
+  const totalDays = Math.round((end - start) / DAY_MS);
+  const now = new Date(asOf);
+  const elapsedDays = now >= end ? totalDays : Math.max(1, Math.ceil((now - start) / DAY_MS));
+  const projected = Math.round((spent * totalDays) / elapsedDays);
+  
+  let status = 'on-track';
+  if (spent > available) {
+    status = 'over';
+  } else if (projected > available) {
+    status = 'at-risk';
+  }
+  
+  return {
+    period: { start, end },
+    spentInMinorUnits: spent,
+    rolloverInMinorUnits,
+    availableInMinorUnits: available,
+    remainingInMinorUnits: available - spent,
+    projectedInMinorUnits: projected,
+    percentUsed: available > 0 ? Math.round((spent / available) * 100) : null,
+    status
+  };
+}
+
+module.exports = {
+  getPeriodBounds,
+  getAmountInBudgetCurrency,
+  calculateBudgetProgress
+};
@@ -0,0 +1,236 @@
+// backend/utils/categoryTree.js
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const CategorizationRule = require('../models/CategorizationRule');
+const Budget = require('../models/Budget');
+const RecurringTransaction = require('../models/RecurringTransaction');
+
+// Seeded for new users; mirrors the lists the frontend used to hardcode
+const DEFAULT_CATEGORIES = {
+  income: ['Salary', 'Tips', 'Freelance', 'Investment', 'Gift', 'Other Income'],
+  expense: ['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Rent', 'Healthcare', 'Other Expense']
+};
+
+/**
+ * Nest categories under their parents
+ * @param {Category[]} categories - Flat list of the user's categories
+ * @returns {Object[]} Top-level categories, each with a children array
+ */
+function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map(category => [
+    String(category._id),
+    { ...(category.toObject ? category.toObject() : category), children: [] }
+  ]));
+  const roots = [];
+  
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  
+  return roots;
+}
+
+/**
+ * Map each category name to the name of its top-level ancestor
+ * @param {Category[]} categories - Flat list of the user's categories
+ * @returns {Map<string, string>} Category name -> root category name
+ */
+function getRootNames(categories) {
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+  const roots = new Map();
+  
+  categories.forEach(category => {
+    let root = category;
+    const seen = new Set();
+    
+    while (root.parent && byId.has(String(root.parent)) && !seen.has(String(root._id))) {
+      seen.add(String(root._id));
+      root = byId.get(String(root.parent));
+    }
+    roots.set(category.name, root.name);
+  });
+  
+  return roots;
+}
+
+/**
+ * Get a category name together with the names of all its subcategories
+ * @param {Category[]} categories - Flat list of the user's categories
+ * @param {string} name - Category name
+ * @returns {string[]} The name followed by its descendants
+ */
+function getDescendantNames(categories, name) {
+  const names = [name];
+  const root = categories.find(category => category.name === name);
+  if (!root) return names;
+  
+  const queue = [String(root._id)];
+  const seen = new Set(queue);
+  
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    categories
+      .filter(category => category.parent && String(category.parent) === parentId)
+      .forEach(category => {
+        if (seen.has(String(category._id))) return;
+        seen.add(String(category._id));
+        names.push(category.name);
+        queue.push(String(category._id));
+      });
+  }
+  
+  return names;
+}
+
+/**
+ * Roll category totals up to top-level categories
+ * Names without a category document (e.g. Uncategorized) stay on their own
+ * @param {Object} totals - Category name -> amount
+ * @param {Category[]} categories - Flat list of the user's categories
+ * @returns {Object[]} [{ category, amount, subcategories: [{ category, amount }] }]
+ */
+function rollUpByParent(totals, categories) {
+  const roots = getRootNames(categories);
+  const grouped = new Map();
+  
+  Object.entries(totals).forEach(([name, amount]) => {
+    const rootName = roots.get(name) || name;
+    if (!grouped.has(rootName)) {
+      grouped.set(rootName, { category: rootName, amount: 0, subcategories: [] });
+    }
+    
+    const group = grouped.get(rootName);
+    group.amount += amount;
+    if (name !== rootName) {
+      group.subcategories.push({ category: name, amount });
+    }
+  });
+  
+  return [...grouped.values()];
+}
+
+/**
+ * Check whether moving a category under a new parent would create a loop
+ * @param {Category[]} categories - Flat list of the user's categories
+ * @param {string} categoryId - Category being moved
+ * @param {string} parentId - Proposed parent
+ * @returns {boolean} True if parentId is the category itself or one of its descendants
+ */
+function isDescendant(categories, categoryId, parentId) {
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+  let current = parentId && byId.get(String(parentId));
+  const seen = new Set();
+  
+  while (current && !seen.has(String(current._id))) {
+    if (String(current._id) === String(categoryId)) return true;
+    seen.add(String(current._id));
+    current = current.parent && byId.get(String(current.parent));
+  }
+  
+  return false;
+}
+
+/**
+ * Load the user's categories, creating the default set on first use
+ * @param {string} userId - Owner of the categories
+ * @returns {Promise<Category[]>} All categories sorted by name
+ */
+async function loadCategories(userId) {
+  const existing = await Category.find({ user: userId }).sort({ type: 1, name: 1 });
+  if (existing.length > 0) {
+    return existing;
+  }
+  
+  const defaults = Object.entries(DEFAULT_CATEGORIES).flatMap(([type, names]) =>
+    names.map(name => ({ user: userId, name, type }))
+  );
+  
+  try {
+    await Category.insertMany(defaults, { ordered: false });
+  } catch (error) {
+    // Another request seeded them first
+    if (error.code !== 11000) throw error;
+  }
+  
+  return Category.find({ user: userId }).sort({ type: 1, name: 1 });
+}
+
+/**
+ * Point everything that stores a category name at a new name
+ * Used when a category is renamed or merged into another one
+ * @param {string} userId - Owner of the data
+ * @param {string} fromName - Current category name
+ * @param {string} toName - New category name
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<number>} Number of transactions rewritten
+ */
+async function renameCategoryReferences(userId, fromName, toName, session = null) {
+  const result = await Transaction.updateMany(
+    { user: userId, category: fromName },
+    { $set: { category: toName, updatedAt: new Date() } },
+    { session }
+  );
+  const splitResult = await Transaction.updateMany(
+    { user: userId, 'splits.category': fromName },
+    { $set: { 'splits.$[line].category': toName, updatedAt: new Date() } },
+    { session, arrayFilters: [{ 'line.category': fromName }] }
+  );
+  
+  await CategorizationRule.updateMany(
+    { user: userId, 'actions.category': fromName },
+    { $set: { 'actions.category': toName } },
+    { session }
+  );
+  
+  await RecurringTransaction.updateMany(
+    { user: userId, category: fromName },
+    { $set: { category: toName } },
+    { session }
+  );
+  await RecurringTransaction.updateMany(
+    { user: userId, 'exceptions.category': fromName },
+    { $set: { 'exceptions.$[exception].category': toName } },
+    { session, arrayFilters: [{ 'exception.category': fromName }] }
+  );
+  
+  // When both categories have a budget for the same period, the target's budget is kept
+  const targetPeriods = await Budget.distinct('period', { user: userId, category: toName }).session(session);
+  await Budget.deleteMany({ user: userId, category: fromName, period: { $in: targetPeriods } }, { session });
+  await Budget.updateMany(
+    { user: userId, category: fromName },
+    { $set: { category: toName } },
+    { session }
+  );
+  
+  return result.modifiedCount + splitResult.modifiedCount;
+}
+
+/**
+ * Count the transactions that use a category, directly or on a split line
+ * @param {string} userId - Owner of the transactions
+ * @param {string} name - Category name
+ * @returns {Promise<number>} Number of transactions
+ */
+function countCategoryTransactions(userId, name) {
+  return Transaction.countDocuments({
+    user: userId,
+    $or: [{ category: name }, { 'splits.category': name }]
+  });
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  buildCategoryTree,
+  getRootNames,
+  getDescendantNames,
+  rollUpByParent,
+  isDescendant,
+  loadCategories,
+  renameCategoryReferences,
+  countCategoryTransactions
+};
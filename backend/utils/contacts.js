@@ -0,0 +1,109 @@
+// backend/utils/contacts.js
+const Contact = require('../models/Contact');
+const Borrowing = require('../models/Borrowing');
+const { valueAt } = require('./reporting');
+const { getRemainingInMinorUnits } = require('./amortization');
+
+/**
+ * Find the user's contact for a name, creating it on first use
+ * @param {string} userId - Owner of the contact
+ * @param {string} name - Name as entered; matched through Contact.normalizeName
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Contact>} Existing or new contact
+ */
+async function findOrCreateContact(userId, name, session = null) {
+  const normalizedName = Contact.normalizeName(name);
+  if (!normalizedName) {
+    throw new Error('Contact name must contain letters or digits');
+  }
+  
+  const existing = await Contact.findOne({ user: userId, normalizedName }).session(session);
+  if (existing) return existing;
+  
+  const contact = new Contact({ user: userId, name: name.trim() });
+  await contact.save({ session });
+  return contact;
+}
+
+/**
+ * Contact for a new borrowing or share: contactId when given, otherwise
+ * the contact matching the counterparty name, created on first use
+ * @param {string} userId - Owner of the borrowing
+ * @param {Object} params - contactId and/or counterparty
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Contact>} The contact
+ * @throws {Error} When contactId is not one of the user's contacts
+ */
+async function resolveContact(userId, { contactId, counterparty }, session = null) {
+  if (!contactId) {
+    return findOrCreateContact(userId, counterparty, session);
+  }
+  
+  const contact = await Contact.findOne({ _id: contactId, user: userId }).session(session);
+  if (!contact) {
+    throw new Error('Contact not found');
+  }
+  return contact;
+}
+
+/**
+ * Link borrowings recorded before contacts existed to a contact by their
+ * counterparty name, creating contacts as needed
+ * @param {string} userId - Owner of the borrowings
+ * @returns {Promise<number>} Number of borrowings linked
+ */
+async function linkUnassignedBorrowings(userId) {
+  const borrowings = await Borrowing.find(
+    { user: userId, contact: { $exists: false } },
+    { counterparty: 1 }
+  );
+  
+  let linked = 0;
+  for (const borrowing of borrowings) {
+    const contact = await findOrCreateContact(userId, borrowing.counterparty);
+    await Borrowing.updateOne(
+      { _id: borrowing._id },
+      { $set: { contact: contact._id, counterparty: contact.name } }
+    );
+    linked++;
+  }
+  return linked;
+}
+
+/**
+ * Net position with one contact across all their borrowings
+ * Totals and repaid principal use the rate of each borrowing's date,
+ * what is still outstanding the rate of asOf
+ * @param {Borrowing[]} borrowings - Every borrowing linked to the contact, open or settled
+ * @param {string} currency - Report currency
+ * @param {Date} asOf - Valuation date (defaults to now)
+ * @returns {Object} Amounts in report currency minor units; net is positive when the contact owes the user
+ */
+function calculateContactBalance(borrowings, currency, asOf = new Date()) {
+  const empty = () => ({ total: 0, repaid: 0, outstanding: 0, count: 0 });
+  const balance = { lent: empty(), borrowed: empty() };
+  
+  borrowings.forEach(borrowing => {
+    const side = balance[borrowing.type];
+    const remaining = getRemainingInMinorUnits(borrowing);
+    
+    side.total += valueAt(borrowing.amountInMinorUnits, borrowing.currency, currency, borrowing.date);
+    side.repaid += valueAt(borrowing.amountInMinorUnits - remaining, borrowing.currency, currency, borrowing.date);
+    side.outstanding += valueAt(remaining, borrowing.currency, currency, asOf);
+    side.count++;
+  });
+  
+  return {
+    ...balance,
+    owedToUser: balance.lent.outstanding,
+    owedByUser: balance.borrowed.outstanding,
+    net: balance.lent.outstanding - balance.borrowed.outstanding
+  };
+}
+
+module.exports = {
+  findOrCreateContact,
+  resolveContact,
+  linkUnassignedBorrowings,
+  calculateContactBalance
+};
@@ -0,0 +1,340 @@
+// backend/utils/currencies.js
+
+// Currencies whose minor unit is not 1/100 (ISO 4217 exponent)
+const EXPONENTS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  CLF: 4, UYW: 4
+};
+
+// Active ISO 4217 currencies (funds, metals and test codes excluded)
+const CURRENCY_NAMES = {
+  AED: 'UAE Dirham',
+  AFN: 'Afghan Afghani',
+  ALL: 'Albanian Lek',
+  AMD: 'Armenian Dram',
+  ANG: 'Netherlands Antillean Guilder',
+  AOA: 'Angolan Kwanza',
+  ARS: 'Argentine Peso',
+  AUD: 'Australian Dollar',
+  AWG: 'Aruban Florin',
+  AZN: 'Azerbaijani Manat',
+  BAM: 'Bosnia-Herzegovina Convertible Mark',
+  BBD: 'Barbadian Dollar',
+  BDT: 'Bangladeshi Taka',
+  BGN: 'Bulgarian Lev',
+  BHD: 'Bahraini Dinar',
+  BIF: 'Burundian Franc',
+  BMD: 'Bermudan Dollar',
+  BND: 'Brunei Dollar',
+  BOB: 'Bolivian Boliviano',
+  BRL: 'Brazilian Real',
+  BSD: 'Bahamian Dollar',
+  BTN: 'Bhutanese Ngultrum',
+  BWP: 'Botswanan Pula',
+  BYN: 'Belarusian Ruble',
+  BZD: 'Belize Dollar',
+  CAD: 'Canadian Dollar',
+  CDF: 'Congolese Franc',
+  CHF: 'Swiss Franc',
+  CLF: 'Chilean Unit of Account (UF)',
+  CLP: 'Chilean Peso',
+  CNY: 'Chinese Yuan',
+  COP: 'Colombian Peso',
+  CRC: 'Costa Rican Colón',
+  CUP: 'Cuban Peso',
+  CVE: 'Cape Verdean Escudo',
+  CZK: 'Czech Koruna',
+  DJF: 'Djiboutian Franc',
+  DKK: 'Danish Krone',
+  DOP: 'Dominican Peso',
+  DZD: 'Algerian Dinar',
+  EGP: 'Egyptian Pound',
+  ERN: 'Eritrean Nakfa',
+  ETB: 'Ethiopian Birr',
+  EUR: 'Euro',
+  FJD: 'Fijian Dollar',
+  FKP: 'Falkland Islands Pound',
+  GBP: 'British Pound',
+  GEL: 'Georgian Lari',
+  GHS: 'Ghanaian Cedi',
+  GIP: 'Gibraltar Pound',
+  GMD: 'Gambian Dalasi',
+  GNF: 'Guinean Franc',
+  GTQ: 'Guatemalan Quetzal',
+  GYD: 'Guyanaese Dollar',
+  HKD: 'Hong Kong Dollar',
+  HNL: 'Honduran Lempira',
+  HTG: 'Haitian Gourde',
+  HUF: 'Hungarian Forint',
+  IDR: 'Indonesian Rupiah',
+  ILS: 'Israeli New Shekel',
+  INR: 'Indian Rupee',
+  IQD: 'Iraqi Dinar',
+  IRR: 'Iranian Rial',
+  ISK: 'Icelandic Króna',
+  JMD: 'Jamaican Dollar',
+  JOD: 'Jordanian Dinar',
+  JPY: 'Japanese Yen',
+  KES: 'Kenyan Shilling',
+  KGS: 'Kyrgystani Som',
+  KHR: 'Cambodian Riel',
+  KMF: 'Comorian Franc',
+  KPW: 'North Korean Won',
+  KRW: 'South Korean Won',
+  KWD: 'Kuwaiti Dinar',
+  KYD: 'Cayman Islands Dollar',
+  KZT: 'Kazakhstani Tenge',
+  LAK: 'Laotian Kip',
+  LBP: 'Lebanese Pound',
+  LKR: 'Sri Lankan Rupee',
+  LRD: 'Liberian Dollar',
+  LSL: 'Lesotho Loti',
+  LYD: 'Libyan Dinar',
+  MAD: 'Moroccan Dirham',
+  MDL: 'Moldovan Leu',
+  MGA: 'Malagasy Ariary',
+  MKD: 'Macedonian Denar',
+  MMK: 'Myanmar Kyat',
+  MNT: 'Mongolian Tugrik',
+  MOP: 'Macanese Pataca',
+  MRU: 'Mauritanian Ouguiya',
+  MUR: 'Mauritian Rupee',
+  MVR: 'Maldivian Rufiyaa',
+  MWK: 'Malawian Kwacha',
+  MXN: 'Mexican Peso',
+  MYR: 'Malaysian Ringgit',
+  MZN: 'Mozambican Metical',
+  NAD: 'Namibian Dollar',
+  NGN: 'Nigerian Naira',
+  NIO: 'Nicaraguan Córdoba',
+  NOK: 'Norwegian Krone',
+  NPR: 'Nepalese Rupee',
+  NZD: 'New Zealand Dollar',
+  OMR: 'Omani Rial',
+  PAB: 'Panamanian Balboa',
+  PEN: 'Peruvian Sol',
+  PGK: 'Papua New Guinean Kina',
+  PHP: 'Philippine Peso',
+  PKR: 'Pakistani Rupee',
+  PLN: 'Polish Zloty',
+  PYG: 'Paraguayan Guarani',
+  QAR: 'Qatari Riyal',
+  RON: 'Romanian Leu',
+  RSD: 'Serbian Dinar',
+  RUB: 'Russian Ruble',
+  RWF: 'Rwandan Franc',
+  SAR: 'Saudi Riyal',
+  SBD: 'Solomon Islands Dollar',
+  SCR: 'Seychellois Rupee',
+  SDG: 'Sudanese Pound',
+  SEK: 'Swedish Krona',
+  SGD: 'Singapore Dollar',
+  SHP: 'St. Helena Pound',
+  SLE: 'Sierra Leonean Leone',
+  SOS: 'Somali Shilling',
+  SRD: 'Surinamese Dollar',
+  SSP: 'South Sudanese Pound',
+  STN: 'São Tomé & Príncipe Dobra',
+  SVC: 'Salvadoran Colón',
+  SYP: 'Syrian Pound',
+  SZL: 'Swazi Lilangeni',
+  THB: 'Thai Baht',
+  TJS: 'Tajikistani Somoni',
+  TMT: 'Turkmenistani Manat',
+  TND: 'Tunisian Dinar',
+  TOP: 'Tongan Paʻanga',
+  TRY: 'Turkish Lira',
+  TTD: 'Trinidad & Tobago Dollar',
+  TWD: 'New Taiwan Dollar',
+  TZS: 'Tanzanian Shilling',
+  UAH: 'Ukrainian Hryvnia',
+  UGX: 'Ugandan Shilling',
+  USD: 'US Dollar',
+  UYI: 'Uruguayan Peso (Indexed Units)',
+  UYU: 'Uruguayan Peso',
+  UYW: 'Uruguayan Nominal Wage Index Unit',
+  UZS: 'Uzbekistani Som',
+  VES: 'Venezuelan Bolívar',
+  VND: 'Vietnamese Dong',
+  VUV: 'Vanuatu Vatu',
+  WST: 'Samoan Tala',
+  XAF: 'Central African CFA Franc',
+  XCD: 'East Caribbean Dollar',
+  XOF: 'West African CFA Franc',
+  XPF: 'CFP Franc',
+  YER: 'Yemeni Rial',
+  ZAR: 'South African Rand',
+  ZMW: 'Zambian Kwacha',
+  ZWL: 'Zimbabwean Dollar'
+};
+
+// Registry keyed by code: { code, name, exponent }
+const CURRENCIES = Object.fromEntries(
+  Object.entries(CURRENCY_NAMES).map(([code, name]) => [
+    code,
+    { code, name, exponent: EXPONENTS[code] ?? 2 }
+  ])
+);
+
+// All supported codes, used for schema enums and validators
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+/**
+ * Look up a currency in the registry
+ * @param {string} code - ISO 4217 code (case-insensitive)
+ * @returns {Object|null} { code, name, exponent } or null if unknown
+ */
+function getCurrency(code) {
+  return CURRENCIES[String(code || '').toUpperCase()] || null;
+}
+
+/**
+ * Check whether a code is a supported ISO 4217 currency
+ * @param {string} code - Currency code
+ * @returns {boolean} True if the code is in the registry
+ */
+function isSupportedCurrency(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+}
+
+/**
+ * Number of decimal places in a currency's minor unit
+ * @param {string} code - Currency code
+ * @returns {number} Exponent (JPY 0, USD 2, KWD 3)
+ */
+function getExponent(code) {
+  const currency = getCurrency(code);
+  if (!currency) {
+    throw new Error(`Unsupported currency "${code}"`);
+  }
+  
+  return currency.exponent;
+}
+
+/**
+ * Convert a major-unit amount to integer minor units
+ * @param {number} amount - Amount in major units (e.g. 12.34 USD)
+ * @param {string} currency - Currency code
+ * @returns {number} Amount in minor units (e.g. 1234)
+ */
+function toMinorUnits(amount, currency) {
+  const factor = 10 ** getExponent(currency);
+  // Round twice so float noise like 1.005 * 100 = 100.49999 still lands on 101
+  return Math.round(Number((Number(amount) * factor).toFixed(6)));
+}
+
+/**
+ * Convert integer minor units to a major-unit amount
+ * @param {number} amountInMinorUnits - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {number} Amount in major units
+ */
+function fromMinorUnits(amountInMinorUnits, currency) {
+  return amountInMinorUnits / 10 ** getExponent(currency);
+}
+
+/**
+ * Round a major-unit amount to the currency's precision
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @returns {number} Rounded amount
+ */
+function roundToCurrency(amount, currency) {
+  return fromMinorUnits(toMinorUnits(amount, currency), currency);
+}
+
+/**
+ * Count decimal places a major-unit amount would need
+ * Used by validators to reject 1.234 USD or 1.5 JPY
+ * @param {number|string} amount - Amount in major units
+ * @returns {number} Number of decimal places
+ */
+function countDecimals(amount) {
+  const [, decimals = ''] = String(amount).split('.');
+  return decimals.length;
+}
+
+/**
+ * Format a minor-unit amount for display
+ * @param {number} amountInMinorUnits - Amount in minor units
+ * @param {string} currency - Currency code
+ * @param {string} locale - BCP 47 locale (defaults to en-US)
+ * @returns {string} Formatted amount, e.g. "$1,234.50" or "¥1,235"
+ */
+function formatMoney(amountInMinorUnits, currency, locale = 'en-US') {
+  const exponent = getExponent(currency);
+  
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: exponent,
+    maximumFractionDigits: exponent
+  }).format(fromMinorUnits(amountInMinorUnits, currency));
+}
+
+/**
+ * Resolve a language preference ('en', 'az', 'de-AT') to a locale Intl can format with
+ * @param {string} language - BCP 47 language tag
+ * @returns {string} Supported locale, or en-US
+ */
+function getLocale(language) {
+  try {
+    const [supported] = Intl.NumberFormat.supportedLocalesOf(language || []);
+    return supported || 'en-US';
+  } catch (error) {
+    return 'en-US';
+  }
+}
+
+/**
+ * Formatter for money in API responses, called as money(amountInMinorUnits, currency)
+ * By default it returns major units (12.34) like fromMinorUnits. With minorUnits it
+ * returns { amountInMinorUnits, currency, formatted } so clients never divide or round
+ * @param {Object} options - minorUnits (boolean) and locale for the formatted string
+ * @returns {Function} Formatter
+ */
+function createMoneyFormatter({ minorUnits = false, locale = 'en-US' } = {}) {
+  if (!minorUnits) {
+    return fromMinorUnits;
+  }
+  
+  return (amountInMinorUnits, currency) => ({
+    amountInMinorUnits,
+    currency,
+    formatted: formatMoney(amountInMinorUnits, currency, locale)
+  });
+}
+
+/**
+ * Registry entries for clients, with a display symbol per code
+ * @param {string} locale - Locale used to resolve symbols
+ * @param {string[]} codes - Codes to list (defaults to the whole registry); unknown codes are skipped
+ * @returns {Object[]} { code, name, exponent, symbol } sorted by code
+ */
+function listCurrencies(locale = 'en-US', codes = CURRENCY_CODES) {
+  return codes.filter(isSupportedCurrency).map(code => {
+    const symbol = new Intl.NumberFormat(locale, { style: 'currency', currency: code })
+      .formatToParts(0)
+      .find(part => part.type === 'currency');
+    
+    return { ...CURRENCIES[code], symbol: symbol ? symbol.value : code };
+  });
+}
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  getCurrency,
+  isSupportedCurrency,
+  getExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  roundToCurrency,
+  countDecimals,
+  formatMoney,
+  getLocale,
+  createMoneyFormatter,
+  listCurrencies
+};
@@ -1,54 +1,209 @@
 // backend/utils/currencyConverter.js
 
-// FIXED: Store rates with dates for historical accuracy
-// In production, these should come from a database or API
-const exchangeRates = {
-  // Current rates (as of the system date)
-  current: {
-    USD: 1.0,
-    EUR: 0.92,
-    AZN: 1.7015,
-    lastUpdated: new Date('2025-08-19')
-  },
-  // Historical rates for migrations and reports
-  // You should populate this from a rates API or database
-  historical: [
-    {
-      date: new Date('2025-08-01'),
-      rates: { USD: 1.0, EUR: 0.92, AZN: 1.7015 }
-    },
-    {
-      date: new Date('2025-07-01'),
-      rates: { USD: 1.0, EUR: 0.91, AZN: 1.70 }
-    }
-    // Add more historical rates as needed
-  ]
-};
+const ExchangeRate = require('../models/ExchangeRate');
+const { readRatesFile, getRateProvider } = require('./rateProviders');
+const { getExponent } = require('./currencies');
+
+// Daily rates (units per 1 USD) sorted by date, oldest first
+// Seeded from the bundled fixture and replaced by the ExchangeRate
+// collection once loadExchangeRates() has run
+let rateHistory = [];
+try {
+  rateHistory = readRatesFile();
+} catch (error) {
+  console.error('Error reading exchange rate fixture:', error.message);
+}
 
 /**
- * Get exchange rate for a specific date
- * @param {Date} date - The date for which to get the rate
- * @returns {Object} Exchange rates for that date
+ * Replace the in-memory rate history
+ * @param {Object[]} entries - { date, rates } entries
+ */
+function setRateHistory(entries) {
+  rateHistory = entries
+    .map(entry => ({ date: new Date(entry.date), rates: { ...entry.rates } }))
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Most recent rates in the history
+ * @returns {Object} { date, rates } or null when no rates are loaded
+ */
+function getLatestRates() {
+  return rateHistory[rateHistory.length - 1] || null;
+}
+
+/**
+ * Currencies the rate history can convert: USD and everything quoted in the latest rates
+ * @returns {string[]} Currency codes, sorted
  */
-function getRatesForDate(date) {
-  if (!date || !(date instanceof Date)) {
-    return exchangeRates.current.rates || exchangeRates.current;
+function getConvertibleCurrencies() {
+  const latest = getLatestRates();
+  const codes = new Set(['USD', ...Object.keys((latest && latest.rates) || {})]);
+  
+  return [...codes].sort();
+}
+
+/**
+ * Check whether amounts in a currency can be converted with the current rates
+ * @param {string} currency - Currency code
+ * @returns {boolean} True for USD and currencies quoted in the latest rates
+ */
+function hasExchangeRate(currency) {
+  const latest = getLatestRates();
+  return currency === 'USD' || Boolean(latest && latest.rates[currency]);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Staleness limits in days, from the environment unless overridden
+ * - warnAfterDays: older rates are used but reported with a warning
+ * - maxAgeDays: older rates are rejected (unset means no limit)
+ * @param {Object} overrides - warnAfterDays and/or maxAgeDays
+ * @returns {Object} { warnAfterDays, maxAgeDays }
+ */
+function getRateLimits(overrides = {}) {
+  const fromEnv = (value, fallback) => {
+    const days = parseInt(value, 10);
+    return Number.isFinite(days) && days >= 0 ? days : fallback;
+  };
+  
+  return {
+    warnAfterDays: fromEnv(process.env.EXCHANGE_RATE_WARN_AFTER_DAYS, 3),
+    maxAgeDays: fromEnv(process.env.EXCHANGE_RATE_MAX_AGE_DAYS, null),
+    ...overrides
+  };
+}
+
+/**
+ * Find the latest rates published on or before a date
+ * Dates before the first stored day use the earliest rates, with a warning
+ * @param {Date} date - Date the rates are needed for (defaults to now)
+ * @param {Object} options - Staleness limits, see getRateLimits
+ * @returns {Object} { date, rates, ageDays, warning }
+ * @throws {Error} When no rates are loaded or the nearest ones are too far from the date
+ */
+function getRateSnapshot(date = new Date(), options = {}) {
+  const target = date instanceof Date && !isNaN(date.getTime()) ? date : new Date();
+  const { warnAfterDays, maxAgeDays } = getRateLimits(options);
+  const day = target.toISOString().slice(0, 10);
+  
+  if (rateHistory.length === 0) {
+    throw new Error('No exchange rates are loaded');
   }
   
-  // Find the closest historical rate
-  const targetTime = date.getTime();
-  let closestRate = exchangeRates.current;
-  let closestDiff = Math.abs(targetTime - exchangeRates.current.lastUpdated.getTime());
+  let entry = null;
+  for (let i = rateHistory.length - 1; i >= 0; i--) {
+    if (rateHistory[i].date <= target) {
+      entry = rateHistory[i];
+      break;
+    }
+  }
   
-  for (const historical of exchangeRates.historical) {
-    const diff = Math.abs(targetTime - historical.date.getTime());
-    if (diff < closestDiff) {
-      closestDiff = diff;
-      closestRate = historical.rates;
+  // Before the history starts: the earliest rates are the closest we have
+  if (!entry) {
+    const earliest = rateHistory[0];
+    const daysAhead = Math.ceil((earliest.date - target) / DAY_MS);
+    const rateDay = earliest.date.toISOString().slice(0, 10);
+    
+    if (maxAgeDays !== null && maxAgeDays !== undefined && daysAhead > maxAgeDays) {
+      throw new Error(`Earliest exchange rates are from ${rateDay}, more than ${maxAgeDays} days after ${day}`);
     }
+    
+    return {
+      date: earliest.date,
+      rates: earliest.rates,
+      ageDays: 0,
+      warning: `No exchange rates before ${rateDay}; using them for ${day}`
+    };
+  }
+  
+  const ageDays = Math.floor((target - entry.date) / DAY_MS);
+  const rateDay = entry.date.toISOString().slice(0, 10);
+  
+  if (maxAgeDays !== null && maxAgeDays !== undefined && ageDays > maxAgeDays) {
+    throw new Error(`Latest exchange rates for ${day} are from ${rateDay}, older than ${maxAgeDays} days`);
+  }
+  
+  return {
+    date: entry.date,
+    rates: entry.rates,
+    ageDays,
+    warning: ageDays > warnAfterDays
+      ? `Using exchange rates from ${rateDay} for ${day} (${ageDays} days old)`
+      : null
+  };
+}
+
+/**
+ * Get exchange rates for a specific date
+ * @param {Date} date - The date for which to get the rate
+ * @param {Object} options - Staleness limits, see getRateLimits
+ * @returns {Object} Exchange rates (units per 1 USD) in effect on that date
+ */
+function getRatesForDate(date, options) {
+  return getRateSnapshot(date, options).rates;
+}
+
+/**
+ * Express rates in another base currency
+ * @param {Object} rates - Units per 1 USD
+ * @param {string} base - Currency to express the rates in
+ * @param {string[]} symbols - Currencies to include (defaults to all available)
+ * @returns {Object} Units per 1 base
+ */
+function rebaseRates(rates, base, symbols = Object.keys(rates)) {
+  if (!rates[base]) {
+    throw new Error(`Exchange rate not available for ${base}`);
   }
   
-  return closestRate;
+  return Object.fromEntries(symbols.map(code => {
+    if (!rates[code]) {
+      throw new Error(`Exchange rate not available for ${code}`);
+    }
+    return [code, rates[code] / rates[base]];
+  }));
+}
+
+/**
+ * Rates in effect on a date, expressed in a base currency
+ * @param {string} base - Base currency (defaults to USD)
+ * @param {Date} date - Date the rates are needed for (defaults to now)
+ * @param {string[]} symbols - Currencies to include (defaults to all available)
+ * @returns {Object} { base, date, rates, ageDays, warning }
+ */
+function getRatesInBase(base = 'USD', date = new Date(), symbols) {
+  const snapshot = getRateSnapshot(date);
+  
+  return {
+    base,
+    date: snapshot.date,
+    rates: rebaseRates(snapshot.rates, base, symbols),
+    ageDays: snapshot.ageDays,
+    warning: snapshot.warning
+  };
+}
+
+/**
+ * Stored daily rates between two dates, expressed in a base currency
+ * @param {string} base - Base currency (defaults to USD)
+ * @param {Date} startDate - First day (inclusive)
+ * @param {Date} endDate - Last day (inclusive)
+ * @param {string[]} symbols - Currencies to include (defaults to all available each day)
+ * @returns {Object[]} { date, rates } oldest first; days lacking the base are skipped
+ */
+function getRateHistory(base = 'USD', startDate, endDate, symbols) {
+  return rateHistory
+    .filter(entry => (!startDate || entry.date >= startDate) && (!endDate || entry.date <= endDate))
+    .filter(entry => entry.rates[base])
+    .map(entry => ({
+      date: entry.date,
+      rates: rebaseRates(
+        entry.rates,
+        base,
+        (symbols || Object.keys(entry.rates)).filter(code => entry.rates[code])
+      )
+    }));
 }
 
 /**
@@ -80,15 +235,17 @@ function convertCurrency(amountInMinorUnits, fromCurrency, toCurrency, date = ne
     };
   }
   
-  const rates = getRatesForDate(date);
+  const { rates, date: rateDate, warning } = getRateSnapshot(date);
   
   if (!rates[fromCurrency] || !rates[toCurrency]) {
     throw new Error(`Exchange rate not available for ${fromCurrency} or ${toCurrency}`);
   }
   
-  // Convert to USD first (as base), then to target currency
+  // Convert to USD first (as base), then to target currency,
+  // shifting between minor units of different size (JPY 0, USD 2, KWD 3)
+  const exponentShift = 10 ** (getExponent(toCurrency) - getExponent(fromCurrency));
   const amountInUSD = amountInMinorUnits / rates[fromCurrency];
-  const convertedAmount = Math.round(amountInUSD * rates[toCurrency]);
+  const convertedAmount = Math.round(amountInUSD * rates[toCurrency] * exponentShift);
   const exchangeRate = rates[toCurrency] / rates[fromCurrency];
   
   return {
@@ -97,7 +254,9 @@ function convertCurrency(amountInMinorUnits, fromCurrency, toCurrency, date = ne
     exchangeRateToUSD: rates[fromCurrency],
     fromCurrency,
     toCurrency,
-    date
+    date,
+    rateDate,
+    warning
   };
 }
 
@@ -124,27 +283,76 @@ function convertFromUSD(amountInMinorUnits, toCurrency, date = new Date()) {
 }
 
 /**
- * Get current exchange rate to USD
+ * Get exchange rate to USD on a date
  * @param {string} currency - Currency code
+ * @param {Date} date - Date for exchange rate
  * @returns {number} Exchange rate to USD
  */
 function getExchangeRateToUSD(currency, date = new Date()) {
+  if (currency === 'USD') return 1;
+  
   const rates = getRatesForDate(date);
   return rates[currency] || null;
 }
 
 /**
- * Update exchange rates (should be called periodically)
- * In production, this would fetch from an API
+ * Load the rate history from the ExchangeRate collection
+ * Keeps the current history when the collection is empty
+ * @returns {Promise<number>} Number of days loaded
  */
-async function updateExchangeRates() {
-  // Example: Fetch from a rates API
-  // const response = await fetch('https://api.exchangeratesapi.io/latest?base=USD');
-  // const data = await response.json();
-  // exchangeRates.current = { ...data.rates, lastUpdated: new Date() };
+async function loadExchangeRates() {
+  const docs = await ExchangeRate.find({ base: 'USD' }).sort({ date: 1 }).lean();
   
-  // For now, just log
-  console.log('Exchange rates update scheduled - implement API integration');
+  if (docs.length > 0) {
+    setRateHistory(docs.map(doc => ({ date: doc.date, rates: doc.rates })));
+  }
+  
+  return docs.length;
+}
+
+/**
+ * Fetch rates from a provider, store them and reload the history
+ * @param {string} providerName - Provider to use (defaults to EXCHANGE_RATE_PROVIDER or file)
+ * @returns {Promise<number>} Number of days stored
+ */
+async function updateExchangeRates(providerName) {
+  const provider = getRateProvider(providerName);
+  const entries = await provider.fetchRates();
+  
+  if (entries.length > 0) {
+    await ExchangeRate.bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { base: 'USD', date: entry.date },
+        update: {
+          $set: { rates: entry.rates, source: provider.name, updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        upsert: true
+      }
+    })));
+  }
+  
+  await loadExchangeRates();
+  
+  return entries.length;
+}
+
+/**
+ * Prepare rates at startup
+ * Seeds an empty collection from the fixture, then tries the configured provider;
+ * if that fails, the stored history is used
+ */
+async function initExchangeRates() {
+  if (await ExchangeRate.estimatedDocumentCount() === 0) {
+    await updateExchangeRates('file');
+  }
+  
+  try {
+    await updateExchangeRates();
+  } catch (error) {
+    console.error('Error updating exchange rates:', error.message);
+    await loadExchangeRates();
+  }
 }
 
 module.exports = {
@@ -153,5 +361,15 @@ module.exports = {
   convertFromUSD,
   getExchangeRateToUSD,
   updateExchangeRates,
-  getRatesForDate
-};
\ No newline at end of file
+  loadExchangeRates,
+  initExchangeRates,
+  setRateHistory,
+  getLatestRates,
+  getConvertibleCurrencies,
+  hasExchangeRate,
+  getRateLimits,
+  getRateSnapshot,
+  getRatesForDate,
+  getRatesInBase,
+  getRateHistory
+};
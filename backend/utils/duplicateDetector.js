@@ -0,0 +1,127 @@
+// backend/utils/duplicateDetector.js
+const Transaction = require('../models/Transaction');
+
+// Bank posting dates can lag the card date by a few days
+const DEFAULT_WINDOW_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a description for comparison
+ * "CHECKCARD 0707 WALMART.COM" -> "checkcard 0707 walmart com"
+ * @param {string} description - Raw description
+ * @returns {string} Normalized description
+ */
+function normalizeDescription(description = '') {
+  return String(description || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Descriptions match when equal after normalizing, when one contains
+ * the other, or when either side has no description
+ */
+function descriptionsMatch(a, b) {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  
+  if (!left || !right) return true;
+  return left === right || left.includes(right) || right.includes(left);
+}
+
+// Has the user already marked these two transactions as distinct?
+function isIgnoredPair(a, b) {
+  const ignored = (tx, other) => other._id && (tx.notDuplicateOf || [])
+    .some(id => String(id) === String(other._id));
+  
+  return ignored(a, b) || ignored(b, a);
+}
+
+/**
+ * Check whether two transactions look like the same money movement
+ * @param {Object} a - Transaction or candidate (type, amountInMinorUnits, currency, date, description)
+ * @param {Object} b - Transaction or candidate
+ * @param {number} windowDays - Maximum date difference in days
+ * @returns {boolean} True if they are likely duplicates
+ */
+function isDuplicate(a, b, windowDays = DEFAULT_WINDOW_DAYS) {
+  if (a._id && b._id && String(a._id) === String(b._id)) return false;
+  if (a.type !== b.type) return false;
+  if (a.amountInMinorUnits !== b.amountInMinorUnits) return false;
+  if (a.currency && b.currency && a.currency !== b.currency) return false;
+  if (Math.abs(new Date(a.date) - new Date(b.date)) > windowDays * DAY_MS) return false;
+  if (isIgnoredPair(a, b)) return false;
+  
+  return descriptionsMatch(a.description, b.description);
+}
+
+/**
+ * Find existing transactions in an account that match each candidate
+ * @param {string} userId - Owner of the account
+ * @param {string} accountId - Account to search
+ * @param {Object[]} candidates - New transactions to check
+ * @param {Object} options - windowDays and Mongo session
+ * @returns {Promise<Transaction[][]>} Matches for each candidate, in order
+ */
+async function findDuplicates(userId, accountId, candidates, { windowDays = DEFAULT_WINDOW_DAYS, session = null } = {}) {
+  if (candidates.length === 0) {
+    return [];
+  }
+  
+  const times = candidates.map(c => new Date(c.date).getTime());
+  
+  const existing = await Transaction.find({
+    user: userId,
+    account: accountId,
+    amountInMinorUnits: { $in: [...new Set(candidates.map(c => c.amountInMinorUnits))] },
+    date: {
+      $gte: new Date(Math.min(...times) - windowDays * DAY_MS),
+      $lte: new Date(Math.max(...times) + windowDays * DAY_MS)
+    }
+  }).session(session);
+  
+  return candidates.map(candidate =>
+    existing.filter(tx => isDuplicate(candidate, tx, windowDays))
+  );
+}
+
+/**
+ * Group a list of transactions into sets of likely duplicates
+ * @param {Transaction[]} transactions - Transactions from one account
+ * @param {number} windowDays - Maximum date difference in days
+ * @returns {Transaction[][]} Groups with two or more transactions
+ */
+function findDuplicateGroups(transactions, windowDays = DEFAULT_WINDOW_DAYS) {
+  const sorted = [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const grouped = new Set();
+  const groups = [];
+  
+  sorted.forEach((tx, index) => {
+    if (grouped.has(tx)) return;
+    
+    const group = [tx];
+    for (let i = index + 1; i < sorted.length; i++) {
+      const other = sorted[i];
+      if (new Date(other.date) - new Date(tx.date) > windowDays * DAY_MS) break;
+      if (!grouped.has(other) && isDuplicate(tx, other, windowDays)) {
+        group.push(other);
+      }
+    }
+    
+    if (group.length > 1) {
+      group.forEach(member => grouped.add(member));
+      groups.push(group);
+    }
+  });
+  
+  return groups;
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  normalizeDescription,
+  isDuplicate,
+  findDuplicates,
+  findDuplicateGroups
+};
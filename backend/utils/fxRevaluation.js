@@ -0,0 +1,59 @@
+// backend/utils/fxRevaluation.js
+const { convertCurrency, getRateSnapshot } = require('./currencyConverter');
+const { getBalanceDelta } = require('./ledger');
+
+/**
+ * Split the change in an account's base-currency value over a period
+ *
+ *   closing value - opening value = cash flow + FX revaluation
+ *
+ * - cash flow: each transaction valued at the rate of its own date
+ * - FX revaluation: the rest, i.e. gains or losses from rate moves on money held
+ *
+ * Opening and closing balances are rebuilt from the current balance by
+ * reversing later transactions, so opening balances without a transaction work too
+ * @param {Account} account - Account (current balanceInMinorUnits and currency)
+ * @param {Transaction[]} transactions - The account's transactions dated on or after start
+ * @param {string} base - Base currency to value the account in
+ * @param {Date} start - Period start
+ * @param {Date} end - Period end (not after today)
+ * @returns {Object} Balances in account currency and values in base currency minor units
+ */
+function calculateFxRevaluation(account, transactions, base, start, end) {
+  let closingBalanceInMinorUnits = account.balanceInMinorUnits;
+  let periodFlowInMinorUnits = 0;
+  let cashFlowInMinorUnits = 0;
+  
+  transactions.forEach(transaction => {
+    const delta = getBalanceDelta(transaction, account);
+    const date = new Date(transaction.date);
+    
+    if (date > end) {
+      closingBalanceInMinorUnits -= delta;
+    } else if (date >= start) {
+      periodFlowInMinorUnits += delta;
+      cashFlowInMinorUnits += convertCurrency(delta, account.currency, base, date).amountInMinorUnits;
+    }
+  });
+  
+  const openingBalanceInMinorUnits = closingBalanceInMinorUnits - periodFlowInMinorUnits;
+  const opening = convertCurrency(openingBalanceInMinorUnits, account.currency, base, start);
+  const closing = convertCurrency(closingBalanceInMinorUnits, account.currency, base, end);
+  const revaluationInMinorUnits = closing.amountInMinorUnits - opening.amountInMinorUnits - cashFlowInMinorUnits;
+  
+  return {
+    openingBalanceInMinorUnits,
+    closingBalanceInMinorUnits,
+    openingRate: opening.exchangeRate,
+    closingRate: closing.exchangeRate,
+    openingValueInMinorUnits: opening.amountInMinorUnits,
+    closingValueInMinorUnits: closing.amountInMinorUnits,
+    cashFlowInMinorUnits,
+    revaluationInMinorUnits,
+    rateWarning: getRateSnapshot(end).warning
+  };
+}
+
+module.exports = {
+  calculateFxRevaluation
+};
@@ -0,0 +1,524 @@
+// backend/utils/ledger.js
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const { convertCurrency, getExchangeRateToUSD, getRateSnapshot } = require('./currencyConverter');
+const { fromMinorUnits } = require('./currencies');
+
+// Categories for manual currency exchanges and the fee charged on them
+const EXCHANGE_CATEGORY = 'Currency Exchange';
+const FEE_CATEGORY = 'Fees';
+// Money lent or borrowed, and repayments of it
+const LOAN_CATEGORY = 'Loans';
+const LOAN_REPAYMENT_CATEGORY = 'Loan Repayments';
+
+/**
+ * Find an active account owned by the user
+ * @param {string} userId - Owner of the account
+ * @param {string} accountId - Account ID
+ * @param {ClientSession} session - Mongo session
+ * @param {string} label - Name used in error messages
+ * @returns {Promise<Account>} The account document
+ */
+async function findActiveAccount(userId, accountId, session, label = 'Account') {
+  const account = await Account.findOne({
+    _id: accountId,
+    user: userId
+  }).session(session);
+  
+  if (!account) {
+    throw new Error(`${label} not found`);
+  }
+  
+  if (!account.isActive) {
+    throw new Error(`${label} is inactive`);
+  }
+  
+  return account;
+}
+
+/**
+ * Calculate the USD fields stored on every transaction
+ * @param {number} amountInMinorUnits - Amount in minor units
+ * @param {string} currency - Currency of the amount
+ * @param {Date} date - Date for exchange rate
+ * @returns {Object} exchangeRateToUSD and amountInUSDMinorUnits
+ */
+function getUSDAmounts(amountInMinorUnits, currency, date) {
+  const exchangeRateToUSD = getExchangeRateToUSD(currency, date);
+  if (!exchangeRateToUSD) {
+    throw new Error(`Exchange rate not available for ${currency}`);
+  }
+  
+  const usdConversion = convertCurrency(amountInMinorUnits, currency, 'USD', date);
+  
+  return {
+    exchangeRateToUSD,
+    amountInUSDMinorUnits: usdConversion.amountInMinorUnits
+  };
+}
+
+/**
+ * Staleness warning for the rates a posting converts with
+ * @param {string[]} currencies - Currencies involved in the posting
+ * @param {Date} date - Date for exchange rate
+ * @returns {string|null} Warning, or null when the rates are fresh or no conversion is needed
+ */
+function getRateWarning(currencies, date) {
+  if (currencies.every(currency => !currency || currency === 'USD')) {
+    return null;
+  }
+  
+  return getRateSnapshot(date).warning;
+}
+
+/**
+ * Get the transaction amount expressed in the account currency
+ * @param {Transaction} transaction - Transaction document
+ * @param {Account} account - Account the transaction posts to
+ * @returns {number} Amount in account currency minor units
+ */
+function getAmountInAccountCurrency(transaction, account) {
+  if (transaction.currency === account.currency) {
+    return transaction.amountInMinorUnits;
+  }
+  
+  return convertCurrency(
+    transaction.amountInMinorUnits,
+    transaction.currency,
+    account.currency,
+    transaction.date
+  ).amountInMinorUnits;
+}
+
+/**
+ * Signed effect of a transaction on its account balance
+ * Income and incoming transfer legs add, expenses and outgoing legs subtract
+ * @param {Transaction} transaction - Transaction document
+ * @param {Account} account - Account the transaction posts to
+ * @returns {number} Balance delta in account currency minor units
+ */
+function getBalanceDelta(transaction, account) {
+  const amount = getAmountInAccountCurrency(transaction, account);
+  
+  switch (transaction.type) {
+    case 'income':
+      return amount;
+    case 'expense':
+      return -amount;
+    case 'transfer':
+      // Legacy transfers without a direction never touched balances
+      if (transaction.transferDirection === 'in') return amount;
+      if (transaction.transferDirection === 'out') return -amount;
+      return 0;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Apply (direction = 1) or reverse (direction = -1) a transaction on an account
+ * @param {Transaction} transaction - Transaction document
+ * @param {Account} account - Account the transaction posts to
+ * @param {number} direction - 1 to apply, -1 to reverse
+ */
+function applyToBalance(transaction, account, direction = 1) {
+  account.balanceInMinorUnits += direction * getBalanceDelta(transaction, account);
+}
+
+/**
+ * Reject balances that went negative on non-credit accounts
+ * @param {Account} account - Account to check
+ */
+function assertSufficientFunds(account) {
+  if (account.balanceInMinorUnits < 0 && account.type !== 'credit') {
+    throw new Error('Insufficient funds');
+  }
+}
+
+/**
+ * Build the incoming leg of a transfer from its outgoing leg
+ * The incoming leg is stored in the destination account currency
+ * @param {Transaction} outLeg - Outgoing leg (source account)
+ * @param {Account} destination - Destination account
+ * @param {Transaction} inLeg - Existing incoming leg to update (optional)
+ * @returns {Transaction} Incoming leg
+ */
+function buildIncomingLeg(outLeg, destination, inLeg = new Transaction()) {
+  const amountInMinorUnits = getAmountInAccountCurrency(outLeg, destination);
+  
+  inLeg.set({
+    user: outLeg.user,
+    account: destination._id,
+    type: 'transfer',
+    transferDirection: 'in',
+    transferAccount: outLeg.account,
+    linkedTransaction: outLeg._id,
+    category: outLeg.category,
+    amountInMinorUnits,
+    currency: destination.currency,
+    ...getUSDAmounts(amountInMinorUnits, destination.currency, outLeg.date),
+    description: outLeg.description,
+    date: outLeg.date
+  });
+  
+  outLeg.transferAccount = destination._id;
+  outLeg.linkedTransaction = inLeg._id;
+  
+  return inLeg;
+}
+
+/**
+ * Create a transaction and apply it to the account balance(s)
+ * Transfers are stored as two linked legs: 'out' on the source account
+ * and 'in' on the destination account, converted to its currency.
+ * @param {string} userId - Owner of the transaction
+ * @param {Object} data - Transaction fields (amount already in minor units)
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Object>} transaction, account, rateWarning and, for transfers, linkedTransaction and linkedAccount
+ */
+async function postTransaction(userId, data, session) {
+  const {
+    accountId,
+    toAccountId,
+    type,
+    category,
+    amountInMinorUnits,
+    currency,
+    description,
+    counterparty,
+    tags,
+    splits,
+    date,
+    recurringTransaction,
+    occurrenceDate,
+    borrowing
+  } = data;
+  
+  const account = await findActiveAccount(userId, accountId, session);
+  
+  // Use transaction currency or default to account currency
+  const txCurrency = currency || account.currency;
+  const txDate = new Date(date);
+  
+  const transaction = new Transaction({
+    user: userId,
+    account: account._id,
+    type,
+    category,
+    amountInMinorUnits,
+    currency: txCurrency,
+    ...getUSDAmounts(amountInMinorUnits, txCurrency, txDate),
+    description,
+    counterparty,
+    tags,
+    splits,
+    date: txDate,
+    recurringTransaction,
+    occurrenceDate,
+    borrowing
+  });
+  
+  let linkedTransaction = null;
+  let linkedAccount = null;
+  
+  if (type === 'transfer') {
+    if (!toAccountId) {
+      throw new Error('Destination account is required for transfers');
+    }
+    if (String(toAccountId) === String(account._id)) {
+      throw new Error('Cannot transfer to the same account');
+    }
+    
+    linkedAccount = await findActiveAccount(userId, toAccountId, session, 'Destination account');
+    transaction.transferDirection = 'out';
+    linkedTransaction = buildIncomingLeg(transaction, linkedAccount);
+    applyToBalance(linkedTransaction, linkedAccount);
+  }
+  
+  applyToBalance(transaction, account);
+  
+  if (type !== 'income') {
+    assertSufficientFunds(account);
+  }
+  
+  await transaction.save({ session });
+  await account.save({ session });
+  
+  if (linkedTransaction) {
+    await linkedTransaction.save({ session });
+    await linkedAccount.save({ session });
+  }
+  
+  const rateWarning = getRateWarning(
+    [txCurrency, account.currency, linkedAccount && linkedAccount.currency],
+    txDate
+  );
+  
+  return { transaction, account, linkedTransaction, linkedAccount, rateWarning };
+}
+
+/**
+ * Record a manual currency exchange between two accounts
+ * Unlike a transfer, both amounts are what the user actually gave and got
+ * (e.g. at a kiosk), so the incoming leg is not recalculated from stored rates.
+ * A fee is posted as an expense on the source account, linked to the outgoing leg.
+ * @param {string} userId - Owner of the accounts
+ * @param {Object} data - fromAccountId, toAccountId, amountInMinorUnits (sold),
+ *                        receivedInMinorUnits, feeInMinorUnits, date, description
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Object>} outLeg, inLeg, fee, source, destination, comparison and rateWarning
+ */
+async function postExchange(userId, data, session) {
+  const {
+    fromAccountId,
+    toAccountId,
+    amountInMinorUnits,
+    receivedInMinorUnits,
+    feeInMinorUnits = 0,
+    description = ''
+  } = data;
+  const date = new Date(data.date);
+  
+  if (String(fromAccountId) === String(toAccountId)) {
+    throw new Error('Cannot exchange into the same account');
+  }
+  
+  const source = await findActiveAccount(userId, fromAccountId, session, 'Source account');
+  const destination = await findActiveAccount(userId, toAccountId, session, 'Destination account');
+  
+  if (source.currency === destination.currency) {
+    throw new Error('Accounts must hold different currencies. Use a transfer instead');
+  }
+  
+  const exchangeRate = fromMinorUnits(receivedInMinorUnits, destination.currency) /
+    fromMinorUnits(amountInMinorUnits, source.currency);
+  
+  const outLeg = new Transaction({
+    user: userId,
+    account: source._id,
+    type: 'transfer',
+    transferDirection: 'out',
+    transferAccount: destination._id,
+    category: EXCHANGE_CATEGORY,
+    amountInMinorUnits,
+    currency: source.currency,
+    ...getUSDAmounts(amountInMinorUnits, source.currency, date),
+    exchangeRate,
+    description,
+    date
+  });
+  
+  const inLeg = new Transaction({
+    user: userId,
+    account: destination._id,
+    type: 'transfer',
+    transferDirection: 'in',
+    transferAccount: source._id,
+    linkedTransaction: outLeg._id,
+    category: EXCHANGE_CATEGORY,
+    amountInMinorUnits: receivedInMinorUnits,
+    currency: destination.currency,
+    ...getUSDAmounts(receivedInMinorUnits, destination.currency, date),
+    exchangeRate,
+    description,
+    date
+  });
+  outLeg.linkedTransaction = inLeg._id;
+  
+  const fee = feeInMinorUnits > 0
+    ? new Transaction({
+        user: userId,
+        account: source._id,
+        type: 'expense',
+        category: FEE_CATEGORY,
+        linkedTransaction: outLeg._id,
+        amountInMinorUnits: feeInMinorUnits,
+        currency: source.currency,
+        ...getUSDAmounts(feeInMinorUnits, source.currency, date),
+        description: description ? `Exchange fee: ${description}` : 'Exchange fee',
+        date
+      })
+    : null;
+  
+  applyToBalance(outLeg, source);
+  applyToBalance(inLeg, destination);
+  if (fee) applyToBalance(fee, source);
+  assertSufficientFunds(source);
+  
+  await outLeg.save({ session });
+  await inLeg.save({ session });
+  if (fee) await fee.save({ session });
+  await source.save({ session });
+  await destination.save({ session });
+  
+  const comparison = compareExchangeRate(
+    { amountInMinorUnits, receivedInMinorUnits, feeInMinorUnits },
+    source.currency,
+    destination.currency,
+    date
+  );
+  
+  return {
+    outLeg,
+    inLeg,
+    fee,
+    source,
+    destination,
+    comparison,
+    rateWarning: getRateWarning([source.currency, destination.currency], date)
+  };
+}
+
+/**
+ * Compare what an exchange actually paid with the stored reference rate
+ * Rates are destination units per source unit, in major units
+ * @param {Object} exchange - amountInMinorUnits (sold), receivedInMinorUnits, feeInMinorUnits
+ * @param {string} fromCurrency - Currency sold
+ * @param {string} toCurrency - Currency bought
+ * @param {Date} date - Date of the exchange
+ * @returns {Object} actualRate (before fee), effectiveRate (after fee), referenceRate,
+ *                   referenceAmountInMinorUnits, differenceInMinorUnits and differencePercent
+ */
+function compareExchangeRate(exchange, fromCurrency, toCurrency, date) {
+  const { amountInMinorUnits, receivedInMinorUnits, feeInMinorUnits = 0 } = exchange;
+  const sold = fromMinorUnits(amountInMinorUnits, fromCurrency);
+  const received = fromMinorUnits(receivedInMinorUnits, toCurrency);
+  const paid = fromMinorUnits(amountInMinorUnits + feeInMinorUnits, fromCurrency);
+  
+  // What the total paid (fee included) would have bought at the reference rate
+  const reference = convertCurrency(amountInMinorUnits + feeInMinorUnits, fromCurrency, toCurrency, date);
+  const effectiveRate = received / paid;
+  
+  return {
+    actualRate: received / sold,
+    effectiveRate,
+    referenceRate: reference.exchangeRate,
+    referenceRateDate: reference.rateDate,
+    referenceAmountInMinorUnits: reference.amountInMinorUnits,
+    // Negative when the exchange gave less than the reference rate
+    differenceInMinorUnits: receivedInMinorUnits - reference.amountInMinorUnits,
+    differencePercent: Math.round((effectiveRate / reference.exchangeRate - 1) * 10000) / 100
+  };
+}
+
+/**
+ * Fees posted alongside a manual currency exchange
+ * @param {Transaction} outLeg - Outgoing leg of the exchange
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Transaction[]>} Fee expenses (empty for plain transfers)
+ */
+async function getExchangeFees(outLeg, session) {
+  if (!outLeg || !outLeg.exchangeRate) {
+    return [];
+  }
+  
+  return Transaction.find({
+    user: outLeg.user,
+    type: 'expense',
+    linkedTransaction: outLeg._id
+  }).session(session);
+}
+
+/**
+ * Load both legs of a transfer, ordered as outgoing then incoming
+ * @param {Transaction} transaction - Either leg of the transfer
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Object>} outLeg and inLeg (inLeg is null if the link is broken)
+ */
+async function getTransferLegs(transaction, session) {
+  const other = transaction.linkedTransaction
+    ? await Transaction.findOne({
+        _id: transaction.linkedTransaction,
+        user: transaction.user
+      }).session(session)
+    : null;
+  
+  if (transaction.transferDirection === 'in') {
+    return { outLeg: other, inLeg: transaction };
+  }
+  
+  return { outLeg: transaction, inLeg: other };
+}
+
+/**
+ * Post the money movement of a borrowing against an account
+ * Lending and repaying a debt take money out; borrowing and being repaid bring it in
+ * @param {string} userId - Owner of the borrowing
+ * @param {Borrowing} borrowing - Borrowing the money moves for
+ * @param {Object} entry - kind ('disbursement' or 'payment'), accountId,
+ *                         amountInMinorUnits, currency, date and optional note
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Object>} Result of postTransaction
+ */
+async function postBorrowingEntry(userId, borrowing, entry, session) {
+  const isDisbursement = entry.kind === 'disbursement';
+  const outgoing = (borrowing.type === 'lent') === isDisbursement;
+  const label = isDisbursement
+    ? (borrowing.type === 'lent' ? 'Lent to' : 'Borrowed from')
+    : (borrowing.type === 'lent' ? 'Repayment from' : 'Repayment to');
+  
+  return postTransaction(userId, {
+    accountId: entry.accountId,
+    type: outgoing ? 'expense' : 'income',
+    category: isDisbursement ? LOAN_CATEGORY : LOAN_REPAYMENT_CATEGORY,
+    amountInMinorUnits: entry.amountInMinorUnits,
+    currency: entry.currency,
+    description: entry.note || `${label} ${borrowing.counterparty}`,
+    counterparty: borrowing.counterparty,
+    date: entry.date,
+    borrowing: borrowing._id
+  }, session);
+}
+
+/**
+ * Delete a posted transaction and take it back out of its account balance
+ * @param {string} userId - Owner of the transaction
+ * @param {ObjectId} transactionId - Transaction to reverse (missing ones are ignored)
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Account|null>} The account whose balance changed
+ */
+async function reversePosting(userId, transactionId, session) {
+  const transaction = await Transaction.findOne({
+    _id: transactionId,
+    user: userId
+  }).session(session);
+  
+  if (!transaction) {
+    return null;
+  }
+  
+  const account = await Account.findOne({
+    _id: transaction.account,
+    user: userId
+  }).session(session);
+  
+  if (account) {
+    applyToBalance(transaction, account, -1);
+    await account.save({ session });
+  }
+  
+  await transaction.deleteOne({ session });
+  return account;
+}
+
+module.exports = {
+  EXCHANGE_CATEGORY,
+  FEE_CATEGORY,
+  LOAN_CATEGORY,
+  LOAN_REPAYMENT_CATEGORY,
+  findActiveAccount,
+  getUSDAmounts,
+  getRateWarning,
+  getAmountInAccountCurrency,
+  getBalanceDelta,
+  applyToBalance,
+  assertSufficientFunds,
+  buildIncomingLeg,
+  postTransaction,
+  postExchange,
+  compareExchangeRate,
+  getExchangeFees,
+  getTransferLegs,
+  postBorrowingEntry,
+  reversePosting
+};
@@ -0,0 +1,160 @@
+// backend/utils/pdfStatementParser.js
+
+// Row keys produced for PDF statements, mapped like CSV headers
+const PDF_COLUMNS = {
+  date: 'Date',
+  description: 'Description',
+  amount: 'Amount'
+};
+
+// Descriptions may wrap; give up on a transaction after this many extra lines
+const MAX_CONTINUATION_LINES = 3;
+
+/**
+ * Line templates for known statement layouts
+ * - start: recognizes the first line of a transaction
+ * - line: extracts date, description and signed amount from the (joined) line
+ * - dateFormat/decimalSeparator: passed to the row mapper
+ */
+const PDF_TEMPLATES = [
+  {
+    // 07/03/25PURCHASE 0702 Wolt 945 00-71.11 (e.g. Bank of America)
+    name: 'us-slash-date',
+    description: 'MM/DD/YY date at line start, signed amount at line end',
+    decimalSeparator: '.',
+    start: /^\d{1,2}\/\d{1,2}\/\d{2,4}/,
+    line: /^(?<date>\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?<description>.*?)\s*(?<amount>-?\$?\d{1,3}(?:,\d{3})*\.\d{2})$/
+  },
+  {
+    // 2025-07-03 Coffee shop -4.50 1,200.00 (optional running balance)
+    name: 'iso-date',
+    description: 'YYYY-MM-DD date, signed amount, optional running balance',
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: '.',
+    start: /^\d{4}-\d{2}-\d{2}/,
+    line: /^(?<date>\d{4}-\d{2}-\d{2})\s+(?<description>.*?)\s+(?<amount>[-+]?\d{1,3}(?:,\d{3})*\.\d{2})(?:\s+[-+]?\d{1,3}(?:,\d{3})*\.\d{2})?$/
+  },
+  {
+    // 03.07.2025 Kofe evi -4,50 1 200,00 (common in Europe and Azerbaijan)
+    name: 'eu-dot-date',
+    description: 'DD.MM.YYYY date, comma decimals, optional running balance',
+    dateFormat: 'DD.MM.YYYY',
+    decimalSeparator: ',',
+    start: /^\d{2}\.\d{2}\.\d{4}/,
+    line: /^(?<date>\d{2}\.\d{2}\.\d{4})\s+(?<description>.*?)\s+(?<amount>[-+]?\d{1,3}(?:[ .]\d{3})*,\d{2})(?:\s+[-+]?\d{1,3}(?:[ .]\d{3})*,\d{2})?$/
+  }
+];
+
+/**
+ * Add a template for another bank layout
+ * Templates registered later take part in auto-detection like the built-ins
+ * @param {Object} template - { name, start, line, dateFormat, decimalSeparator }
+ */
+function registerPDFTemplate(template) {
+  if (!template.name || !(template.start instanceof RegExp) || !(template.line instanceof RegExp)) {
+    throw new Error('PDF template needs a name and start/line regular expressions');
+  }
+  
+  const existing = PDF_TEMPLATES.findIndex(t => t.name === template.name);
+  if (existing >= 0) {
+    PDF_TEMPLATES[existing] = template;
+  } else {
+    PDF_TEMPLATES.push(template);
+  }
+}
+
+/**
+ * Pick the template whose start pattern matches the most lines
+ * @param {string[]} lines - Trimmed statement lines
+ * @returns {Object|null} Best template or null if none matches
+ */
+function detectTemplate(lines) {
+  let best = null;
+  let bestCount = 0;
+  
+  for (const template of PDF_TEMPLATES) {
+    const count = lines.filter(line => template.start.test(line)).length;
+    if (count > bestCount) {
+      best = template;
+      bestCount = count;
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Turn text extracted from a PDF statement into dated rows
+ * Lines that start like a transaction but cannot be parsed are reported
+ * @param {string} text - Raw text from pdf-parse
+ * @param {Object} options - template: name of the template to force
+ * @returns {Object} { template, rows, unparsed }
+ */
+function parsePDFText(text, { template: templateName } = {}) {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim());
+  
+  let template;
+  if (templateName) {
+    template = PDF_TEMPLATES.find(t => t.name === templateName);
+    if (!template) {
+      throw new Error(`Unknown PDF template "${templateName}"`);
+    }
+  } else {
+    template = detectTemplate(lines);
+    if (!template) {
+      throw new Error('Could not recognize the layout of this PDF statement');
+    }
+  }
+  
+  const rows = [];
+  const unparsed = [];
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!template.start.test(line)) continue;
+    
+    // Join wrapped description lines until the amount shows up
+    let candidate = line;
+    let consumed = 0;
+    let match = candidate.match(template.line);
+    
+    while (!match && consumed < MAX_CONTINUATION_LINES && i + consumed + 1 < lines.length) {
+      const next = lines[i + consumed + 1];
+      if (!next || template.start.test(next)) break;
+      
+      consumed++;
+      candidate = `${candidate} ${next}`;
+      match = candidate.match(template.line);
+    }
+    
+    if (!match) {
+      unparsed.push({ line: i + 1, text: line });
+      continue;
+    }
+    
+    rows.push({
+      [PDF_COLUMNS.date]: match.groups.date,
+      [PDF_COLUMNS.description]: match.groups.description.replace(/\s+/g, ' ').trim(),
+      [PDF_COLUMNS.amount]: match.groups.amount
+    });
+    i += consumed;
+  }
+  
+  return {
+    template: {
+      name: template.name,
+      dateFormat: template.dateFormat,
+      decimalSeparator: template.decimalSeparator
+    },
+    rows,
+    unparsed
+  };
+}
+
+module.exports = {
+  PDF_COLUMNS,
+  PDF_TEMPLATES,
+  registerPDFTemplate,
+  detectTemplate,
+  parsePDFText
+};
@@ -0,0 +1,127 @@
+// backend/utils/rateProviders.js
+const fs = require('fs');
+const path = require('path');
+
+// Fixture used when no provider is configured or the network is unavailable
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'data', 'exchangeRates.json');
+
+/**
+ * Normalize one day of rates to { date, rates } with USD as the base
+ * Providers may quote against another base; everything is rebased to USD
+ * @param {Object} entry - { date, rates, base }
+ * @returns {Object} { date (UTC midnight), rates }
+ */
+function normalizeRateEntry({ date, rates, base = 'USD' }) {
+  const day = new Date(date);
+  if (isNaN(day.getTime())) {
+    throw new Error(`Invalid exchange rate date "${date}"`);
+  }
+  day.setUTCHours(0, 0, 0, 0);
+  
+  const baseRate = base === 'USD' ? 1 : rates.USD;
+  if (!baseRate) {
+    throw new Error(`Cannot rebase ${base} rates without a USD quote`);
+  }
+  
+  const normalized = { USD: 1 };
+  Object.entries(rates || {}).forEach(([currency, rate]) => {
+    const value = Number(rate);
+    if (Number.isFinite(value) && value > 0) {
+      normalized[currency.toUpperCase()] = value / baseRate;
+    }
+  });
+  normalized.USD = 1;
+  
+  return { date: day, rates: normalized };
+}
+
+/**
+ * Read a rates file synchronously
+ * Format: { base, rates: [{ date, rates: { EUR: 0.92, ... } }] }
+ * @param {string} filePath - JSON file to read
+ * @returns {Object[]} Entries sorted by date
+ */
+function readRatesFile(filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(data) ? data : data.rates || [];
+  
+  return entries
+    .map(entry => normalizeRateEntry({ base: data.base, ...entry }))
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Rate providers
+ * Each provider has a name and fetchRates(), which resolves to
+ * an array of { date, rates } entries with rates as units per 1 USD
+ */
+const RATE_PROVIDERS = {
+  // Offline provider backed by a JSON file (EXCHANGE_RATES_FILE or the bundled fixture)
+  file: {
+    name: 'file',
+    async fetchRates() {
+      return readRatesFile();
+    }
+  },
+  // exchangeratesapi.io-compatible endpoint returning { base, date, rates }
+  http: {
+    name: 'http',
+    async fetchRates() {
+      if (!process.env.EXCHANGE_RATE_API_URL) {
+        throw new Error('EXCHANGE_RATE_API_URL is not configured');
+      }
+      
+      const url = new URL(process.env.EXCHANGE_RATE_API_URL);
+      url.searchParams.set('base', 'USD');
+      if (process.env.EXCHANGE_RATE_API_KEY) {
+        url.searchParams.set('access_key', process.env.EXCHANGE_RATE_API_KEY);
+      }
+      
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Exchange rate API responded with ${response.status}`);
+      }
+      
+      const data = await response.json();
+      if (!data.rates) {
+        throw new Error(data.error?.info || data.error?.message || 'Exchange rate API returned no rates');
+      }
+      
+      return [normalizeRateEntry({ date: data.date || new Date(), rates: data.rates, base: data.base })];
+    }
+  }
+};
+
+/**
+ * Add or replace a rate provider
+ * @param {Object} provider - { name, fetchRates }
+ */
+function registerRateProvider(provider) {
+  if (!provider.name || typeof provider.fetchRates !== 'function') {
+    throw new Error('Rate provider needs a name and a fetchRates function');
+  }
+  
+  RATE_PROVIDERS[provider.name] = provider;
+}
+
+/**
+ * Look up a provider by name, defaulting to EXCHANGE_RATE_PROVIDER or the file provider
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function getRateProvider(name = process.env.EXCHANGE_RATE_PROVIDER || 'file') {
+  const provider = RATE_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown exchange rate provider "${name}"`);
+  }
+  
+  return provider;
+}
+
+module.exports = {
+  DEFAULT_RATES_FILE,
+  normalizeRateEntry,
+  readRatesFile,
+  registerRateProvider,
+  getRateProvider
+};
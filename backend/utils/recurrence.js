@@ -0,0 +1,135 @@
+// backend/utils/recurrence.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stop runaway schedules (e.g. daily for decades) from looping forever
+const MAX_ITERATIONS = 10000;
+
+// Occurrences are calendar days, stored as UTC midnight
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Key used to match an occurrence with its exception
+ * @param {Date} date - Occurrence date
+ * @returns {string} YYYY-MM-DD
+ */
+const toDateKey = (date) => startOfDay(date).toISOString().slice(0, 10);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Last Monday-Friday of a month
+function lastBusinessDay(year, month) {
+  const date = new Date(Date.UTC(year, month, daysInMonth(year, month)));
+  while (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+    date.setUTCDate(date.getUTCDate() - 1);
+  }
+  return date;
+}
+
+/**
+ * Generate candidate dates for each schedule period, in order
+ * Yields arrays because a weekly period can hold several days
+ */
+function* periodCandidates(schedule, start) {
+  const interval = Math.max(1, schedule.interval || 1);
+  
+  switch (schedule.frequency) {
+    case 'daily':
+      for (let i = 0; ; i += interval) {
+        yield [new Date(start.getTime() + i * DAY_MS)];
+      }
+    case 'weekly': {
+      // Weeks start on Monday; default to the start date's weekday
+      const days = (schedule.daysOfWeek && schedule.daysOfWeek.length > 0
+        ? [...schedule.daysOfWeek]
+        : [start.getUTCDay()]
+      ).map(day => (day + 6) % 7).sort((a, b) => a - b);
+      const weekStart = new Date(start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS);
+      
+      for (let week = 0; ; week += interval) {
+        yield days.map(day => new Date(weekStart.getTime() + (week * 7 + day) * DAY_MS));
+      }
+    }
+    case 'monthly':
+    case 'lastBusinessDay': {
+      const year = start.getUTCFullYear();
+      const month = start.getUTCMonth();
+      
+      for (let i = 0; ; i += interval) {
+        const y = year + Math.floor((month + i) / 12);
+        const m = (month + i) % 12;
+        
+        if (schedule.frequency === 'lastBusinessDay') {
+          yield [lastBusinessDay(y, m)];
+        } else {
+          // Day 31 falls on the last day of shorter months
+          const day = Math.min(schedule.dayOfMonth || start.getUTCDate(), daysInMonth(y, m));
+          yield [new Date(Date.UTC(y, m, day))];
+        }
+      }
+    }
+    default:
+      throw new Error(`Unknown frequency "${schedule.frequency}"`);
+  }
+}
+
+/**
+ * List occurrence dates of a schedule within a window
+ * Counting (for the count limit) always starts at startDate
+ * @param {Object} recurring - { schedule, startDate, endDate, count }
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @param {number} limit - Maximum number of dates to return
+ * @returns {Date[]} Occurrence dates at UTC midnight
+ */
+function getOccurrences(recurring, from, to, limit = Infinity) {
+  const start = startOfDay(recurring.startDate);
+  const windowStart = startOfDay(from);
+  const windowEnd = startOfDay(to);
+  const end = recurring.endDate ? startOfDay(recurring.endDate) : null;
+  const results = [];
+  
+  let seen = 0;
+  let iterations = 0;
+  
+  for (const dates of periodCandidates(recurring.schedule, start)) {
+    if (++iterations > MAX_ITERATIONS) break;
+    
+    for (const date of dates) {
+      if (date < start) continue;
+      if (date > windowEnd || (end && date > end)) return results;
+      if (recurring.count && seen >= recurring.count) return results;
+      
+      seen++;
+      if (date >= windowStart) {
+        results.push(date);
+        if (results.length >= limit) return results;
+      }
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Find the first occurrence on or after a date
+ * @param {Object} recurring - { schedule, startDate, endDate, count }
+ * @param {Date} after - Earliest date to consider
+ * @returns {Date|null} Next occurrence or null when the schedule has ended
+ */
+function getNextOccurrence(recurring, after) {
+  const horizon = new Date(startOfDay(after).getTime() + 400 * 7 * DAY_MS);
+  const [next] = getOccurrences(recurring, after, horizon, 1);
+  return next || null;
+}
+
+module.exports = {
+  startOfDay,
+  toDateKey,
+  lastBusinessDay,
+  getOccurrences,
+  getNextOccurrence
+};
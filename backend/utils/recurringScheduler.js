@@ -0,0 +1,147 @@
+// backend/utils/recurringScheduler.js
+const mongoose = require('mongoose');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const { postTransaction } = require('./ledger');
+const { startOfDay, toDateKey, getOccurrences, getNextOccurrence } = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * First date the scheduler still has to look at
+ * @param {RecurringTransaction} recurring - Schedule document
+ * @returns {Date} Day after the last handled occurrence, or the start date
+ */
+function getResumeDate(recurring) {
+  return recurring.lastOccurrenceDate
+    ? new Date(startOfDay(recurring.lastOccurrenceDate).getTime() + DAY_MS)
+    : startOfDay(recurring.startDate);
+}
+
+/**
+ * Apply the exception (if any) for an occurrence to the template values
+ * @param {RecurringTransaction} recurring - Schedule document
+ * @param {Date} date - Occurrence date
+ * @returns {Object} { date, status, amountInMinorUnits, category, description }
+ */
+function buildOccurrence(recurring, date) {
+  const exception = (recurring.exceptions || []).find(e => toDateKey(e.date) === toDateKey(date));
+  const modified = exception && exception.action === 'modify';
+  
+  return {
+    date,
+    status: exception ? (exception.action === 'skip' ? 'skipped' : 'modified') : 'scheduled',
+    amountInMinorUnits: (modified && exception.amountInMinorUnits) || recurring.amountInMinorUnits,
+    category: (modified && exception.category) || recurring.category,
+    description: modified && exception.description !== undefined ? exception.description : recurring.description
+  };
+}
+
+/**
+ * List upcoming occurrences with skips and modifications applied
+ * @param {RecurringTransaction} recurring - Schedule document
+ * @param {number} count - Number of occurrences
+ * @param {Date} from - Earliest date (default: the next unposted occurrence)
+ * @returns {Object[]} Occurrences from buildOccurrence
+ */
+function previewOccurrences(recurring, count = 5, from = getResumeDate(recurring)) {
+  const horizon = new Date(from.getTime() + 400 * 7 * DAY_MS);
+  return getOccurrences(recurring, from, horizon, count).map(date => buildOccurrence(recurring, date));
+}
+
+/**
+ * Recalculate the next occurrence to post after the schedule or exceptions change
+ * @param {RecurringTransaction} recurring - Schedule document (modified in place)
+ */
+function refreshNextOccurrence(recurring) {
+  recurring.nextOccurrenceDate = getNextOccurrence(recurring, getResumeDate(recurring));
+}
+
+/**
+ * Post every occurrence due up to asOf through the ledger, like POST /api/transactions
+ * @param {RecurringTransaction} recurring - Schedule document loaded in the session
+ * @param {Date} asOf - Post occurrences on or before this date
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<Transaction[]>} Posted transactions
+ */
+async function materializeDueOccurrences(recurring, asOf, session) {
+  const posted = [];
+  
+  for (const date of getOccurrences(recurring, getResumeDate(recurring), asOf)) {
+    const occurrence = buildOccurrence(recurring, date);
+    
+    if (occurrence.status !== 'skipped') {
+      const { transaction } = await postTransaction(recurring.user, {
+        accountId: recurring.account,
+        toAccountId: recurring.toAccount,
+        type: recurring.type,
+        category: occurrence.category,
+        amountInMinorUnits: occurrence.amountInMinorUnits,
+        currency: recurring.currency,
+        description: occurrence.description,
+        counterparty: recurring.counterparty,
+        tags: recurring.tags,
+        date,
+        recurringTransaction: recurring._id,
+        occurrenceDate: date
+      }, session);
+      posted.push(transaction);
+    }
+    
+    recurring.lastOccurrenceDate = date;
+  }
+  
+  recurring.lastError = undefined;
+  refreshNextOccurrence(recurring);
+  await recurring.save({ session });
+  
+  return posted;
+}
+
+/**
+ * Post due occurrences for all active schedules (or one user's)
+ * Each schedule runs in its own session; a failure (e.g. insufficient funds)
+ * is recorded on the schedule and retried on the next run
+ * @param {Date} asOf - Post occurrences on or before this date
+ * @param {Object} filter - Extra query, e.g. { user }
+ * @returns {Promise<Object>} { posted, failed }
+ */
+async function runRecurringTransactions(asOf = new Date(), filter = {}) {
+  const due = await RecurringTransaction.find({
+    ...filter,
+    isActive: true,
+    nextOccurrenceDate: { $ne: null, $lte: asOf }
+  }).select('_id');
+  
+  let posted = 0;
+  const failed = [];
+  
+  for (const { _id } of due) {
+    const session = await mongoose.startSession();
+    
+    try {
+      let transactions = [];
+      await session.withTransaction(async () => {
+        const recurring = await RecurringTransaction.findById(_id).session(session);
+        transactions = await materializeDueOccurrences(recurring, asOf, session);
+      });
+      posted += transactions.length;
+    } catch (error) {
+      console.error(`Recurring transaction ${_id} failed:`, error.message);
+      failed.push({ _id, error: error.message });
+      await RecurringTransaction.updateOne({ _id }, { $set: { lastError: error.message } });
+    } finally {
+      await session.endSession();
+    }
+  }
+  
+  return { posted, failed };
+}
+
+module.exports = {
+  getResumeDate,
+  buildOccurrence,
+  previewOccurrences,
+  refreshNextOccurrence,
+  materializeDueOccurrences,
+  runRecurringTransactions
+};
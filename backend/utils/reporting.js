@@ -0,0 +1,158 @@
+// backend/utils/reporting.js
+const User = require('../models/User');
+const { convertCurrency, convertFromUSD, getRateSnapshot, getExchangeRateToUSD } = require('./currencyConverter');
+const { getLocale, createMoneyFormatter } = require('./currencies');
+const { getRemainingInMinorUnits } = require('./amortization');
+
+/**
+ * Currency to report in: the requested one, else the user's preference, else USD
+ * @param {string} userId - User requesting the report
+ * @param {string} requested - Currency from the query string (already validated)
+ * @returns {Promise<string>} Currency code
+ */
+async function getReportCurrency(userId, requested) {
+  if (requested) {
+    return requested;
+  }
+  
+  const user = await User.findById(userId).select('preferences.currency');
+  return (user && user.preferences && user.preferences.currency) || 'USD';
+}
+
+/**
+ * Whether amounts in a currency can be converted with the rates of a date
+ * @param {string} currency - Currency code
+ * @param {Date} asOf - Rate date (defaults to now)
+ * @returns {boolean} True if the rate history quotes the currency
+ */
+function isConvertible(currency, asOf = new Date()) {
+  try {
+    return Boolean(getExchangeRateToUSD(currency, asOf));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Error message when a report cannot be produced in a currency
+ * @param {string} currency - Report currency
+ * @returns {string|null} Message for a 400 response, or null if the currency can be used
+ */
+function checkReportCurrency(currency) {
+  return isConvertible(currency)
+    ? null
+    : `Exchange rates for ${currency} are not available; choose another report currency`;
+}
+
+/**
+ * Money formatter for a request: ?amounts=minor switches responses from major-unit
+ * numbers to integer minor units with a string formatted for the user's language
+ * @param {Request} req - Authenticated request (req.user set by auth)
+ * @returns {Function} money(amountInMinorUnits, currency)
+ */
+function getMoneyFormatter(req) {
+  const language = req.user && req.user.preferences && req.user.preferences.language;
+  
+  return createMoneyFormatter({
+    minorUnits: req.query.amounts === 'minor',
+    locale: getLocale(language)
+  });
+}
+
+/**
+ * Transaction amount in the report currency at the transaction date's rate
+ * Same-currency amounts are exact; anything else goes through the stored USD value
+ * @param {Transaction} transaction - Transaction with amountInUSDMinorUnits
+ * @param {string} currency - Report currency
+ * @returns {number} Amount in report currency minor units
+ */
+function getTransactionAmount(transaction, currency) {
+  if (transaction.currency === currency) {
+    return transaction.amountInMinorUnits;
+  }
+  if (currency === 'USD') {
+    return transaction.amountInUSDMinorUnits;
+  }
+  
+  return convertFromUSD(transaction.amountInUSDMinorUnits, currency, transaction.date).amountInMinorUnits;
+}
+
+/**
+ * Convert a holding (balance, outstanding debt) at the rates of asOf
+ * @param {number} amountInMinorUnits - Amount in its own currency
+ * @param {string} fromCurrency - Currency of the amount
+ * @param {string} currency - Report currency
+ * @param {Date} asOf - Valuation date
+ * @returns {number} Amount in report currency minor units
+ */
+function valueAt(amountInMinorUnits, fromCurrency, currency, asOf) {
+  return convertCurrency(amountInMinorUnits, fromCurrency, currency, asOf).amountInMinorUnits;
+}
+
+/**
+ * Net worth from account balances and outstanding borrowings, valued at asOf
+ * Money lent counts as an asset, money borrowed as a liability. Holdings in a
+ * currency without a rate on asOf are left out of the totals and listed in unconverted
+ * @param {Account[]} accounts - Active accounts
+ * @param {Borrowing[]} borrowings - Open borrowings
+ * @param {string} currency - Report currency
+ * @param {Date} asOf - Valuation date (defaults to now)
+ * @returns {Object} Totals in report currency minor units, unconverted holdings
+ *          and a stale-rate warning, if any
+ */
+function calculateNetWorth(accounts, borrowings, currency, asOf = new Date()) {
+  let accountsInMinorUnits = 0;
+  let lentInMinorUnits = 0;
+  let borrowedInMinorUnits = 0;
+  let converted = false;
+  const unconverted = { accounts: [], borrowings: [] };
+  const canValue = holding => holding.currency === currency || isConvertible(holding.currency, asOf);
+  
+  accounts.forEach(account => {
+    if (!canValue(account)) {
+      unconverted.accounts.push(account);
+      return;
+    }
+    converted = converted || account.currency !== currency;
+    accountsInMinorUnits += valueAt(account.balanceInMinorUnits, account.currency, currency, asOf);
+  });
+  
+  borrowings.forEach(borrowing => {
+    if (!canValue(borrowing)) {
+      unconverted.borrowings.push(borrowing);
+      return;
+    }
+    converted = converted || borrowing.currency !== currency;
+    const remaining = valueAt(
+      getRemainingInMinorUnits(borrowing),
+      borrowing.currency,
+      currency,
+      asOf
+    );
+    
+    if (borrowing.type === 'lent') {
+      lentInMinorUnits += remaining;
+    } else {
+      borrowedInMinorUnits += remaining;
+    }
+  });
+  
+  return {
+    accountsInMinorUnits,
+    lentInMinorUnits,
+    borrowedInMinorUnits,
+    totalInMinorUnits: accountsInMinorUnits + lentInMinorUnits - borrowedInMinorUnits,
+    unconverted,
+    rateWarning: converted ? getRateSnapshot(asOf).warning : null
+  };
+}
+
+module.exports = {
+  getReportCurrency,
+  isConvertible,
+  checkReportCurrency,
+  getMoneyFormatter,
+  getTransactionAmount,
+  valueAt,
+  calculateNetWorth
+};
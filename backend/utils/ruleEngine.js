@@ -0,0 +1,196 @@
+// backend/utils/ruleEngine.js
+const CategorizationRule = require('../models/CategorizationRule');
+const { DEFAULT_CATEGORY } = require('./statementImporter');
+const { SPLIT_CATEGORY } = require('./splits');
+const { getExponent } = require('./currencies');
+
+// Limits without a currency condition are stored with two decimals, like USD
+const LIMIT_EXPONENT = getExponent('USD');
+
+const includesText = (value, search) =>
+  String(value || '').toLowerCase().includes(String(search).toLowerCase());
+
+/**
+ * Check a user-supplied description pattern for catastrophic backtracking
+ * Rejects quantified groups that contain a quantifier or an alternation,
+ * like (a+)+ or (a|ab)*, and backreferences, the shapes that let a short
+ * description take exponential time to match
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} True if the pattern is valid and safe to run
+ */
+function isSafePattern(pattern) {
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return false;
+  }
+  
+  const groups = [{ quantified: false, alternation: false }];
+  let inClass = false;
+  
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const next = pattern[i + 1];
+    const group = groups[groups.length - 1];
+    
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(next)) return false;
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      if (next === '?') i++;
+    } else if (char === ')') {
+      const closed = groups.pop();
+      const parent = groups[groups.length - 1];
+      const repeated = /[*+?{]/.test(next);
+      
+      if (repeated && (closed.quantified || closed.alternation)) return false;
+      parent.quantified = parent.quantified || closed.quantified || repeated;
+    } else if (char === '|') {
+      group.alternation = true;
+    } else if (/[*+?{]/.test(char)) {
+      group.quantified = true;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Compare a transaction amount with a rule's amount limit
+ * With a currency condition the limit is in that currency's minor units. Without
+ * one it means the same major amount in every currency (10 is 10.00 USD, 10 JPY
+ * and 10.000 KWD), like getAmountRangeQuery, so both sides are scaled to a
+ * common exponent before comparing
+ * @param {Object} transaction - Transaction or import row
+ * @param {number} limitInMinorUnits - Stored limit
+ * @param {string} currency - Rule currency condition, if any
+ * @returns {number} Negative, zero or positive as the amount is below, at or above the limit
+ */
+function compareToLimit(transaction, limitInMinorUnits, currency) {
+  if (currency || !transaction.currency) {
+    return transaction.amountInMinorUnits - limitInMinorUnits;
+  }
+  
+  return transaction.amountInMinorUnits * 10 ** LIMIT_EXPONENT -
+    limitInMinorUnits * 10 ** getExponent(transaction.currency);
+}
+
+/**
+ * Check whether a rule's conditions all hold for a transaction
+ * Transfers are never categorized by rules
+ * @param {Object} rule - CategorizationRule or plain object with conditions
+ * @param {Object} transaction - Transaction or import row
+ * @returns {boolean} True if the rule applies
+ */
+function ruleMatches(rule, transaction) {
+  const conditions = rule.conditions || {};
+  
+  if (transaction.type === 'transfer') return false;
+  
+  if (conditions.descriptionContains && !includesText(transaction.description, conditions.descriptionContains)) {
+    return false;
+  }
+  // Patterns saved before they were checked for backtracking never match
+  if (conditions.descriptionRegex && (!isSafePattern(conditions.descriptionRegex) ||
+      !new RegExp(conditions.descriptionRegex, 'i').test(transaction.description || ''))) {
+    return false;
+  }
+  if (conditions.type && conditions.type !== transaction.type) return false;
+  if (conditions.currency && transaction.currency && conditions.currency !== transaction.currency) {
+    return false;
+  }
+  if (conditions.minAmountInMinorUnits != null &&
+      compareToLimit(transaction, conditions.minAmountInMinorUnits, conditions.currency) < 0) {
+    return false;
+  }
+  if (conditions.maxAmountInMinorUnits != null &&
+      compareToLimit(transaction, conditions.maxAmountInMinorUnits, conditions.currency) > 0) {
+    return false;
+  }
+  if (conditions.account && String(conditions.account) !== String(transaction.account)) {
+    return false;
+  }
+  if (conditions.counterparty && !includesText(transaction.counterparty, conditions.counterparty)) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Work out what the rules would change on a transaction without modifying it
+ * Rules run in order: the first match sets category and description, tags add up.
+ * An existing category is only replaced when it is empty, the default
+ * "Uncategorized" or overwrite is set. Split transactions keep their category
+ * even with overwrite, since their split lines carry the categories.
+ * @param {Object[]} rules - Rules sorted by priority
+ * @param {Object} transaction - Transaction or import row
+ * @param {Object} options - overwrite: replace categories the user already chose
+ * @returns {Object} { changes, matchedRules } - changes only lists fields that differ
+ */
+function evaluateRules(rules, transaction, { overwrite = false } = {}) {
+  const changes = {};
+  const matchedRules = [];
+  const currentTags = transaction.tags || [];
+  const tags = new Set(currentTags);
+  
+  const isSplit = (transaction.splits && transaction.splits.length > 0) || transaction.category === SPLIT_CATEGORY;
+  const canSetCategory = !isSplit &&
+    (overwrite || !transaction.category || transaction.category === DEFAULT_CATEGORY);
+  
+  for (const rule of rules) {
+    if (!ruleMatches(rule, transaction)) continue;
+    
+    matchedRules.push(rule._id);
+    const actions = rule.actions || {};
+    
+    if (actions.category && canSetCategory && changes.category === undefined) {
+      changes.category = actions.category;
+    }
+    if (actions.rename && changes.description === undefined) {
+      changes.description = actions.rename;
+    }
+    (actions.tags || []).forEach(tag => tags.add(tag));
+  }
+  
+  if (changes.category === transaction.category) delete changes.category;
+  if (changes.description === transaction.description) delete changes.description;
+  if (tags.size > currentTags.length) changes.tags = [...tags];
+  
+  return { changes, matchedRules };
+}
+
+/**
+ * Apply the user's rules to a transaction or import row in place
+ * @returns {Object} The changes that were made
+ */
+function applyRules(rules, transaction, options) {
+  const { changes } = evaluateRules(rules, transaction, options);
+  Object.assign(transaction, changes);
+  return changes;
+}
+
+/**
+ * Load the user's active rules in the order they run
+ * @param {string} userId - Owner of the rules
+ * @param {ClientSession} session - Mongo session
+ * @returns {Promise<CategorizationRule[]>} Rules sorted by priority
+ */
+async function loadActiveRules(userId, session = null) {
+  return CategorizationRule.find({ user: userId, isActive: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .session(session);
+}
+
+module.exports = {
+  isSafePattern,
+  ruleMatches,
+  evaluateRules,
+  applyRules,
+  loadActiveRules
+};
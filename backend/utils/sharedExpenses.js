@@ -0,0 +1,90 @@
+// backend/utils/sharedExpenses.js
+
+// How an expense is shared: equally, in proportion to shares, or by exact amounts
+const SHARE_METHODS = ['equal', 'shares', 'exact'];
+
+/**
+ * Share an integer total in proportion to weights, handing the rounding
+ * remainder to the parts with the largest fractions (earlier parts on ties)
+ * @param {number} totalInMinorUnits - Amount to share
+ * @param {number[]} weights - Positive weights
+ * @returns {number[]} Parts that add up to the total exactly
+ */
+function allocate(totalInMinorUnits, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const parts = weights.map((weight, index) => {
+    const exact = (totalInMinorUnits * weight) / totalWeight;
+    return { index, amount: Math.floor(exact), fraction: exact - Math.floor(exact) };
+  });
+  
+  let remainder = totalInMinorUnits - parts.reduce((sum, part) => sum + part.amount, 0);
+  [...parts]
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(part => {
+      if (remainder > 0) {
+        part.amount++;
+        remainder--;
+      }
+    });
+  
+  return parts.map(part => part.amount);
+}
+
+/**
+ * Work out each participant's share of an expense
+ *
+ * - equal: the same amount each; leftover minor units go to the earliest
+ *   participants, so list the user first to keep them off the contacts
+ * - shares: in proportion to each participant's shares (default 1)
+ * - exact: amountInMinorUnits for every contact; the user's share is what is
+ *   left, or must be given and make the amounts add up to the total
+ * @param {number} totalInMinorUnits - Expense amount
+ * @param {string} method - One of SHARE_METHODS
+ * @param {Object[]} participants - { self, shares, amountInMinorUnits }; at most one self entry
+ * @returns {number[]} Share per participant, in the same order
+ * @throws {Error} When the shares cannot be worked out or a contact's share is empty
+ */
+function splitSharedExpense(totalInMinorUnits, method, participants) {
+  if (!participants.some(participant => !participant.self)) {
+    throw new Error('Share the expense with at least one contact');
+  }
+  
+  let amounts;
+  if (method === 'equal') {
+    amounts = allocate(totalInMinorUnits, participants.map(() => 1));
+  } else if (method === 'shares') {
+    const weights = participants.map(participant => participant.shares == null ? 1 : Number(participant.shares));
+    if (weights.some(weight => !(weight > 0))) {
+      throw new Error('Shares must be positive numbers');
+    }
+    amounts = allocate(totalInMinorUnits, weights);
+  } else if (method === 'exact') {
+    const self = participants.find(participant => participant.self);
+    const given = participants.filter(participant => !participant.self || participant.amountInMinorUnits != null);
+    if (given.some(participant => !Number.isInteger(participant.amountInMinorUnits) || participant.amountInMinorUnits < 0)) {
+      throw new Error('Each participant needs an amount');
+    }
+    
+    const sum = given.reduce((total, participant) => total + participant.amountInMinorUnits, 0);
+    const left = totalInMinorUnits - sum;
+    if (left < 0 || (left > 0 && (!self || self.amountInMinorUnits != null))) {
+      throw new Error('Share amounts must add up to the expense amount');
+    }
+    amounts = participants.map(participant =>
+      participant.self && participant.amountInMinorUnits == null ? left : participant.amountInMinorUnits
+    );
+  } else {
+    throw new Error(`Share method must be one of: ${SHARE_METHODS.join(', ')}`);
+  }
+  
+  if (participants.some((participant, index) => !participant.self && amounts[index] <= 0)) {
+    throw new Error('Each contact\'s share must be more than zero');
+  }
+  return amounts;
+}
+
+module.exports = {
+  SHARE_METHODS,
+  allocate,
+  splitSharedExpense
+};
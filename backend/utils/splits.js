@@ -0,0 +1,89 @@
+// backend/utils/splits.js
+const { toMinorUnits } = require('./currencies');
+
+// Category stored on a transaction whose amount is split across categories
+const SPLIT_CATEGORY = 'Split';
+
+/**
+ * Turn split lines from a request into stored split lines
+ * @param {Object[]} splits - { category, amount, note } with amount in major units
+ * @param {string} currency - Currency of the transaction
+ * @returns {Object[]} { category, amountInMinorUnits, note }
+ */
+function toSplitLines(splits, currency) {
+  return splits.map(split => ({
+    category: String(split.category || '').trim(),
+    amountInMinorUnits: toMinorUnits(split.amount, currency),
+    note: split.note ? String(split.note).trim() : ''
+  }));
+}
+
+/**
+ * Check that split lines are usable and add up to the transaction amount exactly
+ * @param {Object[]} splits - { category, amountInMinorUnits }
+ * @param {number} amountInMinorUnits - Transaction amount
+ * @throws {Error} When a line is invalid or the lines do not add up
+ */
+function validateSplits(splits, amountInMinorUnits) {
+  if (splits.length === 1) {
+    throw new Error('A split needs at least two lines. Set the category instead');
+  }
+  
+  let total = 0;
+  splits.forEach(split => {
+    if (!split.category) {
+      throw new Error('Each split line needs a category');
+    }
+    if (!Number.isInteger(split.amountInMinorUnits) || split.amountInMinorUnits <= 0) {
+      throw new Error('Each split line needs a positive amount');
+    }
+    total += split.amountInMinorUnits;
+  });
+  
+  if (splits.length > 0 && total !== amountInMinorUnits) {
+    throw new Error('Split amounts must add up to the transaction amount');
+  }
+}
+
+/**
+ * Amount per category for a transaction: one entry per split line,
+ * or the whole amount under its category when it is not split
+ *
+ * When the amount is expressed in another currency (reports, budgets) it is
+ * shared out in proportion to the lines, handing the rounding remainder to the
+ * lines with the largest fractions so the parts still add up exactly
+ * @param {Transaction} transaction - Transaction with optional splits
+ * @param {number} amountInMinorUnits - Amount to share (defaults to the transaction amount)
+ * @returns {Object[]} { category, amountInMinorUnits }
+ */
+function getCategoryAmounts(transaction, amountInMinorUnits = transaction.amountInMinorUnits) {
+  const splits = transaction.splits || [];
+  if (splits.length === 0) {
+    return [{ category: transaction.category, amountInMinorUnits }];
+  }
+  
+  const total = transaction.amountInMinorUnits;
+  const parts = splits.map((split, index) => {
+    const exact = total ? (split.amountInMinorUnits * amountInMinorUnits) / total : 0;
+    return { index, category: split.category, amountInMinorUnits: Math.floor(exact), fraction: exact - Math.floor(exact) };
+  });
+  
+  let remainder = amountInMinorUnits - parts.reduce((sum, part) => sum + part.amountInMinorUnits, 0);
+  [...parts]
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .forEach(part => {
+      if (remainder > 0) {
+        part.amountInMinorUnits++;
+        remainder--;
+      }
+    });
+  
+  return parts.map(({ category, amountInMinorUnits: amount }) => ({ category, amountInMinorUnits: amount }));
+}
+
+module.exports = {
+  SPLIT_CATEGORY,
+  toSplitLines,
+  validateSplits,
+  getCategoryAmounts
+};
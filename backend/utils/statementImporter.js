@@ -0,0 +1,273 @@
+// backend/utils/statementImporter.js
+const { toMinorUnits } = require('./currencies');
+
+// Header names commonly used by banks for each field, compared after normalizeHeader
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'posting date', 'posted date', 'booking date', 'value date', 'trans date'],
+  amount: ['amount', 'transaction amount', 'amount usd', 'sum', 'value'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'money out', 'paid out', 'outflow'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in', 'paid in', 'inflow'],
+  description: ['description', 'transaction description', 'details', 'memo', 'narrative', 'payee', 'name', 'merchant'],
+  category: ['category']
+};
+
+const DEFAULT_CATEGORY = 'Uncategorized';
+
+/**
+ * Normalize a header for comparison ("Posting Date " -> "posting date")
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Guess which statement columns hold date, amount and description
+ * @param {string[]} headers - Column headers from the parsed file
+ * @returns {Object} Map of field name to original header (undefined if not found)
+ */
+function detectColumns(headers) {
+  const columns = {};
+  
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[field] = headers.find(header => aliases.includes(normalizeHeader(header)));
+  }
+  
+  return columns;
+}
+
+/**
+ * Parse an amount cell into a signed number in major units
+ * Handles currency symbols, thousands separators, "(12.50)", "-$12.50" and "12.50-"
+ * @param {string|number} value - Cell value
+ * @param {string} decimalSeparator - '.' (1,234.56) or ',' (1.234,56)
+ * @returns {number|null} Parsed amount or null if not a number
+ */
+function parseAmount(value, decimalSeparator = '.') {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  
+  if (value === undefined || value === null) {
+    return null;
+  }
+  
+  let text = String(value).trim();
+  if (!text) {
+    return null;
+  }
+  
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.includes('-')) {
+    negative = true;
+  }
+  
+  if (decimalSeparator === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  
+  const digits = text.replace(/[^0-9.]/g, '');
+  if (!/^\d*\.?\d+$/.test(digits)) {
+    return null;
+  }
+  
+  const amount = parseFloat(digits);
+  return negative ? -amount : amount;
+}
+
+/**
+ * Parse a date cell
+ * Without a format, supports ISO dates, US MM/DD/YYYY, European DD.MM.YYYY
+ * and Excel serial numbers
+ * @param {string|number|Date} value - Cell value
+ * @param {string} dateFormat - Optional format such as 'DD/MM/YYYY'
+ * @returns {Date|null} Parsed date (UTC midnight) or null if invalid
+ */
+function parseDate(value, dateFormat) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  
+  // Excel stores dates as days since 1899-12-30
+  if (typeof value === 'number') {
+    return new Date(Math.round((value - 25569) * 86400000));
+  }
+  
+  if (!value) {
+    return null;
+  }
+  
+  const text = String(value).trim();
+  
+  if (dateFormat) {
+    return parseDateWithFormat(text, dateFormat);
+  }
+  
+  let match;
+  
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    return buildDate(match[1], match[2], match[3]);
+  }
+  
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+    return buildDate(match[3], match[1], match[2]);
+  }
+  
+  if ((match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/))) {
+    return buildDate(match[3], match[2], match[1]);
+  }
+  
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// Parse a date using YYYY/YY/MM/DD tokens, ignoring any trailing time
+function parseDateWithFormat(text, dateFormat) {
+  const tokens = dateFormat.match(/YYYY|YY|MM|DD/g) || [];
+  const pattern = dateFormat
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace(/YYYY|YY|MM|DD/g, token => (token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})'));
+  
+  const match = text.match(new RegExp(`^${pattern}(?:[ T].*)?$`));
+  if (!match) {
+    return null;
+  }
+  
+  const parts = {};
+  tokens.forEach((token, index) => {
+    parts[token] = match[index + 1];
+  });
+  
+  return buildDate(parts.YYYY || parts.YY, parts.MM, parts.DD);
+}
+
+// Build a UTC date, rejecting impossible days such as 02/31
+function buildDate(year, month, day) {
+  let y = parseInt(year);
+  if (y < 100) y += 2000;
+  const m = parseInt(month) - 1;
+  const d = parseInt(day);
+  
+  const date = new Date(Date.UTC(y, m, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m || date.getUTCDate() !== d) {
+    return null;
+  }
+  
+  return date;
+}
+
+/**
+ * Map one parsed statement row to transaction fields
+ * @param {Object} row - Raw row keyed by header
+ * @param {Object} columns - Column mapping from detectColumns or an import profile
+ * @param {Object} options - dateFormat, decimalSeparator, signConvention and currency (default USD)
+ * @returns {Object} Transaction fields with amountInMinorUnits always positive
+ */
+function mapRow(row, columns, options = {}) {
+  const { dateFormat, decimalSeparator = '.', signConvention = 'negative-expense', currency = 'USD' } = options;
+  
+  const date = parseDate(row[columns.date], dateFormat);
+  if (!date) {
+    throw new Error(`Invalid date "${row[columns.date] ?? ''}"`);
+  }
+  
+  let amount;
+  if (columns.amount) {
+    amount = parseAmount(row[columns.amount], decimalSeparator);
+    
+    // Credit card statements show purchases as positive amounts
+    if (amount !== null && signConvention === 'positive-expense') {
+      amount = -amount;
+    }
+  } else {
+    // Separate debit/credit columns: debits are money out
+    const debit = parseAmount(row[columns.debit], decimalSeparator);
+    const credit = parseAmount(row[columns.credit], decimalSeparator);
+    if (debit !== null || credit !== null) {
+      amount = (credit || 0) - Math.abs(debit || 0);
+    } else {
+      amount = null;
+    }
+  }
+  
+  if (amount === null) {
+    throw new Error('Invalid amount');
+  }
+  
+  return {
+    date,
+    type: amount < 0 ? 'expense' : 'income',
+    amountInMinorUnits: toMinorUnits(Math.abs(amount), currency),
+    description: String(row[columns.description] ?? '').trim(),
+    category: String(row[columns.category] ?? '').trim() || DEFAULT_CATEGORY
+  };
+}
+
+/**
+ * Map all parsed rows and classify each one for the import report
+ * @param {Object[]} rows - Raw rows from parseStatement
+ * @param {Object} columns - Column mapping
+ * @param {Object} options - Parsing options passed to mapRow
+ * @returns {Object[]} Entries of { row, status: 'ready'|'skipped'|'failed', reason, data }
+ */
+function mapRows(rows, columns, options = {}) {
+  if (!columns.date || (!columns.amount && !columns.debit && !columns.credit)) {
+    throw new Error('Could not find date and amount columns in statement');
+  }
+  
+  return rows.map((row, index) => {
+    const entry = { row: index + 1 };
+    
+    const isBlank = Object.values(row).every(value => String(value ?? '').trim() === '');
+    if (isBlank) {
+      return { ...entry, status: 'skipped', reason: 'Empty row' };
+    }
+    
+    try {
+      const data = mapRow(row, columns, options);
+      
+      if (data.amountInMinorUnits === 0) {
+        return { ...entry, status: 'skipped', reason: 'Zero amount' };
+      }
+      
+      return { ...entry, status: 'ready', data };
+    } catch (error) {
+      return { ...entry, status: 'failed', reason: error.message };
+    }
+  });
+}
+
+/**
+ * Fingerprint a statement layout from its headers
+ * Header order and case do not matter
+ * @param {string[]} headers - Column headers
+ * @returns {string} Fingerprint used to match import profiles
+ */
+function getHeaderFingerprint(headers) {
+  return headers
+    .map(normalizeHeader)
+    .filter(Boolean)
+    .sort()
+    .join('|');
+}
+
+module.exports = {
+  COLUMN_ALIASES,
+  DEFAULT_CATEGORY,
+  normalizeHeader,
+  detectColumns,
+  parseAmount,
+  parseDate,
+  mapRow,
+  mapRows,
+  getHeaderFingerprint
+};
@@ -2,6 +2,7 @@ const csv = require('csv-parser');
 const fs = require('fs');
 const XLSX = require('xlsx');
 const pdf = require('pdf-parse');
+const { parsePDFText } = require('./pdfStatementParser');
 
 const parseCSV = (filePath) => {
   return new Promise((resolve, reject) => {
@@ -21,14 +22,14 @@ const parseExcel = (filePath) => {
   return XLSX.utils.sheet_to_json(worksheet);
 };
 
-const parsePDF = async (filePath) => {
+// Returns { template, rows, unparsed } - see pdfStatementParser
+const parsePDF = async (filePath, options = {}) => {
   const dataBuffer = fs.readFileSync(filePath);
   const data = await pdf(dataBuffer);
-  // Basic parsing - you'll need to implement specific logic based on your bank's format
-  return data.text;
+  return parsePDFText(data.text, { template: options.pdfTemplate });
 };
 
-const parseStatement = async (filePath, fileType) => {
+const parseStatement = async (filePath, fileType, options = {}) => {
   switch (fileType) {
     case 'csv':
       return parseCSV(filePath);
@@ -36,7 +37,7 @@ const parseStatement = async (filePath, fileType) => {
     case 'xls':
       return parseExcel(filePath);
     case 'pdf':
-      return parsePDF(filePath);
+      return parsePDF(filePath, options);
     default:
       throw new Error('Unsupported file type');
   }
@@ -0,0 +1,109 @@
+// backend/utils/transactionSearch.js
+const { CURRENCIES, toMinorUnits } = require('./currencies');
+
+// Filters a saved search can hold; they match the GET /api/transactions query parameters
+const SEARCH_FILTER_FIELDS = [
+  'accountId', 'type', 'category', 'startDate', 'endDate',
+  'tags', 'tagMatch', 'minAmount', 'maxAmount', 'search'
+];
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize tags so `Vacation-2026 ` and `vacation-2026` are the same label
+ * @param {string[]|string} tags - Array of tags or a comma-separated list
+ * @returns {string[]} Trimmed, lowercased tags without duplicates or blanks
+ */
+function normalizeTags(tags) {
+  if (tags == null) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Amount range condition in each transaction's own currency
+ * Limits are major units, so 10 means 10.00 USD, 10 JPY and 10.000 KWD alike;
+ * currencies are grouped by exponent to compare stored minor units directly
+ * @param {number} [minAmount] - Lower limit, inclusive
+ * @param {number} [maxAmount] - Upper limit, inclusive
+ * @returns {Object|null} Mongo condition, or null without limits
+ */
+function getAmountRangeQuery(minAmount, maxAmount) {
+  const hasMin = minAmount !== undefined && minAmount !== null && minAmount !== '';
+  const hasMax = maxAmount !== undefined && maxAmount !== null && maxAmount !== '';
+  if (!hasMin && !hasMax) return null;
+  
+  const codesByExponent = {};
+  Object.values(CURRENCIES).forEach(({ code, exponent }) => {
+    (codesByExponent[exponent] = codesByExponent[exponent] || []).push(code);
+  });
+  
+  return {
+    $or: Object.values(codesByExponent).map(codes => {
+      const range = {};
+      if (hasMin) range.$gte = toMinorUnits(minAmount, codes[0]);
+      if (hasMax) range.$lte = toMinorUnits(maxAmount, codes[0]);
+      return { currency: { $in: codes }, amountInMinorUnits: range };
+    })
+  };
+}
+
+/**
+ * Build the Mongo query for a transaction search
+ * @param {string} userId - Owner of the transactions
+ * @param {Object} filters - See SEARCH_FILTER_FIELDS; tagMatch is 'any' (default) or 'all'
+ * @returns {Object} Query for Transaction.find
+ */
+function buildTransactionQuery(userId, filters = {}) {
+  const query = { user: userId };
+  const conditions = [];
+  
+  if (filters.accountId) query.account = filters.accountId;
+  if (filters.type) query.type = filters.type;
+  
+  // Split transactions match on any of their lines
+  if (filters.category) {
+    const pattern = new RegExp(escapeRegExp(filters.category), 'i');
+    conditions.push({ $or: [{ category: pattern }, { 'splits.category': pattern }] });
+  }
+  
+  if (filters.startDate || filters.endDate) {
+    query.date = {};
+    if (filters.startDate) query.date.$gte = new Date(filters.startDate);
+    if (filters.endDate) query.date.$lte = new Date(filters.endDate);
+  }
+  
+  const tags = normalizeTags(filters.tags);
+  if (tags.length > 0) {
+    query.tags = filters.tagMatch === 'all' ? { $all: tags } : { $in: tags };
+  }
+  
+  const amountRange = getAmountRangeQuery(filters.minAmount, filters.maxAmount);
+  if (amountRange) conditions.push(amountRange);
+  
+  // Free text looks at what the user typed or imported
+  if (filters.search && String(filters.search).trim()) {
+    const pattern = new RegExp(escapeRegExp(String(filters.search).trim()), 'i');
+    conditions.push({
+      $or: [
+        { description: pattern },
+        { counterparty: pattern },
+        { category: pattern },
+        { tags: pattern }
+      ]
+    });
+  }
+  
+  if (conditions.length === 1) Object.assign(query, conditions[0]);
+  if (conditions.length > 1) query.$and = conditions;
+  
+  return query;
+}
+
+module.exports = {
+  SEARCH_FILTER_FIELDS,
+  normalizeTags,
+  getAmountRangeQuery,
+  buildTransactionQuery
+};
@@ -6,6 +6,7 @@ import Dashboard from './components/Dashboard';
 import Accounts from './components/Accounts';
 import Transactions from './components/Transactions';
 import Borrowings from './components/Borrowings';
+import Budgets from './components/Budgets';
 import WorkSchedule from './components/WorkSchedule';
 import Login from './components/Login';
 
@@ -33,6 +34,7 @@ return (
       <Route path="/" element={<Dashboard />} />
       <Route path="/accounts" element={<Accounts />} />
       <Route path="/transactions" element={<Transactions />} />
+      <Route path="/budgets" element={<Budgets />} />
       <Route path="/borrowings" element={<Borrowings />} />
       <Route path="/work-schedule" element={<WorkSchedule />} />
       <Route path="*" element={<Navigate to="/" />} />
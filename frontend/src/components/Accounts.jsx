@@ -23,23 +23,20 @@ import {
   Delete as DeleteIcon,
   AccountBalance as AccountBalanceIcon,
 } from '@mui/icons-material';
-import { accounts } from '../services/api';
-
-const CURRENCIES = ['USD', 'EUR', 'AZN'];
-const CURRENCY_SYMBOLS = {
-  USD: '$',
-  EUR: '€',
-  AZN: '₼',
-};
-
-const EXCHANGE_RATES = {
-  USD: 1,
-  AZN: 1.7015,
-  EUR: 0.92,
-};
+import { accounts, rates as ratesApi } from '../services/api';
+import {
+  useCurrencies,
+  formatMoney,
+  getAmountStep,
+  toAmount,
+} from '../services/currencies';
 
 function Accounts() {
+  const currencyOptions = useCurrencies();
   const [accountsList, setAccountsList] = useState([]);
+  const [summary, setSummary] = useState(null);
+  // Units per 1 USD from the server's converter, for the per-account USD hints
+  const [usdRates, setUsdRates] = useState({ USD: 1 });
   const [openDialog, setOpenDialog] = useState(false);
   const [editingAccount, setEditingAccount] = useState(null);
   const [formData, setFormData] = useState({
@@ -52,17 +49,28 @@ function Accounts() {
 
   useEffect(() => {
     fetchAccounts();
+    fetchRates();
   }, []);
 
   const fetchAccounts = async () => {
     try {
       const response = await accounts.getAll();
-      setAccountsList(response.data);
+      setAccountsList(response.data.accounts);
+      setSummary(response.data.summary);
     } catch (error) {
       console.error('Error fetching accounts:', error);
     }
   };
 
+  const fetchRates = async () => {
+    try {
+      const response = await ratesApi.get({ base: 'USD' });
+      setUsdRates(response.data.rates);
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+    }
+  };
+
   const handleOpenDialog = (account = null) => {
     if (account) {
       setEditingAccount(account);
@@ -124,14 +132,9 @@ function Accounts() {
     }
   };
 
+  // Null until the rates for the currency have loaded
   const convertToUSD = (amount, currency) => {
-    return amount / EXCHANGE_RATES[currency];
-  };
-
-  const getTotalBalanceUSD = () => {
-    return accountsList.reduce((total, account) => {
-      return total + convertToUSD(account.balance, account.currency);
-    }, 0);
+    return usdRates[currency] ? amount / usdRates[currency] : null;
   };
 
   return (
@@ -150,11 +153,22 @@ function Accounts() {
       <Card sx={{ mb: 3, bgcolor: 'primary.main', color: 'white' }}>
         <CardContent>
           <Typography variant="h6" gutterBottom>
-            Total Balance (USD)
+            Total Balance{summary && ` (${summary.currency})`}
           </Typography>
           <Typography variant="h3">
-            ${getTotalBalanceUSD().toFixed(2)}
+            {summary && formatMoney(summary.totalBalance, summary.currency)}
           </Typography>
+          {summary?.rateWarning && (
+            <Typography variant="body2">{summary.rateWarning}</Typography>
+          )}
+          {summary?.excludedFromTotal && (
+            <Typography variant="body2">
+              Not included (no exchange rate):{' '}
+              {summary.excludedFromTotal
+                .map((account) => `${account.name} ${formatMoney(account.balance, account.currency)}`)
+                .join(', ')}
+            </Typography>
+          )}
         </CardContent>
       </Card>
 
@@ -181,13 +195,14 @@ function Accounts() {
                     sx={{ mr: 1 }}
                   />
                   <Typography variant="h5">
-                    {CURRENCY_SYMBOLS[account.currency]}
-                    {account.balance.toFixed(2)}
+                    {formatMoney(account.balance, account.currency)}
                   </Typography>
                 </Box>
-                <Typography variant="body2" color="textSecondary" mt={1}>
-                  ≈ ${convertToUSD(account.balance, account.currency).toFixed(2)} USD
-                </Typography>
+                {account.currency !== 'USD' && usdRates[account.currency] && (
+                  <Typography variant="body2" color="textSecondary" mt={1}>
+                    ≈ {formatMoney(convertToUSD(toAmount(account.balance, account.currency), account.currency), 'USD')}
+                  </Typography>
+                )}
               </CardContent>
               <CardActions>
                 <IconButton onClick={() => handleOpenDialog(account)} size="small">
@@ -248,9 +263,9 @@ function Accounts() {
             onChange={handleInputChange}
             required
           >
-            {CURRENCIES.map((currency) => (
-              <MenuItem key={currency} value={currency}>
-                {currency} ({CURRENCY_SYMBOLS[currency]})
+            {currencyOptions.map((currency) => (
+              <MenuItem key={currency.code} value={currency.code}>
+                {currency.code} ({currency.symbol}) {currency.name}
               </MenuItem>
             ))}
           </TextField>
@@ -262,13 +277,13 @@ function Accounts() {
             margin="normal"
             value={formData.balance}
             onChange={handleInputChange}
-            inputProps={{ step: 0.01 }}
+            inputProps={{ step: getAmountStep(formData.currency) }}
             required
           />
-          {formData.currency !== 'USD' && (
+          {formData.currency !== 'USD' && usdRates[formData.currency] && (
             <Typography variant="body2" color="textSecondary" mt={1}>
-              ≈ ${convertToUSD(formData.balance || 0, formData.currency).toFixed(2)} USD
-              (Rate: 1 {formData.currency} = {(1 / EXCHANGE_RATES[formData.currency]).toFixed(4)} USD)
+              ≈ {formatMoney(convertToUSD(formData.balance || 0, formData.currency), 'USD')}
+              (Rate: 1 {formData.currency} = {(1 / usdRates[formData.currency]).toFixed(4)} USD)
             </Typography>
           )}
         </DialogContent>
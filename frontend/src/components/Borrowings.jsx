@@ -17,22 +17,36 @@ import {
   IconButton,
   Tabs,
   Tab,
+  List,
+  ListItem,
+  ListItemText,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Autocomplete,
 } from '@mui/material';
 import {
   Add as AddIcon,
   Done as DoneIcon,
   Person as PersonIcon,
   CalendarToday as CalendarIcon,
+  Payments as PaymentsIcon,
+  Undo as UndoIcon,
+  EventNote as ScheduleIcon,
 } from '@mui/icons-material';
 import { format } from 'date-fns';
-import { borrowings } from '../services/api';
-
-const CURRENCIES = ['USD', 'EUR', 'AZN'];
-const CURRENCY_SYMBOLS = {
-  USD: '$',
-  EUR: '€',
-  AZN: '₼',
-};
+import { borrowings, accounts as accountsApi, contacts as contactsApi } from '../services/api';
+import {
+  useCurrencies,
+  formatMoney,
+  getAmountStep,
+  toAmount,
+  toMinorUnits,
+  fromMinorUnits,
+} from '../services/currencies';
 
 function TabPanel({ children, value, index }) {
   return (
@@ -42,7 +56,23 @@ function TabPanel({ children, value, index }) {
   );
 }
 
+// Interest fields of the add dialog; left empty the borrowing has no loan terms
+const EMPTY_LOAN_TERMS = {
+  interestRate: '',
+  termMonths: '',
+  interestType: 'compound',
+  installmentFrequency: 'monthly',
+};
+
+const SCHEDULE_STATUS_COLORS = {
+  paid: 'success',
+  partial: 'warning',
+  overdue: 'error',
+  upcoming: 'default',
+};
+
 function Borrowings() {
+  const currencyOptions = useCurrencies();
   const [borrowingsList, setBorrowingsList] = useState([]);
   const [tabValue, setTabValue] = useState(0);
   const [openDialog, setOpenDialog] = useState(false);
@@ -54,16 +84,46 @@ function Borrowings() {
     description: '',
     date: format(new Date(), 'yyyy-MM-dd'),
     dueDate: '',
+    accountId: '',
+    ...EMPTY_LOAN_TERMS,
   });
 
+  // Borrowing whose payments are open, its ledger and the payment being entered
+  const [paymentsFor, setPaymentsFor] = useState(null);
+  const [paymentsList, setPaymentsList] = useState([]);
+  const [paymentForm, setPaymentForm] = useState({ amount: '', date: '', note: '', accountId: '' });
+  const [accountsList, setAccountsList] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [contactsList, setContactsList] = useState([]);
+
   useEffect(() => {
     fetchBorrowings();
+    fetchAccounts();
+    fetchContacts();
   }, []);
 
+  const fetchContacts = async () => {
+    try {
+      const response = await contactsApi.getAll();
+      setContactsList(response.data.contacts);
+    } catch (error) {
+      console.error('Error fetching contacts:', error);
+    }
+  };
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await accountsApi.getAll();
+      setAccountsList(response.data.accounts);
+    } catch (error) {
+      console.error('Error fetching accounts:', error);
+    }
+  };
+
   const fetchBorrowings = async () => {
     try {
       const response = await borrowings.getAll();
-      setBorrowingsList(response.data);
+      setBorrowingsList(response.data.borrowings);
     } catch (error) {
       console.error('Error fetching borrowings:', error);
     }
@@ -78,6 +138,8 @@ function Borrowings() {
       description: '',
       date: format(new Date(), 'yyyy-MM-dd'),
       dueDate: '',
+      accountId: '',
+      ...EMPTY_LOAN_TERMS,
     });
     setOpenDialog(true);
   };
@@ -96,58 +158,167 @@ function Borrowings() {
 
   const handleSubmit = async () => {
     try {
+      const { personName, accountId, interestRate, termMonths, interestType, installmentFrequency, ...data } = formData;
       await borrowings.create({
-        ...formData,
+        ...data,
+        ...(accountId && { accountId }),
+        ...(interestRate !== '' && termMonths && {
+          loanTerms: {
+            interestRate: parseFloat(interestRate),
+            termMonths: parseInt(termMonths, 10),
+            interestType,
+            installmentFrequency,
+          },
+        }),
+        counterparty: personName,
         amount: parseFloat(formData.amount),
       });
       handleCloseDialog();
       fetchBorrowings();
+      fetchContacts();
     } catch (error) {
       console.error('Error creating borrowing:', error);
     }
   };
 
-  const handleMarkPaid = async (id) => {
+  // Marking as paid records one payment for whatever is still outstanding
+  const handleMarkPaid = async (item) => {
     try {
-      await borrowings.markPaid(id);
+      await borrowings.addPayment(item._id, {
+        amount: toAmount(item.remainingAmount, item.currency),
+        note: 'Settled in full',
+      });
       fetchBorrowings();
     } catch (error) {
       console.error('Error marking as paid:', error);
     }
   };
 
+  const fetchPayments = async (item) => {
+    try {
+      const response = await borrowings.getPayments(item._id);
+      setPaymentsList(response.data.payments);
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+    }
+  };
+
+  const handleOpenPayments = (item) => {
+    setPaymentsFor(item);
+    setPaymentForm({ amount: '', date: format(new Date(), 'yyyy-MM-dd'), note: '', accountId: item.account || '' });
+    fetchPayments(item);
+  };
+
+  const handleAddPayment = async () => {
+    try {
+      const { accountId, ...payment } = paymentForm;
+      await borrowings.addPayment(paymentsFor._id, {
+        ...payment,
+        ...(accountId && { accountId }),
+        amount: parseFloat(paymentForm.amount),
+        currency: paymentsFor.currency,
+      });
+      setPaymentForm({ ...paymentForm, amount: '', note: '' });
+      fetchPayments(paymentsFor);
+      fetchBorrowings();
+      fetchContacts();
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      window.alert(error.response?.data?.error || 'Failed to record payment');
+    }
+  };
+
+  // One payment for everything still open with this contact, both directions
+  const handleSettleContact = async (contact) => {
+    if (!window.confirm(`Settle everything open with ${contact.name}?`)) return;
+
+    try {
+      await borrowings.settle({ contactId: contact._id });
+      fetchBorrowings();
+      fetchContacts();
+    } catch (error) {
+      console.error('Error settling borrowings:', error);
+      window.alert(error.response?.data?.error || 'Failed to settle');
+    }
+  };
+
+  const handleOpenSchedule = async (item) => {
+    try {
+      const response = await borrowings.getSchedule(item._id);
+      setSchedule(response.data);
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+    }
+  };
+
+  const handleReversePayment = async (payment) => {
+    const reason = window.prompt('Reason for reversing this payment (optional)');
+    if (reason === null) return;
+
+    try {
+      await borrowings.reversePayment(paymentsFor._id, payment._id, reason);
+      fetchPayments(paymentsFor);
+      fetchBorrowings();
+    } catch (error) {
+      console.error('Error reversing payment:', error);
+    }
+  };
+
   const getLentItems = () => borrowingsList.filter(b => b.type === 'lent');
   const getBorrowedItems = () => borrowingsList.filter(b => b.type === 'borrowed');
 
+  const isPaid = (item) => item.status === 'paid';
+
+  const describeBalance = ({ balance }) => {
+    if (balance.direction === 'owed_to_user') return `Owes you ${formatMoney(balance.net, balance.currency)}`;
+    if (balance.direction === 'owed_by_user') return `You owe ${formatMoney(Math.abs(toAmount(balance.net, balance.currency)), balance.currency)}`;
+    return 'Settled';
+  };
+
+  // Sum in USD cents so float drift never shows up in the total
   const getTotalAmount = (items) => {
-    return items.reduce((sum, item) => {
-      return sum + (item.isPaid ? 0 : item.amountInUSD);
+    const totalInMinorUnits = items.reduce((sum, item) => {
+      return sum + (isPaid(item) ? 0 : toMinorUnits(toAmount(item.amountInUSD, 'USD'), 'USD'));
     }, 0);
+    return fromMinorUnits(totalInMinorUnits, 'USD');
   };
 
   const renderBorrowingCard = (item) => (
     <Grid item xs={12} md={6} key={item._id}>
-      <Card sx={{ opacity: item.isPaid ? 0.7 : 1 }}>
+      <Card sx={{ opacity: isPaid(item) ? 0.7 : 1 }}>
         <CardContent>
           <Box display="flex" justifyContent="space-between" alignItems="start">
             <Box>
               <Box display="flex" alignItems="center" mb={1}>
                 <PersonIcon sx={{ mr: 1 }} />
-                <Typography variant="h6">{item.personName}</Typography>
+                <Typography variant="h6">{item.counterparty}</Typography>
               </Box>
               <Typography variant="h5" gutterBottom>
-                {CURRENCY_SYMBOLS[item.currency]}{item.amount.toFixed(2)}
+                {formatMoney(item.amount, item.currency)}
               </Typography>
               {item.currency !== 'USD' && (
                 <Typography variant="body2" color="textSecondary" gutterBottom>
-                  ≈ ${item.amountInUSD.toFixed(2)} USD
+                  ≈ {formatMoney(item.amountInUSD, 'USD')}
                 </Typography>
               )}
+              {item.sharedExpense && (
+                <Chip label="Shared expense" size="small" variant="outlined" sx={{ mb: 1 }} />
+              )}
               {item.description && (
                 <Typography variant="body2" color="textSecondary" gutterBottom>
                   {item.description}
                 </Typography>
               )}
+              {item.loanTerms && (
+                <Typography variant="body2" color="textSecondary" gutterBottom>
+                  {item.loanTerms.interestRate}% {item.loanTerms.interestType} over {item.loanTerms.termMonths} months
+                </Typography>
+              )}
+              {item.status === 'partially_paid' && (
+                <Typography variant="body2" color="textSecondary" gutterBottom>
+                  Paid {formatMoney(item.paidAmount, item.currency)}, {formatMoney(item.remainingAmount, item.currency)} left
+                </Typography>
+              )}
               <Box display="flex" alignItems="center" gap={2} mt={1}>
                 <Typography variant="caption" color="textSecondary">
                   <CalendarIcon sx={{ fontSize: 14, mr: 0.5, verticalAlign: 'middle' }} />
@@ -161,11 +332,19 @@ function Borrowings() {
               </Box>
             </Box>
             <Box>
-              {item.isPaid ? (
+              <IconButton onClick={() => handleOpenPayments(item)} title="Payments">
+                <PaymentsIcon />
+              </IconButton>
+              {item.loanTerms && (
+                <IconButton onClick={() => handleOpenSchedule(item)} title="Repayment schedule">
+                  <ScheduleIcon />
+                </IconButton>
+              )}
+              {isPaid(item) ? (
                 <Chip label="Paid" color="success" size="small" />
-              ) : (
+              ) : !item.loanTerms && (
                 <IconButton
-                  onClick={() => handleMarkPaid(item._id)}
+                  onClick={() => handleMarkPaid(item)}
                   color="primary"
                   title="Mark as paid"
                 >
@@ -193,7 +372,7 @@ function Borrowings() {
                 Total to Receive
               </Typography>
               <Typography variant="h3">
-                ${getTotalAmount(getLentItems()).toFixed(2)}
+                {formatMoney(getTotalAmount(getLentItems()), 'USD')}
               </Typography>
               <Button
                 variant="contained"
@@ -213,7 +392,7 @@ function Borrowings() {
                 Total to Pay
               </Typography>
               <Typography variant="h3">
-                ${getTotalAmount(getBorrowedItems()).toFixed(2)}
+                {formatMoney(getTotalAmount(getBorrowedItems()), 'USD')}
               </Typography>
               <Button
                 variant="contained"
@@ -231,6 +410,7 @@ function Borrowings() {
       <Tabs value={tabValue} onChange={(e, v) => setTabValue(v)}>
         <Tab label={`Money Lent (${getLentItems().length})`} />
         <Tab label={`Money Borrowed (${getBorrowedItems().length})`} />
+        <Tab label={`People (${contactsList.length})`} />
       </Tabs>
 
       <TabPanel value={tabValue} index={0}>
@@ -245,20 +425,58 @@ function Borrowings() {
         </Grid>
       </TabPanel>
 
+      <TabPanel value={tabValue} index={2}>
+        <List>
+          {contactsList.map((contact) => (
+            <ListItem key={contact._id} divider>
+              <PersonIcon sx={{ mr: 2 }} />
+              <ListItemText
+                primary={contact.name}
+                secondary={[
+                  `Lent ${formatMoney(contact.balance.lent.total, contact.balance.currency)}`,
+                  `borrowed ${formatMoney(contact.balance.borrowed.total, contact.balance.currency)}`,
+                  contact.email,
+                  contact.phone,
+                ].filter(Boolean).join(' · ')}
+              />
+              <Chip
+                label={describeBalance(contact)}
+                color={{ owed_to_user: 'success', owed_by_user: 'error' }[contact.balance.direction] || 'default'}
+                size="small"
+              />
+              {(contact.balance.lent.outstanding !== 0 || contact.balance.borrowed.outstanding !== 0) && (
+                <IconButton onClick={() => handleSettleContact(contact)} title="Settle all" sx={{ ml: 1 }}>
+                  <DoneIcon />
+                </IconButton>
+              )}
+            </ListItem>
+          ))}
+          {contactsList.length === 0 && (
+            <Typography variant="body2" color="textSecondary">No contacts yet</Typography>
+          )}
+        </List>
+      </TabPanel>
+
       {/* Add Borrowing Dialog */}
       <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
         <DialogTitle>
           {formData.type === 'lent' ? 'Add Money Lent' : 'Add Money Borrowed'}
         </DialogTitle>
         <DialogContent>
-          <TextField
-            name="personName"
-            label="Person Name"
-            fullWidth
-            margin="normal"
-            value={formData.personName}
-            onChange={handleInputChange}
-            required
+          <Autocomplete
+            freeSolo
+            options={contactsList.map((contact) => contact.name)}
+            inputValue={formData.personName}
+            onInputChange={(e, personName) => setFormData({ ...formData, personName })}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Person Name"
+                margin="normal"
+                helperText="Names matching an existing contact are linked to it"
+                required
+              />
+            )}
           />
           <Grid container spacing={2}>
             <Grid item xs={8}>
@@ -270,7 +488,7 @@ function Borrowings() {
                 margin="normal"
                 value={formData.amount}
                 onChange={handleInputChange}
-                inputProps={{ step: 0.01 }}
+                inputProps={{ step: getAmountStep(formData.currency) }}
                 required
               />
             </Grid>
@@ -285,9 +503,9 @@ function Borrowings() {
                 onChange={handleInputChange}
                 required
               >
-                {CURRENCIES.map((currency) => (
-                  <MenuItem key={currency} value={currency}>
-                    {currency}
+                {currencyOptions.map((currency) => (
+                  <MenuItem key={currency.code} value={currency.code}>
+                    {currency.code}
                   </MenuItem>
                 ))}
               </TextField>
@@ -303,6 +521,23 @@ function Borrowings() {
             multiline
             rows={2}
           />
+          <TextField
+            name="accountId"
+            label={formData.type === 'lent' ? 'Paid From Account' : 'Received Into Account'}
+            select
+            fullWidth
+            margin="normal"
+            value={formData.accountId}
+            onChange={handleInputChange}
+            helperText="Optional: records the money moving in that account"
+          >
+            <MenuItem value="">Don't record in an account</MenuItem>
+            {accountsList.map((account) => (
+              <MenuItem key={account._id} value={account._id}>
+                {account.name} ({account.currency})
+              </MenuItem>
+            ))}
+          </TextField>
           <Grid container spacing={2}>
             <Grid item xs={6}>
               <TextField
@@ -327,15 +562,241 @@ function Borrowings() {
                 value={formData.dueDate}
                 onChange={handleInputChange}
                 InputLabelProps={{ shrink: true }}
+                helperText={formData.interestRate !== '' ? 'Loans are due with their last installment' : ''}
+                disabled={formData.interestRate !== ''}
               />
             </Grid>
           </Grid>
+          <Grid container spacing={2}>
+            <Grid item xs={6} md={3}>
+              <TextField
+                name="interestRate"
+                label="Interest % / year"
+                type="number"
+                fullWidth
+                margin="normal"
+                value={formData.interestRate}
+                onChange={handleInputChange}
+                inputProps={{ min: 0, max: 100, step: 0.01 }}
+                helperText="Optional"
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                name="termMonths"
+                label="Term (months)"
+                type="number"
+                fullWidth
+                margin="normal"
+                value={formData.termMonths}
+                onChange={handleInputChange}
+                inputProps={{ min: 1, max: 600, step: 1 }}
+                required={formData.interestRate !== ''}
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                name="interestType"
+                label="Interest"
+                select
+                fullWidth
+                margin="normal"
+                value={formData.interestType}
+                onChange={handleInputChange}
+              >
+                <MenuItem value="compound">Compound</MenuItem>
+                <MenuItem value="simple">Simple</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                name="installmentFrequency"
+                label="Installments"
+                select
+                fullWidth
+                margin="normal"
+                value={formData.installmentFrequency}
+                onChange={handleInputChange}
+              >
+                <MenuItem value="weekly">Weekly</MenuItem>
+                <MenuItem value="biweekly">Every 2 weeks</MenuItem>
+                <MenuItem value="monthly">Monthly</MenuItem>
+                <MenuItem value="quarterly">Quarterly</MenuItem>
+                <MenuItem value="annually">Yearly</MenuItem>
+              </TextField>
+            </Grid>
+          </Grid>
         </DialogContent>
         <DialogActions>
           <Button onClick={handleCloseDialog}>Cancel</Button>
           <Button onClick={handleSubmit} variant="contained">Add</Button>
         </DialogActions>
       </Dialog>
+
+      {/* Payment History Dialog */}
+      <Dialog open={Boolean(paymentsFor)} onClose={() => setPaymentsFor(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Payments: {paymentsFor?.counterparty}</DialogTitle>
+        <DialogContent>
+          {paymentsFor && (
+            <LinearProgress
+              variant="determinate"
+              value={Math.min(100, (toAmount(paymentsFor.paidAmount, paymentsFor.currency) / toAmount(paymentsFor.amount, paymentsFor.currency)) * 100)}
+              sx={{ my: 2 }}
+            />
+          )}
+          <List dense>
+            {paymentsList.map((payment) => (
+              <ListItem
+                key={payment._id}
+                sx={{ opacity: payment.reversed ? 0.5 : 1 }}
+                secondaryAction={!payment.reversed && (
+                  <IconButton edge="end" onClick={() => handleReversePayment(payment)} title="Reverse payment">
+                    <UndoIcon />
+                  </IconButton>
+                )}
+              >
+                <ListItemText
+                  primary={`${formatMoney(payment.amount, payment.currency)}${payment.reversed ? ' (reversed)' : ''}`}
+                  secondary={[
+                    format(new Date(payment.date), 'MMM dd, yyyy'),
+                    payment.note,
+                    payment.reversalReason,
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            ))}
+            {paymentsList.length === 0 && (
+              <Typography variant="body2" color="textSecondary">No payments yet</Typography>
+            )}
+          </List>
+          {paymentsFor && !isPaid(paymentsFor) && (
+            <Grid container spacing={2}>
+              <Grid item xs={4}>
+                <TextField
+                  label="Amount"
+                  type="number"
+                  fullWidth
+                  margin="normal"
+                  value={paymentForm.amount}
+                  onChange={(e) => setPaymentForm({ ...paymentForm, amount: e.target.value })}
+                  inputProps={{ step: getAmountStep(paymentsFor.currency) }}
+                />
+              </Grid>
+              <Grid item xs={4}>
+                <TextField
+                  label="Date"
+                  type="date"
+                  fullWidth
+                  margin="normal"
+                  value={paymentForm.date}
+                  onChange={(e) => setPaymentForm({ ...paymentForm, date: e.target.value })}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+              <Grid item xs={4}>
+                <TextField
+                  label="Note"
+                  fullWidth
+                  margin="normal"
+                  value={paymentForm.note}
+                  onChange={(e) => setPaymentForm({ ...paymentForm, note: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  label="Account"
+                  select
+                  fullWidth
+                  value={paymentForm.accountId}
+                  onChange={(e) => setPaymentForm({ ...paymentForm, accountId: e.target.value })}
+                >
+                  <MenuItem value="">Don't record in an account</MenuItem>
+                  {accountsList.map((account) => (
+                    <MenuItem key={account._id} value={account._id}>
+                      {account.name} ({account.currency})
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPaymentsFor(null)}>Close</Button>
+          {paymentsFor && !isPaid(paymentsFor) && (
+            <Button onClick={handleAddPayment} variant="contained" disabled={!paymentForm.amount}>
+              Record Payment
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      {/* Loan Schedule Dialog */}
+      <Dialog open={Boolean(schedule)} onClose={() => setSchedule(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Repayment Schedule: {schedule?.borrowing.counterparty}</DialogTitle>
+        <DialogContent>
+          {schedule && (
+            <>
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid item xs={6} md={3}>
+                  <Typography variant="caption" color="textSecondary">Total interest</Typography>
+                  <Typography>{formatMoney(schedule.totalInterest, schedule.currency)}</Typography>
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <Typography variant="caption" color="textSecondary">Paid so far</Typography>
+                  <Typography>{formatMoney(schedule.comparison.actual.paid, schedule.currency)}</Typography>
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <Typography variant="caption" color="textSecondary">Principal left</Typography>
+                  <Typography>
+                    {formatMoney(schedule.comparison.actual.remainingPrincipal, schedule.currency)}
+                    {' '}(scheduled {formatMoney(schedule.comparison.scheduled.remainingPrincipal, schedule.currency)})
+                  </Typography>
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <Typography variant="caption" color="textSecondary">
+                    {toAmount(schedule.comparison.difference, schedule.currency) < 0 ? 'Behind schedule' : 'Ahead of schedule'}
+                  </Typography>
+                  <Typography>
+                    {formatMoney(Math.abs(toAmount(schedule.comparison.difference, schedule.currency)), schedule.currency)}
+                  </Typography>
+                </Grid>
+              </Grid>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>#</TableCell>
+                    <TableCell>Due</TableCell>
+                    <TableCell align="right">Payment</TableCell>
+                    <TableCell align="right">Principal</TableCell>
+                    <TableCell align="right">Interest</TableCell>
+                    <TableCell align="right">Principal Left</TableCell>
+                    <TableCell>Status</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {schedule.installments.map((row) => (
+                    <TableRow key={row.number}>
+                      <TableCell>{row.number}</TableCell>
+                      <TableCell>{format(new Date(row.dueDate), 'MMM dd, yyyy')}</TableCell>
+                      <TableCell align="right">{formatMoney(row.payment, schedule.currency)}</TableCell>
+                      <TableCell align="right">{formatMoney(row.principal, schedule.currency)}</TableCell>
+                      <TableCell align="right">{formatMoney(row.interest, schedule.currency)}</TableCell>
+                      <TableCell align="right">{formatMoney(row.remainingPrincipal, schedule.currency)}</TableCell>
+                      <TableCell>
+                        <Chip label={row.status} color={SCHEDULE_STATUS_COLORS[row.status]} size="small" />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSchedule(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+  MenuItem,
+  Grid,
+  Chip,
+  IconButton,
+  LinearProgress,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { budgets, categories as categoriesApi } from '../services/api';
+import { useCurrencies, formatMoney, getAmountStep } from '../services/currencies';
+
+const PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const STATUS_COLORS = {
+  'on-track': 'success',
+  'at-risk': 'warning',
+  over: 'error',
+};
+
+const EMPTY_FORM = {
+  category: '',
+  period: 'monthly',
+  limit: '',
+  currency: 'USD',
+  rollover: false,
+  includeSubcategories: true,
+};
+
+function Budgets() {
+  const currencyOptions = useCurrencies();
+  const [budgetsList, setBudgetsList] = useState([]);
+  const [categoriesList, setCategoriesList] = useState([]);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    fetchBudgets();
+    fetchCategories();
+  }, []);
+
+  const fetchBudgets = async () => {
+    try {
+      const response = await budgets.getAll();
+      setBudgetsList(response.data.budgets);
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesApi.getAll({ type: 'expense' });
+      setCategoriesList(response.data.categories);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+    }
+  };
+
+  const handleOpenDialog = (budget = null) => {
+    setEditingId(budget?._id || null);
+    setFormData(budget
+      ? {
+          category: budget.category,
+          period: budget.period,
+          limit: budget.limit,
+          currency: budget.currency,
+          rollover: budget.rollover,
+          includeSubcategories: budget.includeSubcategories,
+        }
+      : EMPTY_FORM);
+    setOpenDialog(true);
+  };
+
+  const handleCloseDialog = () => {
+    setOpenDialog(false);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, checked, type } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value,
+    });
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const payload = {
+        ...formData,
+        limit: parseFloat(formData.limit),
+      };
+      if (editingId) {
+        await budgets.update(editingId, payload);
+      } else {
+        await budgets.create(payload);
+      }
+      handleCloseDialog();
+      fetchBudgets();
+    } catch (error) {
+      console.error('Error saving budget:', error);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this budget?')) return;
+
+    try {
+      await budgets.delete(id);
+      fetchBudgets();
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+    }
+  };
+
+  const renderBudgetCard = (budget) => {
+    const { progress } = budget;
+    const money = (amount) => formatMoney(amount, budget.currency);
+
+    return (
+      <Grid item xs={12} md={6} key={budget._id}>
+        <Card>
+          <CardContent>
+            <Box display="flex" justifyContent="space-between" alignItems="start">
+              <Box>
+                <Typography variant="h6">{budget.category}</Typography>
+                <Typography variant="caption" color="textSecondary">
+                  {budget.period} · {format(new Date(progress.period.start), 'MMM dd')} –{' '}
+                  {format(new Date(new Date(progress.period.end).getTime() - 1), 'MMM dd, yyyy')}
+                </Typography>
+              </Box>
+              <Box display="flex" alignItems="center">
+                <Chip label={progress.status} color={STATUS_COLORS[progress.status]} size="small" />
+                <IconButton size="small" onClick={() => handleOpenDialog(budget)} title="Edit">
+                  <EditIcon fontSize="small" />
+                </IconButton>
+                <IconButton size="small" onClick={() => handleDelete(budget._id)} title="Delete">
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            </Box>
+            <Typography variant="h5" mt={1}>
+              {money(progress.spent)}
+              <Typography component="span" variant="body1" color="textSecondary">
+                {' '}of {money(progress.available)}
+              </Typography>
+            </Typography>
+            <LinearProgress
+              variant="determinate"
+              value={Math.min(progress.percentUsed ?? 100, 100)}
+              color={STATUS_COLORS[progress.status]}
+              sx={{ height: 8, borderRadius: 4, my: 1 }}
+            />
+            <Box display="flex" justifyContent="space-between">
+              <Typography variant="body2" color={progress.remaining < 0 ? 'error' : 'textSecondary'}>
+                {progress.remaining < 0 ? 'Over by' : 'Remaining'} {money(Math.abs(progress.remaining))}
+              </Typography>
+              <Typography variant="body2" color="textSecondary">
+                Projected {money(progress.projected)}
+              </Typography>
+            </Box>
+            {budget.rollover && progress.rollover !== 0 && (
+              <Typography variant="caption" color="textSecondary">
+                Includes {money(progress.rollover)} carried over
+              </Typography>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+    );
+  };
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
+        <Typography variant="h4">Budgets</Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+        >
+          Add Budget
+        </Button>
+      </Box>
+
+      <Grid container spacing={2}>
+        {budgetsList.map(renderBudgetCard)}
+        {budgetsList.length === 0 && (
+          <Grid item xs={12}>
+            <Typography color="textSecondary">
+              No budgets yet. Add one to track spending against a limit.
+            </Typography>
+          </Grid>
+        )}
+      </Grid>
+
+      {/* Add/Edit Budget Dialog */}
+      <Dialog open={openDialog} onClose={handleCloseDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingId ? 'Edit Budget' : 'Add Budget'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            name="category"
+            label="Category"
+            select
+            fullWidth
+            margin="normal"
+            value={formData.category}
+            onChange={handleInputChange}
+            required
+          >
+            {categoriesList.map((category) => (
+              <MenuItem key={category._id} value={category.name}>
+                {category.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            name="period"
+            label="Period"
+            select
+            fullWidth
+            margin="normal"
+            value={formData.period}
+            onChange={handleInputChange}
+          >
+            {PERIODS.map((period) => (
+              <MenuItem key={period} value={period}>
+                {period.charAt(0).toUpperCase() + period.slice(1)}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Grid container spacing={2}>
+            <Grid item xs={8}>
+              <TextField
+                name="limit"
+                label="Limit"
+                type="number"
+                fullWidth
+                margin="normal"
+                value={formData.limit}
+                onChange={handleInputChange}
+                inputProps={{ step: getAmountStep(formData.currency) }}
+                required
+              />
+            </Grid>
+            <Grid item xs={4}>
+              <TextField
+                name="currency"
+                label="Currency"
+                select
+                fullWidth
+                margin="normal"
+                value={formData.currency}
+                onChange={handleInputChange}
+              >
+                {currencyOptions.map((currency) => (
+                  <MenuItem key={currency.code} value={currency.code}>
+                    {currency.code}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          </Grid>
+          <FormControlLabel
+            control={<Switch name="rollover" checked={formData.rollover} onChange={handleInputChange} />}
+            label="Carry leftover into next period"
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                name="includeSubcategories"
+                checked={formData.includeSubcategories}
+                onChange={handleInputChange}
+              />
+            }
+            label="Include subcategories"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDialog}>Cancel</Button>
+          <Button
+            onClick={handleSubmit}
+            variant="contained"
+            disabled={!formData.category || !formData.limit}
+          >
+            {editingId ? 'Save' : 'Add'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default Budgets;
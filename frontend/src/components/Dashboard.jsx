@@ -35,13 +35,16 @@ import {
   Pie,
   Cell,
 } from 'recharts';
-import { accounts, transactions, borrowings, workSchedule } from '../services/api';
+import { dashboard, transactions } from '../services/api';
+import { useCurrencies, formatMoney } from '../services/currencies';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8'];
 
 function Dashboard() {
+  useCurrencies();
   const [loading, setLoading] = useState(true);
   const [data, setData] = useState({
+    currency: 'USD',
     totalBalance: 0,
     monthlyIncome: 0,
     monthlyExpense: 0,
@@ -59,59 +62,29 @@ function Dashboard() {
     try {
       setLoading(true);
       
-      // Fetch all data
-      const [accountsRes, transactionsRes, borrowingsRes, workRes] = await Promise.all([
-        accounts.getAll(),
+      // Totals come converted to the user's preferred currency
+      const [summaryRes, transactionsRes] = await Promise.all([
+        dashboard.getSummary(),
         transactions.getAll({
           startDate: new Date(new Date().getFullYear(), new Date().getMonth(), 1),
           endDate: new Date(),
         }),
-        borrowings.getAll(),
-        workSchedule.getAll({
-          startDate: new Date(new Date().getFullYear(), new Date().getMonth(), 1),
-          endDate: new Date(),
-        }),
       ]);
-
-      // Calculate total balance (converting all to USD)
-      const totalBalance = accountsRes.data.reduce((sum, account) => {
-        // You'll need to convert based on currency
-        return sum + account.balance;
-      }, 0);
-
-      // Calculate monthly income and expenses
-      const monthlyIncome = transactionsRes.data
-        .filter(t => t.type === 'income')
-        .reduce((sum, t) => sum + t.amountInUSD, 0);
-
-      const monthlyExpense = transactionsRes.data
-        .filter(t => t.type === 'expense')
-        .reduce((sum, t) => sum + t.amountInUSD, 0);
-
-      // Calculate pending borrowings
-      const pendingBorrowings = borrowingsRes.data
-        .filter(b => !b.isPaid)
-        .reduce((sum, b) => {
-          return sum + (b.type === 'lent' ? b.amountInUSD : -b.amountInUSD);
-        }, 0);
-
-      // Get recent transactions
-      const recentTransactions = transactionsRes.data.slice(0, 5);
-
-      // Prepare monthly chart data
-      const monthlyData = prepareMonthlyData(transactionsRes.data);
-
-      // Prepare category pie chart data
-      const categoryData = prepareCategoryData(transactionsRes.data);
+      const summary = summaryRes.data;
 
       setData({
-        totalBalance,
-        monthlyIncome,
-        monthlyExpense,
-        pendingBorrowings,
-        recentTransactions,
-        monthlyData,
-        categoryData,
+        currency: summary.currency,
+        totalBalance: summary.accounts.total,
+        monthlyIncome: summary.summary.totalIncome,
+        monthlyExpense: summary.summary.totalExpenses,
+        pendingBorrowings: summary.borrowings.netPosition,
+        recentTransactions: transactionsRes.data.slice(0, 5),
+        monthlyData: summary.dailyTrend.map((day) => ({
+          date: format(new Date(day.date), 'MMM dd'),
+          income: day.income,
+          expense: day.expenses,
+        })),
+        categoryData: summary.topCategories.map((c) => ({ name: c.category, value: c.amount })),
       });
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
@@ -120,40 +93,7 @@ function Dashboard() {
     }
   };
 
-  const prepareMonthlyData = (transactions) => {
-    const grouped = transactions.reduce((acc, t) => {
-      const day = format(new Date(t.date), 'MMM dd');
-      if (!acc[day]) {
-        acc[day] = { date: day, income: 0, expense: 0 };
-      }
-      if (t.type === 'income') {
-        acc[day].income += t.amountInUSD;
-      } else if (t.type === 'expense') {
-        acc[day].expense += t.amountInUSD;
-      }
-      return acc;
-    }, {});
-
-    return Object.values(grouped).sort((a, b) => 
-      new Date(a.date) - new Date(b.date)
-    );
-  };
-
-  const prepareCategoryData = (transactions) => {
-    const expenses = transactions.filter(t => t.type === 'expense');
-    const grouped = expenses.reduce((acc, t) => {
-      if (!acc[t.category]) {
-        acc[t.category] = 0;
-      }
-      acc[t.category] += t.amountInUSD;
-      return acc;
-    }, {});
-
-    return Object.entries(grouped)
-      .map(([name, value]) => ({ name, value }))
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 5);
-  };
+  const money = (amount) => formatMoney(amount, data.currency);
 
   if (loading) {
     return (
@@ -180,7 +120,7 @@ function Dashboard() {
                     Total Balance
                   </Typography>
                   <Typography variant="h5">
-                    ${data.totalBalance.toFixed(2)}
+                    {money(data.totalBalance)}
                   </Typography>
                 </Box>
                 <AccountBalance color="primary" fontSize="large" />
@@ -198,7 +138,7 @@ function Dashboard() {
                     Monthly Income
                   </Typography>
                   <Typography variant="h5" color="success.main">
-                    ${data.monthlyIncome.toFixed(2)}
+                    {money(data.monthlyIncome)}
                   </Typography>
                 </Box>
                 <TrendingUp color="success" fontSize="large" />
@@ -216,7 +156,7 @@ function Dashboard() {
                     Monthly Expenses
                   </Typography>
                   <Typography variant="h5" color="error.main">
-                    ${data.monthlyExpense.toFixed(2)}
+                    {money(data.monthlyExpense)}
                   </Typography>
                 </Box>
                 <TrendingDown color="error" fontSize="large" />
@@ -234,7 +174,7 @@ function Dashboard() {
                     Pending Borrowings
                   </Typography>
                   <Typography variant="h5">
-                    ${Math.abs(data.pendingBorrowings).toFixed(2)}
+                    {money(Math.abs(data.pendingBorrowings))}
                   </Typography>
                   <Typography variant="caption" color="textSecondary">
                     {data.pendingBorrowings > 0 ? 'To receive' : 'To pay'}
@@ -290,7 +230,7 @@ function Dashboard() {
                   cx="50%"
                   cy="50%"
                   labelLine={false}
-                  label={(entry) => `${entry.name}: $${entry.value.toFixed(0)}`}
+                  label={(entry) => `${entry.name}: ${money(entry.value)}`}
                   outerRadius={80}
                   fill="#8884d8"
                   dataKey="value"
@@ -319,7 +259,7 @@ function Dashboard() {
                 <TableCell>Description</TableCell>
                 <TableCell>Category</TableCell>
                 <TableCell>Account</TableCell>
-                <TableCell align="right">Amount (USD)</TableCell>
+                <TableCell align="right">Amount</TableCell>
               </TableRow>
             </TableHead>
             <TableBody>
@@ -338,8 +278,8 @@ function Dashboard() {
                       fontWeight: 'medium',
                     }}
                   >
-                    {transaction.type === 'income' ? '+' : '-'}$
-                    {transaction.amountInUSD.toFixed(2)}
+                    {transaction.type === 'income' ? '+' : '-'}
+                    {formatMoney(transaction.amount, transaction.currency)}
                   </TableCell>
                 </TableRow>
               ))}
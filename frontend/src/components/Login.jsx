@@ -13,6 +13,7 @@ import {
   Alert,
 } from '@mui/material';
 import { auth } from '../services/api';
+import { setMoneyLocale } from '../services/currencies';
 
 function TabPanel({ children, value, index }) {
   return (
@@ -44,6 +45,7 @@ function Login({ onLogin }) {
     setError('');
     try {
       const response = await auth.login(loginData);
+      setMoneyLocale(response.data.user?.preferences?.language);
       onLogin(response.data.token);
       navigate('/');
     } catch (err) {
@@ -66,6 +68,7 @@ function Login({ onLogin }) {
         email: registerData.email,
         password: registerData.password,
       });
+      setMoneyLocale(response.data.user?.preferences?.language);
       onLogin(response.data.token);
       navigate('/');
     } catch (err) {
@@ -23,6 +23,7 @@ import {
   Receipt as ReceiptIcon,
   People as PeopleIcon,
   Work as WorkIcon,
+  Savings as SavingsIcon,
   Logout as LogoutIcon,
 } from '@mui/icons-material';
 
@@ -34,6 +35,7 @@ function Navigation({ onLogout }) {
     { text: 'Dashboard', icon: <DashboardIcon />, path: '/' },
     { text: 'Accounts', icon: <AccountBalanceIcon />, path: '/accounts' },
     { text: 'Transactions', icon: <ReceiptIcon />, path: '/transactions' },
+    { text: 'Budgets', icon: <SavingsIcon />, path: '/budgets' },
     { text: 'Borrowings', icon: <PeopleIcon />, path: '/borrowings' },
     { text: 'Work Schedule', icon: <WorkIcon />, path: '/work-schedule' },
   ];
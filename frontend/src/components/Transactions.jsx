@@ -24,57 +24,148 @@ import {
   InputLabel,
   Select,
   Grid,
+  Checkbox,
+  Alert,
+  Snackbar,
+  Autocomplete,
+  ToggleButton,
+  ToggleButtonGroup,
 } from '@mui/material';
 import {
   Add as AddIcon,
   FileUpload as FileUploadIcon,
   Search as SearchIcon,
   FilterList as FilterListIcon,
+  CallSplit as CallSplitIcon,
+  Delete as DeleteIcon,
+  BookmarkAdd as BookmarkAddIcon,
+  GroupAdd as GroupAddIcon,
 } from '@mui/icons-material';
 import { format } from 'date-fns';
-import { transactions, accounts as accountsApi } from '../services/api';
+import {
+  transactions,
+  accounts as accountsApi,
+  importProfiles as importProfilesApi,
+  imports as importsApi,
+  categories as categoriesApi,
+  savedSearches as savedSearchesApi,
+  contacts as contactsApi,
+  sharedExpenses as sharedExpensesApi,
+} from '../services/api';
+import {
+  useCurrencies,
+  formatMoney,
+  getCurrencySymbol,
+  getAmountStep,
+  toMinorUnits,
+  fromMinorUnits,
+} from '../services/currencies';
 
 const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
-const CATEGORIES = {
-  income: ['Salary', 'Tips', 'Freelance', 'Investment', 'Gift', 'Other Income'],
-  expense: ['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Rent', 'Healthcare', 'Other Expense'],
-  transfer: ['Transfer'],
+const TRANSFER_CATEGORY = 'Transfer';
+
+// Filter values match the GET /transactions parameters, so saved searches apply as is
+const EMPTY_FILTERS = {
+  accountId: '',
+  type: '',
+  category: '',
+  startDate: '',
+  endDate: '',
+  tags: [],
+  tagMatch: 'any',
+  minAmount: '',
+  maxAmount: '',
+  search: '',
+};
+
+// Only send filters that are set; tags go as a comma-separated list
+const toSearchParams = (filters) => {
+  const params = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (key === 'tags') {
+      if (value.length > 0) params.tags = value.join(',');
+    } else if (key === 'tagMatch') {
+      if (filters.tags.length > 0) params.tagMatch = value;
+    } else if (value !== '') {
+      params[key] = value;
+    }
+  });
+  return params;
 };
 
-const CURRENCY_SYMBOLS = {
-  USD: '$',
-  EUR: '€',
-  AZN: '₼',
+// Flatten the user's category tree into select options, subcategories under their parent
+const toCategoryOptions = (categories, type) => {
+  if (type === 'transfer') return [{ name: TRANSFER_CATEGORY, depth: 0 }];
+
+  const ofType = categories.filter(c => c.type === type);
+  const options = [];
+  const visit = (parentId, depth) => {
+    ofType
+      .filter(c => (c.parent || null) === parentId)
+      .forEach((c) => {
+        options.push({ name: c.name, depth });
+        visit(c._id, depth + 1);
+      });
+  };
+  visit(null, 0);
+  return options;
+};
+
+const EMPTY_PARTICIPANT = { name: '', shares: 1, amount: '' };
+
+const EMPTY_SHARE_FORM = {
+  method: 'equal',
+  includeSelf: true,
+  selfShares: 1,
+  participants: [EMPTY_PARTICIPANT],
 };
 
 function Transactions() {
+  // Loads the registry so amounts use each currency's precision
+  useCurrencies();
   const [transactionsList, setTransactionsList] = useState([]);
   const [accountsList, setAccountsList] = useState([]);
+  const [profilesList, setProfilesList] = useState([]);
+  const [categoriesList, setCategoriesList] = useState([]);
   const [openDialog, setOpenDialog] = useState(false);
   const [openImportDialog, setOpenImportDialog] = useState(false);
-  const [filters, setFilters] = useState({
-    accountId: '',
-    category: '',
-    startDate: '',
-    endDate: '',
-    search: '',
-  });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [tagOptions, setTagOptions] = useState([]);
+  const [savedSearchesList, setSavedSearchesList] = useState([]);
+  const [savedSearchId, setSavedSearchId] = useState('');
   const [formData, setFormData] = useState({
     accountId: '',
+    toAccountId: '',
     type: 'expense',
     category: '',
     amount: '',
     description: '',
     date: format(new Date(), 'yyyy-MM-dd'),
+    splits: [],
+    tags: [],
   });
   const [importData, setImportData] = useState({
     accountId: '',
+    profileId: '',
     file: null,
     fileType: '',
   });
+  const [importError, setImportError] = useState('');
+  // Pending batch under review, and the last committed one (for undo)
+  const [importBatch, setImportBatch] = useState(null);
+  const [lastImport, setLastImport] = useState(null);
+  // Expense being shared with contacts, and how
+  const [shareFor, setShareFor] = useState(null);
+  const [shareForm, setShareForm] = useState(EMPTY_SHARE_FORM);
+  const [contactsList, setContactsList] = useState([]);
 
   useEffect(() => {
     fetchAccounts();
+    fetchProfiles();
+    fetchCategories();
+    fetchTags();
+    fetchSavedSearches();
+    fetchContacts();
     fetchTransactions();
   }, []);
 
@@ -91,38 +182,115 @@ function Transactions() {
     }
   };
 
+  const fetchProfiles = async () => {
+    try {
+      const response = await importProfilesApi.getAll();
+      setProfilesList(response.data.profiles);
+    } catch (error) {
+      console.error('Error fetching import profiles:', error);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesApi.getAll();
+      setCategoriesList(response.data.categories);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+    }
+  };
+
+  const fetchTags = async () => {
+    try {
+      const response = await transactions.getTags();
+      setTagOptions(response.data.tags.map(tag => tag.name));
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+    }
+  };
+
+  const fetchSavedSearches = async () => {
+    try {
+      const response = await savedSearchesApi.getAll();
+      setSavedSearchesList(response.data.savedSearches);
+    } catch (error) {
+      console.error('Error fetching saved searches:', error);
+    }
+  };
+
+  const fetchContacts = async () => {
+    try {
+      const response = await contactsApi.getAll();
+      setContactsList(response.data.contacts);
+    } catch (error) {
+      console.error('Error fetching contacts:', error);
+    }
+  };
+
   const fetchTransactions = async () => {
     try {
-      const params = {};
-      if (filters.accountId) params.accountId = filters.accountId;
-      if (filters.category) params.category = filters.category;
-      if (filters.startDate) params.startDate = filters.startDate;
-      if (filters.endDate) params.endDate = filters.endDate;
-
-      const response = await transactions.getAll(params);
-      
-      let filteredData = response.data;
-      if (filters.search) {
-        filteredData = filteredData.filter(t =>
-          t.description?.toLowerCase().includes(filters.search.toLowerCase()) ||
-          t.category?.toLowerCase().includes(filters.search.toLowerCase())
-        );
-      }
-      
-      setTransactionsList(filteredData);
+      // Search text, tags and amount limits are all applied by the server
+      const response = await transactions.getAll(toSearchParams(filters));
+      setTransactionsList(response.data.transactions);
     } catch (error) {
       console.error('Error fetching transactions:', error);
     }
   };
 
+  // Editing a filter by hand leaves the saved search it came from
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setSavedSearchId('');
+  };
+
+  const handleApplySavedSearch = (id) => {
+    const saved = savedSearchesList.find(s => s._id === id);
+    setSavedSearchId(id);
+    setFilters(saved ? { ...EMPTY_FILTERS, ...saved.filters } : EMPTY_FILTERS);
+  };
+
+  const handleSaveSearch = async () => {
+    const current = savedSearchesList.find(s => s._id === savedSearchId);
+    const name = window.prompt('Name this search', current?.name || '');
+    if (!name) return;
+
+    try {
+      const payload = { name, filters };
+      const response = current && current.name === name
+        ? await savedSearchesApi.update(current._id, payload)
+        : await savedSearchesApi.create(payload);
+      await fetchSavedSearches();
+      setSavedSearchId(response.data.savedSearch._id);
+    } catch (error) {
+      console.error('Error saving search:', error);
+      window.alert(error.response?.data?.error || 'Failed to save search');
+    }
+  };
+
+  const handleDeleteSavedSearch = async () => {
+    const current = savedSearchesList.find(s => s._id === savedSearchId);
+    if (!current || !window.confirm(`Delete saved search "${current.name}"?`)) return;
+
+    try {
+      await savedSearchesApi.delete(current._id);
+      setSavedSearchId('');
+      fetchSavedSearches();
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+    }
+  };
+
   const handleOpenDialog = () => {
     setFormData({
       accountId: accountsList[0]?._id || '',
+      toAccountId: '',
       type: 'expense',
       category: '',
       amount: '',
       description: '',
       date: format(new Date(), 'yyyy-MM-dd'),
+      splits: [],
+      tags: [],
     });
     setOpenDialog(true);
   };
@@ -138,6 +306,8 @@ function Transactions() {
         ...formData,
         [name]: value,
         category: '', // Reset category when type changes
+        toAccountId: '',
+        splits: [],
       });
     } else {
       setFormData({
@@ -147,16 +317,108 @@ function Transactions() {
     }
   };
 
+  // Split lines: each has its own category, amount and note.
+  // A split starts with two lines
+  const addSplitLine = () => {
+    const added = formData.splits.length === 0 ? 2 : 1;
+    setFormData({
+      ...formData,
+      splits: [
+        ...formData.splits,
+        ...Array.from({ length: added }, () => ({ category: '', amount: '', note: '' })),
+      ],
+    });
+  };
+
+  const updateSplitLine = (index, changes) => {
+    setFormData({
+      ...formData,
+      splits: formData.splits.map((split, i) => (i === index ? { ...split, ...changes } : split)),
+    });
+  };
+
+  const handleOpenShare = (transaction) => {
+    setShareFor(transaction);
+    setShareForm(EMPTY_SHARE_FORM);
+  };
+
+  const updateParticipant = (index, changes) => {
+    setShareForm({
+      ...shareForm,
+      participants: shareForm.participants.map((participant, i) => (i === index ? { ...participant, ...changes } : participant)),
+    });
+  };
+
+  // Each participant's share becomes money lent to them
+  const handleShareSubmit = async () => {
+    const { method, includeSelf, selfShares, participants } = shareForm;
+    try {
+      await sharedExpensesApi.create({
+        transactionId: shareFor._id,
+        method,
+        includeSelf,
+        ...(method === 'shares' && includeSelf && { selfShares: parseFloat(selfShares) }),
+        participants: participants.map((participant) => ({
+          name: participant.name,
+          ...(method === 'shares' && { shares: parseFloat(participant.shares) }),
+          ...(method === 'exact' && { amount: parseFloat(participant.amount) }),
+        })),
+      });
+      setShareFor(null);
+      fetchContacts();
+    } catch (error) {
+      console.error('Error sharing expense:', error);
+      window.alert(error.response?.data?.error || 'Failed to share expense');
+    }
+  };
+
+  const removeSplitLine = (index) => {
+    setFormData({
+      ...formData,
+      splits: formData.splits.filter((_, i) => i !== index),
+    });
+  };
+
+  // Left to assign across the split lines, compared in minor units like the server
+  const getSplitRemaining = (currency) => {
+    const assigned = formData.splits.reduce(
+      (sum, split) => sum + toMinorUnits(split.amount || 0, currency),
+      0
+    );
+    return fromMinorUnits(toMinorUnits(formData.amount || 0, currency) - assigned, currency);
+  };
+
   const handleSubmit = async () => {
     try {
       const account = accountsList.find(a => a._id === formData.accountId);
-      await transactions.create({
-        ...formData,
+      const { toAccountId, splits, ...data } = formData;
+      const payload = {
+        ...data,
+        ...(formData.type === 'transfer' && { toAccountId }),
+        ...(splits.length > 0 && {
+          splits: splits.map((split) => ({ ...split, amount: parseFloat(split.amount) })),
+        }),
         amount: parseFloat(formData.amount),
         currency: account.currency,
-      });
+      };
+
+      try {
+        await transactions.create({ ...payload, checkDuplicates: true });
+      } catch (error) {
+        if (error.response?.status !== 409) throw error;
+
+        const [match] = error.response.data.duplicates;
+        const confirmed = window.confirm(
+          `This looks like a duplicate of "${match.description || match.category}" on ` +
+          `${format(new Date(match.date), 'MMM dd, yyyy')}. Add it anyway?`
+        );
+        if (!confirmed) return;
+
+        await transactions.create(payload);
+      }
       handleCloseDialog();
       fetchTransactions();
+      fetchTags();
     } catch (error) {
       console.error('Error creating transaction:', error);
     }
@@ -169,18 +431,71 @@ function Transactions() {
     formData.append('statement', importData.file);
     formData.append('accountId', importData.accountId);
     formData.append('fileType', importData.fileType);
+    if (importData.profileId) {
+      formData.append('profileId', importData.profileId);
+    }
 
     try {
-      await transactions.import(formData);
+      setImportError('');
+      const response = await transactions.import(formData);
       setOpenImportDialog(false);
-      fetchTransactions();
-      alert('Transactions imported successfully!');
+      setImportBatch(response.data.batch);
     } catch (error) {
       console.error('Error importing transactions:', error);
-      alert('Error importing transactions');
+      setImportError(error.response?.data?.error || 'Error importing transactions');
+    }
+  };
+
+  const handleImportRowChange = (rowNumber, changes) => {
+    setImportBatch({
+      ...importBatch,
+      rows: importBatch.rows.map(row => (row.row === rowNumber ? { ...row, ...changes } : row)),
+    });
+  };
+
+  const isImportable = (row) => row.status === 'ready' || row.status === 'duplicate';
+
+  const handleImportCommit = async () => {
+    try {
+      setImportError('');
+      await importsApi.updateRows(
+        importBatch._id,
+        importBatch.rows
+          .filter(isImportable)
+          .map(({ row, selected, category }) => ({ row, selected, category }))
+      );
+      const response = await importsApi.commit(importBatch._id);
+      setImportBatch(null);
+      setLastImport(response.data.batch);
+      fetchAccounts();
+      fetchTransactions();
+    } catch (error) {
+      console.error('Error committing import:', error);
+      setImportError(error.response?.data?.error || 'Error committing import');
     }
   };
 
+  const handleImportDiscard = async () => {
+    try {
+      await importsApi.discard(importBatch._id);
+    } catch (error) {
+      console.error('Error discarding import:', error);
+    }
+    setImportBatch(null);
+    setImportError('');
+  };
+
+  const handleImportUndo = async () => {
+    try {
+      await importsApi.undo(lastImport._id);
+      fetchAccounts();
+      fetchTransactions();
+    } catch (error) {
+      console.error('Error undoing import:', error);
+    }
+    setLastImport(null);
+  };
+
   const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -206,6 +521,9 @@ function Transactions() {
     }
   };
 
+  const isOutflow = (transaction) =>
+    transaction.type === 'expense' || transaction.transferDirection === 'out';
+
   const selectedAccount = accountsList.find(a => a._id === formData.accountId);
 
   return (
@@ -216,7 +534,10 @@ function Transactions() {
           <Button
             variant="outlined"
             startIcon={<FileUploadIcon />}
-            onClick={() => setOpenImportDialog(true)}
+            onClick={() => {
+              setImportError('');
+              setOpenImportDialog(true);
+            }}
           >
             Import Statement
           </Button>
@@ -238,7 +559,7 @@ function Transactions() {
               fullWidth
               label="Search"
               value={filters.search}
-              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              onChange={(e) => updateFilters({ search: e.target.value })}
               InputProps={{
                 startAdornment: (
                   <InputAdornment position="start">
@@ -253,7 +574,7 @@ function Transactions() {
               <InputLabel>Account</InputLabel>
               <Select
                 value={filters.accountId}
-                onChange={(e) => setFilters({ ...filters, accountId: e.target.value })}
+                onChange={(e) => updateFilters({ accountId: e.target.value })}
                 label="Account"
               >
                 <MenuItem value="">All</MenuItem>
@@ -270,13 +591,13 @@ function Transactions() {
               <InputLabel>Category</InputLabel>
               <Select
                 value={filters.category}
-                onChange={(e) => setFilters({ ...filters, category: e.target.value })}
+                onChange={(e) => updateFilters({ category: e.target.value })}
                 label="Category"
               >
                 <MenuItem value="">All</MenuItem>
-                {Object.values(CATEGORIES).flat().map((category) => (
-                  <MenuItem key={category} value={category}>
-                    {category}
+                {['income', 'expense'].flatMap((type) => toCategoryOptions(categoriesList, type)).map(({ name, depth }) => (
+                  <MenuItem key={name} value={name} sx={{ pl: 2 + depth * 2 }}>
+                    {name}
                   </MenuItem>
                 ))}
               </Select>
@@ -288,7 +609,7 @@ function Transactions() {
               label="Start Date"
               type="date"
               value={filters.startDate}
-              onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+              onChange={(e) => updateFilters({ startDate: e.target.value })}
               InputLabelProps={{ shrink: true }}
             />
           </Grid>
@@ -298,10 +619,97 @@ function Transactions() {
               label="End Date"
               type="date"
               value={filters.endDate}
-              onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+              onChange={(e) => updateFilters({ endDate: e.target.value })}
               InputLabelProps={{ shrink: true }}
             />
           </Grid>
+          <Grid item xs={12} md={2}>
+            <FormControl fullWidth>
+              <InputLabel>Type</InputLabel>
+              <Select
+                value={filters.type}
+                onChange={(e) => updateFilters({ type: e.target.value })}
+                label="Type"
+              >
+                <MenuItem value="">All</MenuItem>
+                {TRANSACTION_TYPES.map((type) => (
+                  <MenuItem key={type} value={type}>
+                    {type.charAt(0).toUpperCase() + type.slice(1)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <Autocomplete
+              multiple
+              freeSolo
+              options={tagOptions}
+              value={filters.tags}
+              onChange={(e, tags) => updateFilters({ tags })}
+              renderInput={(params) => <TextField {...params} label="Tags" />}
+            />
+          </Grid>
+          <Grid item xs={12} md={1}>
+            <ToggleButtonGroup
+              exclusive
+              size="small"
+              value={filters.tagMatch}
+              onChange={(e, tagMatch) => tagMatch && updateFilters({ tagMatch })}
+            >
+              <ToggleButton value="any">Any</ToggleButton>
+              <ToggleButton value="all">All</ToggleButton>
+            </ToggleButtonGroup>
+          </Grid>
+          <Grid item xs={6} md={1}>
+            <TextField
+              fullWidth
+              label="Min"
+              type="number"
+              value={filters.minAmount}
+              onChange={(e) => updateFilters({ minAmount: e.target.value })}
+              inputProps={{ min: 0 }}
+            />
+          </Grid>
+          <Grid item xs={6} md={1}>
+            <TextField
+              fullWidth
+              label="Max"
+              type="number"
+              value={filters.maxAmount}
+              onChange={(e) => updateFilters({ maxAmount: e.target.value })}
+              inputProps={{ min: 0 }}
+            />
+          </Grid>
+          <Grid item xs={12} md={3}>
+            <FormControl fullWidth>
+              <InputLabel>Saved Search</InputLabel>
+              <Select
+                value={savedSearchId}
+                onChange={(e) => handleApplySavedSearch(e.target.value)}
+                label="Saved Search"
+              >
+                <MenuItem value="">None</MenuItem>
+                {savedSearchesList.map((saved) => (
+                  <MenuItem key={saved._id} value={saved._id}>
+                    {saved.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={1}>
+            <IconButton onClick={handleSaveSearch} title="Save search">
+              <BookmarkAddIcon />
+            </IconButton>
+            <IconButton
+              onClick={handleDeleteSavedSearch}
+              disabled={!savedSearchId}
+              title="Delete saved search"
+            >
+              <DeleteIcon />
+            </IconButton>
+          </Grid>
         </Grid>
       </Paper>
 
@@ -317,6 +725,7 @@ function Transactions() {
               <TableCell>Account</TableCell>
               <TableCell align="right">Amount</TableCell>
               <TableCell align="right">USD Value</TableCell>
+              <TableCell />
             </TableRow>
           </TableHead>
           <TableBody>
@@ -332,17 +741,58 @@ function Transactions() {
                     size="small"
                   />
                 </TableCell>
-                <TableCell>{transaction.category}</TableCell>
-                <TableCell>{transaction.description}</TableCell>
-                <TableCell>{transaction.account?.name}</TableCell>
+                <TableCell>
+                  {transaction.splits ? (
+                    transaction.splits.map((split) => (
+                      <Chip
+                        key={split._id}
+                        label={`${split.category} ${formatMoney(split.amount, transaction.currency)}`}
+                        title={split.note}
+                        size="small"
+                        variant="outlined"
+                        sx={{ mr: 0.5, mb: 0.5 }}
+                      />
+                    ))
+                  ) : (
+                    transaction.category
+                  )}
+                </TableCell>
+                <TableCell>
+                  {transaction.description}
+                  {transaction.tags?.map((tag) => (
+                    <Chip
+                      key={tag}
+                      label={tag}
+                      size="small"
+                      variant="outlined"
+                      onClick={() => updateFilters({ tags: [tag], tagMatch: 'any' })}
+                      sx={{ ml: 0.5 }}
+                    />
+                  ))}
+                </TableCell>
+                <TableCell>
+                  {transaction.account?.name}
+                  {transaction.transferAccount && (
+                    <>
+                      {transaction.transferDirection === 'out' ? ' → ' : ' ← '}
+                      {transaction.transferAccount.name}
+                    </>
+                  )}
+                </TableCell>
                 <TableCell align="right">
-                  {transaction.type === 'expense' ? '-' : '+'}
-                  {CURRENCY_SYMBOLS[transaction.originalCurrency]}
-                  {transaction.originalAmount.toFixed(2)}
+                  {isOutflow(transaction) ? '-' : '+'}
+                  {formatMoney(transaction.originalAmount, transaction.originalCurrency)}
                 </TableCell>
                 <TableCell align="right">
-                  {transaction.type === 'expense' ? '-' : '+'}$
-                  {transaction.amountInUSD.toFixed(2)}
+                  {isOutflow(transaction) ? '-' : '+'}
+                  {formatMoney(transaction.amountInUSD, 'USD')}
+                </TableCell>
+                <TableCell>
+                  {transaction.type === 'expense' && !transaction.borrowing && (
+                    <IconButton size="small" onClick={() => handleOpenShare(transaction)} title="Share with friends">
+                      <GroupAddIcon />
+                    </IconButton>
+                  )}
                 </TableCell>
               </TableRow>
             ))}
@@ -386,6 +836,26 @@ function Transactions() {
               </MenuItem>
             ))}
           </TextField>
+          {formData.type === 'transfer' && (
+            <TextField
+              name="toAccountId"
+              label="To Account"
+              select
+              fullWidth
+              margin="normal"
+              value={formData.toAccountId}
+              onChange={handleInputChange}
+              required
+            >
+              {accountsList
+                .filter((account) => account._id !== formData.accountId)
+                .map((account) => (
+                  <MenuItem key={account._id} value={account._id}>
+                    {account.name} ({account.currency})
+                  </MenuItem>
+                ))}
+            </TextField>
+          )}
           <TextField
             name="category"
             label="Category"
@@ -394,11 +864,14 @@ function Transactions() {
             margin="normal"
             value={formData.category}
             onChange={handleInputChange}
-            required
+            disabled={formData.splits.length > 0}
+            helperText={formData.splits.length > 0
+              ? 'Categories come from the split lines below'
+              : 'Leave empty to categorize with your rules'}
           >
-            {CATEGORIES[formData.type]?.map((category) => (
-              <MenuItem key={category} value={category}>
-                {category}
+            {toCategoryOptions(categoriesList, formData.type).map(({ name, depth }) => (
+              <MenuItem key={name} value={name} sx={{ pl: 2 + depth * 2 }}>
+                {name}
               </MenuItem>
             ))}
           </TextField>
@@ -410,16 +883,77 @@ function Transactions() {
             margin="normal"
             value={formData.amount}
             onChange={handleInputChange}
-            inputProps={{ step: 0.01 }}
+            inputProps={{ step: getAmountStep(selectedAccount && selectedAccount.currency) }}
             InputProps={{
               startAdornment: selectedAccount && (
                 <InputAdornment position="start">
-                  {CURRENCY_SYMBOLS[selectedAccount.currency]}
+                  {getCurrencySymbol(selectedAccount.currency)}
                 </InputAdornment>
               ),
             }}
             required
           />
+          {formData.type !== 'transfer' && (
+            <Box mt={1}>
+              {formData.splits.map((split, index) => (
+                <Box key={index} display="flex" alignItems="center" gap={1}>
+                  <TextField
+                    label="Category"
+                    select
+                    size="small"
+                    margin="dense"
+                    sx={{ flex: 2 }}
+                    value={split.category}
+                    onChange={(e) => updateSplitLine(index, { category: e.target.value })}
+                  >
+                    {toCategoryOptions(categoriesList, formData.type).map(({ name, depth }) => (
+                      <MenuItem key={name} value={name} sx={{ pl: 2 + depth * 2 }}>
+                        {name}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  <TextField
+                    label="Amount"
+                    type="number"
+                    size="small"
+                    margin="dense"
+                    sx={{ flex: 1 }}
+                    value={split.amount}
+                    onChange={(e) => updateSplitLine(index, { amount: e.target.value })}
+                    inputProps={{ step: getAmountStep(selectedAccount && selectedAccount.currency) }}
+                  />
+                  <TextField
+                    label="Note"
+                    size="small"
+                    margin="dense"
+                    sx={{ flex: 2 }}
+                    value={split.note}
+                    onChange={(e) => updateSplitLine(index, { note: e.target.value })}
+                  />
+                  <IconButton size="small" onClick={() => removeSplitLine(index)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Box>
+              ))}
+              <Box display="flex" alignItems="center" justifyContent="space-between">
+                <Button
+                  size="small"
+                  startIcon={<CallSplitIcon />}
+                  onClick={addSplitLine}
+                >
+                  {formData.splits.length === 0 ? 'Split across categories' : 'Add line'}
+                </Button>
+                {formData.splits.length > 0 && selectedAccount && (
+                  <Typography
+                    variant="body2"
+                    color={getSplitRemaining(selectedAccount.currency) === 0 ? 'textSecondary' : 'error'}
+                  >
+                    Remaining: {formatMoney(getSplitRemaining(selectedAccount.currency), selectedAccount.currency)}
+                  </Typography>
+                )}
+              </Box>
+            </Box>
+          )}
           <TextField
             name="description"
             label="Description"
@@ -430,6 +964,16 @@ function Transactions() {
             multiline
             rows={2}
           />
+          <Autocomplete
+            multiple
+            freeSolo
+            options={tagOptions}
+            value={formData.tags}
+            onChange={(e, tags) => setFormData({ ...formData, tags })}
+            renderInput={(params) => (
+              <TextField {...params} label="Tags" margin="normal" helperText="e.g. vacation-2026, reimbursable" />
+            )}
+          />
           <TextField
             name="date"
             label="Date"
@@ -452,6 +996,11 @@ function Transactions() {
       <Dialog open={openImportDialog} onClose={() => setOpenImportDialog(false)} maxWidth="sm" fullWidth>
         <DialogTitle>Import Bank Statement</DialogTitle>
         <DialogContent>
+          {importError && (
+            <Alert severity="error" sx={{ mb: 1 }}>
+              {importError}
+            </Alert>
+          )}
           <TextField
             label="Account"
             select
@@ -467,6 +1016,22 @@ function Transactions() {
               </MenuItem>
             ))}
           </TextField>
+          <TextField
+            label="Bank Format"
+            select
+            fullWidth
+            margin="normal"
+            value={importData.profileId}
+            onChange={(e) => setImportData({ ...importData, profileId: e.target.value })}
+            helperText="Saved formats are matched automatically by column headers"
+          >
+            <MenuItem value="">Auto-detect</MenuItem>
+            {profilesList.map((profile) => (
+              <MenuItem key={profile._id} value={profile._id}>
+                {profile.bankName}
+              </MenuItem>
+            ))}
+          </TextField>
           <Box mt={2}>
             <input
               accept=".csv,.xlsx,.xls,.pdf"
@@ -492,10 +1057,211 @@ function Transactions() {
             variant="contained"
             disabled={!importData.file || !importData.accountId}
           >
-            Import
+            Review
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Import Review Dialog */}
+      <Dialog open={Boolean(importBatch)} onClose={handleImportDiscard} maxWidth="md" fullWidth>
+        <DialogTitle>Review Import{importBatch && ` - ${importBatch.fileName}`}</DialogTitle>
+        {importBatch && (
+          <DialogContent>
+            {importError && (
+              <Alert severity="error" sx={{ mb: 1 }}>
+                {importError}
+              </Alert>
+            )}
+            <Typography variant="body2" color="textSecondary" mb={1}>
+              {importBatch.summary.ready} new, {importBatch.summary.duplicate} already imported,{' '}
+              {importBatch.summary.skipped} skipped, {importBatch.summary.failed} failed
+              {importBatch.unparsedLines?.length > 0 &&
+                `, ${importBatch.unparsedLines.length} PDF lines could not be read`}
+            </Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell padding="checkbox" />
+                    <TableCell>Date</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell>Category</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                    <TableCell>Status</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {importBatch.rows.map((row) => (
+                    <TableRow key={row.row}>
+                      <TableCell padding="checkbox">
+                        <Checkbox
+                          checked={row.selected}
+                          disabled={!isImportable(row)}
+                          onChange={(e) => handleImportRowChange(row.row, { selected: e.target.checked })}
+                        />
+                      </TableCell>
+                      <TableCell>{row.date && format(new Date(row.date), 'MMM dd, yyyy')}</TableCell>
+                      <TableCell>{row.description || row.reason}</TableCell>
+                      <TableCell>
+                        {isImportable(row) && (
+                          <TextField
+                            select
+                            size="small"
+                            value={row.category}
+                            onChange={(e) => handleImportRowChange(row.row, { category: e.target.value })}
+                          >
+                            {[...new Set([
+                              row.category,
+                              ...toCategoryOptions(categoriesList, row.type).map(option => option.name),
+                            ])].map((category) => (
+                              <MenuItem key={category} value={category}>
+                                {category}
+                              </MenuItem>
+                            ))}
+                          </TextField>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">
+                        {row.amount !== undefined && `${row.type === 'expense' ? '-' : '+'}${formatMoney(row.amount, importBatch.currency)}`}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={row.status}
+                          size="small"
+                          color={row.status === 'ready' ? 'success' : row.status === 'failed' ? 'error' : 'default'}
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={handleImportDiscard}>Discard</Button>
+          <Button
+            onClick={handleImportCommit}
+            variant="contained"
+            disabled={!importBatch?.rows.some(row => row.selected)}
+          >
+            Import {importBatch?.rows.filter(row => row.selected).length} Transactions
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Share Expense Dialog */}
+      <Dialog open={Boolean(shareFor)} onClose={() => setShareFor(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Share {shareFor && formatMoney(shareFor.amount, shareFor.currency)} {shareFor?.description}
+        </DialogTitle>
+        <DialogContent>
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={shareForm.method}
+            onChange={(e, method) => method && setShareForm({ ...shareForm, method })}
+            sx={{ my: 2 }}
+          >
+            <ToggleButton value="equal">Equally</ToggleButton>
+            <ToggleButton value="shares">By shares</ToggleButton>
+            <ToggleButton value="exact">Exact amounts</ToggleButton>
+          </ToggleButtonGroup>
+          <Box display="flex" alignItems="center" gap={2}>
+            <Checkbox
+              checked={shareForm.includeSelf}
+              onChange={(e) => setShareForm({ ...shareForm, includeSelf: e.target.checked })}
+            />
+            <Typography sx={{ flexGrow: 1 }}>
+              {shareForm.method === 'exact' ? 'I keep what is left' : 'Include my own share'}
+            </Typography>
+            {shareForm.method === 'shares' && shareForm.includeSelf && (
+              <TextField
+                label="My shares"
+                type="number"
+                size="small"
+                value={shareForm.selfShares}
+                onChange={(e) => setShareForm({ ...shareForm, selfShares: e.target.value })}
+                inputProps={{ min: 0, step: 0.5 }}
+                sx={{ width: 120 }}
+              />
+            )}
+          </Box>
+          {shareForm.participants.map((participant, index) => (
+            <Box key={index} display="flex" alignItems="center" gap={2}>
+              <Autocomplete
+                freeSolo
+                options={contactsList.map((contact) => contact.name)}
+                inputValue={participant.name}
+                onInputChange={(e, name) => updateParticipant(index, { name })}
+                renderInput={(params) => (
+                  <TextField {...params} label="Person" margin="normal" required />
+                )}
+                sx={{ flexGrow: 1 }}
+              />
+              {shareForm.method === 'shares' && (
+                <TextField
+                  label="Shares"
+                  type="number"
+                  margin="normal"
+                  value={participant.shares}
+                  onChange={(e) => updateParticipant(index, { shares: e.target.value })}
+                  inputProps={{ min: 0, step: 0.5 }}
+                  sx={{ width: 120 }}
+                />
+              )}
+              {shareForm.method === 'exact' && shareFor && (
+                <TextField
+                  label="Amount"
+                  type="number"
+                  margin="normal"
+                  value={participant.amount}
+                  onChange={(e) => updateParticipant(index, { amount: e.target.value })}
+                  inputProps={{ min: 0, step: getAmountStep(shareFor.currency) }}
+                  sx={{ width: 140 }}
+                />
+              )}
+              <IconButton
+                onClick={() => setShareForm({
+                  ...shareForm,
+                  participants: shareForm.participants.filter((_, i) => i !== index),
+                })}
+                disabled={shareForm.participants.length === 1}
+              >
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            startIcon={<AddIcon />}
+            onClick={() => setShareForm({ ...shareForm, participants: [...shareForm.participants, EMPTY_PARTICIPANT] })}
+          >
+            Add person
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShareFor(null)}>Cancel</Button>
+          <Button
+            onClick={handleShareSubmit}
+            variant="contained"
+            disabled={shareForm.participants.some((participant) => !participant.name.trim())}
+          >
+            Share
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={Boolean(lastImport)}
+        autoHideDuration={10000}
+        onClose={() => setLastImport(null)}
+        message={lastImport && `Imported ${lastImport.transactionCount} transactions`}
+        action={
+          <Button color="secondary" size="small" onClick={handleImportUndo}>
+            Undo
+          </Button>
+        }
+      />
     </Box>
   );
 }
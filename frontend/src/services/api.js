@@ -30,15 +30,114 @@ export const accounts = {
 export const transactions = {
   getAll: (params) => api.get('/transactions', { params }),
   create: (data) => api.post('/transactions', data),
+  exchange: (data) => api.post('/transactions/exchange', data),
   import: (formData) => api.post('/transactions/import', formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
+  getTags: () => api.get('/transactions/tags'),
+  getDuplicates: (params) => api.get('/transactions/duplicates', { params }),
+  merge: (id, duplicateId) => api.post(`/transactions/${id}/merge`, { duplicateId }),
+  ignoreDuplicate: (id, duplicateId) => api.post(`/transactions/${id}/ignore-duplicate`, { duplicateId }),
+};
+
+export const savedSearches = {
+  getAll: () => api.get('/saved-searches'),
+  create: (data) => api.post('/saved-searches', data),
+  update: (id, data) => api.put(`/saved-searches/${id}`, data),
+  delete: (id) => api.delete(`/saved-searches/${id}`),
+};
+
+export const rates = {
+  get: (params) => api.get('/rates', { params }),
+};
+
+export const currencies = {
+  getAll: (params) => api.get('/currencies', { params }),
+};
+
+export const categories = {
+  getAll: (params) => api.get('/categories', { params }),
+  create: (data) => api.post('/categories', data),
+  update: (id, data) => api.put(`/categories/${id}`, data),
+  merge: (id, targetId) => api.post(`/categories/${id}/merge`, { targetId }),
+  delete: (id) => api.delete(`/categories/${id}`),
+};
+
+export const budgets = {
+  getAll: (params) => api.get('/budgets', { params }),
+  create: (data) => api.post('/budgets', data),
+  update: (id, data) => api.put(`/budgets/${id}`, data),
+  delete: (id) => api.delete(`/budgets/${id}`),
+};
+
+export const recurring = {
+  getAll: () => api.get('/recurring'),
+  create: (data) => api.post('/recurring', data),
+  update: (id, data) => api.put(`/recurring/${id}`, data),
+  delete: (id) => api.delete(`/recurring/${id}`),
+  preview: (id, count) => api.get(`/recurring/${id}/preview`, { params: { count } }),
+  skipOccurrence: (id, date) => api.post(`/recurring/${id}/occurrences/${date}/skip`),
+  modifyOccurrence: (id, date, data) => api.put(`/recurring/${id}/occurrences/${date}`, data),
+  restoreOccurrence: (id, date) => api.delete(`/recurring/${id}/occurrences/${date}`),
+  runDue: () => api.post('/recurring/run'),
+};
+
+export const rules = {
+  getAll: () => api.get('/rules'),
+  create: (data) => api.post('/rules', data),
+  update: (id, data) => api.put(`/rules/${id}`, data),
+  delete: (id) => api.delete(`/rules/${id}`),
+  dryRun: (data) => api.post('/rules/dry-run', data),
+  apply: (data) => api.post('/rules/apply', data),
+};
+
+export const imports = {
+  getAll: () => api.get('/transactions/import'),
+  get: (id) => api.get(`/transactions/import/${id}`),
+  updateRows: (id, rows) => api.put(`/transactions/import/${id}/rows`, { rows }),
+  commit: (id) => api.post(`/transactions/import/${id}/commit`),
+  undo: (id) => api.post(`/transactions/import/${id}/undo`),
+  discard: (id) => api.delete(`/transactions/import/${id}`),
+};
+
+export const importProfiles = {
+  getAll: () => api.get('/import-profiles'),
+  create: (data) => api.post('/import-profiles', data),
+  update: (id, data) => api.put(`/import-profiles/${id}`, data),
+  delete: (id) => api.delete(`/import-profiles/${id}`),
 };
 
 export const borrowings = {
   getAll: () => api.get('/borrowings'),
   create: (data) => api.post('/borrowings', data),
-  markPaid: (id) => api.put(`/borrowings/${id}/paid`),
+  getPayments: (id) => api.get(`/borrowings/${id}/payments`),
+  addPayment: (id, data) => api.post(`/borrowings/${id}/payments`, data),
+  updatePayment: (id, paymentId, data) => api.put(`/borrowings/${id}/payments/${paymentId}`, data),
+  reversePayment: (id, paymentId, reason) => api.post(`/borrowings/${id}/payments/${paymentId}/reverse`, { reason }),
+  getSchedule: (id, params) => api.get(`/borrowings/${id}/schedule`, { params }),
+  settle: (data) => api.post('/borrowings/settle', data),
+};
+
+export const contacts = {
+  getAll: (params) => api.get('/contacts', { params }),
+  create: (data) => api.post('/contacts', data),
+  update: (id, data) => api.put(`/contacts/${id}`, data),
+  delete: (id) => api.delete(`/contacts/${id}`),
+  merge: (id, targetId) => api.post(`/contacts/${id}/merge`, { targetId }),
+  getBalance: (id, params) => api.get(`/contacts/${id}/balance`, { params }),
+};
+
+export const sharedExpenses = {
+  getAll: (params) => api.get('/shared-expenses', { params }),
+  get: (transactionId) => api.get(`/shared-expenses/${transactionId}`),
+  create: (data) => api.post('/shared-expenses', data),
+  delete: (transactionId) => api.delete(`/shared-expenses/${transactionId}`),
+};
+
+export const dashboard = {
+  getSummary: (params) => api.get('/dashboard/dashboard-summary', { params }),
+  getYearlySummary: (params) => api.get('/dashboard/yearly-summary', { params }),
+  getFxRevaluation: (params) => api.get('/dashboard/fx-revaluation', { params }),
 };
 
 export const workSchedule = {
@@ -46,4 +145,4 @@ export const workSchedule = {
   create: (data) => api.post('/work-schedule', data),
 };
 
-export default api;
\ No newline at end of file
+export default api;
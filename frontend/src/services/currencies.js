@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react';
+import { currencies as currenciesApi } from './api';
+
+// Used until the registry has loaded (and if it cannot be fetched)
+const FALLBACK_CURRENCIES = [
+  { code: 'USD', name: 'US Dollar', exponent: 2, symbol: '$' },
+  { code: 'EUR', name: 'Euro', exponent: 2, symbol: '€' },
+  { code: 'AZN', name: 'Azerbaijani Manat', exponent: 2, symbol: '₼' },
+];
+
+let registry = FALLBACK_CURRENCIES;
+let request = null;
+
+// Locale for formatting, from the user's language preference (stored at login)
+const LOCALE_KEY = 'locale';
+let locale = localStorage.getItem(LOCALE_KEY) || 'en-US';
+
+// Fetch the server's currency registry once per page load
+const loadCurrencies = () => {
+  if (!request) {
+    request = currenciesApi.getAll()
+      .then((response) => {
+        registry = response.data.currencies;
+        return registry;
+      })
+      .catch((error) => {
+        console.error('Error fetching currencies:', error);
+        request = null;
+        return registry;
+      });
+  }
+  return request;
+};
+
+export const getCurrency = (code) =>
+  registry.find((currency) => currency.code === code);
+
+// Number of decimals in the currency's minor unit (JPY 0, USD 2, KWD 3)
+export const getExponent = (code) => {
+  const currency = getCurrency(code);
+  return currency ? currency.exponent : 2;
+};
+
+export const getCurrencySymbol = (code) => {
+  const currency = getCurrency(code);
+  return currency ? currency.symbol : code;
+};
+
+// Input step for amount fields, e.g. 0.01 for USD and 1 for JPY
+export const getAmountStep = (code) => 1 / 10 ** getExponent(code);
+
+export const getMoneyLocale = () => locale;
+
+export const setMoneyLocale = (language) => {
+  if (!language) return;
+  locale = language;
+  localStorage.setItem(LOCALE_KEY, language);
+};
+
+// Integer minor units <-> major units, rounded like the server (JPY 0, USD 2, KWD 3)
+export const toMinorUnits = (amount, code) =>
+  Math.round(Number((Number(amount) * 10 ** getExponent(code)).toFixed(6)));
+
+export const fromMinorUnits = (amountInMinorUnits, code) =>
+  amountInMinorUnits / 10 ** getExponent(code);
+
+// API amounts are major-unit numbers, or with ?amounts=minor
+// { amountInMinorUnits, currency, formatted } objects
+const isMoneyObject = (value) =>
+  value !== null && typeof value === 'object' && 'amountInMinorUnits' in value;
+
+// Major-unit number for either shape, for arithmetic and form fields
+export const toAmount = (value, code) =>
+  isMoneyObject(value) ? fromMinorUnits(value.amountInMinorUnits, value.currency || code) : Number(value) || 0;
+
+// Format an amount with the currency's symbol and precision. Strings the
+// server already formatted are used as they are so both sides agree
+export const formatMoney = (value, code, formatLocale = locale) => {
+  if (isMoneyObject(value) && value.formatted) {
+    return value.formatted;
+  }
+
+  const amount = toAmount(value, code);
+  const exponent = getExponent(code);
+  try {
+    return new Intl.NumberFormat(formatLocale, {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: exponent,
+      maximumFractionDigits: exponent,
+    }).format(amount);
+  } catch (error) {
+    return `${Number(amount).toFixed(exponent)} ${code}`;
+  }
+};
+
+// Currency list for pickers; re-renders once the registry has loaded
+export const useCurrencies = () => {
+  const [list, setList] = useState(registry);
+
+  useEffect(() => {
+    let active = true;
+    loadCurrencies().then((loaded) => {
+      if (active) setList(loaded);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return list;
+};